@@ -2,252 +2,283 @@
  * Local development server that mimics AWS Lambda + API Gateway behavior.
  * Uses a local JSON file instead of DynamoDB for storage.
  * Run this for local development without needing to deploy to AWS.
+ *
+ * Routes are thin adapters over the same service as the Lambda handler
+ * (src/service.js); only the storage backend differs. Live updates are sent
+ * as Server-Sent Events instead of over the AWS WebSocket API.
  */
 
 import express from 'express';
 import cors from 'cors';
-import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
-import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { ApiError } from './src/errors.js';
+import { authenticate, issueToken } from './src/auth.js';
+import { roleOptionsFromEnv } from './src/roles.js';
+import { createService } from './src/service.js';
+import { createBroadcaster, createTicketLedger, issueLiveTicket, verifyLiveTicket, withChangeFeed } from './src/live.js';
+import { presenceEvent, updatePresence } from './src/presence.js';
+import { parseIfMatch, etag } from './src/validation.js';
+import { createLowdbRepository } from './src/repositories/lowdb.js';
+import { createMetadataReader } from './src/pointcloud-metadata.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-
-// UUID validation regex
-const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Signs and verifies local tokens; set AUTH_SECRET to share tokens with `sam local`
+const AUTH_SECRET = process.env.AUTH_SECRET || 'local-development-secret';
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-
-// Database setup (local JSON file)
-const dbFile = join(__dirname, 'db.json');
-const adapter = new JSONFile(dbFile);
-const defaultData = { annotations: [], pointClouds: [] };
-const db = new Low(adapter, defaultData);
-
-// Initialize database
-await db.read();
-db.data ||= defaultData;
-// Ensure pointClouds array exists for existing databases
-if (!db.data.pointClouds) {
-  db.data.pointClouds = [];
-}
-await db.write();
-
-// GET all annotations (optionally filtered by pointCloudId)
-app.get('/annotations', async (req, res) => {
+app.use(cors({ exposedHeaders: ['ETag'] }));
+// Label updates carry point index ranges for many octree nodes
+app.use(express.json({ limit: '5mb' }));
+
+// Database setup (local JSON file); every annotation write is broadcast
+const broadcaster = createBroadcaster();
+const repository = withChangeFeed(await createLowdbRepository(join(__dirname, 'db.json')), broadcaster.publish);
+// Each live update ticket opens one event stream
+const usedTickets = createTicketLedger();
+// Registered clouds' cloud.js / metadata.json are read from the frontend directory
+const service = createService(repository, roleOptionsFromEnv(process.env), {
+  readPointCloudMetadata: createMetadataReader({
+    root: process.env.POINTCLOUD_ROOT || join(__dirname, '..', 'frontend')
+  })
+});
+
+// SSE comments keep idle connections from being closed by proxies
+const KEEP_ALIVE_MS = 25000;
+
+/**
+ * Wrap a route handler so service errors become JSON error responses.
+ * @param {string} failureMessage - Message returned for unexpected errors
+ * @param {Function} handler - async (req, res) route handler
+ */
+const route = (failureMessage, handler) => async (req, res) => {
   try {
-    await db.read();
-    let annotations = db.data.annotations;
-    
-    // Filter by pointCloudId if provided
-    const { pointCloudId } = req.query;
-    if (pointCloudId) {
-      annotations = annotations.filter(a => a.pointCloudId === pointCloudId);
-    }
-    
-    res.json(annotations);
+    await handler(req, res);
   } catch (error) {
-    console.error('Error fetching annotations:', error);
-    res.status(500).json({ error: 'Failed to fetch annotations' });
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error(`${failureMessage}:`, error);
+    res.status(500).json({ error: failureMessage });
   }
-});
+};
 
-// POST create new annotation
-app.post('/annotations', async (req, res) => {
-  try {
-    const { position, text, cameraPosition, cameraTarget } = req.body;
+// ========================================
+// Authentication
+// ========================================
 
-    // Validate required fields
-    if (!position || typeof position.x !== 'number' ||
-        typeof position.y !== 'number' || typeof position.z !== 'number') {
-      return res.status(400).json({ error: 'Invalid position coordinates' });
-    }
+// Health check (public)
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
 
-    // Validate text length (max 256 bytes)
-    const textValue = text || '';
-    if (Buffer.byteLength(textValue, 'utf8') > 256) {
-      return res.status(400).json({ error: 'Text exceeds 256 bytes limit' });
-    }
+// POST issue a token for a username (local token issuer, no password)
+app.post('/auth/token', route('Failed to issue token', async (req, res) => {
+  res.status(201).json(issueToken(req.body.username, AUTH_SECRET));
+}));
 
-    const annotation = {
-      id: randomUUID(),
-      pointCloudId: req.body.pointCloudId || null,
-      position: {
-        x: position.x,
-        y: position.y,
-        z: position.z
-      },
-      text: textValue,
-      cameraPosition: cameraPosition || null,
-      cameraTarget: cameraTarget || null,
-      createdAt: new Date().toISOString()
-    };
-
-    await db.read();
-    db.data.annotations.push(annotation);
-    await db.write();
-
-    res.status(201).json(annotation);
+// GET a stream of a point cloud's annotation events (Server-Sent Events);
+// authenticated by a ticket from POST /live/ticket, since EventSource can't
+// send headers
+app.get('/live/events', (req, res) => {
+  let subscription;
+  try {
+    subscription = verifyLiveTicket(req.query.ticket, AUTH_SECRET);
   } catch (error) {
-    console.error('Error creating annotation:', error);
-    res.status(500).json({ error: 'Failed to create annotation' });
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (!usedTickets.claim(subscription)) {
+    return res.status(409).json({ error: 'Live update ticket was already used' });
+  }
+  const { sessionId, pointCloudId, user } = subscription;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  // Where everyone already here is looking
+  for (const session of broadcaster.listSessions(pointCloudId)) {
+    if (session.camera) send(presenceEvent(session));
   }
+  const unsubscribe = broadcaster.subscribe({ id: sessionId, pointCloudId, user, camera: null, sentAt: 0 }, send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
 });
 
-// PUT update annotation
-app.put('/annotations/:id', async (req, res) => {
+// Every route below needs `Authorization: Bearer <token>`; sets req.user
+// (CORS preflight requests are answered by cors() above)
+app.use((req, res, next) => {
   try {
-    const { id } = req.params;
-    const { text } = req.body;
-
-    // Validate UUID format
-    if (!UUID_REGEX.test(id)) {
-      return res.status(400).json({ error: 'Invalid annotation ID format' });
-    }
-
-    // Validate text length (max 256 bytes)
-    if (text && Buffer.byteLength(text, 'utf8') > 256) {
-      return res.status(400).json({ error: 'Text exceeds 256 bytes limit' });
-    }
-
-    await db.read();
-    const index = db.data.annotations.findIndex(a => a.id === id);
-
-    if (index === -1) {
-      return res.status(404).json({ error: 'Annotation not found' });
-    }
-
-    db.data.annotations[index] = {
-      ...db.data.annotations[index],
-      text: text !== undefined ? text : db.data.annotations[index].text,
-      updatedAt: new Date().toISOString()
-    };
-
-    await db.write();
-    res.json(db.data.annotations[index]);
+    req.user = authenticate(req.get('Authorization'), AUTH_SECRET);
   } catch (error) {
-    console.error('Error updating annotation:', error);
-    res.status(500).json({ error: 'Failed to update annotation' });
+    return res.status(error.statusCode).json({ error: error.message });
   }
+  next();
 });
 
-// DELETE annotation
-app.delete('/annotations/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+// GET the authenticated user and their role (on ?pointCloudId= if given)
+app.get('/auth/me', route('Failed to fetch user', async (req, res) => {
+  res.json(await service.getCurrentUser(req.user, req.query.pointCloudId));
+}));
 
-    // Validate UUID format
-    if (!UUID_REGEX.test(id)) {
-      return res.status(400).json({ error: 'Invalid annotation ID format' });
-    }
+// POST a ticket for subscribing to a point cloud's live updates
+app.post('/live/ticket', route('Failed to issue live update ticket', async (req, res) => {
+  res.status(201).json(issueLiveTicket(req.user, req.body, AUTH_SECRET, '/live/events'));
+}));
 
-    await db.read();
-    const index = db.data.annotations.findIndex(a => a.id === id);
+// POST the camera pose of a live update session, for the other viewers
+app.post('/live/presence', route('Failed to update presence', async (req, res) => {
+  updatePresence(broadcaster, req.user, req.body);
+  res.status(204).send();
+}));
 
-    if (index === -1) {
-      return res.status(404).json({ error: 'Annotation not found' });
-    }
+// ========================================
+// Annotation Routes
+// ========================================
 
-    db.data.annotations.splice(index, 1);
-    await db.write();
+// GET a page of annotations (optionally filtered by pointCloudId, searched
+// and narrowed to a box), or those nearest to a point
+app.get('/annotations', route('Failed to fetch annotations', async (req, res) => {
+  const {
+    pointCloudId = null, limit, cursor, q, author, createdAfter, createdBefore, sort, bbox, near, radius, k
+  } = req.query;
+  res.json(await service.listAnnotations({
+    pointCloudId, limit, cursor, q, author, createdAfter, createdBefore, sort, bbox, near, radius, k
+  }, req.user));
+}));
+
+// GET all annotations as a downloadable GeoJSON, CSV or KITTI file
+app.get('/annotations/export', route('Failed to export annotations', async (req, res) => {
+  const { pointCloudId = null, format } = req.query;
+  const file = await service.exportAnnotations({ pointCloudId, format }, req.user);
+  res.type(file.contentType).attachment(file.filename).send(file.body);
+}));
 
-    res.status(204).send();
-  } catch (error) {
-    console.error('Error deleting annotation:', error);
-    res.status(500).json({ error: 'Failed to delete annotation' });
-  }
-});
+// POST create new annotation
+app.post('/annotations', route('Failed to create annotation', async (req, res) => {
+  const annotation = await service.createAnnotation(req.body, req.user);
+  res.status(201).set('ETag', etag(annotation)).json(annotation);
+}));
+
+// POST re-create a deleted annotation with its original ID and timestamps
+app.post('/annotations/:id/restore', route('Failed to restore annotation', async (req, res) => {
+  res.status(201).json(await service.restoreAnnotation(req.params.id, req.body, req.user));
+}));
+
+// POST apply create/update/delete operations all-or-nothing
+app.post('/annotations/batch', route('Failed to apply batch', async (req, res) => {
+  res.json(await service.batchAnnotations(req.body, req.user));
+}));
+
+// POST import annotations from a CSV, GeoJSON or JSON file
+app.post('/annotations/import', route('Failed to import annotations', async (req, res) => {
+  res.json(await service.importAnnotations(req.body, req.user));
+}));
+
+// PUT update annotation (If-Match: the version the edit is based on)
+app.put('/annotations/:id', route('Failed to update annotation', async (req, res) => {
+  const expectedVersion = parseIfMatch(req.get('If-Match'));
+  const annotation = await service.updateAnnotation(req.params.id, req.body, req.user, expectedVersion);
+  res.set('ETag', etag(annotation)).json(annotation);
+}));
+
+// DELETE annotation
+app.delete('/annotations/:id', route('Failed to delete annotation', async (req, res) => {
+  await service.deleteAnnotation(req.params.id, req.user);
+  res.status(204).send();
+}));
+
+// GET the revision history of an annotation (newest first)
+app.get('/annotations/:id/history', route('Failed to fetch history', async (req, res) => {
+  res.json(await service.getHistory(req.params.id, req.user));
+}));
+
+// POST restore an annotation's content to an earlier revision
+app.post('/annotations/:id/history/:revisionId/restore', route('Failed to restore revision', async (req, res) => {
+  res.json(await service.restoreRevision(req.params.id, req.params.revisionId, req.user));
+}));
+
+// GET the comment thread of an annotation
+app.get('/annotations/:id/comments', route('Failed to fetch comments', async (req, res) => {
+  res.json(await service.listComments(req.params.id, req.user));
+}));
+
+// POST add a comment to an annotation
+app.post('/annotations/:id/comments', route('Failed to create comment', async (req, res) => {
+  res.status(201).json(await service.createComment(req.params.id, req.body, req.user));
+}));
+
+// DELETE a comment
+app.delete('/annotations/:id/comments/:commentId', route('Failed to delete comment', async (req, res) => {
+  await service.deleteComment(req.params.id, req.params.commentId, req.user);
+  res.status(204).send();
+}));
 
 // ========================================
 // Point Cloud Routes
 // ========================================
 
 // GET all point clouds
-app.get('/pointclouds', async (req, res) => {
-  try {
-    await db.read();
-    res.json(db.data.pointClouds);
-  } catch (error) {
-    console.error('Error fetching point clouds:', error);
-    res.status(500).json({ error: 'Failed to fetch point clouds' });
-  }
-});
+app.get('/pointclouds', route('Failed to fetch point clouds', async (req, res) => {
+  res.json(await service.listPointClouds(req.user));
+}));
 
 // POST create new point cloud
-app.post('/pointclouds', async (req, res) => {
-  try {
-    const { name, path } = req.body;
-
-    // Validate required fields
-    if (!name || typeof name !== 'string') {
-      return res.status(400).json({ error: 'Name is required' });
-    }
-    if (!path || typeof path !== 'string') {
-      return res.status(400).json({ error: 'Path is required' });
-    }
-
-    // Normalize path (ensure trailing slash)
-    let normalizedPath = path.trim();
-    if (!normalizedPath.endsWith('/')) {
-      normalizedPath += '/';
-    }
-
-    const pointCloud = {
-      id: randomUUID(),
-      name: name.trim(),
-      path: normalizedPath,
-      createdAt: new Date().toISOString()
-    };
-
-    await db.read();
-    db.data.pointClouds.push(pointCloud);
-    await db.write();
+app.post('/pointclouds', route('Failed to create point cloud', async (req, res) => {
+  res.status(201).json(await service.createPointCloud(req.body, req.user));
+}));
 
-    res.status(201).json(pointCloud);
-  } catch (error) {
-    console.error('Error creating point cloud:', error);
-    res.status(500).json({ error: 'Failed to create point cloud' });
-  }
-});
+// PUT update point cloud (name, description, tags; refreshMetadata re-reads its metadata)
+app.put('/pointclouds/:id', route('Failed to update point cloud', async (req, res) => {
+  res.json(await service.updatePointCloud(req.params.id, req.body, req.user));
+}));
 
 // DELETE point cloud
-app.delete('/pointclouds/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Validate UUID format
-    if (!UUID_REGEX.test(id)) {
-      return res.status(400).json({ error: 'Invalid point cloud ID format' });
-    }
-
-    await db.read();
-    const index = db.data.pointClouds.findIndex(pc => pc.id === id);
-
-    if (index === -1) {
-      return res.status(404).json({ error: 'Point cloud not found' });
-    }
-
-    db.data.pointClouds.splice(index, 1);
-    await db.write();
-
-    res.status(204).send();
-  } catch (error) {
-    console.error('Error deleting point cloud:', error);
-    res.status(500).json({ error: 'Failed to delete point cloud' });
-  }
-});
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+app.delete('/pointclouds/:id', route('Failed to delete point cloud', async (req, res) => {
+  await service.deletePointCloud(req.params.id, req.user);
+  res.status(204).send();
+}));
+
+// GET role assignments of a point cloud (admins only)
+app.get('/pointclouds/:id/roles', route('Failed to fetch roles', async (req, res) => {
+  res.json(await service.getRoles(req.params.id, req.user));
+}));
+
+// PUT replace the role assignments of a point cloud (admins only)
+app.put('/pointclouds/:id/roles', route('Failed to update roles', async (req, res) => {
+  res.json(await service.updateRoles(req.params.id, req.body, req.user));
+}));
+
+// GET annotation taxonomy of a point cloud
+app.get('/pointclouds/:id/taxonomy', route('Failed to fetch taxonomy', async (req, res) => {
+  res.json(await service.getTaxonomy(req.params.id, req.user));
+}));
+
+// PUT replace the annotation taxonomy of a point cloud
+app.put('/pointclouds/:id/taxonomy', route('Failed to update taxonomy', async (req, res) => {
+  res.json(await service.updateTaxonomy(req.params.id, req.body, req.user));
+}));
+
+// GET per-point labels of a point cloud
+app.get('/pointclouds/:id/labels', route('Failed to fetch point labels', async (req, res) => {
+  res.json(await service.getPointLabels(req.params.id, req.user));
+}));
+
+// PUT replace per-point labels of the given octree nodes
+app.put('/pointclouds/:id/labels', route('Failed to update point labels', async (req, res) => {
+  res.json(await service.updatePointLabels(req.params.id, req.body, req.user));
+}));
 
 app.listen(PORT, () => {
   console.log(`Local development server running on http://localhost:${PORT}`);
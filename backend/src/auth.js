@@ -0,0 +1,114 @@
+/**
+ * Bearer token authentication.
+ *
+ * On AWS the HTTP API's JWT authorizer verifies tokens issued by the
+ * identity provider and hands the claims to the Lambda handler. For local
+ * development (and `sam local`, which skips authorizers) tokens are HS256
+ * JWTs signed with AUTH_SECRET by the local token issuer.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { badRequest, unauthorized } from './errors.js';
+
+// Lifetime of locally issued tokens
+export const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+const USERNAME_REGEX = /^[\w.@-]{1,64}$/;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data, secret) => createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * The user a request is made by, from verified token claims.
+ * Works for local tokens and common identity provider claims (Cognito, OIDC).
+ * @returns {{id: string, name: string}}
+ */
+export function userFromClaims(claims) {
+  if (!claims || !claims.sub) {
+    throw unauthorized('Token has no subject');
+  }
+  const name = claims.name || claims.preferred_username || claims['cognito:username'] ||
+    claims.email || claims.sub;
+  return { id: String(claims.sub), name: String(name) };
+}
+
+/**
+ * Sign claims as an HS256 JWT.
+ */
+export function signToken(claims, secret) {
+  const data = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+  return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Issue a local token for a username (local token issuer only).
+ * @returns {{token: string, user: Object, expiresAt: string}}
+ */
+export function issueToken(username, secret, ttlSeconds = TOKEN_TTL_SECONDS) {
+  if (typeof username !== 'string' || !USERNAME_REGEX.test(username.trim())) {
+    throw badRequest('Username must be 1-64 letters, digits, ".", "_", "@" or "-"');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { sub: username.trim(), name: username.trim(), iat: now, exp: now + ttlSeconds };
+
+  return {
+    token: signToken(claims, secret),
+    user: userFromClaims(claims),
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a local HS256 token and return its claims.
+ */
+export function verifyToken(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw unauthorized('Malformed token');
+  }
+  const [header, payload, signature] = parts;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw unauthorized('Invalid token signature');
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') throw new Error(alg);
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (e) {
+    throw unauthorized('Malformed token');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+    throw unauthorized('Token expired');
+  }
+  return claims;
+}
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header.
+ */
+export function parseBearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  if (!match) {
+    throw unauthorized('Missing bearer token');
+  }
+  return match[1];
+}
+
+/**
+ * Authenticate a request from its Authorization header with a local token.
+ * @returns {{id: string, name: string}}
+ */
+export function authenticate(header, secret) {
+  const claims = verifyToken(parseBearerToken(header), secret);
+  // Scoped tokens (live update tickets) only open their own connections
+  if (claims.scope) {
+    throw unauthorized('Not an access token');
+  }
+  return userFromClaims(claims);
+}
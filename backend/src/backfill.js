@@ -0,0 +1,26 @@
+/**
+ * Backfill the derived attributes of annotations written before they were
+ * introduced (see backfillDerivedAttributes in ./repositories/dynamodb.js).
+ * Run once after deploying a version that adds one:
+ *
+ *   ANNOTATIONS_TABLE=<stack>-annotations pnpm --dir backend backfill
+ *
+ * AWS credentials and region come from the usual environment variables or
+ * profile.
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { backfillDerivedAttributes } from './repositories/dynamodb.js';
+
+if (!process.env.ANNOTATIONS_TABLE) {
+  console.error('ANNOTATIONS_TABLE environment variable is required');
+  process.exit(1);
+}
+
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const { scanned, updated } = await backfillDerivedAttributes({
+  docClient,
+  annotationsTable: process.env.ANNOTATIONS_TABLE
+});
+console.log(`Scanned ${scanned} annotations, updated ${updated}`);
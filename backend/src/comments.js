@@ -0,0 +1,33 @@
+/**
+ * Annotation comments.
+ *
+ * Discussion about an annotation lives in its comment thread instead of
+ * the annotation text. Comments are stored apart from the annotation;
+ * the annotation keeps a `commentCount` for the sidebar badge.
+ *
+ *   { id, annotationId, text, createdAt, createdBy }
+ *
+ * Comments cannot be edited; their authors (or reviewers) delete them.
+ */
+
+import { badRequest } from './errors.js';
+
+// Comments are longer than annotation text but still chat-sized
+export const MAX_COMMENT_BYTES = 2048;
+
+// Comments per annotation, so a thread always fits one response
+export const MAX_COMMENTS_PER_ANNOTATION = 500;
+
+export function validateCommentText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw badRequest('Comment text is required');
+  }
+  if (Buffer.byteLength(text, 'utf8') > MAX_COMMENT_BYTES) {
+    throw badRequest(`Comment exceeds ${MAX_COMMENT_BYTES} bytes limit`);
+  }
+  return text.trim();
+}
+
+// Oldest first; createdAt ties are broken by ID so the order is stable
+export const compareComments = (a, b) =>
+  a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id);
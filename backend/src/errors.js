@@ -0,0 +1,20 @@
+/**
+ * Error type shared by the service layer and both API adapters.
+ * Carries the HTTP status code the adapters should respond with, and
+ * optional details they add to the JSON error body next to `error`.
+ */
+export class ApiError extends Error {
+  constructor(statusCode, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+export const badRequest = (message) => new ApiError(400, message);
+export const unauthorized = (message) => new ApiError(401, message);
+export const forbidden = (message) => new ApiError(403, message);
+export const notFound = (message) => new ApiError(404, message);
+export const conflict = (message, details) => new ApiError(409, message, details);
+export const tooManyRequests = (message) => new ApiError(429, message);
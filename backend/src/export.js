@@ -0,0 +1,156 @@
+/**
+ * Annotation export formats.
+ *
+ * Each format turns a list of annotations into a downloadable file:
+ *   geojson - FeatureCollection with 3D (x, y, z) coordinates
+ *   csv     - One row per annotation, RFC 4180 quoting
+ *   kitti   - KITTI-style label lines, one per bounding box
+ */
+
+import { badRequest } from './errors.js';
+
+export const EXPORT_FORMATS = ['geojson', 'csv', 'kitti'];
+
+const toCoordinates = ({ x, y, z }) => [x, y, z];
+
+// Footprint of a box at its base, counter-clockwise and closed
+function boxFootprint({ position, size, yaw = 0 }) {
+  const cos = Math.cos(yaw);
+  const sin = Math.sin(yaw);
+  const z = position.z - size.z / 2;
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1], [-1, -1]];
+  return corners.map(([sx, sy]) => {
+    const dx = sx * size.x / 2;
+    const dy = sy * size.y / 2;
+    return [position.x + dx * cos - dy * sin, position.y + dx * sin + dy * cos, z];
+  });
+}
+
+function toGeometry(annotation) {
+  if (annotation.type === 'box') {
+    return { type: 'Polygon', coordinates: [boxFootprint(annotation)] };
+  }
+  if (annotation.type === 'measurement') {
+    const coordinates = annotation.vertices.map(toCoordinates);
+    if (annotation.measurementKind === 'area') {
+      return { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] };
+    }
+    return { type: 'LineString', coordinates };
+  }
+  return { type: 'Point', coordinates: toCoordinates(annotation.position) };
+}
+
+// Everything except geometry and client-only view state
+function toProperties({ position, vertices, cameraPosition, cameraTarget, ...properties }) {
+  return { ...properties, center: toCoordinates(position) };
+}
+
+function toGeoJson(annotations) {
+  const collection = {
+    type: 'FeatureCollection',
+    features: annotations.map(annotation => ({
+      type: 'Feature',
+      id: annotation.id,
+      geometry: toGeometry(annotation),
+      properties: toProperties(annotation)
+    }))
+  };
+  return JSON.stringify(collection, null, 2);
+}
+
+const CSV_COLUMNS = [
+  ['id', a => a.id],
+  ['pointCloudId', a => a.pointCloudId],
+  ['type', a => a.type || 'point'],
+  ['category', a => a.category],
+  ['status', a => a.status || 'draft'],
+  ['x', a => a.position.x],
+  ['y', a => a.position.y],
+  ['z', a => a.position.z],
+  ['text', a => a.text],
+  ['label', a => a.label],
+  ['sizeX', a => a.size?.x],
+  ['sizeY', a => a.size?.y],
+  ['sizeZ', a => a.size?.z],
+  ['yaw', a => a.yaw],
+  ['measurementKind', a => a.measurementKind],
+  ['value', a => a.value],
+  ['unit', a => a.unit],
+  ['vertices', a => (a.vertices ? JSON.stringify(a.vertices) : null)],
+  ['createdAt', a => a.createdAt],
+  ['createdBy', a => a.createdBy?.name],
+  ['updatedAt', a => a.updatedAt],
+  ['updatedBy', a => a.updatedBy?.name]
+];
+
+// Spreadsheets run text starting with these as a formula; numbers are safe
+export const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(annotations) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  for (const annotation of annotations) {
+    rows.push(CSV_COLUMNS.map(([, get]) => get(annotation)));
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * KITTI object label lines for boxes:
+ *   type truncated occluded alpha bbox(4) height width length x y z rotation_y
+ * Unlike KITTI, location and rotation are in point cloud coordinates (z up,
+ * yaw around z) and the location is the center of the box's base. There is
+ * no camera, so truncation, occlusion, alpha and the 2D box are 0.
+ */
+function toKitti(annotations) {
+  const number = (value) => value.toFixed(4);
+  const lines = annotations
+    .filter(a => a.type === 'box')
+    .map(({ label, position, size, yaw = 0 }) => [
+      label.replace(/\s+/g, '_'),
+      0, 0, 0, 0, 0, 0, 0,
+      number(size.z), number(size.y), number(size.x),
+      number(position.x), number(position.y), number(position.z - size.z / 2),
+      number(yaw)
+    ].join(' '));
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+const FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson', serialize: toGeoJson },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', serialize: toCsv },
+  kitti: { contentType: 'text/plain; charset=utf-8', extension: 'txt', serialize: toKitti }
+};
+
+export function validateExportFormat(format) {
+  const value = format || 'geojson';
+  if (!EXPORT_FORMATS.includes(value)) {
+    throw badRequest(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Serialize annotations in an export format.
+ * @param {string} format - One of EXPORT_FORMATS (already validated)
+ * @param {Array} annotations - Annotations to export
+ * @returns {{contentType: string, filename: string, body: string}}
+ */
+export function serializeAnnotations(format, annotations) {
+  const { contentType, extension, serialize } = FORMATS[format];
+  return {
+    contentType,
+    filename: `annotations.${extension}`,
+    body: serialize(annotations)
+  };
+}
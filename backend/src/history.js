@@ -0,0 +1,80 @@
+/**
+ * Annotation revision history.
+ *
+ * Every write to an annotation appends a revision to its log. Revisions are
+ * never changed or removed; deleting an annotation appends a `delete`
+ * revision and keeps the log, so undoing the delete continues it.
+ *
+ *   { id, annotationId, revision, action, at, by, changes, snapshot }
+ *
+ * `revision` is the annotation version the write produced (a delete takes
+ * the version after the deleted one), so numbers start at 1 and increase,
+ * skipping updates that changed nothing (writes within the same millisecond
+ * are common in batches, so `at` alone does not order them).
+ * `snapshot` is the annotation's content after the write and `changes` maps
+ * each field the write changed to { from, to }. Bookkeeping fields (IDs,
+ * timestamps, authors, counters, version) are not part of the content;
+ * delete revisions keep the ones a restore needs in `deleted`.
+ */
+
+import { randomUUID } from 'crypto';
+
+const UNTRACKED_FIELDS = new Set([
+  'id', 'pointCloudId', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'commentCount', 'version'
+]);
+
+// Fields a revert copies back from a snapshot; type and review status are kept
+export const REVERTIBLE_FIELDS = [
+  'text', 'category', 'position', 'cameraPosition', 'cameraTarget',
+  'label', 'size', 'yaw', 'measurementKind', 'vertices'
+];
+
+export function toSnapshot(annotation) {
+  return Object.fromEntries(Object.entries(annotation).filter(([name]) => !UNTRACKED_FIELDS.has(name)));
+}
+
+/**
+ * Fields that differ between two snapshots.
+ * @returns {Object} { field: { from, to } } (missing values are null)
+ */
+export function diffSnapshots(before, after) {
+  const changes = {};
+  for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const from = before[name] ?? null;
+    const to = after[name] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[name] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Build the revision recording a write.
+ * @param {number} number - The revision number (the version written)
+ * @param {string} action - create, update, delete, restore or revert
+ * @param {Object} annotation - The annotation after the write (before it for deletes)
+ * @param {Object|null} previous - The annotation before an update or revert
+ * @param {Object} author - The user, as stored in createdBy/updatedBy
+ * @param {Object} [extra] - Additional fields (revertedTo, or the `deleted`
+ *   bookkeeping fields restores rebuild the annotation from)
+ */
+export function buildRevision(number, action, annotation, previous, author, extra = {}) {
+  const snapshot = toSnapshot(annotation);
+  return {
+    id: randomUUID(),
+    annotationId: annotation.id,
+    revision: number,
+    action,
+    at: new Date().toISOString(),
+    by: author,
+    changes: previous ? diffSnapshots(toSnapshot(previous), snapshot) : {},
+    snapshot,
+    ...extra
+  };
+}
+
+// Oldest first; logs numbered by count before versions were used can repeat
+// a number, then `at` and ID decide
+export const compareRevisions = (a, b) =>
+  a.revision - b.revision || a.at.localeCompare(b.at) || a.id.localeCompare(b.id);
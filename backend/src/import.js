@@ -0,0 +1,231 @@
+/**
+ * Annotation import formats.
+ *
+ * Files are turned into rows of annotation fields; the service validates
+ * each row like a create request. Rows are numbered from 1 (CSV rows
+ * after the header, GeoJSON features, JSON array items) so the report can
+ * point at the offending entry.
+ *
+ * Files written by the export route (./export.js) import back unchanged.
+ */
+
+import { badRequest } from './errors.js';
+import { CSV_FORMULA_PREFIX } from './export.js';
+
+export const IMPORT_FORMATS = ['csv', 'geojson', 'json'];
+
+// Maximum rows per import request
+export const MAX_IMPORT_ROWS = 5000;
+
+// Fields taken from imported rows; IDs and timestamps are always assigned anew
+const IMPORT_FIELDS = [
+  'type', 'category', 'position', 'text', 'label', 'size', 'yaw',
+  'measurementKind', 'vertices', 'cameraPosition', 'cameraTarget'
+];
+
+const pickFields = (source) => Object.fromEntries(
+  IMPORT_FIELDS.filter(name => source[name] !== undefined && source[name] !== null)
+    .map(name => [name, source[name]])
+);
+
+// ========================================
+// CSV
+// ========================================
+
+// Split CSV text into records of fields (RFC 4180 quoting)
+function parseCsvRecords(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  return records.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+const toNumber = (value) => (value === undefined || value.trim() === '' ? undefined : Number(value));
+
+// Drops the quote the CSV export puts before formula-like text
+const fromCsvText = (value) =>
+  (value.startsWith("'") && CSV_FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value);
+
+function csvRowToFields(row) {
+  const fields = {};
+  for (const name of ['type', 'category', 'text', 'label', 'measurementKind']) {
+    const value = row[name.toLowerCase()];
+    if (value) fields[name] = fromCsvText(value);
+  }
+  fields.position = { x: toNumber(row.x), y: toNumber(row.y), z: toNumber(row.z) };
+  if (row.sizex || row.sizey || row.sizez) {
+    fields.size = { x: toNumber(row.sizex), y: toNumber(row.sizey), z: toNumber(row.sizez) };
+  }
+  if (row.yaw) fields.yaw = toNumber(row.yaw);
+  if (row.vertices) {
+    try {
+      fields.vertices = JSON.parse(row.vertices);
+    } catch (e) {
+      throw badRequest('Vertices must be a JSON array of {x, y, z}');
+    }
+  }
+  return fields;
+}
+
+function parseCsv(content) {
+  const [header, ...records] = parseCsvRecords(content);
+  if (!header) {
+    return [];
+  }
+  // Header names are matched case-insensitively (X, Y, Z or x, y, z)
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!['x', 'y', 'z'].every(name => columns.includes(name))) {
+    throw badRequest('CSV header must include x, y and z columns');
+  }
+
+  return records.map(record => () => {
+    const row = Object.fromEntries(columns.map((name, i) => [name, record[i]]));
+    return csvRowToFields(row);
+  });
+}
+
+// ========================================
+// GeoJSON
+// ========================================
+
+function toVector(coordinates) {
+  if (!Array.isArray(coordinates)) {
+    throw badRequest('Invalid coordinates');
+  }
+  const [x, y, z] = coordinates;
+  return { x, y, z };
+}
+
+function featureToFields(feature) {
+  if (!feature || feature.type !== 'Feature' || !feature.geometry) {
+    throw badRequest('Entry is not a GeoJSON feature with a geometry');
+  }
+  const properties = feature.properties || {};
+  const { type, coordinates } = feature.geometry;
+  const fields = pickFields(properties);
+  // Common text properties of other GIS tools
+  fields.text ??= properties.description ?? properties.name;
+
+  if (type === 'Point') {
+    fields.position = toVector(coordinates);
+    return fields;
+  }
+
+  // Lines and polygons are measurements (or box footprints) written by the exporter
+  if (!properties.center) {
+    throw badRequest(`${type} features need a "center" property`);
+  }
+  fields.position = toVector(properties.center);
+  if (fields.type === 'measurement') {
+    const ring = type === 'Polygon' ? coordinates?.[0]?.slice(0, -1) : coordinates;
+    if (!Array.isArray(ring)) {
+      throw badRequest(`Invalid ${type} coordinates`);
+    }
+    fields.vertices = ring.map(toVector);
+  } else if (fields.type !== 'box') {
+    throw badRequest(`Unsupported ${type} feature (expected a box or measurement)`);
+  }
+  return fields;
+}
+
+function parseGeoJson(content) {
+  const collection = parseJson(content);
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw badRequest('GeoJSON must be a FeatureCollection');
+  }
+  return collection.features.map(feature => () => featureToFields(feature));
+}
+
+// ========================================
+// JSON
+// ========================================
+
+function parseJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    throw badRequest('File is not valid JSON');
+  }
+}
+
+// An array of annotations, or { annotations } / { items } as returned by the API
+function parseAnnotationJson(content) {
+  const data = parseJson(content);
+  const items = Array.isArray(data) ? data : data && (data.annotations || data.items);
+  if (!Array.isArray(items)) {
+    throw badRequest('JSON must be an array of annotations');
+  }
+  return items.map(item => () => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw badRequest('Entry is not an annotation object');
+    }
+    return pickFields(item);
+  });
+}
+
+const PARSERS = {
+  csv: parseCsv,
+  geojson: parseGeoJson,
+  json: parseAnnotationJson
+};
+
+export function validateImportFormat(format) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw badRequest(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Parse an import file into rows.
+ * Problems with the file as a whole throw; problems with a single row are
+ * thrown when that row's read() is called so the rest can still import.
+ * @param {string} format - One of IMPORT_FORMATS (already validated)
+ * @param {string} content - File contents
+ * @returns {Array<{row: number, read: Function}>} read() returns the row's annotation fields
+ */
+export function parseImportFile(format, content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw badRequest('Import file is empty');
+  }
+
+  const rows = PARSERS[format](content);
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`Import exceeds ${MAX_IMPORT_ROWS} rows limit`);
+  }
+  return rows.map((read, i) => ({ row: i + 1, read }));
+}
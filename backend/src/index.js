@@ -1,12 +1,13 @@
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import {
-  DynamoDBDocumentClient,
-  PutCommand,
-  DeleteCommand,
-  ScanCommand,
-  UpdateCommand
-} from '@aws-sdk/lib-dynamodb';
-import { randomUUID } from 'crypto';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { ApiError, unauthorized } from './errors.js';
+import { authenticate, userFromClaims } from './auth.js';
+import { roleOptionsFromEnv } from './roles.js';
+import { createService } from './service.js';
+import { createDynamoRepository } from './repositories/dynamodb.js';
+import { parseIfMatch, etag } from './validation.js';
+import { issueLiveTicket } from './live.js';
+import { createMetadataReader } from './pointcloud-metadata.js';
 
 // Validate required environment variables
 if (!process.env.ANNOTATIONS_TABLE) {
@@ -15,248 +16,200 @@ if (!process.env.ANNOTATIONS_TABLE) {
 if (!process.env.POINT_CLOUDS_TABLE) {
   throw new Error('POINT_CLOUDS_TABLE environment variable is required');
 }
+if (!process.env.POINT_LABELS_TABLE) {
+  throw new Error('POINT_LABELS_TABLE environment variable is required');
+}
+if (!process.env.COMMENTS_TABLE) {
+  throw new Error('COMMENTS_TABLE environment variable is required');
+}
+if (!process.env.REVISIONS_TABLE) {
+  throw new Error('REVISIONS_TABLE environment variable is required');
+}
 
 const client = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(client);
-const TABLE_NAME = process.env.ANNOTATIONS_TABLE;
-const POINT_CLOUDS_TABLE = process.env.POINT_CLOUDS_TABLE;
 
-// UUID validation regex
-const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const service = createService(createDynamoRepository({
+  docClient,
+  annotationsTable: process.env.ANNOTATIONS_TABLE,
+  pointCloudsTable: process.env.POINT_CLOUDS_TABLE,
+  pointLabelsTable: process.env.POINT_LABELS_TABLE,
+  commentsTable: process.env.COMMENTS_TABLE,
+  revisionsTable: process.env.REVISIONS_TABLE
+}), roleOptionsFromEnv(process.env), {
+  // Relative cloud paths are fetched from where the frontend is hosted
+  readPointCloudMetadata: createMetadataReader({ baseUrl: process.env.POINTCLOUD_BASE_URL || null })
+});
 
 // Helper function to create response
-const response = (statusCode, body) => ({
+const response = (statusCode, body, headers = {}) => ({
   statusCode,
   headers: {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization,If-Match',
+    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+    'Access-Control-Expose-Headers': 'ETag',
+    ...headers
   },
   body: JSON.stringify(body)
 });
 
-// Get all annotations (optionally filtered by pointCloudId)
-async function getAnnotations(pointCloudId = null) {
-  let command;
-  
-  if (pointCloudId) {
-    // Filter by pointCloudId using a scan with filter expression
-    command = new ScanCommand({
-      TableName: TABLE_NAME,
-      FilterExpression: 'pointCloudId = :pcId',
-      ExpressionAttributeValues: {
-        ':pcId': pointCloudId
-      }
-    });
-  } else {
-    command = new ScanCommand({
-      TableName: TABLE_NAME
-    });
-  }
-
-  const result = await docClient.send(command);
-  return response(200, result.Items || []);
-}
+// Response for a file download (exports)
+const fileResponse = ({ contentType, filename, body }) => ({
+  statusCode: 200,
+  headers: {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'Content-Disposition'
+  },
+  body
+});
 
-// Create a new annotation
-async function createAnnotation(body) {
-  let data;
+// Parse a JSON request body, rejecting malformed input with a 400
+function parseBody(body) {
   try {
-    data = JSON.parse(body);
+    return JSON.parse(body || '{}');
   } catch (e) {
-    return response(400, { error: 'Invalid JSON body' });
+    throw new ApiError(400, 'Invalid JSON body');
   }
+}
 
-  // Validate position
-  if (!data.position ||
-      typeof data.position.x !== 'number' ||
-      typeof data.position.y !== 'number' ||
-      typeof data.position.z !== 'number') {
-    return response(400, { error: 'Invalid position coordinates' });
+// Authenticated user: claims verified by the HTTP API's JWT authorizer, or a
+// local token when AUTH_SECRET is set (`sam local` does not run authorizers)
+function getUser(event) {
+  const claims = event.requestContext?.authorizer?.jwt?.claims;
+  if (claims) {
+    return userFromClaims(claims);
   }
-
-  // Validate text length (max 256 bytes)
-  const text = data.text || '';
-  if (Buffer.byteLength(text, 'utf8') > 256) {
-    return response(400, { error: 'Text exceeds 256 bytes limit' });
+  if (process.env.AUTH_SECRET) {
+    const headers = event.headers || {};
+    return authenticate(headers.authorization || headers.Authorization, process.env.AUTH_SECRET);
   }
-
-  const annotation = {
-    id: randomUUID(),
-    pointCloudId: data.pointCloudId || null,
-    position: {
-      x: data.position.x,
-      y: data.position.y,
-      z: data.position.z
-    },
-    text: text,
-    cameraPosition: data.cameraPosition || null,
-    cameraTarget: data.cameraTarget || null,
-    createdAt: new Date().toISOString()
-  };
-
-  const command = new PutCommand({
-    TableName: TABLE_NAME,
-    Item: annotation
-  });
-
-  await docClient.send(command);
-  return response(201, annotation);
+  throw unauthorized('Missing credentials');
 }
 
-// Update an annotation
-async function updateAnnotation(id, body) {
-  let data;
-  try {
-    data = JSON.parse(body);
-  } catch (e) {
-    return response(400, { error: 'Invalid JSON body' });
-  }
-
-  // Validate text length (max 256 bytes)
-  if (data.text && Buffer.byteLength(data.text, 'utf8') > 256) {
-    return response(400, { error: 'Text exceeds 256 bytes limit' });
-  }
+// Main handler
+export const handler = async (event) => {
+  const { routeKey, pathParameters, body, queryStringParameters } = event;
+  
+  // HTTP API v2 uses routeKey format: "GET /annotations"
+  // Fall back to requestContext.http for direct invocations
+  const method = routeKey?.split(' ')[0] || event.requestContext?.http?.method;
+  const path = routeKey?.split(' ')[1] || event.requestContext?.http?.path;
 
-  const command = new UpdateCommand({
-    TableName: TABLE_NAME,
-    Key: { id },
-    UpdateExpression: 'SET #text = :text, updatedAt = :updatedAt',
-    ExpressionAttributeNames: {
-      '#text': 'text'
-    },
-    ExpressionAttributeValues: {
-      ':text': data.text || '',
-      ':updatedAt': new Date().toISOString()
-    },
-    ReturnValues: 'ALL_NEW'
-  });
+  // Never log the event itself: it holds the Authorization header, JWT claims and bodies
+  console.log('Request:', { method, path, requestId: event.requestContext?.requestId });
 
   try {
-    const result = await docClient.send(command);
-    return response(200, result.Attributes);
-  } catch (error) {
-    if (error.name === 'ConditionalCheckFailedException') {
-      return response(404, { error: 'Annotation not found' });
+    // Health check (public; the HTTP API route has no authorizer)
+    if (routeKey === 'GET /health' || (method === 'GET' && path === '/health')) {
+      return response(200, { status: 'ok', timestamp: new Date().toISOString() });
     }
-    throw error;
-  }
-}
 
-// Delete an annotation
-async function deleteAnnotation(id) {
-  const command = new DeleteCommand({
-    TableName: TABLE_NAME,
-    Key: { id },
-    ConditionExpression: 'attribute_exists(id)'
-  });
+    const user = getUser(event);
 
-  try {
-    await docClient.send(command);
-    return response(204, null);
-  } catch (error) {
-    if (error.name === 'ConditionalCheckFailedException') {
-      return response(404, { error: 'Annotation not found' });
+    if (routeKey === 'GET /auth/me' || (method === 'GET' && path === '/auth/me')) {
+      const { pointCloudId = null } = queryStringParameters || {};
+      return response(200, await service.getCurrentUser(user, pointCloudId));
     }
-    throw error;
-  }
-}
 
-// ========================================
-// Point Cloud CRUD Operations
-// ========================================
-
-// Get all point clouds
-async function getPointClouds() {
-  const command = new ScanCommand({
-    TableName: POINT_CLOUDS_TABLE
-  });
+    // Tickets for the live updates WebSocket API (see ./websocket.js)
+    if (routeKey === 'POST /live/ticket' || (method === 'POST' && path === '/live/ticket')) {
+      if (!process.env.LIVE_TICKET_SECRET || !process.env.LIVE_UPDATES_URL) {
+        return response(503, { error: 'Live updates are not configured' });
+      }
+      const ticket = issueLiveTicket(user, parseBody(body), process.env.LIVE_TICKET_SECRET, process.env.LIVE_UPDATES_URL);
+      return response(201, ticket);
+    }
 
-  const result = await docClient.send(command);
-  return response(200, result.Items || []);
-}
+    // Handle based on route - use routeKey for exact matching when available
+    if (routeKey === 'GET /annotations' || (method === 'GET' && path === '/annotations')) {
+      const {
+        pointCloudId = null, limit, cursor, q, author, createdAfter, createdBefore, sort, bbox, near, radius, k
+      } = queryStringParameters || {};
+      return response(200, await service.listAnnotations({
+        pointCloudId, limit, cursor, q, author, createdAfter, createdBefore, sort, bbox, near, radius, k
+      }, user));
+    }
 
-// Create a new point cloud entry
-async function createPointCloud(body) {
-  let data;
-  try {
-    data = JSON.parse(body);
-  } catch (e) {
-    return response(400, { error: 'Invalid JSON body' });
-  }
+    if (routeKey === 'GET /annotations/export' || (method === 'GET' && path === '/annotations/export')) {
+      const { pointCloudId = null, format } = queryStringParameters || {};
+      return fileResponse(await service.exportAnnotations({ pointCloudId, format }, user));
+    }
 
-  // Validate required fields
-  if (!data.name || typeof data.name !== 'string') {
-    return response(400, { error: 'Name is required' });
-  }
-  if (!data.path || typeof data.path !== 'string') {
-    return response(400, { error: 'Path is required' });
-  }
+    if (routeKey === 'POST /annotations' || (method === 'POST' && path === '/annotations')) {
+      const annotation = await service.createAnnotation(parseBody(body), user);
+      return response(201, annotation, { ETag: etag(annotation) });
+    }
 
-  // Normalize path (ensure trailing slash)
-  let path = data.path.trim();
-  if (!path.endsWith('/')) {
-    path += '/';
-  }
+    const isRestorePath = /^\/annotations\/[^/]+\/restore$/.test(path || '');
+    if (routeKey === 'POST /annotations/{id}/restore' || (method === 'POST' && isRestorePath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Annotation ID required' });
+      }
+      return response(201, await service.restoreAnnotation(id, parseBody(body), user));
+    }
 
-  const pointCloud = {
-    id: randomUUID(),
-    name: data.name.trim(),
-    path: path,
-    createdAt: new Date().toISOString()
-  };
+    if (routeKey === 'POST /annotations/batch' || (method === 'POST' && path === '/annotations/batch')) {
+      return response(200, await service.batchAnnotations(parseBody(body), user));
+    }
 
-  const command = new PutCommand({
-    TableName: POINT_CLOUDS_TABLE,
-    Item: pointCloud
-  });
+    if (routeKey === 'POST /annotations/import' || (method === 'POST' && path === '/annotations/import')) {
+      return response(200, await service.importAnnotations(parseBody(body), user));
+    }
 
-  await docClient.send(command);
-  return response(201, pointCloud);
-}
+    // Revision history
+    const isHistoryPath = /^\/annotations\/[^/]+\/history$/.test(path || '');
+    const isRevertPath = /^\/annotations\/[^/]+\/history\/[^/]+\/restore$/.test(path || '');
 
-// Delete a point cloud entry
-async function deletePointCloud(id) {
-  const command = new DeleteCommand({
-    TableName: POINT_CLOUDS_TABLE,
-    Key: { id },
-    ConditionExpression: 'attribute_exists(id)'
-  });
+    if (routeKey === 'GET /annotations/{id}/history' || (method === 'GET' && isHistoryPath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Annotation ID required' });
+      }
+      return response(200, await service.getHistory(id, user));
+    }
 
-  try {
-    await docClient.send(command);
-    return response(204, null);
-  } catch (error) {
-    if (error.name === 'ConditionalCheckFailedException') {
-      return response(404, { error: 'Point cloud not found' });
+    if (routeKey === 'POST /annotations/{id}/history/{revisionId}/restore' || (method === 'POST' && isRevertPath)) {
+      const id = pathParameters?.id;
+      const revisionId = pathParameters?.revisionId;
+      if (!id || !revisionId) {
+        return response(400, { error: 'Annotation and revision IDs required' });
+      }
+      return response(200, await service.restoreRevision(id, revisionId, user));
     }
-    throw error;
-  }
-}
 
-// Main handler
-export const handler = async (event) => {
-  console.log('Event:', JSON.stringify(event, null, 2));
+    // Comment threads (matched before the PUT/DELETE /annotations/{id} prefixes)
+    const isCommentsPath = /^\/annotations\/[^/]+\/comments$/.test(path || '');
+    const isCommentPath = /^\/annotations\/[^/]+\/comments\/[^/]+$/.test(path || '');
 
-  const { routeKey, pathParameters, body, queryStringParameters } = event;
-  
-  // HTTP API v2 uses routeKey format: "GET /annotations"
-  // Fall back to requestContext.http for direct invocations
-  const method = routeKey?.split(' ')[0] || event.requestContext?.http?.method;
-  const path = routeKey?.split(' ')[1] || event.requestContext?.http?.path;
-  
-  console.log('Parsed route:', { method, path, routeKey });
+    if (routeKey === 'GET /annotations/{id}/comments' || (method === 'GET' && isCommentsPath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Annotation ID required' });
+      }
+      return response(200, await service.listComments(id, user));
+    }
 
-  try {
-    // Handle based on route - use routeKey for exact matching when available
-    if (routeKey === 'GET /annotations' || (method === 'GET' && path === '/annotations')) {
-      const pointCloudId = queryStringParameters?.pointCloudId || null;
-      return await getAnnotations(pointCloudId);
+    if (routeKey === 'POST /annotations/{id}/comments' || (method === 'POST' && isCommentsPath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Annotation ID required' });
+      }
+      return response(201, await service.createComment(id, parseBody(body), user));
     }
 
-    if (routeKey === 'POST /annotations' || (method === 'POST' && path === '/annotations')) {
-      return await createAnnotation(body);
+    if (routeKey === 'DELETE /annotations/{id}/comments/{commentId}' || (method === 'DELETE' && isCommentPath)) {
+      const id = pathParameters?.id;
+      const commentId = pathParameters?.commentId;
+      if (!id || !commentId) {
+        return response(400, { error: 'Annotation and comment IDs required' });
+      }
+      await service.deleteComment(id, commentId, user);
+      return response(204, null);
     }
 
     if (routeKey?.startsWith('PUT /annotations/') || (method === 'PUT' && path?.startsWith('/annotations/'))) {
@@ -264,10 +217,10 @@ export const handler = async (event) => {
       if (!id) {
         return response(400, { error: 'Annotation ID required' });
       }
-      if (!UUID_REGEX.test(id)) {
-        return response(400, { error: 'Invalid annotation ID format' });
-      }
-      return await updateAnnotation(id, body);
+      const headers = event.headers || {};
+      const expectedVersion = parseIfMatch(headers['if-match'] || headers['If-Match']);
+      const annotation = await service.updateAnnotation(id, parseBody(body), user, expectedVersion);
+      return response(200, annotation, { ETag: etag(annotation) });
     }
 
     if (routeKey?.startsWith('DELETE /annotations/') || (method === 'DELETE' && path?.startsWith('/annotations/'))) {
@@ -275,35 +228,99 @@ export const handler = async (event) => {
       if (!id) {
         return response(400, { error: 'Annotation ID required' });
       }
-      if (!UUID_REGEX.test(id)) {
-        return response(400, { error: 'Invalid annotation ID format' });
-      }
-      return await deleteAnnotation(id);
+      await service.deleteAnnotation(id, user);
+      return response(204, null);
     }
 
     // Point Cloud routes
     if (routeKey === 'GET /pointclouds' || (method === 'GET' && path === '/pointclouds')) {
-      return await getPointClouds();
+      return response(200, await service.listPointClouds(user));
     }
 
     if (routeKey === 'POST /pointclouds' || (method === 'POST' && path === '/pointclouds')) {
-      return await createPointCloud(body);
+      return response(201, await service.createPointCloud(parseBody(body), user));
     }
 
-    if (routeKey?.startsWith('DELETE /pointclouds/') || (method === 'DELETE' && path?.startsWith('/pointclouds/'))) {
+    // Role assignments of a point cloud
+    const isRolesPath = /^\/pointclouds\/[^/]+\/roles$/.test(path || '');
+
+    if (routeKey === 'GET /pointclouds/{id}/roles' || (method === 'GET' && isRolesPath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Point cloud ID required' });
+      }
+      return response(200, await service.getRoles(id, user));
+    }
+
+    if (routeKey === 'PUT /pointclouds/{id}/roles' || (method === 'PUT' && isRolesPath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Point cloud ID required' });
+      }
+      return response(200, await service.updateRoles(id, parseBody(body), user));
+    }
+
+    // Annotation taxonomy of a point cloud
+    const isTaxonomyPath = /^\/pointclouds\/[^/]+\/taxonomy$/.test(path || '');
+
+    if (routeKey === 'GET /pointclouds/{id}/taxonomy' || (method === 'GET' && isTaxonomyPath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Point cloud ID required' });
+      }
+      return response(200, await service.getTaxonomy(id, user));
+    }
+
+    if (routeKey === 'PUT /pointclouds/{id}/taxonomy' || (method === 'PUT' && isTaxonomyPath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Point cloud ID required' });
+      }
+      return response(200, await service.updateTaxonomy(id, parseBody(body), user));
+    }
+
+    // Per-point labels of a point cloud
+    const isLabelsPath = /^\/pointclouds\/[^/]+\/labels$/.test(path || '');
+
+    if (routeKey === 'GET /pointclouds/{id}/labels' || (method === 'GET' && isLabelsPath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Point cloud ID required' });
+      }
+      return response(200, await service.getPointLabels(id, user));
+    }
+
+    if (routeKey === 'PUT /pointclouds/{id}/labels' || (method === 'PUT' && isLabelsPath)) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Point cloud ID required' });
+      }
+      return response(200, await service.updatePointLabels(id, parseBody(body), user));
+    }
+
+    if (routeKey === 'PUT /pointclouds/{id}' || (method === 'PUT' && /^\/pointclouds\/[^/]+$/.test(path || ''))) {
       const id = pathParameters?.id;
       if (!id) {
         return response(400, { error: 'Point cloud ID required' });
       }
-      if (!UUID_REGEX.test(id)) {
-        return response(400, { error: 'Invalid point cloud ID format' });
+      return response(200, await service.updatePointCloud(id, parseBody(body), user));
+    }
+
+    if (routeKey?.startsWith('DELETE /pointclouds/') || (method === 'DELETE' && path?.startsWith('/pointclouds/'))) {
+      const id = pathParameters?.id;
+      if (!id) {
+        return response(400, { error: 'Point cloud ID required' });
       }
-      return await deletePointCloud(id);
+      await service.deletePointCloud(id, user);
+      return response(204, null);
     }
 
     console.log('No route matched for:', { routeKey, method, path });
     return response(404, { error: 'Not found' });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return response(error.statusCode, { error: error.message, ...error.details });
+    }
     console.error('Error:', error);
     return response(500, { error: 'Internal server error' });
   }
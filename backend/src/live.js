@@ -0,0 +1,244 @@
+/**
+ * Live annotation updates.
+ *
+ * Every open viewer subscribes to the point cloud it shows and is sent an
+ * event for each annotation write on it, by anyone:
+ *
+ *   { type: 'created', pointCloudId, annotation }
+ *   { type: 'updated', pointCloudId, annotation }
+ *   { type: 'deleted', pointCloudId, id }
+ *
+ * Events are derived from storage writes, not from requests, so batches,
+ * imports, restores and comment counts are covered too. Locally a change
+ * feed around the repository fans events out over Server-Sent Events; on
+ * AWS a DynamoDB stream on the annotations table feeds a WebSocket API
+ * (see ./websocket.js).
+ *
+ * EventSource and browser WebSockets cannot send an Authorization header,
+ * so clients first exchange their bearer token for a short-lived ticket
+ * (POST /live/ticket) and pass it in the connection URL. Each ticket names
+ * the session its connection becomes (see ./presence.js) and opens only one
+ * connection: its session ID is remembered until it expires.
+ */
+
+import { randomUUID } from 'crypto';
+import { signToken, verifyToken } from './auth.js';
+import { unauthorized } from './errors.js';
+import { presenceLeftEvent } from './presence.js';
+import { validateRequiredString } from './validation.js';
+
+// A ticket only has to last until the connection is opened
+export const LIVE_TICKET_TTL_SECONDS = 60;
+
+/**
+ * Issue a ticket for subscribing to a point cloud's updates.
+ * @param {Object} user - The authenticated user
+ * @param {Object} data - Request body with `pointCloudId`
+ * @param {string} secret - Signs the ticket
+ * @param {string} url - Where to connect (WebSocket URL or SSE path)
+ * @returns {{url: string, ticket: string, sessionId: string, expiresAt: string}}
+ */
+export function issueLiveTicket(user, data, secret, url) {
+  const pointCloudId = validateRequiredString(data && data.pointCloudId, 'pointCloudId');
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    sub: user.id,
+    name: user.name,
+    pointCloudId,
+    sid: randomUUID(),
+    scope: 'live',
+    iat: now,
+    exp: now + LIVE_TICKET_TTL_SECONDS
+  };
+  return {
+    url,
+    ticket: signToken(claims, secret),
+    sessionId: claims.sid,
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a ticket and return the subscription it grants.
+ * @returns {{user: {id: string, name: string}, pointCloudId: string, sessionId: string, expiresAt: number}}
+ *   expiresAt is the ticket's expiry in epoch seconds
+ */
+export function verifyLiveTicket(ticket, secret) {
+  if (!ticket) {
+    throw unauthorized('Missing live update ticket');
+  }
+  const claims = verifyToken(ticket, secret);
+  if (claims.scope !== 'live' || typeof claims.pointCloudId !== 'string') {
+    throw unauthorized('Not a live update ticket');
+  }
+  return {
+    user: { id: claims.sub, name: claims.name },
+    pointCloudId: claims.pointCloudId,
+    sessionId: claims.sid,
+    expiresAt: claims.exp
+  };
+}
+
+/**
+ * The session IDs of tickets that already opened a connection, kept until
+ * the tickets expire (the local server's; on AWS see ./websocket.js).
+ */
+export function createTicketLedger() {
+  const used = new Map(); // sessionId -> expiresAt (epoch seconds)
+
+  // True the first time a ticket's subscription is claimed, false after
+  function claim({ sessionId, expiresAt }) {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [id, expiry] of used) {
+      if (expiry < now) used.delete(id);
+    }
+    if (used.has(sessionId)) {
+      return false;
+    }
+    used.set(sessionId, expiresAt);
+    return true;
+  }
+
+  return { claim };
+}
+
+/**
+ * Event for an annotation write, or null for annotations outside any point cloud
+ * @param {Object|null} before - The record before the write (null for creates)
+ * @param {Object|null} after - The record after the write (null for deletes)
+ */
+export function annotationEvent(before, after) {
+  const record = after || before;
+  if (!record || !record.pointCloudId) {
+    return null;
+  }
+  if (!after) {
+    return { type: 'deleted', pointCloudId: record.pointCloudId, id: record.id };
+  }
+  return { type: before ? 'updated' : 'created', pointCloudId: record.pointCloudId, annotation: after };
+}
+
+/**
+ * Subscribers grouped by point cloud (local server). Each subscriber is a
+ * session: { id, pointCloudId, user, camera, sentAt }.
+ */
+export function createBroadcaster() {
+  const subscribers = new Map(); // pointCloudId -> Map of session ID -> { session, send }
+
+  /**
+   * @param {Object} session - The connection's session (see ./presence.js)
+   * @param {Function} send - Called with each event for the session's point cloud
+   * @returns {Function} Unsubscribes; the other sessions are told it left
+   */
+  function subscribe(session, send) {
+    const { pointCloudId } = session;
+    if (!subscribers.has(pointCloudId)) {
+      subscribers.set(pointCloudId, new Map());
+    }
+    subscribers.get(pointCloudId).set(session.id, { session, send });
+    return () => {
+      const group = subscribers.get(pointCloudId);
+      group.delete(session.id);
+      if (group.size === 0) {
+        subscribers.delete(pointCloudId);
+      }
+      publish(presenceLeftEvent(session));
+    };
+  }
+
+  /**
+   * Send an event to the sessions on its point cloud
+   * @param {string} [options.except] - Session ID to leave out (the sender)
+   */
+  function publish(event, { except = null } = {}) {
+    if (!event) return;
+    for (const [id, { send }] of subscribers.get(event.pointCloudId) || []) {
+      if (id !== except) {
+        send(event);
+      }
+    }
+  }
+
+  function getSession(id) {
+    for (const group of subscribers.values()) {
+      if (group.has(id)) return group.get(id).session;
+    }
+    return null;
+  }
+
+  const listSessions = (pointCloudId) =>
+    [...(subscribers.get(pointCloudId) || new Map()).values()].map(({ session }) => session);
+
+  return { subscribe, publish, getSession, listSessions };
+}
+
+/**
+ * Wrap a repository so every annotation write is published once it is stored
+ * (the local counterpart of the DynamoDB stream).
+ * @param {Object} repository - Any repository (see ./repositories/memory.js)
+ * @param {Function} publish - Called with each event
+ */
+export function withChangeFeed(repository, publish) {
+  // Deletes only know the ID; the stored record says which point cloud it was on
+  const recordsOf = async (ids) =>
+    new Map(await Promise.all(ids.map(async (id) => [id, await repository.getAnnotation(id)])));
+
+  return {
+    ...repository,
+
+    // Puts store new records (creates and restores)
+    async putAnnotation(annotation) {
+      await repository.putAnnotation(annotation);
+      publish(annotationEvent(null, annotation));
+    },
+
+    async putAnnotations(annotations) {
+      await repository.putAnnotations(annotations);
+      annotations.forEach(annotation => publish(annotationEvent(null, annotation)));
+    },
+
+    async updateAnnotation(id, changes, expectedVersion) {
+      const updated = await repository.updateAnnotation(id, changes, expectedVersion);
+      if (updated) {
+        publish(annotationEvent({ id }, updated));
+      }
+      return updated;
+    },
+
+    async addCommentCount(id, delta) {
+      const updated = await repository.addCommentCount(id, delta);
+      if (updated) {
+        publish(annotationEvent({ id }, updated));
+      }
+      return updated;
+    },
+
+    async deleteAnnotation(id) {
+      const existing = await repository.getAnnotation(id);
+      const deleted = await repository.deleteAnnotation(id);
+      if (deleted && existing) {
+        publish(annotationEvent(existing, null));
+      }
+      return deleted;
+    },
+
+    async writeAnnotationBatch(writes) {
+      const before = await recordsOf(writes.filter(w => w.type === 'delete').map(w => w.id));
+      const failedIndex = await repository.writeAnnotationBatch(writes);
+      if (failedIndex !== null) {
+        return failedIndex;
+      }
+      const after = await recordsOf(writes.filter(w => w.type === 'update').map(w => w.id));
+      for (const write of writes) {
+        if (write.type === 'put') {
+          publish(annotationEvent(null, write.annotation));
+        } else if (write.type === 'update') {
+          publish(annotationEvent({ id: write.id }, after.get(write.id)));
+        } else {
+          publish(annotationEvent(before.get(write.id), null));
+        }
+      }
+      return null;
+    }
+  };
+}
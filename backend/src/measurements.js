@@ -0,0 +1,88 @@
+/**
+ * Measurement calculations for measurement annotations.
+ *
+ * Values are computed server-side from the stored vertices so they always
+ * match the geometry. Formulas follow Potree's own measuring tool, so the
+ * stored value equals the label Potree shows while measuring.
+ */
+
+import { badRequest } from './errors.js';
+
+export const MEASUREMENT_KINDS = ['distance', 'area', 'height', 'angle'];
+
+// Allowed vertex counts per kind
+const VERTEX_COUNTS = {
+  distance: { min: 2, max: Infinity },
+  area: { min: 3, max: Infinity },
+  height: { min: 2, max: 2 },
+  angle: { min: 3, max: 3 }
+};
+
+const UNITS = {
+  distance: 'm',
+  area: 'm²',
+  height: 'm',
+  angle: '°'
+};
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+// Total length of the polyline
+function polylineLength(vertices) {
+  let total = 0;
+  for (let i = 1; i < vertices.length; i++) {
+    total += length(subtract(vertices[i], vertices[i - 1]));
+  }
+  return total;
+}
+
+// Area of the closed polygon projected onto the horizontal (xy) plane
+function polygonArea(vertices) {
+  let area = 0;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    area += (vertices[j].x + vertices[i].x) * (vertices[i].y - vertices[j].y);
+  }
+  return Math.abs(area / 2);
+}
+
+// Vertical extent between the lowest and highest vertex
+function heightDifference(vertices) {
+  const zs = vertices.map(v => v.z);
+  return Math.max(...zs) - Math.min(...zs);
+}
+
+// Angle at the middle vertex, in degrees
+function vertexAngle([a, apex, b]) {
+  const u = subtract(a, apex);
+  const v = subtract(b, apex);
+  const denominator = length(u) * length(v);
+  if (denominator === 0) {
+    throw badRequest('Angle vertices must not coincide');
+  }
+  const cos = Math.min(1, Math.max(-1, dot(u, v) / denominator));
+  return Math.acos(cos) * 180 / Math.PI;
+}
+
+const CALCULATIONS = {
+  distance: polylineLength,
+  area: polygonArea,
+  height: heightDifference,
+  angle: vertexAngle
+};
+
+/**
+ * Compute the value of a measurement.
+ * @param {string} kind - One of MEASUREMENT_KINDS
+ * @param {Array<{x: number, y: number, z: number}>} vertices - Validated vertices
+ * @returns {{value: number, unit: string}}
+ */
+export function computeMeasurement(kind, vertices) {
+  const { min, max } = VERTEX_COUNTS[kind];
+  if (vertices.length < min || vertices.length > max) {
+    const expected = min === max ? `exactly ${min}` : `at least ${min}`;
+    throw badRequest(`A ${kind} measurement needs ${expected} vertices`);
+  }
+  return { value: CALCULATIONS[kind](vertices), unit: UNITS[kind] };
+}
@@ -0,0 +1,107 @@
+/**
+ * Per-point semantic labels.
+ *
+ * Labels are stored per Potree octree node, as inclusive point index ranges
+ * grouped by classification code (the LAS/ASPRS classification byte):
+ *
+ *   { "r04": { "2": [[0, 120], [300, 310]], "6": [[121, 299]] } }
+ *
+ * Indices are relative to the node's point buffer, which is stable for a
+ * given converted point cloud.
+ */
+
+import { badRequest } from './errors.js';
+
+// Potree octree node names: "r" followed by child indices
+const NODE_NAME_REGEX = /^r[0-7]*$/;
+
+// Request size limits
+export const MAX_LABEL_NODES = 500;
+export const MAX_RANGES_PER_NODE = 10000;
+
+// Sort ranges and merge ones that overlap or touch
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate and normalize the labels of one node.
+ * @param {string} nodeName - Octree node name (e.g. "r0142")
+ * @param {Object} rangesByClass - { [classification]: [[start, end], ...] }
+ * @returns {Object} Normalized ranges with merged, sorted ranges per class
+ */
+export function validateNodeLabels(nodeName, rangesByClass) {
+  if (!NODE_NAME_REGEX.test(nodeName)) {
+    throw badRequest(`Invalid octree node name: ${nodeName}`);
+  }
+  if (!rangesByClass || typeof rangesByClass !== 'object' || Array.isArray(rangesByClass)) {
+    throw badRequest(`Labels for node ${nodeName} must be an object of ranges by class`);
+  }
+
+  const normalized = {};
+  const allRanges = [];
+  for (const [code, ranges] of Object.entries(rangesByClass)) {
+    const classification = Number(code);
+    if (!Number.isInteger(classification) || classification < 0 || classification > 255) {
+      throw badRequest(`Invalid classification code: ${code}`);
+    }
+    const isValidRanges = Array.isArray(ranges) && ranges.every(range =>
+      Array.isArray(range) && range.length === 2 &&
+      isIndex(range[0]) && isIndex(range[1]) && range[0] <= range[1]);
+    if (!isValidRanges) {
+      throw badRequest(`Invalid point ranges for class ${code} in node ${nodeName}`);
+    }
+    if (ranges.length === 0) continue;
+
+    normalized[classification] = mergeRanges(ranges);
+    allRanges.push(...normalized[classification]);
+  }
+
+  if (allRanges.length > MAX_RANGES_PER_NODE) {
+    throw badRequest(`Node ${nodeName} exceeds ${MAX_RANGES_PER_NODE} ranges limit`);
+  }
+
+  // A point can only have one class
+  allRanges.sort((a, b) => a[0] - b[0]);
+  for (let i = 1; i < allRanges.length; i++) {
+    if (allRanges[i][0] <= allRanges[i - 1][1]) {
+      throw badRequest(`Overlapping classes in node ${nodeName}`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate a label update body: { nodes: { [nodeName]: rangesByClass | null } }.
+ * A null (or empty) entry clears the node's labels.
+ * @returns {Array<{nodeName: string, ranges: Object}>}
+ */
+export function validateLabelUpdate(data) {
+  const { nodes } = data;
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) {
+    throw badRequest('Nodes must be an object keyed by octree node name');
+  }
+
+  const entries = Object.entries(nodes);
+  if (entries.length > MAX_LABEL_NODES) {
+    throw badRequest(`Update exceeds ${MAX_LABEL_NODES} nodes limit`);
+  }
+
+  return entries.map(([nodeName, ranges]) => ({
+    nodeName,
+    ranges: validateNodeLabels(nodeName, ranges === null ? {} : ranges)
+  }));
+}
@@ -0,0 +1,232 @@
+/**
+ * Point cloud registry fields: the metadata read from a cloud's Potree
+ * description when it is registered, and its editable description and tags.
+ *
+ * Potree 2 clouds are described by `metadata.json`, Potree 1.x clouds by
+ * `cloud.js`; both are summarized as
+ *
+ *   {
+ *     "format": "potree-2",
+ *     "version": "2.0",
+ *     "pointCount": 1250000,
+ *     "boundingBox": { "min": { "x": .., "y": .., "z": .. }, "max": { .. } },
+ *     "spacing": 0.75,
+ *     "attributes": ["position", "intensity", "rgb"],
+ *     "encoding": "BROTLI",
+ *     "projection": "+proj=utm +zone=32 ..."   (null if the file has none)
+ *   }
+ *
+ * A cloud's path is relative to the frontend (e.g. libs/potree/pointclouds/lion/)
+ * or an absolute URL. The local server reads relative paths from the frontend
+ * directory; the Lambda fetches them from POINTCLOUD_BASE_URL when it is set.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, sep } from 'path';
+import { badRequest } from './errors.js';
+
+// Tried in this order: a directory holds one or the other
+const DESCRIPTION_FILES = ['metadata.json', 'cloud.js'];
+
+// Give up on a slow file server rather than hold the request open
+const FETCH_TIMEOUT_MS = 5000;
+
+export const MAX_DESCRIPTION_BYTES = 1024;
+export const MAX_TAGS = 20;
+export const MAX_TAG_BYTES = 32;
+
+// ========================================
+// Description and tags
+// ========================================
+
+export function validateDescription(description) {
+  const value = description ?? '';
+  if (typeof value !== 'string') {
+    throw badRequest('Description must be a string');
+  }
+  if (Buffer.byteLength(value.trim(), 'utf8') > MAX_DESCRIPTION_BYTES) {
+    throw badRequest(`Description exceeds ${MAX_DESCRIPTION_BYTES} bytes limit`);
+  }
+  return value.trim();
+}
+
+/**
+ * Trimmed tags without duplicates, in the given order
+ */
+export function validateTags(tags) {
+  const value = tags ?? [];
+  if (!Array.isArray(value)) {
+    throw badRequest('Tags must be an array of strings');
+  }
+  const unique = new Set();
+  for (const tag of value) {
+    if (typeof tag !== 'string' || !tag.trim()) {
+      throw badRequest('Tags must be non-empty strings');
+    }
+    if (Buffer.byteLength(tag.trim(), 'utf8') > MAX_TAG_BYTES) {
+      throw badRequest(`Tag "${tag.trim()}" exceeds ${MAX_TAG_BYTES} bytes limit`);
+    }
+    unique.add(tag.trim());
+  }
+  if (unique.size > MAX_TAGS) {
+    throw badRequest(`A point cloud can have at most ${MAX_TAGS} tags`);
+  }
+  return [...unique];
+}
+
+// ========================================
+// Potree descriptions
+// ========================================
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const toVector = ([x, y, z]) => ({ x, y, z });
+
+function validBox(box) {
+  const values = [box.min.x, box.min.y, box.min.z, box.max.x, box.max.y, box.max.z];
+  return values.every(isFiniteNumber) ? box : null;
+}
+
+/**
+ * Summarize a Potree 1.x cloud.js. Its tight bounding box (the extent of the
+ * points rather than of the octree cube) is used when present.
+ */
+function parseCloudJs(json) {
+  const box = json.tightBoundingBox || json.boundingBox || {};
+  const { pointAttributes } = json;
+  return {
+    format: 'potree-1',
+    version: String(json.version ?? ''),
+    pointCount: json.points,
+    boundingBox: validBox({
+      min: toVector([box.lx, box.ly, box.lz]),
+      max: toVector([box.ux, box.uy, box.uz])
+    }),
+    spacing: json.spacing,
+    // "LAS" / "LAZ" octrees keep every LAS attribute
+    attributes: Array.isArray(pointAttributes)
+      ? pointAttributes.map(attribute => (typeof attribute === 'string' ? attribute : attribute?.name))
+      : [],
+    encoding: Array.isArray(pointAttributes) ? 'BINARY' : pointAttributes,
+    projection: json.projection || null
+  };
+}
+
+/**
+ * Summarize a Potree 2 metadata.json. The position attribute's range is the
+ * tight bounding box; `boundingBox` is the octree cube.
+ */
+function parseMetadataJson(json) {
+  const attributes = Array.isArray(json.attributes) ? json.attributes : [];
+  const position = attributes.find(attribute => attribute?.name === 'position');
+  const range = position && Array.isArray(position.min) && Array.isArray(position.max)
+    ? position
+    : json.boundingBox || {};
+  return {
+    format: 'potree-2',
+    version: String(json.version ?? ''),
+    pointCount: json.points,
+    boundingBox: Array.isArray(range.min) && Array.isArray(range.max)
+      ? validBox({ min: toVector(range.min), max: toVector(range.max) })
+      : null,
+    spacing: json.spacing,
+    attributes: attributes.map(attribute => attribute?.name),
+    encoding: json.encoding || 'DEFAULT',
+    projection: json.projection || null
+  };
+}
+
+/**
+ * Summarize the contents of a metadata.json or cloud.js file.
+ * @throws {ApiError} 400 if it isn't a Potree description
+ */
+export function parsePotreeDescription(fileName, text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    json = null;
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw badRequest(`${fileName} of the point cloud is not valid JSON`);
+  }
+
+  const metadata = fileName === 'metadata.json' ? parseMetadataJson(json) : parseCloudJs(json);
+  if (!Number.isInteger(metadata.pointCount) || metadata.pointCount < 0 || !metadata.boundingBox ||
+      !isFiniteNumber(metadata.spacing)) {
+    throw badRequest(`${fileName} of the point cloud lacks its point count, bounding box or spacing`);
+  }
+  metadata.attributes = metadata.attributes.filter(name => typeof name === 'string');
+  return metadata;
+}
+
+// ========================================
+// Reading
+// ========================================
+
+const isUrl = (path) => /^https?:\/\//i.test(path);
+
+async function fetchText(url) {
+  let res;
+  try {
+    res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (error) {
+    throw badRequest(`Could not fetch ${url}: ${error.message}`);
+  }
+  if (res.status === 404 || res.status === 403) {
+    // S3 answers 403 for missing keys without list permission
+    return null;
+  }
+  if (!res.ok) {
+    throw badRequest(`Could not fetch ${url}: HTTP ${res.status}`);
+  }
+  return res.text();
+}
+
+async function readLocalText(root, path) {
+  const file = resolve(root, path);
+  if (!file.startsWith(resolve(root) + sep)) {
+    throw badRequest('Point cloud path must stay inside the frontend directory');
+  }
+  try {
+    return await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return null;
+    }
+    throw badRequest(`Could not read ${path}: ${error.code || error.message}`);
+  }
+}
+
+/**
+ * Create the function the service reads a cloud's metadata with.
+ * @param {Object} options
+ * @param {string} [options.root] - Directory relative paths are read from
+ * @param {string} [options.baseUrl] - Or the URL they are fetched from
+ * @returns {Function} async (path) -> metadata, or null if a relative path
+ *   can't be located (no root or base URL)
+ */
+export function createMetadataReader({ root = null, baseUrl = null } = {}) {
+  const base = baseUrl && (baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+
+  function readDescriptionFile(path, fileName) {
+    if (isUrl(path)) {
+      return fetchText(new URL(fileName, path));
+    }
+    const relative = path.replace(/^\/+/, '') + fileName;
+    return root ? readLocalText(root, relative) : fetchText(new URL(relative, base));
+  }
+
+  return async function readPointCloudMetadata(path) {
+    if (!isUrl(path) && !root && !base) {
+      return null;
+    }
+    for (const fileName of DESCRIPTION_FILES) {
+      const text = await readDescriptionFile(path, fileName);
+      if (text !== null) {
+        return parsePotreeDescription(fileName, text);
+      }
+    }
+    throw badRequest(`No ${DESCRIPTION_FILES.join(' or ')} found at ${path}`);
+  };
+}
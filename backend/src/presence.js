@@ -0,0 +1,76 @@
+/**
+ * Collaborator presence (local server).
+ *
+ * Every live update connection (see ./live.js) is a session. Viewers report
+ * their camera pose for their session and the server passes it on to the
+ * other sessions on the same point cloud:
+ *
+ *   { type: 'presence', pointCloudId, sessionId, user, camera: { position, target, fov }, at }
+ *   { type: 'presence-left', pointCloudId, sessionId }
+ *
+ * Poses are only kept while the session is connected, so a viewer that
+ * connects later is sent the last pose of everyone already there.
+ */
+
+import { badRequest, notFound, tooManyRequests } from './errors.js';
+import { isVector3 } from './validation.js';
+
+// Viewers send at most 5 poses a second; the server allows some jitter on top
+export const MIN_PRESENCE_INTERVAL_MS = 100;
+
+export function validateCameraPose(camera) {
+  if (!camera || typeof camera !== 'object') {
+    throw badRequest('camera is required');
+  }
+  if (!isVector3(camera.position) || !isVector3(camera.target)) {
+    throw badRequest('camera.position and camera.target must be {x, y, z} objects with finite numbers');
+  }
+  const fov = camera.fov ?? null;
+  if (fov !== null && !(Number.isFinite(fov) && fov > 0 && fov < 180)) {
+    throw badRequest('camera.fov must be between 0 and 180 degrees');
+  }
+  const { x, y, z } = camera.position;
+  const target = camera.target;
+  return {
+    position: { x, y, z },
+    target: { x: target.x, y: target.y, z: target.z },
+    fov
+  };
+}
+
+export const presenceEvent = (session) => ({
+  type: 'presence',
+  pointCloudId: session.pointCloudId,
+  sessionId: session.id,
+  user: session.user,
+  camera: session.camera,
+  at: new Date(session.sentAt).toISOString()
+});
+
+export const presenceLeftEvent = (session) => ({
+  type: 'presence-left',
+  pointCloudId: session.pointCloudId,
+  sessionId: session.id
+});
+
+/**
+ * Record a session's camera pose and send it to the other viewers.
+ * @param {Object} broadcaster - See createBroadcaster() in ./live.js
+ * @param {Object} user - The authenticated user (must own the session)
+ * @param {Object} data - Request body { sessionId, camera }
+ */
+export function updatePresence(broadcaster, user, data) {
+  const session = broadcaster.getSession(data && data.sessionId);
+  if (!session || session.user.id !== user.id) {
+    throw notFound('Live update session not found');
+  }
+  const camera = validateCameraPose(data.camera);
+
+  const now = Date.now();
+  if (now - session.sentAt < MIN_PRESENCE_INTERVAL_MS) {
+    throw tooManyRequests(`Send camera poses at most every ${MIN_PRESENCE_INTERVAL_MS} ms`);
+  }
+  session.sentAt = now;
+  session.camera = camera;
+  broadcaster.publish(presenceEvent(session), { except: session.id });
+}
@@ -0,0 +1,613 @@
+/**
+ * DynamoDB repository used by the Lambda handler.
+ *
+ * The document client is injected so the same code can run against a
+ * local stand-in that implements send() for the commands used below.
+ */
+
+import {
+  BatchWriteCommand,
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactWriteCommand,
+  UpdateCommand
+} from '@aws-sdk/lib-dynamodb';
+import { badRequest } from '../errors.js';
+import { matchesSearch, toSearchText } from '../search.js';
+import { findNearest, geohash, geohashPrefixes, isInBox, GEOHASH_REACH } from '../spatial.js';
+import { pageAnnotations } from './memory.js';
+
+// Global secondary indexes on the annotations table (see template.yaml)
+export const POINT_CLOUD_INDEX = 'pointCloudId-createdAt-index';
+export const SPATIAL_INDEX = 'pointCloudId-geohash-index';
+
+// Global secondary index on the point clouds table: annotations name their cloud by path
+export const POINT_CLOUD_PATH_INDEX = 'path-index';
+
+// Half-size of the first cube searched for nearest annotations
+const NEAREST_INITIAL_REACH = 1;
+
+// Attributes of the page keys listAnnotations returns for each way it reads:
+// the table's key plus the index key, or the key pageAnnotations builds
+const QUERY_PAGE_KEY = ['createdAt', 'id', 'pointCloudId'];
+const SCAN_PAGE_KEY = ['id'];
+const BOX_PAGE_KEY = ['createdAt', 'id'];
+
+/**
+ * Reject a client cursor that isn't a page key of this query (e.g. one from
+ * a bbox query replayed without the bbox): DynamoDB fails on a start key
+ * with missing or extra attributes, or another partition's.
+ */
+function checkStartKey(startKey, attributes, pointCloudId = null) {
+  if (!startKey) {
+    return;
+  }
+  const names = Object.keys(startKey).sort();
+  const matches = names.length === attributes.length &&
+    names.every((name, i) => name === attributes[i]) &&
+    (!pointCloudId || startKey.pointCloudId === pointCloudId);
+  if (!matches) {
+    throw badRequest('Invalid cursor for this query');
+  }
+}
+
+/**
+ * The pointCloudId index is sparse: DynamoDB rejects a NULL value for an
+ * index key, so unassigned annotations are stored without the attribute
+ * and read back with pointCloudId: null. Items also carry a lowercased
+ * copy of the text (`searchText`) for case-insensitive search and the
+ * position's geohash (see ../spatial.js) for box queries.
+ */
+const toAnnotationItem = ({ pointCloudId, ...rest }) => ({
+  ...rest,
+  ...(pointCloudId ? { pointCloudId } : {}),
+  ...derivedAttributes({ text: rest.text, position: rest.position })
+});
+
+export const fromAnnotationItem = ({ searchText, geohash, ...item }) => ({ pointCloudId: null, ...item });
+
+// searchText and geohash for the fields present in a record or changes
+function derivedAttributes(fields) {
+  const attributes = {};
+  if ('text' in fields) {
+    attributes.searchText = toSearchText(fields.text);
+  }
+  if (fields.position) {
+    attributes.geohash = geohash(fields.position);
+  }
+  return attributes;
+}
+
+// Keep the derived attributes in step with text and position changes
+const withDerivedAttributes = (changes) => ({ ...changes, ...derivedAttributes(changes) });
+
+/**
+ * Key condition and filter for a search (see ../search.js). On the
+ * pointCloudId index the date range is part of the key condition; the
+ * exclusive upper bound becomes an inclusive one a millisecond earlier
+ * because BETWEEN includes both ends.
+ * @param {Object|null} search
+ * @param {boolean} onIndex - Querying the pointCloudId index (else scanning)
+ * @returns {{keyCondition: string|null, filter: string|null, names: Object, values: Object}}
+ */
+function searchExpressions(search, onIndex) {
+  const names = {};
+  const values = {};
+  const keyConditions = [];
+  const filters = [];
+  if (!search) {
+    return { keyCondition: null, filter: null, names, values };
+  }
+
+  const dates = [];
+  if (search.createdAfter) {
+    values[':createdAfter'] = search.createdAfter;
+    dates.push('#createdAt >= :createdAfter');
+  }
+  if (search.createdBefore) {
+    values[':createdBefore'] = search.createdBefore;
+    dates.push('#createdAt < :createdBefore');
+  }
+  if (dates.length > 0) {
+    names['#createdAt'] = 'createdAt';
+    if (!onIndex) {
+      filters.push(...dates);
+    } else if (dates.length === 1) {
+      keyConditions.push(dates[0]);
+    } else {
+      values[':createdLast'] = new Date(Date.parse(search.createdBefore) - 1).toISOString();
+      delete values[':createdBefore'];
+      keyConditions.push('#createdAt BETWEEN :createdAfter AND :createdLast');
+    }
+  }
+
+  search.terms.forEach((term, i) => {
+    names['#searchText'] = 'searchText';
+    values[`:term${i}`] = term;
+    filters.push(`contains(#searchText, :term${i})`);
+  });
+  if (search.author) {
+    names['#createdBy'] = 'createdBy';
+    names['#authorId'] = 'id';
+    values[':author'] = search.author;
+    filters.push('#createdBy.#authorId = :author');
+  }
+
+  return {
+    keyCondition: keyConditions[0] || null,
+    filter: filters.length > 0 ? filters.join(' AND ') : null,
+    names,
+    values
+  };
+}
+
+// BatchWriteItem accepts at most 25 requests per call
+const BATCH_WRITE_LIMIT = 25;
+
+/**
+ * Condition that an annotation is still at `expectedVersion` (records
+ * written before versioning have no version attribute and count as 1)
+ */
+function versionCondition(expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null) {
+    return null;
+  }
+  return {
+    expression: expectedVersion === 1
+      ? '(attribute_not_exists(#version) OR #version = :expectedVersion)'
+      : '#version = :expectedVersion',
+    names: { '#version': 'version' },
+    values: { ':expectedVersion': expectedVersion }
+  };
+}
+
+// SET expression for the given fields, conditional on the record existing
+// (and on an optional extra condition from versionCondition)
+function toUpdateParams(changes, condition = null) {
+  const names = {};
+  const values = {};
+  const assignments = Object.entries(changes).map(([key, value], i) => {
+    names[`#f${i}`] = key;
+    values[`:v${i}`] = value;
+    return `#f${i} = :v${i}`;
+  });
+  return {
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ConditionExpression: condition ? `attribute_exists(id) AND ${condition.expression}` : 'attribute_exists(id)',
+    ExpressionAttributeNames: { ...names, ...(condition && condition.names) },
+    ExpressionAttributeValues: { ...values, ...(condition && condition.values) }
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.docClient - DynamoDBDocumentClient (or compatible)
+ * @param {string} options.annotationsTable - Annotations table name
+ * @param {string} options.pointCloudsTable - Point clouds table name
+ * @param {string} options.pointLabelsTable - Point labels table name
+ * @param {string} options.commentsTable - Comments table name
+ * @param {string} options.revisionsTable - Revisions table name
+ */
+export function createDynamoRepository({
+  docClient,
+  annotationsTable,
+  pointCloudsTable,
+  pointLabelsTable,
+  commentsTable,
+  revisionsTable
+}) {
+  // Put that fails instead of overwriting an existing record
+  async function putItem(tableName, item) {
+    await docClient.send(new PutCommand({
+      TableName: tableName,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(id)'
+    }));
+  }
+
+  // Delete that reports whether the record existed
+  async function deleteItem(tableName, id) {
+    try {
+      await docClient.send(new DeleteCommand({
+        TableName: tableName,
+        Key: { id },
+        ConditionExpression: 'attribute_exists(id)'
+      }));
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Update of the given fields that returns the new item, or null if missing
+  // (or if the optional condition fails)
+  async function updateItem(tableName, id, changes, condition = null) {
+    try {
+      const result = await docClient.send(new UpdateCommand({
+        TableName: tableName,
+        Key: { id },
+        ...toUpdateParams(changes, condition),
+        ReturnValues: 'ALL_NEW'
+      }));
+      return result.Attributes;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Write requests in chunks, retrying any DynamoDB leaves unprocessed
+  async function batchWrite(tableName, requests) {
+    for (let i = 0; i < requests.length; i += BATCH_WRITE_LIMIT) {
+      let pending = { [tableName]: requests.slice(i, i + BATCH_WRITE_LIMIT) };
+      while (pending && Object.keys(pending).length > 0) {
+        const result = await docClient.send(new BatchWriteCommand({ RequestItems: pending }));
+        pending = result.UnprocessedItems;
+      }
+    }
+  }
+
+  // Fetch every item with the given partition key, following pagination
+  async function queryPartition(tableName, keyName, keyValue, projection) {
+    const items = [];
+    let startKey;
+    do {
+      const result = await docClient.send(new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: '#pk = :pk',
+        ExpressionAttributeNames: { '#pk': keyName },
+        ExpressionAttributeValues: { ':pk': keyValue },
+        ProjectionExpression: projection,
+        ExclusiveStartKey: startKey
+      }));
+      items.push(...(result.Items || []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+  }
+
+  // Annotations of a point cloud with positions inside a box, from the
+  // geohash cells covering it (only the x/y extent narrows the query)
+  async function queryBox(pointCloudId, box) {
+    const items = [];
+    for (const prefix of geohashPrefixes(box)) {
+      let startKey;
+      do {
+        const result = await docClient.send(new QueryCommand({
+          TableName: annotationsTable,
+          IndexName: SPATIAL_INDEX,
+          KeyConditionExpression: prefix
+            ? 'pointCloudId = :pcId AND begins_with(geohash, :prefix)'
+            : 'pointCloudId = :pcId',
+          ExpressionAttributeValues: prefix ? { ':pcId': pointCloudId, ':prefix': prefix } : { ':pcId': pointCloudId },
+          ExclusiveStartKey: startKey
+        }));
+        items.push(...(result.Items || []));
+        startKey = result.LastEvaluatedKey;
+      } while (startKey);
+    }
+    return items.map(fromAnnotationItem).filter(annotation => isInBox(annotation.position, box));
+  }
+
+  return {
+    // Limit applies before the search filter, so search pages can be short
+    async listAnnotations({ pointCloudId = null, limit, startKey = null, search = null, bbox = null } = {}) {
+      if (bbox) {
+        checkStartKey(startKey, BOX_PAGE_KEY);
+        // Cells come back in geohash order, so the page is cut after collecting them
+        const annotations = (await queryBox(pointCloudId, bbox)).filter(a => !search || matchesSearch(a, search));
+        return pageAnnotations(annotations, { limit, startKey, descending: Boolean(search && search.descending) });
+      }
+
+      checkStartKey(startKey, pointCloudId ? QUERY_PAGE_KEY : SCAN_PAGE_KEY, pointCloudId);
+      const { keyCondition, filter, names, values } = searchExpressions(search, Boolean(pointCloudId));
+      const params = {
+        TableName: annotationsTable,
+        Limit: limit,
+        ExclusiveStartKey: startKey || undefined,
+        FilterExpression: filter || undefined,
+        ExpressionAttributeNames: Object.keys(names).length > 0 ? names : undefined
+      };
+
+      let command;
+      if (pointCloudId) {
+        // Query the pointCloudId index instead of scanning the whole table
+        command = new QueryCommand({
+          ...params,
+          IndexName: POINT_CLOUD_INDEX,
+          KeyConditionExpression: keyCondition ? `pointCloudId = :pcId AND ${keyCondition}` : 'pointCloudId = :pcId',
+          ExpressionAttributeValues: { ...values, ':pcId': pointCloudId },
+          ScanIndexForward: !(search && search.descending)
+        });
+      } else {
+        // A scan has no order to reverse
+        command = new ScanCommand({
+          ...params,
+          ExpressionAttributeValues: Object.keys(values).length > 0 ? values : undefined
+        });
+      }
+
+      const result = await docClient.send(command);
+      return {
+        items: (result.Items || []).map(fromAnnotationItem),
+        lastKey: result.LastEvaluatedKey || null
+      };
+    },
+
+    nearestAnnotations({ pointCloudId, point, k, radius, search = null }) {
+      return findNearest((box) => queryBox(pointCloudId, box), point, {
+        k,
+        radius,
+        filter: (annotation) => !search || matchesSearch(annotation, search),
+        initialReach: NEAREST_INITIAL_REACH,
+        maxReach: GEOHASH_REACH
+      });
+    },
+
+    async getAnnotation(id) {
+      const result = await docClient.send(new GetCommand({
+        TableName: annotationsTable,
+        Key: { id }
+      }));
+      return result.Item ? fromAnnotationItem(result.Item) : null;
+    },
+
+    putAnnotation(annotation) {
+      return putItem(annotationsTable, toAnnotationItem(annotation));
+    },
+
+    // New records have fresh UUIDs, so unconditional batch puts are safe
+    putAnnotations(annotations) {
+      return batchWrite(annotationsTable, annotations.map(annotation => ({
+        PutRequest: { Item: toAnnotationItem(annotation) }
+      })));
+    },
+
+    async updateAnnotation(id, changes, expectedVersion = null) {
+      const item = await updateItem(annotationsTable, id, withDerivedAttributes(changes), versionCondition(expectedVersion));
+      return item ? fromAnnotationItem(item) : null;
+    },
+
+    // ADD is applied by DynamoDB, so concurrent comments can't lose a count
+    async addCommentCount(id, delta) {
+      try {
+        const result = await docClient.send(new UpdateCommand({
+          TableName: annotationsTable,
+          Key: { id },
+          UpdateExpression: 'ADD #commentCount :delta',
+          ConditionExpression: 'attribute_exists(id)',
+          ExpressionAttributeNames: { '#commentCount': 'commentCount' },
+          ExpressionAttributeValues: { ':delta': delta },
+          ReturnValues: 'ALL_NEW'
+        }));
+        return fromAnnotationItem(result.Attributes);
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    deleteAnnotation(id) {
+      return deleteItem(annotationsTable, id);
+    },
+
+    // One TransactWriteItems call: every write succeeds or none does
+    async writeAnnotationBatch(writes) {
+      const transactItems = writes.map(write => {
+        if (write.type === 'put') {
+          return {
+            Put: {
+              TableName: annotationsTable,
+              Item: toAnnotationItem(write.annotation),
+              ConditionExpression: 'attribute_not_exists(id)'
+            }
+          };
+        }
+        if (write.type === 'update') {
+          return {
+            Update: {
+              TableName: annotationsTable,
+              Key: { id: write.id },
+              ...toUpdateParams(withDerivedAttributes(write.changes), versionCondition(write.expectedVersion))
+            }
+          };
+        }
+        return {
+          Delete: {
+            TableName: annotationsTable,
+            Key: { id: write.id },
+            ConditionExpression: 'attribute_exists(id)'
+          }
+        };
+      });
+
+      try {
+        await docClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
+        return null;
+      } catch (error) {
+        // Reasons are listed per item; 'None' for items that were fine
+        const reasons = error.name === 'TransactionCanceledException' ? error.CancellationReasons || [] : [];
+        const failedIndex = reasons.findIndex(reason => reason.Code === 'ConditionalCheckFailed');
+        if (failedIndex !== -1) {
+          return failedIndex;
+        }
+        throw error;
+      }
+    },
+
+    // Scan pages stop at 1 MB, so follow LastEvaluatedKey
+    async listPointClouds() {
+      const items = [];
+      let startKey;
+      do {
+        const result = await docClient.send(new ScanCommand({
+          TableName: pointCloudsTable,
+          ExclusiveStartKey: startKey
+        }));
+        items.push(...(result.Items || []));
+        startKey = result.LastEvaluatedKey;
+      } while (startKey);
+      return items;
+    },
+
+    async getPointCloud(id) {
+      const result = await docClient.send(new GetCommand({
+        TableName: pointCloudsTable,
+        Key: { id }
+      }));
+      return result.Item || null;
+    },
+
+    async getPointCloudByPath(path) {
+      const result = await docClient.send(new QueryCommand({
+        TableName: pointCloudsTable,
+        IndexName: POINT_CLOUD_PATH_INDEX,
+        KeyConditionExpression: '#path = :path',
+        ExpressionAttributeNames: { '#path': 'path' },
+        ExpressionAttributeValues: { ':path': path },
+        Limit: 1
+      }));
+      return (result.Items && result.Items[0]) || null;
+    },
+
+    putPointCloud(pointCloud) {
+      return putItem(pointCloudsTable, pointCloud);
+    },
+
+    updatePointCloud(id, changes) {
+      return updateItem(pointCloudsTable, id, changes);
+    },
+
+    deletePointCloud(id) {
+      return deleteItem(pointCloudsTable, id);
+    },
+
+    async listPointLabels(pointCloudId) {
+      const items = await queryPartition(pointLabelsTable, 'pointCloudId', pointCloudId);
+      return items.map(({ nodeName, ranges, updatedAt }) => ({ nodeName, ranges, updatedAt }));
+    },
+
+    // One item per (pointCloudId, nodeName) keeps items well under 400 KB
+    putPointLabels(pointCloudId, nodes) {
+      const requests = nodes.map(node => (Object.keys(node.ranges).length > 0
+        ? { PutRequest: { Item: { pointCloudId, ...node } } }
+        : { DeleteRequest: { Key: { pointCloudId, nodeName: node.nodeName } } }));
+      return batchWrite(pointLabelsTable, requests);
+    },
+
+    async deletePointLabels(pointCloudId) {
+      const keys = await queryPartition(pointLabelsTable, 'pointCloudId', pointCloudId, 'pointCloudId, nodeName');
+      await batchWrite(pointLabelsTable, keys.map(Key => ({ DeleteRequest: { Key } })));
+    },
+
+    // Comments are keyed by (annotationId, id), so a thread is one query
+    listComments(annotationId) {
+      return queryPartition(commentsTable, 'annotationId', annotationId);
+    },
+
+    async getComment(annotationId, id) {
+      const result = await docClient.send(new GetCommand({
+        TableName: commentsTable,
+        Key: { annotationId, id }
+      }));
+      return result.Item || null;
+    },
+
+    async putComment(comment) {
+      await docClient.send(new PutCommand({
+        TableName: commentsTable,
+        Item: comment,
+        ConditionExpression: 'attribute_not_exists(id)'
+      }));
+    },
+
+    async deleteComment(annotationId, id) {
+      try {
+        await docClient.send(new DeleteCommand({
+          TableName: commentsTable,
+          Key: { annotationId, id },
+          ConditionExpression: 'attribute_exists(id)'
+        }));
+        return true;
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async deleteComments(annotationId) {
+      const keys = await queryPartition(commentsTable, 'annotationId', annotationId, 'annotationId, id');
+      await batchWrite(commentsTable, keys.map(Key => ({ DeleteRequest: { Key } })));
+    },
+
+    // Revisions are keyed by (annotationId, id), so a log is one query
+    listRevisions(annotationId) {
+      return queryPartition(revisionsTable, 'annotationId', annotationId);
+    },
+
+    // New records have fresh UUIDs, so unconditional batch puts are safe
+    putRevisions(revisions) {
+      return batchWrite(revisionsTable, revisions.map(revision => ({
+        PutRequest: { Item: revision }
+      })));
+    }
+  };
+}
+
+/**
+ * Add the derived attributes to annotations stored before they existed, or
+ * correct them where they are stale. Without `searchText` an annotation
+ * never matches a text search, and without `geohash` it is missing from the
+ * spatial index, so box and nearest queries never find it. Each item is only updated if it is still at
+ * the version it was read at (later writes store the attributes themselves),
+ * so this is safe to run while the API is in use, and to run again.
+ * @param {Object} options
+ * @param {Object} options.docClient - DynamoDBDocumentClient (or compatible)
+ * @param {string} options.annotationsTable - Annotations table name
+ * @returns {Promise<{scanned: number, updated: number}>}
+ */
+export async function backfillDerivedAttributes({ docClient, annotationsTable }) {
+  let scanned = 0;
+  let updated = 0;
+  let startKey;
+  do {
+    const result = await docClient.send(new ScanCommand({
+      TableName: annotationsTable,
+      ExclusiveStartKey: startKey
+    }));
+    for (const item of result.Items || []) {
+      scanned++;
+      const changes = Object.fromEntries(Object.entries(derivedAttributes({ text: item.text, position: item.position }))
+        .filter(([name, value]) => item[name] !== value));
+      if (Object.keys(changes).length === 0) {
+        continue;
+      }
+      try {
+        await docClient.send(new UpdateCommand({
+          TableName: annotationsTable,
+          Key: { id: item.id },
+          ...toUpdateParams(changes, versionCondition(item.version ?? 1))
+        }));
+        updated++;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return { scanned, updated };
+}
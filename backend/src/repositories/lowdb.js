@@ -0,0 +1,78 @@
+/**
+ * lowdb repository used by the local development server.
+ * Stores everything in a local JSON file instead of DynamoDB.
+ *
+ * lowdb is a dependency of the backend package (not the Lambda bundle),
+ * so only local-server.js should import this module.
+ */
+
+import { stat } from 'fs/promises';
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { createArrayRepository } from './memory.js';
+
+/**
+ * Open (or create) the JSON database and return a repository over it.
+ * @param {string} file - Path to the JSON database file
+ */
+export async function createLowdbRepository(file) {
+  const defaultData = { annotations: [], pointClouds: [], pointLabels: [], comments: [], revisions: [] };
+  const db = new Low(new JSONFile(file), defaultData);
+
+  // Modification time and size of the file when it was last read or written
+  let loadedVersion = null;
+  // Writes not yet on disk; the loaded data is newer than the file meanwhile
+  let pendingWrites = 0;
+  const fileVersion = async () => {
+    try {
+      const { mtimeMs, size } = await stat(file);
+      return `${mtimeMs}:${size}`;
+    } catch {
+      return null;
+    }
+  };
+
+  // Re-read only when the file changed since, so edits to it are picked up
+  // while the loaded arrays (and the spatial index over them) are kept
+  const load = async () => {
+    if (pendingWrites > 0) {
+      return;
+    }
+    const version = await fileVersion();
+    if (version !== null && version === loadedVersion) {
+      return;
+    }
+    await db.read();
+    db.data ||= { ...defaultData };
+    // Ensure collections exist for existing databases
+    db.data.annotations ||= [];
+    db.data.pointClouds ||= [];
+    db.data.pointLabels ||= [];
+    db.data.comments ||= [];
+    db.data.revisions ||= [];
+    loadedVersion = version;
+  };
+
+  // A failed write clears loadedVersion, so the next load re-reads the file
+  const save = async () => {
+    pendingWrites++;
+    try {
+      await db.write();
+      loadedVersion = await fileVersion();
+    } catch (error) {
+      loadedVersion = null;
+      throw error;
+    } finally {
+      pendingWrites--;
+    }
+  };
+
+  await load();
+  await save();
+
+  return createArrayRepository({
+    getData: () => db.data,
+    load,
+    save
+  });
+}
@@ -0,0 +1,375 @@
+/**
+ * In-memory repository.
+ *
+ * Records are kept in plain arrays shaped like the lowdb database
+ * ({ annotations, pointClouds, pointLabels, comments, revisions }), so the lowdb repository reuses this
+ * implementation with file reads and writes around each operation.
+ *
+ * Repository interface (shared by every backend):
+ *   listAnnotations({ pointCloudId, limit, startKey, search, bbox })
+ *                                      -> { items, lastKey } where lastKey is
+ *                                         null on the final page; search (see
+ *                                         ../search.js) filters and may reverse
+ *                                         the order, bbox (see ../spatial.js)
+ *                                         keeps positions inside it, and pages
+ *                                         may then come back short (even empty)
+ *                                         before the last
+ *   nearestAnnotations({ pointCloudId, point, k, radius, search })
+ *                                      -> Array of { annotation, distance }, the k
+ *                                         nearest within radius, nearest first
+ *   getAnnotation(id)                  -> record, or null if missing
+ *   putAnnotation(annotation)          -> void
+ *   putAnnotations(annotations)        -> void; stores new records in one write
+ *   updateAnnotation(id, changes, expectedVersion)
+ *                                      -> updated record, or null if missing or (when
+ *                                         expectedVersion is given) no longer at that
+ *                                         version; records without one are at version 1
+ *   addCommentCount(id, delta)         -> updated record, or null if missing; adds
+ *                                         delta to commentCount in one atomic write
+ *   deleteAnnotation(id)               -> true, or false if missing
+ *   writeAnnotationBatch(writes)       -> null, or the index of the first write whose
+ *                                         record is missing (nothing is written then);
+ *                                         writes are { type: 'put', annotation },
+ *                                         { type: 'update', id, changes, expectedVersion? } or
+ *                                         { type: 'delete', id }
+ *   listPointClouds()                  -> Array
+ *   getPointCloud(id)                  -> record, or null if missing
+ *   getPointCloudByPath(path)          -> record registered for the (normalized)
+ *                                         path, or null
+ *   putPointCloud(pointCloud)          -> void
+ *   updatePointCloud(id, changes)      -> updated record, or null if missing
+ *   deletePointCloud(id)               -> true, or false if missing
+ *   listPointLabels(pointCloudId)      -> Array of { nodeName, ranges, updatedAt }
+ *   putPointLabels(pointCloudId, nodes) -> void; nodes with empty ranges are removed
+ *   deletePointLabels(pointCloudId)    -> void
+ *   listComments(annotationId)         -> Array, in any order
+ *   getComment(annotationId, id)       -> record, or null if missing
+ *   putComment(comment)                -> void
+ *   deleteComment(annotationId, id)    -> true, or false if missing
+ *   deleteComments(annotationId)       -> void
+ *   listRevisions(annotationId)        -> Array, in any order
+ *   putRevisions(revisions)            -> void; stores new records in one write
+ */
+
+import { matchesSearch } from '../search.js';
+import { createGridIndex } from '../spatial.js';
+
+const clone = (value) => structuredClone(value);
+
+const hasVersion = (record, expectedVersion) =>
+  expectedVersion === undefined || expectedVersion === null || (record.version ?? 1) === expectedVersion;
+
+// Stable ordering used for pagination: createdAt, then id
+const compareKeys = (a, b) =>
+  (a.createdAt || '').localeCompare(b.createdAt || '') || a.id.localeCompare(b.id);
+
+/**
+ * One page of annotations in key order (reversed for descending searches),
+ * starting after startKey
+ * @returns {{items: Array, lastKey: Object|null}}
+ */
+export function pageAnnotations(annotations, { limit = Infinity, startKey = null, descending = false }) {
+  const direction = descending ? -1 : 1;
+  let sorted = [...annotations].sort((a, b) => direction * compareKeys(a, b));
+  if (startKey) {
+    sorted = sorted.filter(a => direction * compareKeys(a, startKey) > 0);
+  }
+
+  const items = sorted.slice(0, limit);
+  const last = items[items.length - 1];
+  const lastKey = sorted.length > limit
+    ? { id: last.id, createdAt: last.createdAt }
+    : null;
+  return { items, lastKey };
+}
+
+/**
+ * Build a repository over arrays returned by getData().
+ * @param {Object} options
+ * @param {Function} options.getData - Returns the current { annotations, pointClouds, pointLabels, comments, revisions }
+ * @param {Function} [options.load] - Called before every operation
+ * @param {Function} [options.save] - Called after every mutation
+ */
+export function createArrayRepository({ getData, load = async () => {}, save = async () => {} }) {
+  // Grid index per point cloud, rebuilt after writes (and after getData()
+  // returns freshly loaded arrays, as when lowdb re-reads a changed file)
+  let grids = { annotations: null, byPointCloud: new Map() };
+
+  function gridOf(pointCloudId) {
+    const { annotations } = getData();
+    if (grids.annotations !== annotations) {
+      grids = { annotations, byPointCloud: new Map() };
+    }
+    if (!grids.byPointCloud.has(pointCloudId)) {
+      grids.byPointCloud.set(pointCloudId,
+        createGridIndex(annotations.filter(a => a.pointCloudId === pointCloudId && a.position)));
+    }
+    return grids.byPointCloud.get(pointCloudId);
+  }
+
+  const invalidateGrids = () => {
+    grids = { annotations: null, byPointCloud: new Map() };
+  };
+
+  return {
+    async listAnnotations({ pointCloudId = null, limit = Infinity, startKey = null, search = null, bbox = null } = {}) {
+      await load();
+      let annotations = getData().annotations;
+      if (bbox) {
+        annotations = gridOf(pointCloudId).withinBox(bbox);
+      } else if (pointCloudId) {
+        annotations = annotations.filter(a => a.pointCloudId === pointCloudId);
+      }
+      if (search) {
+        annotations = annotations.filter(a => matchesSearch(a, search));
+      }
+
+      const { items, lastKey } = pageAnnotations(annotations, {
+        limit,
+        startKey,
+        descending: Boolean(search && search.descending)
+      });
+      return { items: clone(items), lastKey };
+    },
+
+    async nearestAnnotations({ pointCloudId, point, k, radius, search = null }) {
+      await load();
+      const matches = await gridOf(pointCloudId).nearest(point, {
+        k,
+        radius,
+        filter: (annotation) => !search || matchesSearch(annotation, search)
+      });
+      return matches.map(({ annotation, distance }) => ({ annotation: clone(annotation), distance }));
+    },
+
+    async getAnnotation(id) {
+      await load();
+      const annotation = getData().annotations.find(a => a.id === id);
+      return annotation ? clone(annotation) : null;
+    },
+
+    async putAnnotation(annotation) {
+      await load();
+      getData().annotations.push(clone(annotation));
+      invalidateGrids();
+      await save();
+    },
+
+    async putAnnotations(newAnnotations) {
+      await load();
+      getData().annotations.push(...clone(newAnnotations));
+      invalidateGrids();
+      await save();
+    },
+
+    async updateAnnotation(id, changes, expectedVersion = null) {
+      await load();
+      const { annotations } = getData();
+      const index = annotations.findIndex(a => a.id === id);
+      if (index === -1 || !hasVersion(annotations[index], expectedVersion)) {
+        return null;
+      }
+
+      annotations[index] = { ...annotations[index], ...clone(changes) };
+      invalidateGrids();
+      await save();
+      return clone(annotations[index]);
+    },
+
+    async addCommentCount(id, delta) {
+      await load();
+      const annotation = getData().annotations.find(a => a.id === id);
+      if (!annotation) {
+        return null;
+      }
+
+      annotation.commentCount = (annotation.commentCount || 0) + delta;
+      await save();
+      return clone(annotation);
+    },
+
+    async deleteAnnotation(id) {
+      await load();
+      const { annotations } = getData();
+      const index = annotations.findIndex(a => a.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      annotations.splice(index, 1);
+      invalidateGrids();
+      await save();
+      return true;
+    },
+
+    async writeAnnotationBatch(writes) {
+      await load();
+      const data = getData();
+
+      // Check every write first so a failure leaves the data untouched
+      const byId = new Map(data.annotations.map(a => [a.id, a]));
+      const failedIndex = writes.findIndex(write => {
+        if (write.type === 'put') return byId.has(write.annotation.id);
+        const record = byId.get(write.id);
+        return !record || (write.type === 'update' && !hasVersion(record, write.expectedVersion));
+      });
+      if (failedIndex !== -1) {
+        return failedIndex;
+      }
+
+      for (const write of writes) {
+        if (write.type === 'put') {
+          data.annotations.push(clone(write.annotation));
+        } else if (write.type === 'update') {
+          const index = data.annotations.findIndex(a => a.id === write.id);
+          data.annotations[index] = { ...data.annotations[index], ...clone(write.changes) };
+        } else {
+          data.annotations = data.annotations.filter(a => a.id !== write.id);
+        }
+      }
+      invalidateGrids();
+      // One save, so lowdb writes the whole batch to disk at once
+      await save();
+      return null;
+    },
+
+    async listPointClouds() {
+      await load();
+      return clone(getData().pointClouds);
+    },
+
+    async getPointCloud(id) {
+      await load();
+      const pointCloud = getData().pointClouds.find(pc => pc.id === id);
+      return pointCloud ? clone(pointCloud) : null;
+    },
+
+    async getPointCloudByPath(path) {
+      await load();
+      const pointCloud = getData().pointClouds.find(pc => pc.path === path);
+      return pointCloud ? clone(pointCloud) : null;
+    },
+
+    async putPointCloud(pointCloud) {
+      await load();
+      getData().pointClouds.push(clone(pointCloud));
+      await save();
+    },
+
+    async updatePointCloud(id, changes) {
+      await load();
+      const { pointClouds } = getData();
+      const index = pointClouds.findIndex(pc => pc.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      pointClouds[index] = { ...pointClouds[index], ...clone(changes) };
+      await save();
+      return clone(pointClouds[index]);
+    },
+
+    async deletePointCloud(id) {
+      await load();
+      const { pointClouds } = getData();
+      const index = pointClouds.findIndex(pc => pc.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      pointClouds.splice(index, 1);
+      await save();
+      return true;
+    },
+
+    async listPointLabels(pointCloudId) {
+      await load();
+      const entries = getData().pointLabels.filter(l => l.pointCloudId === pointCloudId);
+      return clone(entries.map(({ nodeName, ranges, updatedAt }) => ({ nodeName, ranges, updatedAt })));
+    },
+
+    async putPointLabels(pointCloudId, nodes) {
+      await load();
+      const data = getData();
+      const names = new Set(nodes.map(n => n.nodeName));
+      data.pointLabels = data.pointLabels.filter(l =>
+        l.pointCloudId !== pointCloudId || !names.has(l.nodeName));
+      for (const node of nodes) {
+        if (Object.keys(node.ranges).length > 0) {
+          data.pointLabels.push(clone({ pointCloudId, ...node }));
+        }
+      }
+      await save();
+    },
+
+    async deletePointLabels(pointCloudId) {
+      await load();
+      const data = getData();
+      data.pointLabels = data.pointLabels.filter(l => l.pointCloudId !== pointCloudId);
+      await save();
+    },
+
+    async listComments(annotationId) {
+      await load();
+      return clone(getData().comments.filter(c => c.annotationId === annotationId));
+    },
+
+    async getComment(annotationId, id) {
+      await load();
+      const comment = getData().comments.find(c => c.annotationId === annotationId && c.id === id);
+      return comment ? clone(comment) : null;
+    },
+
+    async putComment(comment) {
+      await load();
+      getData().comments.push(clone(comment));
+      await save();
+    },
+
+    async deleteComment(annotationId, id) {
+      await load();
+      const { comments } = getData();
+      const index = comments.findIndex(c => c.annotationId === annotationId && c.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      comments.splice(index, 1);
+      await save();
+      return true;
+    },
+
+    async deleteComments(annotationId) {
+      await load();
+      const data = getData();
+      data.comments = data.comments.filter(c => c.annotationId !== annotationId);
+      await save();
+    },
+
+    async listRevisions(annotationId) {
+      await load();
+      return clone(getData().revisions.filter(r => r.annotationId === annotationId));
+    },
+
+    async putRevisions(newRevisions) {
+      await load();
+      getData().revisions.push(...clone(newRevisions));
+      await save();
+    }
+  };
+}
+
+/**
+ * Create a repository that keeps everything in process memory.
+ * @param {Object} [initialData] - Optional seed data
+ */
+export function createMemoryRepository(initialData = {}) {
+  const data = {
+    annotations: clone(initialData.annotations || []),
+    pointClouds: clone(initialData.pointClouds || []),
+    pointLabels: clone(initialData.pointLabels || []),
+    comments: clone(initialData.comments || []),
+    revisions: clone(initialData.revisions || [])
+  };
+  return createArrayRepository({ getData: () => data });
+}
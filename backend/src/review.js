@@ -0,0 +1,132 @@
+/**
+ * Annotation review workflow.
+ *
+ * Annotations start as drafts and move through review:
+ *
+ *   draft -> submitted -> approved
+ *                      -> rejected -> draft | submitted
+ *
+ * Submitted annotations can be withdrawn to draft and approved ones
+ * reopened by a reviewer. Changing the content of a submitted or approved
+ * annotation moves it back to draft, so nothing changes under a review.
+ * Approving or rejecting records the decision in `review`
+ * ({ status, note, by, at }); a rejection needs a note. The last decision is
+ * kept when the annotation moves on so its author can see it.
+ */
+
+import { badRequest, conflict } from './errors.js';
+import { hasRole, requireRole } from './roles.js';
+
+export const STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+
+// Statuses an annotation may be created (or restored) in without a review
+const AUTHOR_STATUSES = ['draft', 'submitted'];
+
+export const MAX_REVIEW_NOTE_BYTES = 256;
+
+// Fields a review covers (the stored camera view is not part of it)
+const REVIEWED_FIELDS = ['text', 'category', 'position', 'label', 'size', 'yaw', 'measurementKind', 'vertices'];
+
+// Statuses whose content is under (or past) review
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+// Allowed transitions and the minimum role for each
+const TRANSITIONS = {
+  draft: { submitted: 'annotator' },
+  submitted: { draft: 'annotator', approved: 'reviewer', rejected: 'reviewer' },
+  rejected: { draft: 'annotator', submitted: 'annotator' },
+  approved: { draft: 'reviewer' }
+};
+
+// Records created before the workflow existed are drafts
+export const statusOf = (annotation) => annotation.status || 'draft';
+
+export function validateStatus(status) {
+  if (!STATUSES.includes(status)) {
+    throw badRequest(`Status must be one of: ${STATUSES.join(', ')}`);
+  }
+  return status;
+}
+
+/**
+ * Status of a new annotation: draft unless it is submitted right away.
+ */
+export function validateInitialStatus(status) {
+  if (status === undefined || status === null) {
+    return 'draft';
+  }
+  if (!AUTHOR_STATUSES.includes(status)) {
+    throw badRequest(`New annotations must be ${AUTHOR_STATUSES.join(' or ')}`);
+  }
+  return status;
+}
+
+function validateReviewNote(note) {
+  const value = note || '';
+  if (typeof value !== 'string') {
+    throw badRequest('Review note must be a string');
+  }
+  if (Buffer.byteLength(value, 'utf8') > MAX_REVIEW_NOTE_BYTES) {
+    throw badRequest(`Review note exceeds ${MAX_REVIEW_NOTE_BYTES} bytes limit`);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate a status change requested in an update.
+ * @param {Object} existing - Current record
+ * @param {Object} data - Update request with `status` and optional `reviewNote`
+ * @param {string} role - The user's role on the annotation's point cloud
+ * @param {Object} author - The user, as stored in createdBy/updatedBy
+ * @returns {Object} Changes to store ({} when the status stays the same)
+ */
+export function buildStatusChange(existing, { status, reviewNote }, role, author) {
+  const from = statusOf(existing);
+  const to = validateStatus(status);
+  if (to === from) {
+    return {};
+  }
+
+  const minimum = TRANSITIONS[from][to];
+  if (!minimum) {
+    throw conflict(`Cannot change status from ${from} to ${to}`);
+  }
+  requireRole(role, minimum, `move annotations from ${from} to ${to}`);
+
+  const changes = { status: to };
+  if (to === 'approved' || to === 'rejected') {
+    const note = validateReviewNote(reviewNote);
+    if (to === 'rejected' && !note) {
+      throw badRequest('A review note is required to reject an annotation');
+    }
+    changes.review = { status: to, note, by: author, at: new Date().toISOString() };
+  }
+  return changes;
+}
+
+/**
+ * Status of an edited annotation before any status change in the same
+ * request: submitted and approved annotations whose reviewed content changes
+ * go back to draft.
+ * @param {Object} existing - Current record
+ * @param {Object} changes - Validated field changes
+ * @returns {Object} { status: 'draft' }, or {} when the status stays
+ */
+export function statusAfterEdit(existing, changes) {
+  const edited = REVIEWED_FIELDS.some(name =>
+    name in changes && JSON.stringify(changes[name] ?? null) !== JSON.stringify(existing[name] ?? null));
+  return edited && LOCKED_STATUSES.includes(statusOf(existing)) ? { status: 'draft' } : {};
+}
+
+/**
+ * Status fields of a restored annotation. Reviewers restore the recorded
+ * decision; others can only restore drafts and submissions.
+ * @returns {Object} { status, review? }
+ */
+export function restoredStatus(data, role) {
+  if (hasRole(role, 'reviewer') && STATUSES.includes(data.status)) {
+    const hasReview = !!data.review && typeof data.review === 'object' && !Array.isArray(data.review);
+    return hasReview ? { status: data.status, review: data.review } : { status: data.status };
+  }
+  return { status: AUTHOR_STATUSES.includes(data.status) ? data.status : 'draft' };
+}
@@ -0,0 +1,114 @@
+/**
+ * Role-based permissions.
+ *
+ * Each point cloud record stores role assignments by user ID:
+ *
+ *   { "roles": { "alice": "admin", "bob": "reviewer" } }
+ *
+ * Users without an assignment get the default role (DEFAULT_ROLE), and
+ * users listed in ADMIN_USERS are admins everywhere. Roles are ordered;
+ * each includes everything the roles before it may do:
+ *
+ *   viewer    - read annotations, categories and labels
+ *   annotator - create annotations and labels; edit and delete their own annotations
+ *   reviewer  - edit and delete anyone's annotations; approve and reject submissions (see ./review.js)
+ *   admin     - manage categories and role assignments, register and delete point clouds
+ */
+
+import { badRequest, forbidden } from './errors.js';
+
+export const ROLES = ['viewer', 'annotator', 'reviewer', 'admin'];
+
+export const MAX_ROLE_ASSIGNMENTS = 1000;
+const MAX_USER_ID_LENGTH = 128;
+
+export function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw badRequest(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Validate a point cloud's role assignments.
+ * @param {Object} roles - { userId: role }
+ * @returns {Object} The assignments
+ */
+export function validateRoleAssignments(roles) {
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    throw badRequest('Roles must be an object of user IDs to roles');
+  }
+  const entries = Object.entries(roles);
+  if (entries.length > MAX_ROLE_ASSIGNMENTS) {
+    throw badRequest(`Roles exceed ${MAX_ROLE_ASSIGNMENTS} assignments limit`);
+  }
+  for (const [userId, role] of entries) {
+    if (!userId || userId.length > MAX_USER_ID_LENGTH) {
+      throw badRequest(`Invalid user ID: ${userId}`);
+    }
+    validateRole(role);
+  }
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Create the role lookup for a deployment's settings.
+ * @param {Object} options
+ * @param {Array<string>} [options.adminUsers] - User IDs that are admins everywhere
+ * @param {string} [options.defaultRole] - Role of users without an assignment
+ */
+export function createRoles({ adminUsers = [], defaultRole = 'annotator' } = {}) {
+  validateRole(defaultRole);
+  const admins = new Set(adminUsers);
+
+  /**
+   * Role of a user on a point cloud (null for actions outside any point cloud)
+   */
+  function roleFor(user, pointCloud) {
+    if (admins.has(user.id)) {
+      return 'admin';
+    }
+    // Own properties only: IDs like "constructor" must not find Object.prototype members
+    const roles = pointCloud && pointCloud.roles;
+    return (roles && Object.hasOwn(roles, user.id) && roles[user.id]) || defaultRole;
+  }
+
+  return { roleFor };
+}
+
+/**
+ * Role settings from ADMIN_USERS (comma-separated user IDs) and DEFAULT_ROLE
+ */
+export function roleOptionsFromEnv(env) {
+  return {
+    adminUsers: (env.ADMIN_USERS || '').split(',').map(id => id.trim()).filter(Boolean),
+    defaultRole: env.DEFAULT_ROLE || undefined
+  };
+}
+
+export const hasRole = (role, minimum) => ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+
+/**
+ * Throw a 403 unless the role is at least `minimum`.
+ * @param {string} action - What was attempted, for the error message
+ */
+export function requireRole(role, minimum, action) {
+  if (!hasRole(role, minimum)) {
+    throw forbidden(`Your role (${role}) does not allow you to ${action}`);
+  }
+}
+
+/**
+ * Annotators may change their own annotations; reviewers and admins anyone's.
+ */
+export const canEditAnnotation = (role, user, annotation) =>
+  hasRole(role, 'reviewer') ||
+  (hasRole(role, 'annotator') && !!annotation.createdBy && annotation.createdBy.id === user.id);
+
+export function requireEditAnnotation(role, user, annotation, action) {
+  if (!canEditAnnotation(role, user, annotation)) {
+    throw forbidden(hasRole(role, 'annotator')
+      ? `Only reviewers can ${action} annotations created by others`
+      : `Your role (${role}) does not allow you to ${action} annotations`);
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Annotation search.
+ *
+ * GET /annotations narrows the list with these query parameters (all
+ * optional, combined with AND, and paginated like the plain list):
+ *
+ *   q              words that must all appear in the text (case-insensitive)
+ *   author         user ID of the creator
+ *   createdAfter   ISO 8601 date or time, inclusive
+ *   createdBefore  ISO 8601 date or time, exclusive
+ *   sort           createdAt (oldest first, the default) or -createdAt
+ *
+ * Repositories receive the parsed form:
+ *
+ *   { terms, author, createdAfter, createdBefore, descending }
+ */
+
+import { badRequest } from './errors.js';
+
+export const MAX_QUERY_BYTES = 256;
+export const MAX_QUERY_TERMS = 10;
+export const SORT_ORDERS = ['createdAt', '-createdAt'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+function parseDate(value, name) {
+  const time = Date.parse(value);
+  if (typeof value !== 'string' || Number.isNaN(time)) {
+    throw badRequest(`${name} must be an ISO 8601 date`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Parse the search query parameters.
+ * @returns {Object|null} The search, or null if none of them is given
+ */
+export function parseSearch({ q, author, createdAfter, createdBefore, sort } = {}) {
+  if ([q, author, createdAfter, createdBefore, sort].every(isBlank)) {
+    return null;
+  }
+
+  if (!isBlank(q) && typeof q !== 'string') {
+    throw badRequest('Search query must be a string');
+  }
+  if (!isBlank(q) && Buffer.byteLength(q, 'utf8') > MAX_QUERY_BYTES) {
+    throw badRequest(`Search query exceeds ${MAX_QUERY_BYTES} bytes limit`);
+  }
+  const terms = isBlank(q) ? [] : [...new Set(q.toLowerCase().split(/\s+/).filter(Boolean))];
+  if (terms.length > MAX_QUERY_TERMS) {
+    throw badRequest(`Search query exceeds ${MAX_QUERY_TERMS} words limit`);
+  }
+
+  if (!isBlank(author) && typeof author !== 'string') {
+    throw badRequest('Author must be a user ID');
+  }
+
+  const search = {
+    terms,
+    author: isBlank(author) ? null : author,
+    createdAfter: isBlank(createdAfter) ? null : parseDate(createdAfter, 'createdAfter'),
+    createdBefore: isBlank(createdBefore) ? null : parseDate(createdBefore, 'createdBefore'),
+    descending: sort === '-createdAt'
+  };
+  if (search.createdAfter && search.createdBefore && search.createdAfter >= search.createdBefore) {
+    throw badRequest('createdAfter must be earlier than createdBefore');
+  }
+  if (!isBlank(sort) && !SORT_ORDERS.includes(sort)) {
+    throw badRequest(`Sort must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+  return search;
+}
+
+/**
+ * The lowercased text searched for terms (stored as `searchText` on AWS,
+ * where contains() is case-sensitive)
+ */
+export const toSearchText = (text) => (text || '').toLowerCase();
+
+/**
+ * True if an annotation matches a parsed search (sort order aside)
+ */
+export function matchesSearch(annotation, { terms, author, createdAfter, createdBefore }) {
+  const text = toSearchText(annotation.text);
+  const createdAt = annotation.createdAt || '';
+  return terms.every(term => text.includes(term)) &&
+    (!author || (annotation.createdBy && annotation.createdBy.id === author)) &&
+    (!createdAfter || createdAt >= createdAfter) &&
+    (!createdBefore || createdAt < createdBefore);
+}
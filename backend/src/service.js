@@ -0,0 +1,855 @@
+/**
+ * Annotation and point cloud business logic.
+ *
+ * Validation, ID generation and timestamps live here so the Express server
+ * and the Lambda handler behave identically. Persistence is delegated to a
+ * repository (see ./repositories) which only stores and retrieves records.
+ */
+
+import { randomUUID } from 'crypto';
+import { ApiError, badRequest, forbidden, notFound, conflict } from './errors.js';
+import { computeMeasurement } from './measurements.js';
+import { validateLabelUpdate } from './point-labels.js';
+import { validateTaxonomy, validateCategory } from './taxonomy.js';
+import { validateInitialStatus, buildStatusChange, statusAfterEdit, restoredStatus } from './review.js';
+import { validateCommentText, compareComments, MAX_COMMENTS_PER_ANNOTATION } from './comments.js';
+import { buildRevision, compareRevisions, REVERTIBLE_FIELDS } from './history.js';
+import {
+  createRoles,
+  requireRole,
+  canEditAnnotation,
+  requireEditAnnotation,
+  validateRoleAssignments
+} from './roles.js';
+import { validateExportFormat, serializeAnnotations } from './export.js';
+import { validateImportFormat, parseImportFile } from './import.js';
+import { parseSearch } from './search.js';
+import { parseSpatialQuery } from './spatial.js';
+import { validateDescription, validateTags } from './pointcloud-metadata.js';
+import {
+  UUID_REGEX,
+  assertId,
+  validatePosition,
+  validateCameraVector,
+  validateText,
+  validateType,
+  validateTypeFields,
+  validateRequiredString,
+  validateBatchOperations,
+  normalizePath,
+  parseLimit,
+  MAX_PAGE_LIMIT,
+  encodeCursor,
+  decodeCursor
+} from './validation.js';
+
+/**
+ * Read-only fields computed from the other fields of an annotation type.
+ * Clients cannot set these; they are recomputed whenever the inputs change.
+ */
+const DERIVED_FIELDS = {
+  measurement: ({ measurementKind, vertices }) => computeMeasurement(measurementKind, vertices)
+};
+
+const deriveFields = (type, record) => (DERIVED_FIELDS[type] ? DERIVED_FIELDS[type](record) : {});
+
+// Author stored on records (createdBy / updatedBy) for the authenticated user
+const toAuthor = (user) => ({ id: user.id, name: user.name });
+
+const isAuthor = (value) => !!value && typeof value.id === 'string' && typeof value.name === 'string';
+
+// Records written before versioning are at version 1
+const versionOf = (annotation) => annotation.version ?? 1;
+
+// Bookkeeping fields a delete revision keeps so the annotation can be restored
+const deletedFields = (annotation) => ({
+  deleted: {
+    pointCloudId: annotation.pointCloudId || null,
+    createdAt: annotation.createdAt || null,
+    createdBy: annotation.createdBy || null
+  }
+});
+
+// 409 carrying the stored record so the client can show and merge it
+const versionConflict = (current) => conflict('Annotation was changed by someone else', { current });
+
+// Categories of a point cloud record (none for unregistered clouds)
+const taxonomyOf = (pointCloud) => (pointCloud && pointCloud.taxonomy) || [];
+
+/**
+ * Create the service over a repository.
+ * @param {Object} repository - One of the repositories in ./repositories
+ * @param {Object} [roleOptions] - Admin users and default role (see ./roles.js)
+ * @param {Object} [options]
+ * @param {Function} [options.readPointCloudMetadata] - async (path) -> metadata
+ *   of a cloud being registered, or null (see ./pointcloud-metadata.js)
+ * @returns {Object} Service methods used by both API adapters
+ */
+export function createService(repository, roleOptions = {}, { readPointCloudMetadata = async () => null } = {}) {
+  const access = createRoles(roleOptions);
+
+  // ========================================
+  // Annotations
+  // ========================================
+
+  /**
+   * List one page of annotations, oldest first when filtered by point cloud,
+   * optionally narrowed by a search (see ./search.js) and a box, or the
+   * annotations nearest to a point, nearest first (see ./spatial.js).
+   * @returns {Promise<{items: Array, nextCursor: string|null}>}
+   */
+  async function listAnnotations({ pointCloudId = null, limit, cursor, bbox, near, radius, k, ...query }, user) {
+    const pointCloud = await findPointCloud(pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'viewer', 'view annotations');
+    const spatial = parseSpatialQuery({ bbox, near, radius, k });
+    const search = parseSearch(query);
+    if (spatial && !pointCloudId) {
+      throw badRequest('Spatial queries need a pointCloudId');
+    }
+
+    if (spatial && spatial.near) {
+      const matches = await repository.nearestAnnotations({ pointCloudId, ...spatial.near, search });
+      return {
+        items: matches.map(({ annotation, distance }) => ({ ...annotation, distance })),
+        nextCursor: null
+      };
+    }
+
+    const { items, lastKey } = await repository.listAnnotations({
+      pointCloudId,
+      limit: parseLimit(limit),
+      startKey: decodeCursor(cursor),
+      search,
+      bbox: spatial && spatial.bbox
+    });
+    return { items, nextCursor: encodeCursor(lastKey) };
+  }
+
+  /**
+   * Export every annotation (optionally of one point cloud) as a file.
+   * @returns {Promise<{contentType: string, filename: string, body: string}>}
+   */
+  async function exportAnnotations({ pointCloudId = null, format }, user) {
+    const pointCloud = await findPointCloud(pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'viewer', 'export annotations');
+    const exportFormat = validateExportFormat(format);
+
+    const annotations = [];
+    let startKey = null;
+    do {
+      const page = await repository.listAnnotations({ pointCloudId, limit: MAX_PAGE_LIMIT, startKey });
+      annotations.push(...page.items);
+      startKey = page.lastKey;
+    } while (startKey);
+
+    return serializeAnnotations(exportFormat, annotations);
+  }
+
+  /**
+   * Validate a create request and build the new record.
+   * @param {Object} data - Request body (or imported row)
+   * @param {Array} taxonomy - Categories of the annotation's point cloud
+   * @param {Object} user - Authenticated user, recorded as the author
+   */
+  function buildAnnotation(data, taxonomy, user) {
+    const type = validateType(data.type);
+    const position = validatePosition(data.position);
+    const text = validateText(data.text);
+    const typeFields = validateTypeFields(type, data);
+    Object.assign(typeFields, deriveFields(type, typeFields));
+    const category = data.category === undefined || data.category === null
+      ? null
+      : validateCategory(data.category, taxonomy);
+    const status = validateInitialStatus(data.status);
+
+    return {
+      id: randomUUID(),
+      pointCloudId: data.pointCloudId || null,
+      type,
+      category,
+      status,
+      position,
+      ...typeFields,
+      text,
+      cameraPosition: validateCameraVector(data.cameraPosition, 'cameraPosition'),
+      cameraTarget: validateCameraVector(data.cameraTarget, 'cameraTarget'),
+      version: 1,
+      createdAt: new Date().toISOString(),
+      createdBy: toAuthor(user)
+    };
+  }
+
+  async function createAnnotation(data, user) {
+    const pointCloud = await findPointCloud(data.pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'annotator', 'create annotations');
+    const annotation = buildAnnotation(data, taxonomyOf(pointCloud), user);
+
+    await repository.putAnnotation(annotation);
+    await repository.putRevisions([buildRevision(1, 'create', annotation, null, toAuthor(user))]);
+    return annotation;
+  }
+
+  /**
+   * Create annotations from a CSV, GeoJSON or JSON file. Each row is
+   * validated like a create request; invalid rows are reported and skipped.
+   * @returns {Promise<{imported: Array, errors: Array<{row: number, error: string}>, total: number}>}
+   */
+  async function importAnnotations({ pointCloudId = null, format, content }, user) {
+    const pointCloud = await findPointCloud(pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'annotator', 'import annotations');
+    const rows = parseImportFile(validateImportFormat(format), content);
+    const taxonomy = taxonomyOf(pointCloud);
+
+    const imported = [];
+    const errors = [];
+    for (const { row, read } of rows) {
+      try {
+        imported.push(buildAnnotation({ ...read(), pointCloudId }, taxonomy, user));
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        errors.push({ row, error: error.message });
+      }
+    }
+
+    if (imported.length > 0) {
+      await repository.putAnnotations(imported);
+      await repository.putRevisions(imported.map(annotation =>
+        buildRevision(1, 'create', annotation, null, toAuthor(user))));
+    }
+    return { imported, errors, total: rows.length };
+  }
+
+  /**
+   * Validate an update request against the stored record.
+   * @param {Object} existing - Current record
+   * @param {Object} data - Request body
+   * @param {Array} taxonomy - Categories of the annotation's point cloud
+   * @param {Object} user - Authenticated user, recorded as the last editor
+   * @param {string} role - The user's role, for status changes (see ./review.js)
+   * @returns {Object} Changes to store
+   */
+  function buildChanges(existing, data, taxonomy, user, role) {
+    const type = existing.type || 'point';
+
+    const changes = validateTypeFields(type, data, { partial: true });
+    if (Object.keys(changes).length > 0) {
+      Object.assign(changes, deriveFields(type, { ...existing, ...changes }));
+    }
+    if (data.text !== undefined) {
+      changes.text = validateText(data.text);
+    }
+    if (data.category !== undefined) {
+      changes.category = validateCategory(data.category, taxonomy);
+    }
+    // Markers can be dragged to a new position and the stored view re-captured
+    if (data.position !== undefined) {
+      changes.position = validatePosition(data.position);
+    }
+    for (const name of ['cameraPosition', 'cameraTarget']) {
+      if (data[name] !== undefined) {
+        changes[name] = validateCameraVector(data[name], name);
+      }
+    }
+    // A requested status change starts from draft if the edit withdrew the annotation
+    const withdrawn = statusAfterEdit(existing, changes);
+    Object.assign(changes, withdrawn);
+    if (data.status !== undefined) {
+      Object.assign(changes, buildStatusChange({ ...existing, ...withdrawn }, data, role, toAuthor(user)));
+    }
+    changes.version = versionOf(existing) + 1;
+    changes.updatedAt = new Date().toISOString();
+    changes.updatedBy = toAuthor(user);
+    return changes;
+  }
+
+  /**
+   * Update an annotation. The write only succeeds if the record is still at
+   * the version it was validated against, so concurrent edits get a 409
+   * instead of overwriting each other.
+   * @param {number|null} [expectedVersion] - Version the edit is based on (If-Match)
+   */
+  async function updateAnnotation(id, data, user, expectedVersion = null) {
+    assertId(id, 'annotation');
+
+    const existing = await repository.getAnnotation(id);
+    if (!existing) {
+      throw notFound('Annotation not found');
+    }
+    const pointCloud = await findPointCloud(existing.pointCloudId);
+    const role = access.roleFor(user, pointCloud);
+    requireEditAnnotation(role, user, existing, 'edit');
+    if (expectedVersion !== null && expectedVersion !== versionOf(existing)) {
+      throw versionConflict(existing);
+    }
+    const changes = buildChanges(existing, data, taxonomyOf(pointCloud), user, role);
+
+    const updated = await writeChanges(existing, changes);
+    await appendRevisions([['update', updated, existing]], user);
+    return updated;
+  }
+
+  // Store changes if the record is still at the version they were built from
+  async function writeChanges(existing, changes) {
+    const updated = await repository.updateAnnotation(existing.id, changes, versionOf(existing));
+    if (!updated) {
+      const current = await repository.getAnnotation(existing.id);
+      throw current ? versionConflict(current) : notFound('Annotation not found');
+    }
+    return updated;
+  }
+
+  /**
+   * Log writes to annotations (updates that leave the content unchanged are
+   * skipped). Each revision is numbered with the version the write produced;
+   * versions are only ever written once, so concurrent writes can't share a
+   * number. A delete takes the version after the deleted record's.
+   * @param {Array} entries - [action, annotation, previous, extra?] per write
+   */
+  async function appendRevisions(entries, user) {
+    const revisions = [];
+    for (const [action, annotation, previous, extra] of entries) {
+      const number = versionOf(annotation) + (action === 'delete' ? 1 : 0);
+      const revision = buildRevision(number, action, annotation, previous, toAuthor(user), extra);
+      if (!previous || Object.keys(revision.changes).length > 0) {
+        revisions.push(revision);
+      }
+    }
+    if (revisions.length > 0) {
+      await repository.putRevisions(revisions);
+    }
+  }
+
+  async function deleteAnnotation(id, user) {
+    assertId(id, 'annotation');
+
+    const existing = await repository.getAnnotation(id);
+    if (!existing) {
+      throw notFound('Annotation not found');
+    }
+    const pointCloud = await findPointCloud(existing.pointCloudId);
+    requireEditAnnotation(access.roleFor(user, pointCloud), user, existing, 'delete');
+
+    const deleted = await repository.deleteAnnotation(id);
+    if (!deleted) {
+      throw notFound('Annotation not found');
+    }
+    await repository.deleteComments(id);
+    await appendRevisions([['delete', existing, null, deletedFields(existing)]], user);
+  }
+
+  /**
+   * Re-create a deleted annotation with its original ID, content, creation
+   * time and author (used to undo a delete). Only an annotation whose last
+   * revision is its delete can be restored, and everything is rebuilt from
+   * that revision rather than from the request. Reviewers get the recorded
+   * review status back; the restoring user is recorded as the last editor.
+   * @param {Object} data - Request body; only its pointCloudId is read, for
+   *   deletes logged before the record's bookkeeping fields were kept
+   */
+  async function restoreAnnotation(id, data, user) {
+    assertId(id, 'annotation');
+
+    if (await repository.getAnnotation(id)) {
+      throw conflict('Annotation already exists');
+    }
+    const revisions = (await repository.listRevisions(id)).sort(compareRevisions);
+    const deletion = revisions[revisions.length - 1];
+    if (!deletion || deletion.action !== 'delete') {
+      throw notFound('No deleted annotation with this ID');
+    }
+    const created = revisions.find(r => r.action === 'create');
+    const record = deletion.deleted || {
+      pointCloudId: data.pointCloudId || null,
+      createdAt: created ? created.at : null,
+      createdBy: created ? created.by : null
+    };
+
+    const pointCloud = await findPointCloud(record.pointCloudId);
+    const role = access.roleFor(user, pointCloud);
+    const { snapshot } = deletion;
+    const annotation = {
+      ...buildAnnotation({ ...snapshot, pointCloudId: record.pointCloudId, status: undefined }, taxonomyOf(pointCloud), user),
+      ...restoredStatus(snapshot, role),
+      id,
+      // Continues after the delete's revision number (see appendRevisions)
+      version: deletion.revision + 1
+    };
+    if (record.createdAt) {
+      annotation.createdAt = record.createdAt;
+    }
+    if (isAuthor(record.createdBy)) {
+      annotation.createdBy = toAuthor(record.createdBy);
+    }
+    annotation.updatedAt = new Date().toISOString();
+    annotation.updatedBy = toAuthor(user);
+    requireEditAnnotation(role, user, annotation, 'restore');
+
+    await repository.putAnnotation(annotation);
+    await appendRevisions([['restore', annotation, null]], user);
+    return annotation;
+  }
+
+  /**
+   * Apply create, update and delete operations all-or-nothing. Every
+   * operation is validated before anything is written; an invalid or
+   * missing annotation fails the whole batch and names the operation.
+   * @param {Object} data - { operations: [{ op, id?, data? }] }
+   * @returns {Promise<{results: Array}>} One result per operation, in order
+   */
+  async function batchAnnotations(data, user) {
+    const operations = validateBatchOperations(data.operations);
+
+    // Look up each point cloud (taxonomy and roles) at most once
+    const pointClouds = new Map();
+    const pointCloudFor = async (pointCloudKey) => {
+      if (!pointClouds.has(pointCloudKey)) {
+        pointClouds.set(pointCloudKey, await findPointCloud(pointCloudKey));
+      }
+      return pointClouds.get(pointCloudKey);
+    };
+
+    const writes = [];
+    const results = [];
+    const logEntries = [];
+    for (const [index, operation] of operations.entries()) {
+      try {
+        if (operation.op === 'create') {
+          const body = operation.data || {};
+          const pointCloud = await pointCloudFor(body.pointCloudId);
+          requireRole(access.roleFor(user, pointCloud), 'annotator', 'create annotations');
+          const annotation = buildAnnotation(body, taxonomyOf(pointCloud), user);
+          writes.push({ type: 'put', annotation });
+          results.push({ op: 'create', id: annotation.id, annotation });
+          logEntries.push(['create', annotation, null]);
+          continue;
+        }
+
+        const existing = await repository.getAnnotation(operation.id);
+        if (!existing) {
+          throw notFound('Annotation not found');
+        }
+        const pointCloud = await pointCloudFor(existing.pointCloudId);
+        const role = access.roleFor(user, pointCloud);
+        requireEditAnnotation(role, user, existing, operation.op);
+        if (operation.op === 'update') {
+          if (operation.version !== undefined && operation.version !== versionOf(existing)) {
+            throw versionConflict(existing);
+          }
+          const body = operation.data || {};
+          const changes = buildChanges(existing, body, taxonomyOf(pointCloud), user, role);
+          const annotation = { ...existing, ...changes };
+          writes.push({ type: 'update', id: operation.id, changes, expectedVersion: versionOf(existing) });
+          results.push({ op: 'update', id: operation.id, annotation });
+          logEntries.push(['update', annotation, existing]);
+        } else {
+          writes.push({ type: 'delete', id: operation.id });
+          results.push({ op: 'delete', id: operation.id });
+          logEntries.push(['delete', existing, null, deletedFields(existing)]);
+        }
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        throw new ApiError(error.statusCode, `Operation ${index + 1}: ${error.message}`, error.details);
+      }
+    }
+
+    // Records can change between validation and the write; the repository
+    // reports which write found its record missing, changed (or already present)
+    const failedIndex = await repository.writeAnnotationBatch(writes);
+    if (failedIndex !== null) {
+      const failed = writes[failedIndex];
+      const current = failed.type === 'update' ? await repository.getAnnotation(failed.id) : null;
+      if (current) {
+        throw conflict(`Operation ${failedIndex + 1}: Annotation was changed by someone else`, { current });
+      }
+      throw notFound(`Operation ${failedIndex + 1}: Annotation not found`);
+    }
+    for (const write of writes) {
+      if (write.type === 'delete') {
+        await repository.deleteComments(write.id);
+      }
+    }
+    await appendRevisions(logEntries, user);
+    return { results };
+  }
+
+  // ========================================
+  // Revision History
+  // ========================================
+
+  /**
+   * The revision log of an annotation, newest first.
+   * @returns {Promise<{items: Array}>}
+   */
+  async function getHistory(annotationId, user) {
+    const annotation = await requireAnnotation(annotationId);
+    const pointCloud = await findPointCloud(annotation.pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'viewer', 'view annotation history');
+    const revisions = await repository.listRevisions(annotationId);
+    return { items: revisions.sort(compareRevisions).reverse() };
+  }
+
+  /**
+   * Copy an earlier revision's content back onto the annotation. The type
+   * and review status stay as they are; the write is validated like an
+   * update and logged as a `revert` revision.
+   */
+  async function restoreRevision(annotationId, revisionId, user) {
+    const existing = await requireAnnotation(annotationId);
+    assertId(revisionId, 'revision');
+    const revisions = await repository.listRevisions(annotationId);
+    const target = revisions.find(r => r.id === revisionId);
+    if (!target || target.action === 'delete') {
+      throw notFound('Revision not found');
+    }
+
+    const pointCloud = await findPointCloud(existing.pointCloudId);
+    const role = access.roleFor(user, pointCloud);
+    requireEditAnnotation(role, user, existing, 'edit');
+    const data = Object.fromEntries(REVERTIBLE_FIELDS
+      .filter(name => target.snapshot[name] !== undefined)
+      .map(name => [name, target.snapshot[name]]));
+    const changes = buildChanges(existing, data, taxonomyOf(pointCloud), user, role);
+
+    const updated = await writeChanges(existing, changes);
+    await appendRevisions([['revert', updated, existing, { revertedTo: revisionId }]], user);
+    return updated;
+  }
+
+  // ========================================
+  // Comments
+  // ========================================
+
+  async function requireAnnotation(id) {
+    assertId(id, 'annotation');
+    const annotation = await repository.getAnnotation(id);
+    if (!annotation) {
+      throw notFound('Annotation not found');
+    }
+    return annotation;
+  }
+
+  /**
+   * List an annotation's comments, oldest first.
+   * @returns {Promise<{items: Array}>}
+   */
+  async function listComments(annotationId, user) {
+    const annotation = await requireAnnotation(annotationId);
+    const pointCloud = await findPointCloud(annotation.pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'viewer', 'view comments');
+    const comments = await repository.listComments(annotationId);
+    return { items: comments.sort(compareComments) };
+  }
+
+  /**
+   * Add a comment to an annotation's thread. The annotation's
+   * `commentCount` is incremented in place, without touching
+   * updatedAt/updatedBy or the version.
+   */
+  async function createComment(annotationId, data, user) {
+    const annotation = await requireAnnotation(annotationId);
+    const pointCloud = await findPointCloud(annotation.pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'annotator', 'comment on annotations');
+
+    const text = validateCommentText(data.text);
+    const existing = await repository.listComments(annotationId);
+    if (existing.length >= MAX_COMMENTS_PER_ANNOTATION) {
+      throw badRequest(`Annotation exceeds ${MAX_COMMENTS_PER_ANNOTATION} comments limit`);
+    }
+
+    const comment = {
+      id: randomUUID(),
+      annotationId,
+      text,
+      createdAt: new Date().toISOString(),
+      createdBy: toAuthor(user)
+    };
+    await repository.putComment(comment);
+    await repository.addCommentCount(annotationId, 1);
+    return comment;
+  }
+
+  // Authors delete their own comments; reviewers and admins anyone's
+  async function deleteComment(annotationId, commentId, user) {
+    const annotation = await requireAnnotation(annotationId);
+    assertId(commentId, 'comment');
+    const comment = await repository.getComment(annotationId, commentId);
+    if (!comment) {
+      throw notFound('Comment not found');
+    }
+    const pointCloud = await findPointCloud(annotation.pointCloudId);
+    if (!canEditAnnotation(access.roleFor(user, pointCloud), user, comment)) {
+      throw forbidden('Only reviewers can delete comments by others');
+    }
+
+    const deleted = await repository.deleteComment(annotationId, commentId);
+    if (!deleted) {
+      throw notFound('Comment not found');
+    }
+    await repository.addCommentCount(annotationId, -1);
+  }
+
+  // ========================================
+  // Point Clouds
+  // ========================================
+
+  // Role assignments are only returned to admins (see getRoles)
+  const withoutRoles = ({ roles, ...pointCloud }) => pointCloud;
+
+  async function listPointClouds(user) {
+    requireRole(access.roleFor(user, null), 'viewer', 'view point clouds');
+    const pointClouds = await repository.listPointClouds();
+    return pointClouds.map(withoutRoles);
+  }
+
+  /**
+   * Register a point cloud; its bounding box, point count, spacing,
+   * attributes and projection are read from the cloud's own description.
+   * A cloud whose description can't be read (not uploaded yet, or its host
+   * is down) is registered with `metadata: null` and the reason returned as
+   * `warning`; PUT with refreshMetadata reads it later.
+   */
+  async function createPointCloud(data, user) {
+    requireRole(access.roleFor(user, null), 'admin', 'register point clouds');
+    const name = validateRequiredString(data.name, 'Name');
+    const path = normalizePath(validateRequiredString(data.path, 'Path'));
+    const description = validateDescription(data.description);
+    const tags = validateTags(data.tags);
+
+    let metadata = null;
+    let warning = null;
+    try {
+      metadata = await readPointCloudMetadata(path);
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+      warning = `Metadata not read: ${error.message}`;
+    }
+
+    const pointCloud = {
+      id: randomUUID(),
+      name,
+      path,
+      description,
+      tags,
+      metadata,
+      createdAt: new Date().toISOString(),
+      createdBy: toAuthor(user)
+    };
+
+    await repository.putPointCloud(pointCloud);
+    return warning ? { ...pointCloud, warning } : pointCloud;
+  }
+
+  /**
+   * Edit a point cloud's name, description and tags, or re-read its metadata
+   * (`refreshMetadata: true`). The path can't change: annotations reference
+   * the cloud by it.
+   */
+  async function updatePointCloud(id, data, user) {
+    const pointCloud = await requirePointCloud(id);
+    requireRole(access.roleFor(user, pointCloud), 'admin', 'edit point clouds');
+
+    if (data.path !== undefined &&
+        (typeof data.path !== 'string' || normalizePath(data.path) !== pointCloud.path)) {
+      throw badRequest('The path of a registered point cloud cannot be changed');
+    }
+    const changes = {};
+    if (data.name !== undefined) {
+      changes.name = validateRequiredString(data.name, 'Name');
+    }
+    if (data.description !== undefined) {
+      changes.description = validateDescription(data.description);
+    }
+    if (data.tags !== undefined) {
+      changes.tags = validateTags(data.tags);
+    }
+    if (data.refreshMetadata === true) {
+      changes.metadata = await readPointCloudMetadata(pointCloud.path);
+    }
+    if (Object.keys(changes).length === 0) {
+      throw badRequest('Nothing to update (name, description, tags or refreshMetadata)');
+    }
+
+    const updated = await repository.updatePointCloud(id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+      updatedBy: toAuthor(user)
+    });
+    if (!updated) {
+      throw notFound('Point cloud not found');
+    }
+    return withoutRoles(updated);
+  }
+
+  async function deletePointCloud(id, user) {
+    const pointCloud = await requirePointCloud(id);
+    requireRole(access.roleFor(user, pointCloud), 'admin', 'delete point clouds');
+
+    const deleted = await repository.deletePointCloud(id);
+    if (!deleted) {
+      throw notFound('Point cloud not found');
+    }
+    await repository.deletePointLabels(id);
+  }
+
+  async function requirePointCloud(id) {
+    assertId(id, 'point cloud');
+
+    const pointCloud = await repository.getPointCloud(id);
+    if (!pointCloud) {
+      throw notFound('Point cloud not found');
+    }
+    return pointCloud;
+  }
+
+  /**
+   * Registry entry of an annotation's point cloud. Annotations reference
+   * their cloud by path (or registry ID); unregistered clouds return null.
+   */
+  async function findPointCloud(pointCloudKey) {
+    if (!pointCloudKey || typeof pointCloudKey !== 'string') {
+      return null;
+    }
+    if (UUID_REGEX.test(pointCloudKey)) {
+      return repository.getPointCloud(pointCloudKey);
+    }
+    return repository.getPointCloudByPath(normalizePath(pointCloudKey));
+  }
+
+  // ========================================
+  // Roles
+  // ========================================
+
+  /**
+   * The signed-in user and their role on a point cloud (path or registry
+   * ID; the default role applies to unregistered clouds).
+   * @returns {Promise<{id: string, name: string, role: string}>}
+   */
+  async function getCurrentUser(user, pointCloudKey = null) {
+    const pointCloud = await findPointCloud(pointCloudKey);
+    return { ...user, role: access.roleFor(user, pointCloud) };
+  }
+
+  /**
+   * @returns {Promise<{pointCloudId: string, roles: Object}>}
+   */
+  async function getRoles(pointCloudId, user) {
+    const pointCloud = await requirePointCloud(pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'admin', 'view role assignments');
+    return { pointCloudId, roles: pointCloud.roles || {} };
+  }
+
+  /**
+   * Replace all role assignments of a point cloud.
+   */
+  async function updateRoles(pointCloudId, data, user) {
+    const pointCloud = await requirePointCloud(pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'admin', 'assign roles');
+
+    const roles = validateRoleAssignments(data.roles);
+    const updated = await repository.updatePointCloud(pointCloudId, {
+      roles,
+      updatedAt: new Date().toISOString(),
+      updatedBy: toAuthor(user)
+    });
+    if (!updated) {
+      throw notFound('Point cloud not found');
+    }
+    return { pointCloudId, roles };
+  }
+
+  // ========================================
+  // Taxonomy
+  // ========================================
+
+  /**
+   * @returns {Promise<{pointCloudId: string, categories: Array}>}
+   */
+  async function getTaxonomy(pointCloudId, user) {
+    const pointCloud = await requirePointCloud(pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'viewer', 'view categories');
+    return { pointCloudId, categories: pointCloud.taxonomy || [] };
+  }
+
+  /**
+   * Replace the whole taxonomy. Annotations keep category IDs that are
+   * removed; clients show them as uncategorized.
+   */
+  async function updateTaxonomy(pointCloudId, data, user) {
+    const pointCloud = await requirePointCloud(pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'admin', 'manage categories');
+
+    const categories = validateTaxonomy(data.categories);
+    const updated = await repository.updatePointCloud(pointCloudId, {
+      taxonomy: categories,
+      updatedAt: new Date().toISOString(),
+      updatedBy: toAuthor(user)
+    });
+    if (!updated) {
+      throw notFound('Point cloud not found');
+    }
+    return { pointCloudId, categories };
+  }
+
+  // ========================================
+  // Point Labels
+  // ========================================
+
+  /**
+   * Get all per-point labels of a point cloud, keyed by octree node name.
+   * @returns {Promise<{pointCloudId: string, nodes: Object}>}
+   */
+  async function getPointLabels(pointCloudId, user) {
+    const pointCloud = await requirePointCloud(pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'viewer', 'view point labels');
+
+    const entries = await repository.listPointLabels(pointCloudId);
+    return {
+      pointCloudId,
+      nodes: Object.fromEntries(entries.map(entry => [entry.nodeName, entry.ranges]))
+    };
+  }
+
+  /**
+   * Replace the labels of the given nodes; other nodes are left untouched.
+   * @returns {Promise<{pointCloudId: string, updatedNodes: number}>}
+   */
+  async function updatePointLabels(pointCloudId, data, user) {
+    const pointCloud = await requirePointCloud(pointCloudId);
+    requireRole(access.roleFor(user, pointCloud), 'annotator', 'label points');
+
+    const entries = validateLabelUpdate(data);
+    const updatedAt = new Date().toISOString();
+    const updatedBy = toAuthor(user);
+    await repository.putPointLabels(pointCloudId, entries.map(entry => ({ ...entry, updatedAt, updatedBy })));
+    return { pointCloudId, updatedNodes: entries.length };
+  }
+
+  return {
+    listAnnotations,
+    exportAnnotations,
+    createAnnotation,
+    importAnnotations,
+    updateAnnotation,
+    deleteAnnotation,
+    restoreAnnotation,
+    batchAnnotations,
+    getHistory,
+    restoreRevision,
+    listComments,
+    createComment,
+    deleteComment,
+    listPointClouds,
+    createPointCloud,
+    updatePointCloud,
+    deletePointCloud,
+    getCurrentUser,
+    getRoles,
+    updateRoles,
+    getTaxonomy,
+    updateTaxonomy,
+    getPointLabels,
+    updatePointLabels
+  };
+}
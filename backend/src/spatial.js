@@ -0,0 +1,231 @@
+/**
+ * Spatial annotation queries.
+ *
+ * GET /annotations on a point cloud also takes (in the cloud's coordinates):
+ *
+ *   bbox=minX,minY,minZ,maxX,maxY,maxZ   annotations whose position is inside
+ *                                        the box, paginated like the plain list
+ *   near=x,y,z&k=5                       the k annotations nearest to the point
+ *   near=x,y,z&radius=2.5                those within the radius (both may be
+ *                                        given), nearest first, each with its
+ *                                        `distance`, in a single page
+ *
+ * Locally the annotations are bucketed in a uniform grid (createGridIndex).
+ * DynamoDB items carry a geohash-style key: the x/y position quantized to
+ * centimeters and bit-interleaved into base-4 digits, so every prefix is a
+ * square cell and a box is covered by at most four prefix queries.
+ */
+
+import { badRequest } from './errors.js';
+import { MAX_PAGE_LIMIT } from './validation.js';
+
+// ========================================
+// Parameters
+// ========================================
+
+function parseNumbers(value, count, name, format) {
+  const numbers = typeof value === 'string' ? value.split(',').map(part => Number(part.trim())) : [];
+  if (numbers.length !== count || numbers.some(n => !Number.isFinite(n))) {
+    throw badRequest(`${name} must be ${format}`);
+  }
+  return numbers;
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Parse the spatial query parameters.
+ * @returns {Object|null} { bbox: { min, max } } or { near: { point, k, radius } },
+ *   or null if none is given
+ */
+export function parseSpatialQuery({ bbox, near, radius, k } = {}) {
+  if (!isBlank(bbox) && !isBlank(near)) {
+    throw badRequest('Use either bbox or near, not both');
+  }
+
+  if (!isBlank(bbox)) {
+    const [minX, minY, minZ, maxX, maxY, maxZ] =
+      parseNumbers(bbox, 6, 'bbox', 'minX,minY,minZ,maxX,maxY,maxZ');
+    if (minX > maxX || minY > maxY || minZ > maxZ) {
+      throw badRequest('bbox minimums must not exceed its maximums');
+    }
+    return { bbox: { min: { x: minX, y: minY, z: minZ }, max: { x: maxX, y: maxY, z: maxZ } } };
+  }
+
+  if (isBlank(near)) {
+    if (!isBlank(radius) || !isBlank(k)) {
+      throw badRequest('radius and k need a near point');
+    }
+    return null;
+  }
+  const [x, y, z] = parseNumbers(near, 3, 'near', 'x,y,z');
+  if (isBlank(radius) && isBlank(k)) {
+    throw badRequest('near needs a radius, k or both');
+  }
+  const query = { point: { x, y, z }, k: MAX_PAGE_LIMIT, radius: Infinity };
+  if (!isBlank(k)) {
+    query.k = Number(k);
+    if (!Number.isInteger(query.k) || query.k < 1 || query.k > MAX_PAGE_LIMIT) {
+      throw badRequest(`k must be an integer between 1 and ${MAX_PAGE_LIMIT}`);
+    }
+  }
+  if (!isBlank(radius)) {
+    query.radius = Number(radius);
+    if (!Number.isFinite(query.radius) || query.radius <= 0) {
+      throw badRequest('radius must be a positive number');
+    }
+  }
+  return { near: query };
+}
+
+// ========================================
+// Geometry
+// ========================================
+
+export const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+export const isInBox = (p, { min, max }) =>
+  p.x >= min.x && p.x <= max.x && p.y >= min.y && p.y <= max.y && p.z >= min.z && p.z <= max.z;
+
+const cubeAround = (p, r) => ({
+  min: { x: p.x - r, y: p.y - r, z: p.z - r },
+  max: { x: p.x + r, y: p.y + r, z: p.z + r }
+});
+
+/**
+ * Nearest annotations using any box query: the cube around the point grows
+ * until it holds k matches no farther than its half-size (every closer
+ * annotation is then inside it) or reaches maxReach.
+ * @param {Function} queryBox - async (box) -> annotations with positions inside it
+ * @param {Object} point - { x, y, z }
+ * @param {Object} options - { k, radius, filter, initialReach, maxReach }
+ * @returns {Promise<Array<{annotation: Object, distance: number}>>} Nearest first
+ */
+export async function findNearest(queryBox, point, { k, radius, filter, initialReach, maxReach }) {
+  for (let reach = initialReach; ; reach *= 4) {
+    const r = Math.min(reach, radius, maxReach);
+    const found = (await queryBox(cubeAround(point, r)))
+      .filter(filter)
+      .map(annotation => ({ annotation, distance: distance(annotation.position, point) }))
+      .filter(match => match.distance <= r)
+      .sort((a, b) => a.distance - b.distance);
+    if (found.length >= k || r === radius || r === maxReach) {
+      return found.slice(0, k);
+    }
+  }
+}
+
+// ========================================
+// Grid index (local server)
+// ========================================
+
+/**
+ * Bucket annotations into cubic cells sized for about one annotation each.
+ * @param {Array} annotations - Annotations of one point cloud
+ * @returns {{withinBox: Function, nearest: Function}}
+ */
+export function createGridIndex(annotations) {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (const { position } of annotations) {
+    for (const axis of ['x', 'y', 'z']) {
+      min[axis] = Math.min(min[axis], position[axis]);
+      max[axis] = Math.max(max[axis], position[axis]);
+    }
+  }
+  const extent = Math.max(max.x - min.x, max.y - min.y, max.z - min.z) || 1;
+  const cellSize = extent / Math.max(1, Math.round(Math.cbrt(annotations.length)));
+
+  const cellOf = (p) => ['x', 'y', 'z'].map(axis => Math.floor((p[axis] - min[axis]) / cellSize));
+  const cells = new Map(); // "i,j,k" -> annotations
+  for (const annotation of annotations) {
+    const key = cellOf(annotation.position).join(',');
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(annotation);
+  }
+
+  function withinBox(box) {
+    const [i0, j0, k0] = cellOf(box.min);
+    const [i1, j1, k1] = cellOf(box.max);
+    // A box much larger than the data is cheaper to test annotation by annotation
+    if ((i1 - i0 + 1) * (j1 - j0 + 1) * (k1 - k0 + 1) > cells.size) {
+      return annotations.filter(a => isInBox(a.position, box));
+    }
+    const found = [];
+    for (let i = i0; i <= i1; i++) {
+      for (let j = j0; j <= j1; j++) {
+        for (let k = k0; k <= k1; k++) {
+          for (const annotation of cells.get(`${i},${j},${k}`) || []) {
+            if (isInBox(annotation.position, box)) found.push(annotation);
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  async function nearest(point, { k, radius, filter }) {
+    if (annotations.length === 0) {
+      return [];
+    }
+    // Far enough to reach every annotation from the point
+    const maxReach = Math.hypot(
+      ...['x', 'y', 'z'].map(axis => Math.max(Math.abs(point[axis] - min[axis]), Math.abs(point[axis] - max[axis])))
+    ) || cellSize;
+    return findNearest(async (box) => withinBox(box), point, {
+      k, radius, filter, initialReach: cellSize, maxReach
+    });
+  }
+
+  return { withinBox, nearest };
+}
+
+// ========================================
+// Geohash keys (DynamoDB)
+// ========================================
+
+// Digits per key; each halves the cell in x and y
+export const GEOHASH_LEVELS = 32;
+
+// Cell size of the full key, in point cloud units (meters)
+export const GEOHASH_CELL = 0.01;
+
+// Keys cover +-2^31 cm (about 21,000 km) around the origin
+export const GEOHASH_REACH = GEOHASH_CELL * 2 ** (GEOHASH_LEVELS - 1);
+
+const quantize = (value) =>
+  Math.min(2 ** GEOHASH_LEVELS - 1, Math.max(0, Math.floor(value / GEOHASH_CELL) + 2 ** (GEOHASH_LEVELS - 1)));
+
+function encode(qx, qy) {
+  let hash = '';
+  for (let level = GEOHASH_LEVELS - 1; level >= 0; level--) {
+    const bit = 2 ** level;
+    hash += (Math.floor(qx / bit) % 2) * 2 + (Math.floor(qy / bit) % 2);
+  }
+  return hash;
+}
+
+/**
+ * Geohash-style key of a position (x and y; z is filtered afterwards)
+ */
+export const geohash = ({ x, y }) => encode(quantize(x), quantize(y));
+
+/**
+ * Key prefixes whose cells cover a box: the longest prefix with cells at
+ * least as wide as the box, so it spans at most two cells on each axis.
+ * @returns {Array<string>} One to four prefixes ('' covers everything)
+ */
+export function geohashPrefixes({ min, max }) {
+  const width = Math.max(max.x - min.x, max.y - min.y);
+  let length = GEOHASH_LEVELS;
+  while (length > 0 && GEOHASH_CELL * 2 ** (GEOHASH_LEVELS - length) < width) {
+    length--;
+  }
+  const prefixes = new Set();
+  for (const x of [min.x, max.x]) {
+    for (const y of [min.y, max.y]) {
+      prefixes.add(geohash({ x, y }).slice(0, length));
+    }
+  }
+  return [...prefixes];
+}
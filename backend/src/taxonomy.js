@@ -0,0 +1,103 @@
+/**
+ * Annotation categories of a point cloud.
+ *
+ * A taxonomy is a flat list of categories stored on the point cloud record.
+ * `parentId` links a category to its parent to build a hierarchy:
+ *
+ *   [
+ *     { "id": "vehicle", "name": "Vehicle", "color": "#f59e0b", "parentId": null },
+ *     { "id": "car", "name": "Car", "color": "#fbbf24", "parentId": "vehicle" }
+ *   ]
+ */
+
+import { badRequest } from './errors.js';
+
+// Category IDs are short slugs so they read well in exports and filters
+const CATEGORY_ID_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+export const MAX_CATEGORIES = 500;
+export const MAX_CATEGORY_NAME_BYTES = 64;
+
+function validateCategoryEntry(category) {
+  if (!category || typeof category !== 'object' || Array.isArray(category)) {
+    throw badRequest('Each category must be an object');
+  }
+
+  const { id, name, color, parentId = null } = category;
+  if (typeof id !== 'string' || !CATEGORY_ID_REGEX.test(id)) {
+    throw badRequest(`Invalid category ID: ${id} (use lowercase letters, digits, "-" or "_")`);
+  }
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw badRequest(`Category ${id} needs a name`);
+  }
+  if (Buffer.byteLength(name.trim(), 'utf8') > MAX_CATEGORY_NAME_BYTES) {
+    throw badRequest(`Name of category ${id} exceeds ${MAX_CATEGORY_NAME_BYTES} bytes limit`);
+  }
+  if (typeof color !== 'string' || !COLOR_REGEX.test(color)) {
+    throw badRequest(`Color of category ${id} must be a hex color like #4a90d9`);
+  }
+  if (parentId !== null && typeof parentId !== 'string') {
+    throw badRequest(`Parent of category ${id} must be a category ID or null`);
+  }
+
+  return { id, name: name.trim(), color: color.toLowerCase(), parentId };
+}
+
+/**
+ * Validate a full taxonomy.
+ * @param {Array} categories - Categories as sent by the client
+ * @returns {Array} Normalized categories
+ */
+export function validateTaxonomy(categories) {
+  if (!Array.isArray(categories)) {
+    throw badRequest('Categories must be an array');
+  }
+  if (categories.length > MAX_CATEGORIES) {
+    throw badRequest(`Taxonomy exceeds ${MAX_CATEGORIES} categories limit`);
+  }
+
+  const normalized = categories.map(validateCategoryEntry);
+  const byId = new Map();
+  for (const category of normalized) {
+    if (byId.has(category.id)) {
+      throw badRequest(`Duplicate category ID: ${category.id}`);
+    }
+    byId.set(category.id, category);
+  }
+
+  // Parents must exist and the hierarchy must not loop
+  for (const category of normalized) {
+    const seen = new Set([category.id]);
+    let parentId = category.parentId;
+    while (parentId !== null) {
+      const parent = byId.get(parentId);
+      if (!parent) {
+        throw badRequest(`Unknown parent category ${parentId} for ${category.id}`);
+      }
+      if (seen.has(parentId)) {
+        throw badRequest(`Category hierarchy has a cycle at ${category.id}`);
+      }
+      seen.add(parentId);
+      parentId = parent.parentId;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate an annotation's category against its point cloud's taxonomy.
+ * @param {string|null} category - Category ID; null or '' clears it
+ * @param {Array} taxonomy - Categories of the annotation's point cloud
+ * @returns {string|null}
+ */
+export function validateCategory(category, taxonomy) {
+  if (category === null || category === '') {
+    return null;
+  }
+  if (typeof category !== 'string' || !taxonomy.some(c => c.id === category)) {
+    throw badRequest(`Unknown category: ${category}`);
+  }
+  return category;
+}
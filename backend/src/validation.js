@@ -0,0 +1,290 @@
+/**
+ * Input validation shared by every backend.
+ * Each validator throws an ApiError (400) describing the first problem found.
+ */
+
+import { badRequest } from './errors.js';
+import { MEASUREMENT_KINDS } from './measurements.js';
+
+// UUID validation regex
+export const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Maximum annotation text length in bytes
+export const MAX_TEXT_BYTES = 256;
+
+export function assertId(id, label) {
+  if (typeof id !== 'string' || !UUID_REGEX.test(id)) {
+    throw badRequest(`Invalid ${label} ID format`);
+  }
+}
+
+// NaN and Infinity are rejected: they break the spatial index and DynamoDB
+export function isVector3(value) {
+  return !!value &&
+    Number.isFinite(value.x) &&
+    Number.isFinite(value.y) &&
+    Number.isFinite(value.z);
+}
+
+export function validatePosition(position) {
+  if (!isVector3(position)) {
+    throw badRequest('Invalid position coordinates');
+  }
+  return { x: position.x, y: position.y, z: position.z };
+}
+
+// Camera view stored with an annotation; null clears it
+export function validateCameraVector(value, label) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!isVector3(value)) {
+    throw badRequest(`Invalid ${label} coordinates`);
+  }
+  return { x: value.x, y: value.y, z: value.z };
+}
+
+export function validateText(text) {
+  const value = text || '';
+  if (typeof value !== 'string') {
+    throw badRequest('Text must be a string');
+  }
+  if (Buffer.byteLength(value, 'utf8') > MAX_TEXT_BYTES) {
+    throw badRequest(`Text exceeds ${MAX_TEXT_BYTES} bytes limit`);
+  }
+  return value;
+}
+
+// Annotation types; records without a type are point annotations
+export const ANNOTATION_TYPES = ['point', 'box', 'measurement'];
+
+// Maximum box label length in bytes
+export const MAX_LABEL_BYTES = 64;
+
+// Maximum number of vertices in a measurement
+export const MAX_VERTICES = 1000;
+
+export function validateType(type) {
+  const value = type || 'point';
+  if (!ANNOTATION_TYPES.includes(value)) {
+    throw badRequest(`Type must be one of: ${ANNOTATION_TYPES.join(', ')}`);
+  }
+  return value;
+}
+
+export function validateSize(size) {
+  const isPositive = (v) => Number.isFinite(v) && v > 0;
+  if (!isVector3(size) || !isPositive(size.x) || !isPositive(size.y) || !isPositive(size.z)) {
+    throw badRequest('Box size must have positive x, y, z values');
+  }
+  return { x: size.x, y: size.y, z: size.z };
+}
+
+// Rotation around the vertical (z) axis in radians, normalized to [-PI, PI)
+export function validateYaw(yaw) {
+  if (!Number.isFinite(yaw)) {
+    throw badRequest('Yaw must be a number (radians)');
+  }
+  const turn = 2 * Math.PI;
+  return ((yaw + Math.PI) % turn + turn) % turn - Math.PI;
+}
+
+export function validateLabel(label) {
+  if (!label || typeof label !== 'string' || !label.trim()) {
+    throw badRequest('Label is required');
+  }
+  const value = label.trim();
+  if (Buffer.byteLength(value, 'utf8') > MAX_LABEL_BYTES) {
+    throw badRequest(`Label exceeds ${MAX_LABEL_BYTES} bytes limit`);
+  }
+  return value;
+}
+
+export function validateMeasurementKind(kind) {
+  if (!MEASUREMENT_KINDS.includes(kind)) {
+    throw badRequest(`Measurement kind must be one of: ${MEASUREMENT_KINDS.join(', ')}`);
+  }
+  return kind;
+}
+
+export function validateVertices(vertices) {
+  if (!Array.isArray(vertices) || vertices.length === 0) {
+    throw badRequest('Vertices must be a non-empty array');
+  }
+  if (vertices.length > MAX_VERTICES) {
+    throw badRequest(`Vertices exceed ${MAX_VERTICES} points limit`);
+  }
+  if (!vertices.every(isVector3)) {
+    throw badRequest('Invalid vertex coordinates');
+  }
+  return vertices.map(({ x, y, z }) => ({ x, y, z }));
+}
+
+/**
+ * Fields that only apply to some annotation types.
+ * Each entry validates one field; `required` fields must be present on
+ * create, and `default` fills in missing optional ones.
+ */
+const TYPE_FIELDS = {
+  point: {},
+  box: {
+    size: { validate: validateSize, required: true },
+    yaw: { validate: validateYaw, default: 0 },
+    label: { validate: validateLabel, required: true }
+  },
+  measurement: {
+    measurementKind: { validate: validateMeasurementKind, required: true },
+    vertices: { validate: validateVertices, required: true }
+  }
+};
+
+/**
+ * Validate the type-specific fields of an annotation body.
+ * @param {string} type - Annotation type (already validated)
+ * @param {Object} data - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate fields present (updates)
+ * @returns {Object} Validated type-specific fields
+ */
+export function validateTypeFields(type, data, { partial = false } = {}) {
+  const fields = TYPE_FIELDS[type];
+
+  // Reject fields that belong to a different annotation type
+  for (const [otherType, otherFields] of Object.entries(TYPE_FIELDS)) {
+    if (otherType === type) continue;
+    for (const name of Object.keys(otherFields)) {
+      if (data[name] !== undefined && !fields[name]) {
+        throw badRequest(`Field "${name}" is not valid for ${type} annotations`);
+      }
+    }
+  }
+
+  const result = {};
+  for (const [name, field] of Object.entries(fields)) {
+    if (data[name] !== undefined) {
+      result[name] = field.validate(data[name]);
+    } else if (!partial && field.required) {
+      result[name] = field.validate(undefined);
+    } else if (!partial && 'default' in field) {
+      result[name] = field.default;
+    }
+  }
+  return result;
+}
+
+// DynamoDB transactions accept at most 100 items
+export const MAX_BATCH_OPERATIONS = 100;
+
+export const BATCH_OPS = ['create', 'update', 'delete'];
+
+/**
+ * Validate the shape of batch operations (contents are validated like the
+ * matching single-annotation request).
+ */
+export function validateBatchOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw badRequest('Operations must be a non-empty array');
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    throw badRequest(`Batch exceeds ${MAX_BATCH_OPERATIONS} operations limit`);
+  }
+
+  const ids = new Set();
+  operations.forEach((operation, i) => {
+    const label = `Operation ${i + 1}`;
+    if (!operation || !BATCH_OPS.includes(operation.op)) {
+      throw badRequest(`${label}: op must be one of: ${BATCH_OPS.join(', ')}`);
+    }
+    if (operation.op === 'create') return;
+
+    if (typeof operation.id !== 'string' || !UUID_REGEX.test(operation.id)) {
+      throw badRequest(`${label}: Invalid annotation ID format`);
+    }
+    // Updates may name the version they are based on, like If-Match
+    if (operation.version !== undefined && !(Number.isInteger(operation.version) && operation.version > 0)) {
+      throw badRequest(`${label}: version must be a positive integer`);
+    }
+    // A transaction can only touch each record once
+    if (ids.has(operation.id)) {
+      throw badRequest(`${label}: Annotation ${operation.id} appears more than once`);
+    }
+    ids.add(operation.id);
+  });
+  return operations;
+}
+
+/**
+ * Version from an If-Match header ("3", W/"3" or 3); null when absent or "*"
+ */
+export function parseIfMatch(header) {
+  if (header === undefined || header === null || header.trim() === '' || header.trim() === '*') {
+    return null;
+  }
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+  if (!match) {
+    throw badRequest('If-Match must be an annotation version ETag');
+  }
+  return Number(match[1]);
+}
+
+// ETag of an annotation: its version
+export const etag = (annotation) => `"${annotation.version}"`;
+
+export function validateRequiredString(value, label) {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    throw badRequest(`${label} is required`);
+  }
+  return value.trim();
+}
+
+// Normalize path (ensure trailing slash)
+export function normalizePath(path) {
+  let normalized = path.trim();
+  if (!normalized.endsWith('/')) {
+    normalized += '/';
+  }
+  return normalized;
+}
+
+// Page size defaults for list endpoints
+export const DEFAULT_PAGE_LIMIT = 100;
+export const MAX_PAGE_LIMIT = 1000;
+
+// Parse a page size from a query string value (or number)
+export function parseLimit(limit) {
+  if (limit === undefined || limit === null || limit === '') {
+    return DEFAULT_PAGE_LIMIT;
+  }
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_LIMIT) {
+    throw badRequest(`Limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`);
+  }
+  return value;
+}
+
+/**
+ * Cursors are the repository's last-evaluated key, serialized as base64url
+ * JSON so clients can treat them as opaque strings.
+ */
+export function encodeCursor(key) {
+  return key ? Buffer.from(JSON.stringify(key), 'utf8').toString('base64url') : null;
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) {
+    return null;
+  }
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw badRequest('Invalid cursor');
+  }
+  const isValidKey = key && typeof key === 'object' && !Array.isArray(key) &&
+    typeof key.id === 'string' &&
+    Object.values(key).every(value => typeof value === 'string');
+  if (!isValidKey) {
+    throw badRequest('Invalid cursor');
+  }
+  return key;
+}
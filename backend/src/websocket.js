@@ -0,0 +1,153 @@
+/**
+ * Live updates on AWS.
+ *
+ * Viewers connect to the WebSocket API with a ticket from POST /live/ticket
+ * (wss://...?ticket=...). `handler` serves the WebSocket routes and keeps
+ * one item per open connection in the connections table; `broadcast` reads
+ * the annotations table's stream and posts each event (see ./live.js) to
+ * the connections subscribed to its point cloud.
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, DeleteCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { ApiGatewayManagementApiClient, PostToConnectionCommand } from '@aws-sdk/client-apigatewaymanagementapi';
+import { ApiError, conflict } from './errors.js';
+import { annotationEvent, verifyLiveTicket } from './live.js';
+import { fromAnnotationItem } from './repositories/dynamodb.js';
+
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const CONNECTIONS_TABLE = process.env.CONNECTIONS_TABLE;
+
+// API Gateway closes WebSocket connections after two hours; stale items expire
+const CONNECTION_TTL_SECONDS = 2 * 60 * 60;
+
+// ========================================
+// WebSocket routes
+// ========================================
+
+async function connect(event) {
+  const { pointCloudId, user, sessionId, expiresAt } = verifyLiveTicket(
+    event.queryStringParameters?.ticket,
+    process.env.LIVE_TICKET_SECRET
+  );
+  await claimTicket(sessionId, expiresAt);
+  await docClient.send(new PutCommand({
+    TableName: CONNECTIONS_TABLE,
+    Item: {
+      connectionId: event.requestContext.connectionId,
+      pointCloudId,
+      userId: user.id,
+      expiresAt: Math.floor(Date.now() / 1000) + CONNECTION_TTL_SECONDS
+    }
+  }));
+}
+
+// Each ticket opens one connection: its session ID is stored (without a
+// pointCloudId, so outside the index) until the ticket expires
+async function claimTicket(sessionId, expiresAt) {
+  try {
+    await docClient.send(new PutCommand({
+      TableName: CONNECTIONS_TABLE,
+      Item: { connectionId: `ticket#${sessionId}`, expiresAt },
+      ConditionExpression: 'attribute_not_exists(connectionId)'
+    }));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw conflict('Live update ticket was already used');
+    }
+    throw error;
+  }
+}
+
+async function removeConnection(connectionId) {
+  await docClient.send(new DeleteCommand({
+    TableName: CONNECTIONS_TABLE,
+    Key: { connectionId }
+  }));
+}
+
+// $connect, $disconnect and $default (clients send pings to stay connected)
+export const handler = async (event) => {
+  const { routeKey, connectionId } = event.requestContext;
+
+  try {
+    if (routeKey === '$connect') {
+      await connect(event);
+    } else if (routeKey === '$disconnect') {
+      await removeConnection(connectionId);
+    }
+    return { statusCode: 200 };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return { statusCode: error.statusCode, body: error.message };
+    }
+    console.error('Error:', error);
+    return { statusCode: 500, body: 'Internal server error' };
+  }
+};
+
+// ========================================
+// Stream fan-out
+// ========================================
+
+async function listConnections(pointCloudId) {
+  const connectionIds = [];
+  let startKey;
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: CONNECTIONS_TABLE,
+      IndexName: 'pointCloudId-index',
+      KeyConditionExpression: 'pointCloudId = :pointCloudId',
+      ExpressionAttributeValues: { ':pointCloudId': pointCloudId },
+      ExclusiveStartKey: startKey
+    }));
+    connectionIds.push(...result.Items.map(item => item.connectionId));
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return connectionIds;
+}
+
+// Event for a stream record (images are in DynamoDB JSON)
+function toEvent({ eventName, dynamodb }) {
+  const before = eventName === 'INSERT' ? null : fromAnnotationItem(unmarshall(dynamodb.OldImage));
+  const after = eventName === 'REMOVE' ? null : fromAnnotationItem(unmarshall(dynamodb.NewImage));
+  return annotationEvent(before, after);
+}
+
+export const broadcast = async (event) => {
+  const management = new ApiGatewayManagementApiClient({
+    endpoint: process.env.LIVE_UPDATES_URL.replace(/^wss:/, 'https:')
+  });
+
+  const events = event.Records.map(toEvent).filter(Boolean);
+  const subscribers = new Map(); // pointCloudId -> connection IDs
+  for (const { pointCloudId } of events) {
+    if (!subscribers.has(pointCloudId)) {
+      subscribers.set(pointCloudId, await listConnections(pointCloudId));
+    }
+  }
+
+  // In stream order per connection; closed connections are removed. A failed
+  // post only ends that connection's events, never the batch (retried otherwise)
+  await Promise.all([...subscribers].flatMap(([pointCloudId, connectionIds]) =>
+    connectionIds.map(async (connectionId) => {
+      for (const liveEvent of events.filter(e => e.pointCloudId === pointCloudId)) {
+        try {
+          await management.send(new PostToConnectionCommand({
+            ConnectionId: connectionId,
+            Data: JSON.stringify(liveEvent)
+          }));
+        } catch (error) {
+          if (error.name === 'GoneException') {
+            await removeConnection(connectionId).catch(removeError =>
+              console.error(`Failed to remove ${connectionId}:`, removeError));
+          } else {
+            console.error(`Failed to post to ${connectionId}:`, error);
+          }
+          return;
+        }
+      }
+    })
+  ));
+};
@@ -0,0 +1,625 @@
+/**
+ * Service behavior shared by every repository: the same suite runs over
+ * the in-memory repository, lowdb with a temporary file and DynamoDB with
+ * the in-memory document client (./fake-dynamodb.js).
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createService } from '../src/service.js';
+import { badRequest } from '../src/errors.js';
+import { createMemoryRepository } from '../src/repositories/memory.js';
+import { createLowdbRepository } from '../src/repositories/lowdb.js';
+import { createDynamoRepository } from '../src/repositories/dynamodb.js';
+import { createFakeDocumentClient, TEMPLATE_TABLES } from './fake-dynamodb.js';
+
+const ADMIN = { id: 'admin', name: 'Admin' };
+const ALICE = { id: 'alice', name: 'Alice' };
+const BOB = { id: 'bob', name: 'Bob' };
+const REVIEWER = { id: 'rita', name: 'Rita' };
+const VIEWER = { id: 'victor', name: 'Victor' };
+
+const CLOUD_PATH = 'pointclouds/lion/';
+
+function createDynamoBackend(options) {
+  const docClient = createFakeDocumentClient(TEMPLATE_TABLES, options);
+  const repository = createDynamoRepository({
+    docClient,
+    annotationsTable: 'annotations',
+    pointCloudsTable: 'pointClouds',
+    pointLabelsTable: 'pointLabels',
+    commentsTable: 'comments',
+    revisionsTable: 'revisions'
+  });
+  return { repository, docClient };
+}
+
+let tempDir;
+let databaseCount = 0;
+
+const BACKENDS = {
+  memory: async () => ({ repository: createMemoryRepository() }),
+  lowdb: async () => ({ repository: await createLowdbRepository(join(tempDir, `db-${++databaseCount}.json`)) }),
+  // Small pages make every query follow LastEvaluatedKey
+  dynamodb: async () => createDynamoBackend({ maxPageItems: 3 })
+};
+
+before(async () => {
+  tempDir = await mkdtemp(join(tmpdir(), 'annotator-test-'));
+});
+
+after(async () => {
+  await rm(tempDir, { recursive: true, force: true });
+});
+
+const point = (x, y, z, extra = {}) => ({ pointCloudId: CLOUD_PATH, position: { x, y, z }, ...extra });
+
+// Records created in the same millisecond are ordered by ID
+const byCreation = (a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id);
+
+function assertCreationOrder(items, descending = false) {
+  const sorted = [...items].sort(byCreation);
+  assert.deepEqual(items.map(a => a.id), (descending ? sorted.reverse() : sorted).map(a => a.id));
+}
+
+for (const [name, createBackend] of Object.entries(BACKENDS)) {
+  describe(`${name} repository`, () => {
+    let backend;
+    let service;
+    let cloud;
+
+    beforeEach(async () => {
+      backend = await createBackend();
+      service = createService(backend.repository, { adminUsers: [ADMIN.id] });
+      cloud = await service.createPointCloud({ name: 'Lion', path: CLOUD_PATH }, ADMIN);
+      await service.updateRoles(cloud.id, {
+        roles: { [REVIEWER.id]: 'reviewer', [VIEWER.id]: 'viewer' }
+      }, ADMIN);
+    });
+
+    async function listAll(query, user = VIEWER) {
+      const items = [];
+      let cursor;
+      do {
+        const page = await service.listAnnotations({ ...query, cursor }, user);
+        items.push(...page.items);
+        cursor = page.nextCursor;
+      } while (cursor);
+      return items;
+    }
+
+    describe('annotations', () => {
+      it('creates, updates and deletes an annotation', async () => {
+        const created = await service.createAnnotation(point(1, 2, 3, { text: 'Crack' }), ALICE);
+        assert.equal(created.version, 1);
+        assert.equal(created.status, 'draft');
+        assert.deepEqual(created.createdBy, ALICE);
+
+        const updated = await service.updateAnnotation(created.id, { text: 'Wide crack' }, ALICE, 1);
+        assert.equal(updated.text, 'Wide crack');
+        assert.equal(updated.version, 2);
+        assert.deepEqual(updated.updatedBy, ALICE);
+
+        await assert.rejects(service.updateAnnotation(created.id, { text: 'Stale' }, ALICE, 1),
+          { statusCode: 409 });
+        await assert.rejects(service.updateAnnotation(created.id, { position: { x: NaN, y: 0, z: 0 } }, ALICE),
+          { statusCode: 400 });
+        await assert.rejects(service.updateAnnotation(created.id, { cameraTarget: { x: Infinity, y: 0, z: 0 } }, ALICE),
+          { statusCode: 400 });
+
+        await service.deleteAnnotation(created.id, ALICE);
+        assert.deepEqual(await listAll({ pointCloudId: CLOUD_PATH }), []);
+        await assert.rejects(service.deleteAnnotation(created.id, ALICE), { statusCode: 404 });
+      });
+
+      it('pages through annotations without gaps or repeats', async () => {
+        const ids = [];
+        for (let i = 0; i < 7; i++) {
+          ids.push((await service.createAnnotation(point(i, 0, 0), ALICE)).id);
+        }
+        await service.createAnnotation({ position: { x: 0, y: 0, z: 0 } }, ALICE);
+
+        const page = await service.listAnnotations({ pointCloudId: CLOUD_PATH, limit: 2 }, ALICE);
+        assert.equal(page.items.length, 2);
+        assert.ok(page.nextCursor);
+
+        const byCloud = [];
+        let cursor;
+        do {
+          const next = await service.listAnnotations({ pointCloudId: CLOUD_PATH, limit: 2, cursor }, ALICE);
+          byCloud.push(...next.items);
+          cursor = next.nextCursor;
+        } while (cursor);
+        assert.deepEqual(byCloud.map(a => a.id).sort(), [...ids].sort());
+        assertCreationOrder(byCloud);
+
+        const everything = await listAll({ limit: 3 });
+        assert.equal(everything.length, 8);
+        assert.equal(new Set(everything.map(a => a.id)).size, 8);
+        assert.equal(everything.filter(a => a.pointCloudId === null).length, 1);
+
+        await assert.rejects(service.listAnnotations({ limit: 0 }, ALICE), { statusCode: 400 });
+        await assert.rejects(service.listAnnotations({ cursor: 'not-a-cursor' }, ALICE), { statusCode: 400 });
+      });
+
+      it('exports every page', async () => {
+        for (let i = 0; i < 5; i++) {
+          await service.createAnnotation(point(i, 0, 0, { text: `A${i}` }), ALICE);
+        }
+        const file = await service.exportAnnotations({ pointCloudId: CLOUD_PATH, format: 'geojson' }, VIEWER);
+        assert.equal(JSON.parse(file.body).features.length, 5);
+      });
+
+      it('keeps spreadsheets from running CSV fields as formulas', async () => {
+        const author = { id: '@mallory', name: '@mallory' };
+        await service.createAnnotation(point(-1.5, 0, 0, { text: '=HYPERLINK("http://x","y")' }), author);
+        await service.createAnnotation(point(1, 0, 0, { type: 'box', label: '+1', size: { x: 1, y: 1, z: 1 }, text: '-2' }), ALICE);
+        const file = await service.exportAnnotations({ pointCloudId: CLOUD_PATH, format: 'csv' }, VIEWER);
+        assert.match(file.body, /,"'=HYPERLINK\(""http:\/\/x"",""y""\)",/);
+        assert.match(file.body, /,'@mallory,/);
+        assert.match(file.body, /,'-2,'\+1,/);
+        assert.match(file.body, /\n([^,]*,){5}-1\.5,/);
+
+        const { imported } = await service.importAnnotations({ pointCloudId: CLOUD_PATH, format: 'csv', content: file.body }, ALICE);
+        assert.deepEqual(imported.map(a => [a.text, a.label]).sort(),
+          [['-2', '+1'], ['=HYPERLINK("http://x","y")', undefined]]);
+      });
+    });
+
+    describe('roles', () => {
+      it('lets annotators edit only their own annotations', async () => {
+        const annotation = await service.createAnnotation(point(0, 0, 0), ALICE);
+        await assert.rejects(service.updateAnnotation(annotation.id, { text: 'Mine now' }, BOB),
+          { statusCode: 403 });
+        await assert.rejects(service.deleteAnnotation(annotation.id, BOB), { statusCode: 403 });
+
+        const edited = await service.updateAnnotation(annotation.id, { text: 'Checked' }, REVIEWER);
+        assert.deepEqual(edited.updatedBy, REVIEWER);
+      });
+
+      it('keeps viewers from writing', async () => {
+        await assert.rejects(service.createAnnotation(point(0, 0, 0), VIEWER), { statusCode: 403 });
+        await assert.rejects(service.updatePointLabels(cloud.id, { nodes: {} }, VIEWER), { statusCode: 403 });
+        assert.equal((await service.getCurrentUser(VIEWER, CLOUD_PATH)).role, 'viewer');
+        assert.equal((await service.getCurrentUser(VIEWER, 'pointclouds/other/')).role, 'annotator');
+      });
+
+      it('keeps point cloud management to admins', async () => {
+        await assert.rejects(service.createPointCloud({ name: 'Other', path: 'other/' }, ALICE), { statusCode: 403 });
+        await assert.rejects(service.getRoles(cloud.id, REVIEWER), { statusCode: 403 });
+        await assert.rejects(service.updateTaxonomy(cloud.id, { categories: [] }, REVIEWER), { statusCode: 403 });
+
+        const listed = await service.listPointClouds(VIEWER);
+        assert.equal(listed.length, 1);
+        assert.equal(listed[0].roles, undefined);
+        assert.deepEqual((await service.getRoles(cloud.id, ADMIN)).roles,
+          { [REVIEWER.id]: 'reviewer', [VIEWER.id]: 'viewer' });
+      });
+
+      it('gives users named like Object.prototype members the default role', async () => {
+        for (const id of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+          const user = { id, name: id };
+          assert.equal((await service.getCurrentUser(user, CLOUD_PATH)).role, 'annotator');
+          assert.equal((await service.createAnnotation(point(0, 0, 0), user)).createdBy.id, id);
+        }
+
+        await service.updateRoles(cloud.id, { roles: JSON.parse('{"__proto__": "viewer", "constructor": "reviewer"}') }, ADMIN);
+        assert.equal((await service.getCurrentUser({ id: '__proto__' }, CLOUD_PATH)).role, 'viewer');
+        assert.equal((await service.getCurrentUser({ id: 'constructor' }, CLOUD_PATH)).role, 'reviewer');
+        assert.equal((await service.getCurrentUser({ id: 'toString' }, CLOUD_PATH)).role, 'annotator');
+      });
+    });
+
+    describe('review', () => {
+      it('moves annotations through the workflow', async () => {
+        const annotation = await service.createAnnotation(point(0, 0, 0), ALICE);
+        const submitted = await service.updateAnnotation(annotation.id, { status: 'submitted' }, ALICE);
+        assert.equal(submitted.status, 'submitted');
+
+        await assert.rejects(service.updateAnnotation(annotation.id, { status: 'approved' }, ALICE),
+          { statusCode: 403 });
+        await assert.rejects(service.updateAnnotation(annotation.id, { status: 'rejected' }, REVIEWER),
+          { statusCode: 400 });
+
+        const approved = await service.updateAnnotation(annotation.id, { status: 'approved', reviewNote: 'Good' }, REVIEWER);
+        assert.equal(approved.status, 'approved');
+        assert.equal(approved.review.note, 'Good');
+        assert.deepEqual(approved.review.by, REVIEWER);
+
+        await assert.rejects(service.updateAnnotation(annotation.id, { status: 'submitted' }, REVIEWER),
+          { statusCode: 409 });
+      });
+
+      it('moves edited submissions and approvals back to draft', async () => {
+        const annotation = await service.createAnnotation(point(0, 0, 0, { text: 'Door' }), ALICE);
+        await service.updateAnnotation(annotation.id, { status: 'submitted' }, ALICE);
+
+        const unchanged = await service.updateAnnotation(annotation.id, { text: 'Door', cameraPosition: { x: 1, y: 1, z: 1 } }, ALICE);
+        assert.equal(unchanged.status, 'submitted');
+        const edited = await service.updateAnnotation(annotation.id, { text: 'Back door' }, ALICE);
+        assert.equal(edited.status, 'draft');
+
+        const resubmitted = await service.updateAnnotation(annotation.id, { text: 'Side door', status: 'submitted' }, ALICE);
+        assert.equal(resubmitted.status, 'submitted');
+        await service.updateAnnotation(annotation.id, { status: 'approved', reviewNote: 'Fine' }, REVIEWER);
+
+        await assert.rejects(service.updateAnnotation(annotation.id, { text: 'Garage', status: 'approved' }, REVIEWER),
+          { statusCode: 409 });
+        const moved = await service.batchAnnotations({
+          operations: [{ op: 'update', id: annotation.id, data: { position: { x: 1, y: 0, z: 0 } } }]
+        }, ALICE);
+        assert.equal(moved.results[0].annotation.status, 'draft');
+        assert.equal(moved.results[0].annotation.review.status, 'approved');
+
+        const { items } = await service.getHistory(annotation.id, VIEWER);
+        await service.updateAnnotation(annotation.id, { status: 'submitted' }, ALICE);
+        const reverted = await service.restoreRevision(annotation.id, items.find(r => r.snapshot.text === 'Door').id, ALICE);
+        assert.equal(reverted.text, 'Door');
+        assert.equal(reverted.status, 'draft');
+      });
+
+      it('only creates drafts and submissions', async () => {
+        await assert.rejects(service.createAnnotation(point(0, 0, 0, { status: 'approved' }), REVIEWER),
+          { statusCode: 400 });
+        const submitted = await service.createAnnotation(point(0, 0, 0, { status: 'submitted' }), ALICE);
+        assert.equal(submitted.status, 'submitted');
+      });
+    });
+
+    describe('history', () => {
+      it('logs writes and reverts to an earlier revision', async () => {
+        const annotation = await service.createAnnotation(point(0, 0, 0, { text: 'First' }), ALICE);
+        await service.updateAnnotation(annotation.id, { text: 'Second' }, ALICE);
+        await service.updateAnnotation(annotation.id, { cameraPosition: null }, ALICE);
+
+        const { items } = await service.getHistory(annotation.id, VIEWER);
+        assert.deepEqual(items.map(r => [r.revision, r.action]), [[2, 'update'], [1, 'create']]);
+        assert.deepEqual(items[0].changes, { text: { from: 'First', to: 'Second' } });
+
+        const reverted = await service.restoreRevision(annotation.id, items[1].id, ALICE);
+        assert.equal(reverted.text, 'First');
+
+        const history = (await service.getHistory(annotation.id, VIEWER)).items;
+        assert.deepEqual(history.map(r => [r.revision, r.action]), [[4, 'revert'], [2, 'update'], [1, 'create']]);
+        assert.equal(history[0].revertedTo, items[1].id);
+        assert.equal(reverted.version, 4);
+      });
+
+      it('numbers concurrent writes by the version they produced', async () => {
+        const annotations = await Promise.all([1, 2, 3].map(x => service.createAnnotation(point(x, 0, 0), ALICE)));
+        await Promise.all(annotations.map(a => service.updateAnnotation(a.id, { text: 'Edited', version: 1 }, ALICE)));
+        await Promise.all(annotations.map(a => service.deleteAnnotation(a.id, ALICE)));
+
+        for (const annotation of annotations) {
+          const revisions = await backend.repository.listRevisions(annotation.id);
+          assert.deepEqual(revisions.map(r => [r.revision, r.action]).sort(), [[1, 'create'], [2, 'update'], [3, 'delete']]);
+        }
+      });
+
+      it('keeps the log of deleted annotations', async () => {
+        const annotation = await service.createAnnotation(point(0, 0, 0), ALICE);
+        await service.deleteAnnotation(annotation.id, ALICE);
+        const deleted = await backend.repository.listRevisions(annotation.id);
+        assert.deepEqual(deleted.map(r => r.action).sort(), ['create', 'delete']);
+      });
+    });
+
+    describe('restore', () => {
+      it('rebuilds a deleted annotation from its delete revision', async () => {
+        const annotation = await service.createAnnotation(point(1, 2, 3, { text: 'Original' }), ALICE);
+        await service.updateAnnotation(annotation.id, { text: 'Edited' }, ALICE);
+        await service.deleteAnnotation(annotation.id, ALICE);
+
+        const restored = await service.restoreAnnotation(annotation.id, {
+          pointCloudId: 'pointclouds/other/',
+          text: 'Forged',
+          status: 'approved',
+          createdAt: '2000-01-01T00:00:00.000Z',
+          createdBy: BOB,
+          version: 40
+        }, ALICE);
+        assert.equal(restored.text, 'Edited');
+        assert.equal(restored.pointCloudId, CLOUD_PATH);
+        assert.equal(restored.status, 'draft');
+        assert.equal(restored.createdAt, annotation.createdAt);
+        assert.deepEqual(restored.createdBy, ALICE);
+        assert.equal(restored.version, 4);
+
+        const [stored] = await listAll({ pointCloudId: CLOUD_PATH });
+        assert.deepEqual(stored, restored);
+        const { items } = await service.getHistory(annotation.id, VIEWER);
+        assert.deepEqual(items.map(r => [r.revision, r.action]),
+          [[4, 'restore'], [3, 'delete'], [2, 'update'], [1, 'create']]);
+
+        await assert.rejects(service.restoreAnnotation(annotation.id, {}, ALICE), { statusCode: 409 });
+        await service.deleteAnnotation(annotation.id, ALICE);
+        assert.equal((await service.restoreAnnotation(annotation.id, {}, ALICE)).text, 'Edited');
+      });
+
+      it('only restores deleted annotations', async () => {
+        const body = point(0, 0, 0, { text: 'Planted', createdBy: ALICE });
+        await assert.rejects(service.restoreAnnotation('5d5b1c1e-8f39-4a52-9c3e-1d2b3f4a5b6c', body, BOB),
+          { statusCode: 404 });
+
+        const annotation = await service.createAnnotation(point(0, 0, 0), ALICE);
+        await assert.rejects(service.restoreAnnotation(annotation.id, body, ALICE), { statusCode: 409 });
+      });
+
+      it('checks the role on the restored record', async () => {
+        const annotation = await service.createAnnotation(point(0, 0, 0), ALICE);
+        await service.updateAnnotation(annotation.id, { status: 'submitted' }, ALICE);
+        await service.updateAnnotation(annotation.id, { status: 'approved', reviewNote: 'Fine' }, REVIEWER);
+        await service.deleteAnnotation(annotation.id, REVIEWER);
+
+        await assert.rejects(service.restoreAnnotation(annotation.id, { createdBy: BOB }, BOB), { statusCode: 403 });
+        assert.equal((await service.restoreAnnotation(annotation.id, {}, ALICE)).status, 'draft');
+
+        await service.deleteAnnotation(annotation.id, ALICE);
+        const restored = await service.restoreAnnotation(annotation.id, {}, REVIEWER);
+        assert.equal(restored.status, 'draft');
+      });
+
+      it('restores a reviewed status for reviewers', async () => {
+        const annotation = await service.createAnnotation(point(0, 0, 0), ALICE);
+        await service.updateAnnotation(annotation.id, { status: 'submitted' }, ALICE);
+        await service.updateAnnotation(annotation.id, { status: 'approved', reviewNote: 'Fine' }, REVIEWER);
+        await service.batchAnnotations({ operations: [{ op: 'delete', id: annotation.id }] }, REVIEWER);
+
+        const restored = await service.restoreAnnotation(annotation.id, {}, REVIEWER);
+        assert.equal(restored.status, 'approved');
+        assert.equal(restored.review.note, 'Fine');
+        assert.deepEqual(restored.createdBy, ALICE);
+      });
+    });
+
+    describe('import', () => {
+      it('imports valid rows and reports the others', async () => {
+        const csv = 'x,y,z,text\n1,2,3,First\n,2,3,No x\n4,5,6,Second\n';
+        const result = await service.importAnnotations({ pointCloudId: CLOUD_PATH, format: 'csv', content: csv }, ALICE);
+        assert.equal(result.total, 3);
+        assert.deepEqual(result.imported.map(a => a.text), ['First', 'Second']);
+        assert.deepEqual(result.errors.map(e => e.row), [2]);
+
+        const stored = await listAll({ pointCloudId: CLOUD_PATH });
+        assert.deepEqual(stored.map(a => a.text).sort(), ['First', 'Second']);
+        const history = await service.getHistory(result.imported[0].id, VIEWER);
+        assert.deepEqual(history.items.map(r => r.action), ['create']);
+      });
+
+      it('reports rows with coordinates that are not finite numbers', async () => {
+        const csv = 'x,y,z,sizex,sizey,sizez,type,label\n1,2,3,,,,,\nabc,2,3,,,,,\n1,2,3,1,abc,1,box,Crate\n';
+        const result = await service.importAnnotations({ pointCloudId: CLOUD_PATH, format: 'csv', content: csv }, ALICE);
+        assert.equal(result.imported.length, 1);
+        assert.deepEqual(result.errors, [
+          { row: 2, error: 'Invalid position coordinates' },
+          { row: 3, error: 'Box size must have positive x, y, z values' }
+        ]);
+
+        const content = JSON.stringify([
+          { type: 'measurement', measurementKind: 'distance', position: { x: 0, y: 0, z: 0 },
+            vertices: [{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: null }] }
+        ]);
+        const json = await service.importAnnotations({ pointCloudId: CLOUD_PATH, format: 'json', content }, ALICE);
+        assert.deepEqual(json.errors, [{ row: 1, error: 'Invalid vertex coordinates' }]);
+        assert.equal((await listAll({ pointCloudId: CLOUD_PATH })).length, 1);
+      });
+
+      it('imports more rows than one batch write takes', async () => {
+        const features = Array.from({ length: 30 }, (_, i) => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [i, i, 0] },
+          properties: { text: `Feature ${i}` }
+        }));
+        const content = JSON.stringify({ type: 'FeatureCollection', features });
+        const result = await service.importAnnotations({ pointCloudId: CLOUD_PATH, format: 'geojson', content }, ALICE);
+        assert.equal(result.imported.length, 30);
+        assert.equal((await listAll({ pointCloudId: CLOUD_PATH })).length, 30);
+      });
+
+      it('needs the annotator role', async () => {
+        const content = JSON.stringify([{ position: { x: 0, y: 0, z: 0 } }]);
+        await assert.rejects(service.importAnnotations({ pointCloudId: CLOUD_PATH, format: 'json', content }, VIEWER),
+          { statusCode: 403 });
+      });
+    });
+
+    describe('spatial queries', () => {
+      beforeEach(async () => {
+        for (const [x, y, z] of [[0, 0, 0], [1, 1, 1], [2, 2, 2], [5, 5, 5], [-3, 4, 0], [100, 100, 0]]) {
+          await service.createAnnotation(point(x, y, z, { text: `${x},${y},${z}` }), ALICE);
+        }
+        await service.createAnnotation(point(1, 1, 1, { pointCloudId: 'pointclouds/other/' }), ALICE);
+      });
+
+      it('finds annotations inside a box, page by page', async () => {
+        const inside = await listAll({ pointCloudId: CLOUD_PATH, bbox: '-1,-1,-1,3,3,3', limit: 2 });
+        assert.deepEqual(inside.map(a => a.text).sort(), ['0,0,0', '1,1,1', '2,2,2']);
+
+        const flat = await listAll({ pointCloudId: CLOUD_PATH, bbox: '-5,0,0,6,6,0.5' });
+        assert.deepEqual(flat.map(a => a.text).sort(), ['-3,4,0', '0,0,0']);
+
+        await assert.rejects(service.listAnnotations({ bbox: '0,0,0,1,1,1' }, ALICE), { statusCode: 400 });
+      });
+
+      it('finds the nearest annotations', async () => {
+        const { items } = await service.listAnnotations({ pointCloudId: CLOUD_PATH, near: '1.1,1.1,1.1', k: '3' }, ALICE);
+        assert.deepEqual(items.map(a => a.text), ['1,1,1', '2,2,2', '0,0,0']);
+        assert.ok(items[0].distance < items[1].distance);
+
+        const within = await service.listAnnotations({ pointCloudId: CLOUD_PATH, near: '0,0,0', radius: '2' }, ALICE);
+        assert.deepEqual(within.items.map(a => a.text), ['0,0,0', '1,1,1']);
+
+        const far = await service.listAnnotations({ pointCloudId: CLOUD_PATH, near: '90,90,0', k: '1' }, ALICE);
+        assert.deepEqual(far.items.map(a => a.text), ['100,100,0']);
+      });
+
+      it('follows moved annotations', async () => {
+        const [moved] = await listAll({ pointCloudId: CLOUD_PATH, bbox: '4,4,4,6,6,6' });
+        await service.updateAnnotation(moved.id, { position: { x: 0.5, y: 0.5, z: 0.5 } }, ALICE);
+        assert.deepEqual(await listAll({ pointCloudId: CLOUD_PATH, bbox: '4,4,4,6,6,6' }), []);
+        const { items } = await service.listAnnotations({ pointCloudId: CLOUD_PATH, near: '0.5,0.5,0.5', k: '1' }, ALICE);
+        assert.equal(items[0].id, moved.id);
+      });
+    });
+
+    describe('search', () => {
+      it('matches text case-insensitively, by author and date', async () => {
+        const crack = await service.createAnnotation(point(0, 0, 0, { text: 'Crack in the WALL' }), ALICE);
+        await service.createAnnotation(point(1, 0, 0, { text: 'Wall paint' }), BOB);
+        await service.createAnnotation(point(2, 0, 0, { text: 'Roof' }), ALICE);
+
+        const wall = await listAll({ pointCloudId: CLOUD_PATH, q: 'wall' });
+        assert.equal(wall.length, 2);
+        const both = await listAll({ pointCloudId: CLOUD_PATH, q: 'wall crack' });
+        assert.deepEqual(both.map(a => a.id), [crack.id]);
+        const byBob = await listAll({ q: 'WALL', author: BOB.id });
+        assert.deepEqual(byBob.map(a => a.text), ['Wall paint']);
+
+        const newestFirst = await listAll({ pointCloudId: CLOUD_PATH, author: ALICE.id, sort: '-createdAt' });
+        assert.deepEqual(newestFirst.map(a => a.text).sort(), ['Crack in the WALL', 'Roof']);
+        assertCreationOrder(newestFirst, true);
+
+        const future = await listAll({ pointCloudId: CLOUD_PATH, createdAfter: '2999-01-01T00:00:00Z' });
+        assert.deepEqual(future, []);
+      });
+    });
+
+    describe('comments', () => {
+      it('keeps the comment count in step', async () => {
+        const annotation = await service.createAnnotation(point(0, 0, 0), ALICE);
+        const first = await service.createComment(annotation.id, { text: 'Looks off' }, BOB);
+        await service.createComment(annotation.id, { text: 'Agreed' }, ALICE);
+
+        const { items: comments } = await service.listComments(annotation.id, VIEWER);
+        assert.deepEqual(comments.map(c => c.text).sort(), ['Agreed', 'Looks off']);
+        assertCreationOrder(comments);
+        let [stored] = await listAll({ pointCloudId: CLOUD_PATH });
+        assert.equal(stored.commentCount, 2);
+        assert.equal(stored.version, 1);
+
+        await assert.rejects(service.deleteComment(annotation.id, first.id, ALICE), { statusCode: 403 });
+        await service.deleteComment(annotation.id, first.id, BOB);
+        [stored] = await listAll({ pointCloudId: CLOUD_PATH });
+        assert.equal(stored.commentCount, 1);
+
+        await assert.rejects(service.createComment(annotation.id, { text: 'Hi' }, VIEWER), { statusCode: 403 });
+        await service.deleteAnnotation(annotation.id, ALICE);
+        assert.deepEqual(await backend.repository.listComments(annotation.id), []);
+      });
+
+      it('counts comments posted at the same time', async () => {
+        const annotation = await service.createAnnotation(point(0, 0, 0), ALICE);
+        const posted = await Promise.all([1, 2, 3, 4].map(n =>
+          service.createComment(annotation.id, { text: `Comment ${n}` }, n % 2 ? ALICE : BOB)));
+        assert.equal((await backend.repository.getAnnotation(annotation.id)).commentCount, 4);
+
+        await Promise.all(posted.slice(1).map(c => service.deleteComment(annotation.id, c.id, c.createdBy)));
+        const stored = await backend.repository.getAnnotation(annotation.id);
+        assert.equal(stored.commentCount, 1);
+        assert.equal(stored.version, 1);
+      });
+    });
+
+    describe('batch', () => {
+      it('applies every operation or none', async () => {
+        const kept = await service.createAnnotation(point(0, 0, 0, { text: 'Keep' }), ALICE);
+        const removed = await service.createAnnotation(point(1, 0, 0, { text: 'Remove' }), ALICE);
+
+        const { results } = await service.batchAnnotations({
+          operations: [
+            { op: 'create', data: point(2, 0, 0, { text: 'New' }) },
+            { op: 'update', id: kept.id, version: 1, data: { text: 'Kept' } },
+            { op: 'delete', id: removed.id }
+          ]
+        }, ALICE);
+        assert.deepEqual(results.map(r => r.op), ['create', 'update', 'delete']);
+        assert.deepEqual((await listAll({ pointCloudId: CLOUD_PATH })).map(a => a.text).sort(), ['Kept', 'New']);
+
+        await assert.rejects(service.batchAnnotations({
+          operations: [
+            { op: 'create', data: point(3, 0, 0, { text: 'Never' }) },
+            { op: 'delete', id: removed.id }
+          ]
+        }, ALICE), { statusCode: 404, message: /^Operation 2/ });
+        await assert.rejects(service.batchAnnotations({
+          operations: [{ op: 'update', id: kept.id, version: 1, data: { text: 'Stale' } }]
+        }, ALICE), { statusCode: 409 });
+        assert.deepEqual((await listAll({ pointCloudId: CLOUD_PATH })).map(a => a.text).sort(), ['Kept', 'New']);
+
+        const history = await service.getHistory(kept.id, VIEWER);
+        assert.deepEqual(history.items.map(r => r.action), ['update', 'create']);
+      });
+    });
+
+    describe('point clouds', () => {
+      it('finds point clouds by ID or path among many', async () => {
+        for (let i = 0; i < 7; i++) {
+          await service.createPointCloud({ name: `Cloud ${i}`, path: `pointclouds/cloud-${i}` }, ADMIN);
+        }
+        const listed = await service.listPointClouds(VIEWER);
+        assert.equal(listed.length, 8);
+
+        const last = listed.find(pc => pc.name === 'Cloud 6');
+        await service.updateRoles(last.id, { roles: { [ALICE.id]: 'viewer' } }, ADMIN);
+        assert.equal((await service.getCurrentUser(ALICE, last.id)).role, 'viewer');
+        assert.equal((await service.getCurrentUser(ALICE, 'pointclouds/cloud-6')).role, 'viewer');
+        assert.equal((await service.getCurrentUser(ALICE, 'pointclouds/cloud-5/')).role, 'annotator');
+        await assert.rejects(service.createAnnotation({ pointCloudId: 'pointclouds/cloud-6/', position: { x: 0, y: 0, z: 0 } }, ALICE),
+          { statusCode: 403 });
+      });
+
+      it('registers, edits and removes point clouds', async () => {
+        await assert.rejects(service.createPointCloud({ name: 'No path' }, ADMIN), { statusCode: 400 });
+
+        const updated = await service.updatePointCloud(cloud.id, { name: 'Lion statue', tags: ['scan', 'scan'] }, ADMIN);
+        assert.equal(updated.name, 'Lion statue');
+        assert.deepEqual(updated.tags, ['scan']);
+        await assert.rejects(service.updatePointCloud(cloud.id, { path: 'elsewhere/' }, ADMIN), { statusCode: 400 });
+
+        for (const color of ['red', '#d94a4', '#d94a4a" onmouseover="x', 'red; background: url(x)']) {
+          await assert.rejects(service.updateTaxonomy(cloud.id, { categories: [{ id: 'crack', name: 'Crack', color }] }, ADMIN),
+            { statusCode: 400 });
+        }
+        await service.updateTaxonomy(cloud.id, { categories: [{ id: 'crack', name: 'Crack', color: '#d94a4a' }] }, ADMIN);
+        assert.deepEqual((await service.getTaxonomy(cloud.id, VIEWER)).categories.map(c => c.id), ['crack']);
+        await assert.rejects(service.createAnnotation(point(0, 0, 0, { category: 'dent' }), ALICE), { statusCode: 400 });
+        const categorized = await service.createAnnotation(point(0, 0, 0, { category: 'crack' }), ALICE);
+        assert.equal(categorized.category, 'crack');
+
+        await service.updatePointLabels(cloud.id, { nodes: { r0: { 1: [[0, 10]] } } }, ALICE);
+        assert.deepEqual(Object.keys((await service.getPointLabels(cloud.id, VIEWER)).nodes), ['r0']);
+
+        await service.deletePointCloud(cloud.id, ADMIN);
+        assert.deepEqual(await service.listPointClouds(VIEWER), []);
+        assert.deepEqual(await backend.repository.listPointLabels(cloud.id), []);
+        await assert.rejects(service.getTaxonomy(cloud.id, VIEWER), { statusCode: 404 });
+      });
+
+      it('registers clouds whose metadata can\'t be read yet', async () => {
+        const metadata = { format: 'potree-2', version: '2.0', pointCount: 10 };
+        let uploaded = false;
+        const reading = createService(backend.repository, { adminUsers: [ADMIN.id] }, {
+          readPointCloudMetadata: async (path) => {
+            if (!uploaded) throw badRequest(`No metadata.json or cloud.js found at ${path}`);
+            return metadata;
+          }
+        });
+
+        const created = await reading.createPointCloud({ name: 'Pending', path: 'pointclouds/pending' }, ADMIN);
+        assert.equal(created.metadata, null);
+        assert.match(created.warning, /No metadata\.json or cloud\.js found at pointclouds\/pending\//);
+        const stored = await backend.repository.getPointCloud(created.id);
+        assert.equal(stored.metadata, null);
+        assert.equal(stored.warning, undefined);
+
+        await assert.rejects(reading.updatePointCloud(created.id, { refreshMetadata: true }, ADMIN), { statusCode: 400 });
+        uploaded = true;
+        const refreshed = await reading.updatePointCloud(created.id, { refreshMetadata: true }, ADMIN);
+        assert.deepEqual(refreshed.metadata, metadata);
+      });
+    });
+  });
+}
@@ -0,0 +1,140 @@
+/**
+ * DynamoDB-only behavior: the derived attributes backfill and which cursors
+ * a query accepts.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDynamoRepository, backfillDerivedAttributes } from '../src/repositories/dynamodb.js';
+import { parseSearch } from '../src/search.js';
+import { createService } from '../src/service.js';
+import { encodeCursor } from '../src/validation.js';
+import { createFakeDocumentClient, TEMPLATE_TABLES } from './fake-dynamodb.js';
+
+const CLOUD_PATH = 'pointclouds/lion/';
+const ALICE = { id: 'alice', name: 'Alice' };
+
+const createRepository = (docClient) => createDynamoRepository({
+  docClient,
+  annotationsTable: 'annotations',
+  pointCloudsTable: 'pointClouds',
+  pointLabelsTable: 'pointLabels',
+  commentsTable: 'comments',
+  revisionsTable: 'revisions'
+});
+
+// Items as stored before searchText and geohash existed
+const legacyItem = (id, text, x = Number(id.slice(-1))) => ({
+  id,
+  pointCloudId: CLOUD_PATH,
+  type: 'point',
+  text,
+  position: { x, y: 0, z: 0 },
+  createdAt: `2024-01-0${id.slice(-1)}T00:00:00.000Z`
+});
+
+describe('backfillDerivedAttributes', () => {
+  let docClient;
+  let repository;
+
+  beforeEach(() => {
+    docClient = createFakeDocumentClient(TEMPLATE_TABLES, { maxPageItems: 2 });
+    repository = createRepository(docClient);
+    docClient.putItems('annotations', [
+      legacyItem('00000000-0000-4000-8000-000000000001', 'Crack in the WALL'),
+      legacyItem('00000000-0000-4000-8000-000000000002', 'Window'),
+      { ...legacyItem('00000000-0000-4000-8000-000000000003', 'Wall stain'), version: 4 },
+      legacyItem('00000000-0000-4000-8000-000000000004', undefined)
+    ].map(item => JSON.parse(JSON.stringify(item))));
+  });
+
+  // Every match, following the short pages a filtered query returns
+  async function search(q) {
+    const items = [];
+    let startKey = null;
+    do {
+      const page = await repository.listAnnotations({ pointCloudId: CLOUD_PATH, startKey, search: parseSearch({ q }) });
+      items.push(...page.items);
+      startKey = page.lastKey;
+    } while (startKey);
+    return items;
+  }
+
+  it('makes annotations stored without searchText searchable', async () => {
+    assert.deepEqual(await search('wall'), []);
+
+    const result = await backfillDerivedAttributes({ docClient, annotationsTable: 'annotations' });
+    assert.deepEqual(result, { scanned: 4, updated: 4 });
+
+    const items = await search('wall');
+    assert.deepEqual(items.map(a => a.text).sort(), ['Crack in the WALL', 'Wall stain']);
+    assert.equal(items[0].searchText, undefined);
+    const stored = docClient.items('annotations').find(item => item.id.endsWith('4'));
+    assert.equal(stored.searchText, '');
+    assert.equal(stored.version, undefined);
+
+    assert.deepEqual(await backfillDerivedAttributes({ docClient, annotationsTable: 'annotations' }),
+      { scanned: 4, updated: 0 });
+  });
+
+  it('adds annotations stored without geohash to the spatial index', async () => {
+    const box = { min: { x: 0, y: -1, z: -1 }, max: { x: 2.5, y: 1, z: 1 } };
+    const inBox = async () =>
+      (await repository.listAnnotations({ pointCloudId: CLOUD_PATH, bbox: box })).items.map(a => a.text);
+    assert.deepEqual(await inBox(), []);
+
+    await backfillDerivedAttributes({ docClient, annotationsTable: 'annotations' });
+    assert.deepEqual((await inBox()).sort(), ['Crack in the WALL', 'Window']);
+    const nearest = await repository.nearestAnnotations({ pointCloudId: CLOUD_PATH, point: { x: 4, y: 0, z: 0 }, k: 1, radius: Infinity });
+    assert.equal(nearest[0].annotation.id, '00000000-0000-4000-8000-000000000004');
+  });
+
+  it('corrects stale copies and leaves the rest alone', async () => {
+    await backfillDerivedAttributes({ docClient, annotationsTable: 'annotations' });
+    const [item] = docClient.items('annotations').filter(i => i.id.endsWith('2'));
+    docClient.putItems('annotations', [{ ...item, searchText: 'door' }]);
+
+    const result = await backfillDerivedAttributes({ docClient, annotationsTable: 'annotations' });
+    assert.deepEqual(result, { scanned: 4, updated: 1 });
+    assert.deepEqual((await search('window')).map(a => a.text), ['Window']);
+  });
+});
+
+describe('listAnnotations cursors', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = createService(createRepository(createFakeDocumentClient(TEMPLATE_TABLES)));
+    for (let x = 0; x < 4; x++) {
+      await service.createAnnotation({ pointCloudId: CLOUD_PATH, position: { x, y: 0, z: 0 }, text: `At ${x}` }, ALICE);
+    }
+  });
+
+  const list = (query) => service.listAnnotations({ limit: '2', ...query }, ALICE);
+
+  it('follows cursors of the same query', async () => {
+    for (const query of [{ pointCloudId: CLOUD_PATH }, { pointCloudId: CLOUD_PATH, bbox: '-1,-1,-1,5,1,1' }, {}]) {
+      const first = await list(query);
+      const second = await list({ ...query, cursor: first.nextCursor });
+      assert.equal(first.items.length + second.items.length, 4);
+      assert.equal(second.nextCursor, null);
+    }
+  });
+
+  it('rejects cursors of another query with 400', async () => {
+    const box = await list({ pointCloudId: CLOUD_PATH, bbox: '-1,-1,-1,5,1,1' });
+    const byCloud = await list({ pointCloudId: CLOUD_PATH });
+    const scan = await list({});
+    const rejected = [
+      { pointCloudId: CLOUD_PATH, cursor: box.nextCursor },
+      { cursor: box.nextCursor },
+      { pointCloudId: 'pointclouds/other/', cursor: byCloud.nextCursor },
+      { pointCloudId: CLOUD_PATH, bbox: '-1,-1,-1,5,1,1', cursor: byCloud.nextCursor },
+      { pointCloudId: CLOUD_PATH, cursor: scan.nextCursor },
+      { pointCloudId: CLOUD_PATH, cursor: encodeCursor({ id: 'x', createdAt: 'y', pointCloudId: CLOUD_PATH, extra: 'z' }) }
+    ];
+    for (const query of rejected) {
+      await assert.rejects(list(query), { statusCode: 400 });
+    }
+  });
+});
@@ -0,0 +1,675 @@
+/**
+ * In-memory stand-in for the DynamoDB document client.
+ *
+ * Implements send() for the commands the DynamoDB repository uses (Get, Put,
+ * Update, Delete, Query, Scan, BatchWrite, TransactWrite) with their
+ * condition, key condition, filter, update and projection expressions, so
+ * the behavior tests run the real repository code without AWS.
+ *
+ * Like DynamoDB (and the document client's marshalling) it rejects
+ * undefined values, NaN and Infinity, empty or non-scalar index keys,
+ * oversized batches and transactions touching an item twice. Query and Scan
+ * pages stop after `maxPageItems` items, standing in for the 1 MB limit.
+ */
+
+import { POINT_CLOUD_INDEX, SPATIAL_INDEX, POINT_CLOUD_PATH_INDEX } from '../src/repositories/dynamodb.js';
+
+const clone = (value) => structuredClone(value);
+
+// Tables of template.yaml, named after the repository options
+export const TEMPLATE_TABLES = {
+  annotations: {
+    key: ['id'],
+    indexes: {
+      [POINT_CLOUD_INDEX]: ['pointCloudId', 'createdAt'],
+      [SPATIAL_INDEX]: ['pointCloudId', 'geohash']
+    }
+  },
+  pointClouds: { key: ['id'], indexes: { [POINT_CLOUD_PATH_INDEX]: ['path'] } },
+  pointLabels: { key: ['pointCloudId', 'nodeName'] },
+  comments: { key: ['annotationId', 'id'] },
+  revisions: { key: ['annotationId', 'id'] }
+};
+
+function awsError(name, message, extra = {}) {
+  return Object.assign(new Error(message), { name }, extra);
+}
+
+// ========================================
+// Expressions
+// ========================================
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'BETWEEN', 'IN']);
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(<>|<=|>=|[=<>(),.+\-[\]]|[#:]?[A-Za-z0-9_]+)/y;
+  let match;
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (/^\s*$/.test(expression.slice(start))) break;
+      throw awsError('ValidationException', `Invalid expression: ${expression}`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over one expression; evaluation happens on the
+ * parsed tree against an item, with the command's names and values.
+ */
+function createParser(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isKeyword = (word) => typeof peek() === 'string' && peek().toUpperCase() === word;
+  function expect(token) {
+    const actual = next();
+    if (actual !== token) {
+      throw awsError('ValidationException', `Expected ${token} but found ${actual} in: ${expression}`);
+    }
+  }
+
+  function path() {
+    const parts = [next()];
+    while (peek() === '.' || peek() === '[') {
+      if (next() === '.') {
+        parts.push(next());
+      } else {
+        parts.push(Number(next()));
+        expect(']');
+      }
+    }
+    return { type: 'path', parts };
+  }
+
+  function operand() {
+    const token = peek();
+    if (token.startsWith(':')) {
+      next();
+      return { type: 'value', name: token };
+    }
+    if (token === 'size' && tokens[position + 1] === '(') {
+      next();
+      expect('(');
+      const target = path();
+      expect(')');
+      return { type: 'size', target };
+    }
+    if (token === 'if_not_exists') {
+      next();
+      expect('(');
+      const target = path();
+      expect(',');
+      const fallback = operand();
+      expect(')');
+      return { type: 'if_not_exists', target, fallback };
+    }
+    return path();
+  }
+
+  function primary() {
+    if (peek() === '(') {
+      next();
+      const inner = condition();
+      expect(')');
+      return inner;
+    }
+    const fn = peek();
+    if (['attribute_exists', 'attribute_not_exists', 'begins_with', 'contains'].includes(fn)) {
+      next();
+      expect('(');
+      const args = [operand()];
+      while (peek() === ',') {
+        next();
+        args.push(operand());
+      }
+      expect(')');
+      return { type: 'function', fn, args };
+    }
+
+    const left = operand();
+    if (isKeyword('BETWEEN')) {
+      next();
+      const low = operand();
+      if (!isKeyword('AND')) throw awsError('ValidationException', `Invalid BETWEEN in: ${expression}`);
+      next();
+      return { type: 'between', left, low, high: operand() };
+    }
+    if (isKeyword('IN')) {
+      next();
+      expect('(');
+      const options = [operand()];
+      while (peek() === ',') {
+        next();
+        options.push(operand());
+      }
+      expect(')');
+      return { type: 'in', left, options };
+    }
+    const comparator = next();
+    if (!['=', '<>', '<', '<=', '>', '>='].includes(comparator)) {
+      throw awsError('ValidationException', `Invalid comparator ${comparator} in: ${expression}`);
+    }
+    return { type: 'compare', comparator, left, right: operand() };
+  }
+
+  function negation() {
+    if (isKeyword('NOT')) {
+      next();
+      return { type: 'not', inner: negation() };
+    }
+    return primary();
+  }
+
+  function conjunction() {
+    let node = negation();
+    while (isKeyword('AND')) {
+      next();
+      node = { type: 'and', left: node, right: negation() };
+    }
+    return node;
+  }
+
+  function condition() {
+    let node = conjunction();
+    while (isKeyword('OR')) {
+      next();
+      node = { type: 'or', left: node, right: conjunction() };
+    }
+    return node;
+  }
+
+  // SET a = v, b = c + :n  REMOVE d  ADD e :n
+  function update() {
+    const actions = [];
+    while (position < tokens.length) {
+      const clause = next().toUpperCase();
+      do {
+        if (clause === 'SET') {
+          const target = path();
+          expect('=');
+          let value = operand();
+          if (peek() === '+' || peek() === '-') {
+            value = { type: 'arithmetic', operator: next(), left: value, right: operand() };
+          }
+          actions.push({ clause, target, value });
+        } else if (clause === 'REMOVE') {
+          actions.push({ clause, target: path() });
+        } else if (clause === 'ADD') {
+          actions.push({ clause, target: path(), value: operand() });
+        } else {
+          throw awsError('ValidationException', `Unsupported update clause ${clause} in: ${expression}`);
+        }
+      } while (peek() === ',' && next());
+    }
+    return actions;
+  }
+
+  function projection() {
+    const paths = [path()];
+    while (peek() === ',') {
+      next();
+      paths.push(path());
+    }
+    return paths;
+  }
+
+  function parseAll(rule) {
+    const tree = rule();
+    if (position < tokens.length) {
+      throw awsError('ValidationException', `Unexpected ${peek()} in: ${expression}`);
+    }
+    return tree;
+  }
+
+  return {
+    condition: () => parseAll(condition),
+    update: () => parseAll(update),
+    projection: () => parseAll(projection)
+  };
+}
+
+function resolveName(part, names) {
+  if (typeof part === 'string' && part.startsWith('#')) {
+    if (!(part in names)) {
+      throw awsError('ValidationException', `Undefined expression attribute name ${part}`);
+    }
+    return names[part];
+  }
+  return part;
+}
+
+function getPath(item, parts, names) {
+  let value = item;
+  for (const part of parts) {
+    if (value === undefined || value === null || typeof value !== 'object') return undefined;
+    value = value[resolveName(part, names)];
+  }
+  return value;
+}
+
+function setPath(item, parts, names, value) {
+  let target = item;
+  parts.slice(0, -1).forEach(part => {
+    target = target[resolveName(part, names)];
+    if (!target || typeof target !== 'object') {
+      throw awsError('ValidationException', 'The document path provided in the update expression is invalid');
+    }
+  });
+  const last = resolveName(parts[parts.length - 1], names);
+  if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = value;
+  }
+}
+
+function evaluateOperand(node, item, context) {
+  switch (node.type) {
+    case 'value':
+      if (!(node.name in context.values)) {
+        throw awsError('ValidationException', `Undefined expression attribute value ${node.name}`);
+      }
+      return context.values[node.name];
+    case 'size': {
+      const value = getPath(item, node.target.parts, context.names);
+      if (typeof value === 'string' || Array.isArray(value)) return value.length;
+      return value && typeof value === 'object' ? Object.keys(value).length : undefined;
+    }
+    case 'if_not_exists': {
+      const value = getPath(item, node.target.parts, context.names);
+      return value === undefined ? evaluateOperand(node.fallback, item, context) : value;
+    }
+    case 'arithmetic': {
+      const left = evaluateOperand(node.left, item, context);
+      const right = evaluateOperand(node.right, item, context);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+      }
+      return node.operator === '+' ? left + right : left - right;
+    }
+    default:
+      return getPath(item, node.parts, context.names);
+  }
+}
+
+// Only values of the same scalar type compare (DynamoDB has no coercion)
+function compareScalars(a, b) {
+  if (typeof a !== typeof b || !['string', 'number'].includes(typeof a)) return null;
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+const sameValue = (a, b) => a !== undefined && JSON.stringify(a) === JSON.stringify(b);
+
+function evaluateCondition(node, item, context) {
+  switch (node.type) {
+    case 'and':
+      return evaluateCondition(node.left, item, context) && evaluateCondition(node.right, item, context);
+    case 'or':
+      return evaluateCondition(node.left, item, context) || evaluateCondition(node.right, item, context);
+    case 'not':
+      return !evaluateCondition(node.inner, item, context);
+    case 'between': {
+      const value = evaluateOperand(node.left, item, context);
+      const low = compareScalars(value, evaluateOperand(node.low, item, context));
+      const high = compareScalars(value, evaluateOperand(node.high, item, context));
+      return low !== null && high !== null && low >= 0 && high <= 0;
+    }
+    case 'in': {
+      const value = evaluateOperand(node.left, item, context);
+      return node.options.some(option => sameValue(value, evaluateOperand(option, item, context)));
+    }
+    case 'compare': {
+      const left = evaluateOperand(node.left, item, context);
+      const right = evaluateOperand(node.right, item, context);
+      if (node.comparator === '=') return sameValue(left, right);
+      if (node.comparator === '<>') return left !== undefined && !sameValue(left, right);
+      const order = compareScalars(left, right);
+      if (order === null) return false;
+      return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[node.comparator];
+    }
+    case 'function': {
+      const [first, second] = node.args;
+      const value = evaluateOperand(first, item, context);
+      switch (node.fn) {
+        case 'attribute_exists':
+          return value !== undefined;
+        case 'attribute_not_exists':
+          return value === undefined;
+        case 'begins_with': {
+          const prefix = evaluateOperand(second, item, context);
+          return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+        }
+        default: {
+          const needle = evaluateOperand(second, item, context);
+          if (typeof value === 'string') return typeof needle === 'string' && value.includes(needle);
+          return Array.isArray(value) && value.some(entry => sameValue(entry, needle));
+        }
+      }
+    }
+    default:
+      throw awsError('ValidationException', `Not a condition: ${node.type}`);
+  }
+}
+
+function matches(expression, item, context) {
+  return !expression || evaluateCondition(createParser(expression).condition(), item, context);
+}
+
+function applyUpdate(expression, item, context) {
+  for (const action of createParser(expression).update()) {
+    const { parts } = action.target;
+    if (action.clause === 'SET') {
+      setPath(item, parts, context.names, clone(evaluateOperand(action.value, item, context)));
+    } else if (action.clause === 'REMOVE') {
+      setPath(item, parts, context.names, undefined);
+    } else {
+      const current = getPath(item, parts, context.names);
+      const amount = evaluateOperand(action.value, item, context);
+      if (typeof amount !== 'number' || (current !== undefined && typeof current !== 'number')) {
+        throw awsError('ValidationException', 'ADD needs a number');
+      }
+      setPath(item, parts, context.names, (current || 0) + amount);
+    }
+  }
+}
+
+function project(expression, item, names) {
+  if (!expression) return item;
+  const result = {};
+  for (const { parts } of createParser(expression).projection()) {
+    const value = getPath(item, parts, names);
+    if (value !== undefined) {
+      setPath(result, parts.slice(0, 1), names, clone(item[resolveName(parts[0], names)]));
+    }
+  }
+  return result;
+}
+
+// ========================================
+// Marshalling
+// ========================================
+
+// What the document client's marshalling would refuse to send
+function assertMarshallable(value, where) {
+  if (value === undefined) {
+    throw new Error(`Pass options.removeUndefinedValues=true to remove undefined values from map/array/set (${where}).`);
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Special numeric value ${value} is not allowed (${where})`);
+  }
+  if (value && typeof value === 'object') {
+    for (const [key, entry] of Object.entries(value)) {
+      assertMarshallable(entry, `${where}.${key}`);
+    }
+  }
+}
+
+// ========================================
+// Client
+// ========================================
+
+/**
+ * @param {Object} tables - { tableName: { key: [hash, range?], indexes: { name: [hash, range?] } } }
+ * @param {Object} [options]
+ * @param {number} [options.maxPageItems] - Items read per Query/Scan page at most
+ */
+export function createFakeDocumentClient(tables, { maxPageItems = Infinity } = {}) {
+  const data = new Map(Object.keys(tables).map(name => [name, new Map()]));
+
+  function tableOf(name) {
+    if (!data.has(name)) {
+      throw awsError('ResourceNotFoundException', `Requested resource not found: ${name}`);
+    }
+    return { schema: tables[name], items: data.get(name) };
+  }
+
+  function keyString(schema, key) {
+    return JSON.stringify(schema.key.map(attribute => {
+      const value = key[attribute];
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw awsError('ValidationException', `The provided key element ${attribute} does not match the schema`);
+      }
+      return value;
+    }));
+  }
+
+  // Index keys must be non-empty scalars when present (absent keeps the item out of the index)
+  function assertIndexKeys(schema, item) {
+    for (const keys of Object.values(schema.indexes || {})) {
+      for (const attribute of keys) {
+        const value = item[attribute];
+        if (value !== undefined && (!['string', 'number'].includes(typeof value) || value === '')) {
+          throw awsError('ValidationException',
+            `One or more parameter values are not valid. A value specified for a secondary index key is not supported (${attribute})`);
+        }
+      }
+    }
+  }
+
+  function conditionFailed(input, existing) {
+    const context = { names: input.ExpressionAttributeNames || {}, values: input.ExpressionAttributeValues || {} };
+    return !matches(input.ConditionExpression, existing || {}, context);
+  }
+
+  // Each write checks its condition, then returns a function applying it
+  function preparePut(input) {
+    const { schema, items } = tableOf(input.TableName);
+    assertMarshallable(input.Item, 'Item');
+    assertMarshallable(input.ExpressionAttributeValues || {}, 'ExpressionAttributeValues');
+    assertIndexKeys(schema, input.Item);
+    const key = keyString(schema, input.Item);
+    return {
+      key: `${input.TableName}/${key}`,
+      failed: conditionFailed(input, items.get(key)),
+      apply: () => items.set(key, clone(input.Item))
+    };
+  }
+
+  function prepareDelete(input) {
+    const { schema, items } = tableOf(input.TableName);
+    const key = keyString(schema, input.Key);
+    return {
+      key: `${input.TableName}/${key}`,
+      failed: conditionFailed(input, items.get(key)),
+      apply: () => items.delete(key)
+    };
+  }
+
+  function prepareUpdate(input) {
+    const { schema, items } = tableOf(input.TableName);
+    assertMarshallable(input.ExpressionAttributeValues || {}, 'ExpressionAttributeValues');
+    const key = keyString(schema, input.Key);
+    const existing = items.get(key);
+    const updated = clone(existing || input.Key);
+    applyUpdate(input.UpdateExpression, updated, {
+      names: input.ExpressionAttributeNames || {},
+      values: input.ExpressionAttributeValues || {}
+    });
+    assertIndexKeys(schema, updated);
+    return {
+      key: `${input.TableName}/${key}`,
+      failed: conditionFailed(input, existing),
+      apply: () => {
+        items.set(key, updated);
+        return clone(updated);
+      }
+    };
+  }
+
+  function prepareConditionCheck(input) {
+    const { schema, items } = tableOf(input.TableName);
+    const key = keyString(schema, input.Key);
+    return {
+      key: `${input.TableName}/${key}`,
+      failed: conditionFailed(input, items.get(key)),
+      apply: () => {}
+    };
+  }
+
+  function runSingle(prepared) {
+    if (prepared.failed) {
+      throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+    }
+    return prepared.apply();
+  }
+
+  function compareKeys(a, b) {
+    const order = compareScalars(a, b);
+    if (order === null) return String(a).localeCompare(String(b));
+    return order;
+  }
+
+  // One page of a Query or Scan
+  function read(input, candidates, keyAttributes) {
+    const context = { names: input.ExpressionAttributeNames || {}, values: input.ExpressionAttributeValues || {} };
+    let start = 0;
+    if (input.ExclusiveStartKey) {
+      // Like DynamoDB: exactly the table and index key attributes
+      const given = Object.keys(input.ExclusiveStartKey);
+      if (given.length !== keyAttributes.length ||
+          !keyAttributes.every(attribute => input.ExclusiveStartKey[attribute] !== undefined)) {
+        throw awsError('ValidationException', 'The provided starting key is invalid');
+      }
+      const startKey = JSON.stringify(keyAttributes.map(attribute => input.ExclusiveStartKey[attribute]));
+      const index = candidates.findIndex(item =>
+        JSON.stringify(keyAttributes.map(attribute => item[attribute])) === startKey);
+      start = index + 1;
+    }
+
+    const pageSize = Math.min(input.Limit || Infinity, maxPageItems);
+    const scanned = candidates.slice(start, start + pageSize);
+    const found = scanned.filter(item => matches(input.FilterExpression, item, context));
+    const last = scanned[scanned.length - 1];
+    const result = {
+      Count: found.length,
+      ScannedCount: scanned.length
+    };
+    if (input.Select !== 'COUNT') {
+      result.Items = found.map(item => clone(project(input.ProjectionExpression, item, context.names)));
+    }
+    if (start + pageSize < candidates.length) {
+      result.LastEvaluatedKey = Object.fromEntries(keyAttributes.map(attribute => [attribute, last[attribute]]));
+    }
+    return result;
+  }
+
+  const handlers = {
+    GetCommand(input) {
+      const { schema, items } = tableOf(input.TableName);
+      const item = items.get(keyString(schema, input.Key));
+      return item ? { Item: project(input.ProjectionExpression, clone(item), input.ExpressionAttributeNames || {}) } : {};
+    },
+
+    PutCommand(input) {
+      runSingle(preparePut(input));
+      return {};
+    },
+
+    DeleteCommand(input) {
+      runSingle(prepareDelete(input));
+      return {};
+    },
+
+    UpdateCommand(input) {
+      const attributes = runSingle(prepareUpdate(input));
+      return input.ReturnValues === 'ALL_NEW' ? { Attributes: attributes } : {};
+    },
+
+    QueryCommand(input) {
+      const { schema, items } = tableOf(input.TableName);
+      const indexKey = input.IndexName ? schema.indexes?.[input.IndexName] : schema.key;
+      if (!indexKey) {
+        throw awsError('ValidationException', `The table does not have the specified index: ${input.IndexName}`);
+      }
+      const context = { names: input.ExpressionAttributeNames || {}, values: input.ExpressionAttributeValues || {} };
+      const keyCondition = createParser(input.KeyConditionExpression).condition();
+      const [, rangeKey] = indexKey;
+
+      const candidates = [...items.values()]
+        .filter(item => indexKey.every(attribute => item[attribute] !== undefined))
+        .filter(item => evaluateCondition(keyCondition, item, context))
+        .sort((a, b) => (rangeKey ? compareKeys(a[rangeKey], b[rangeKey]) : 0) ||
+          compareKeys(keyString(schema, a), keyString(schema, b)));
+      if (input.ScanIndexForward === false) {
+        candidates.reverse();
+      }
+      return read(input, candidates, [...new Set([...schema.key, ...indexKey])]);
+    },
+
+    ScanCommand(input) {
+      const { schema, items } = tableOf(input.TableName);
+      return read(input, [...items.values()], schema.key);
+    },
+
+    BatchWriteCommand(input) {
+      const writes = [];
+      for (const [tableName, requests] of Object.entries(input.RequestItems)) {
+        for (const request of requests) {
+          writes.push(request.PutRequest
+            ? preparePut({ TableName: tableName, Item: request.PutRequest.Item })
+            : prepareDelete({ TableName: tableName, Key: request.DeleteRequest.Key }));
+        }
+      }
+      if (writes.length > 25) {
+        throw awsError('ValidationException', 'Too many items requested for the BatchWriteItem call');
+      }
+      if (new Set(writes.map(write => write.key)).size !== writes.length) {
+        throw awsError('ValidationException', 'Provided list of item keys contains duplicates');
+      }
+      writes.forEach(write => write.apply());
+      return { UnprocessedItems: {} };
+    },
+
+    TransactWriteCommand(input) {
+      if (input.TransactItems.length > 100) {
+        throw awsError('ValidationException', 'Member must have length less than or equal to 100');
+      }
+      const writes = input.TransactItems.map(entry => {
+        if (entry.Put) return preparePut(entry.Put);
+        if (entry.Update) return prepareUpdate(entry.Update);
+        if (entry.Delete) return prepareDelete(entry.Delete);
+        return prepareConditionCheck(entry.ConditionCheck);
+      });
+      if (new Set(writes.map(write => write.key)).size !== writes.length) {
+        throw awsError('ValidationException', 'Transaction request cannot include multiple operations on one item');
+      }
+      if (writes.some(write => write.failed)) {
+        throw awsError('TransactionCanceledException', 'Transaction cancelled', {
+          CancellationReasons: writes.map(write => ({ Code: write.failed ? 'ConditionalCheckFailed' : 'None' }))
+        });
+      }
+      writes.forEach(write => write.apply());
+      return {};
+    }
+  };
+
+  return {
+    async send(command) {
+      const handler = handlers[command.constructor.name];
+      if (!handler) {
+        throw new Error(`Fake DynamoDB does not support ${command.constructor.name}`);
+      }
+      return handler(command.input);
+    },
+
+    // Raw table contents, for tests that seed or inspect items directly
+    items(tableName) {
+      return [...tableOf(tableName).items.values()].map(clone);
+    },
+
+    putItems(tableName, newItems) {
+      const { schema, items } = tableOf(tableName);
+      for (const item of newItems) {
+        items.set(keyString(schema, item), clone(item));
+      }
+    }
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Live update tickets: each opens one connection.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTicketLedger, issueLiveTicket, verifyLiveTicket } from '../src/live.js';
+
+const SECRET = 'test-secret';
+const ALICE = { id: 'alice', name: 'Alice' };
+
+describe('live update tickets', () => {
+  it('grants the subscription named in the ticket', () => {
+    const { ticket, sessionId } = issueLiveTicket(ALICE, { pointCloudId: 'pointclouds/lion/' }, SECRET, '/live/events');
+    const subscription = verifyLiveTicket(ticket, SECRET);
+    assert.deepEqual(subscription.user, ALICE);
+    assert.equal(subscription.pointCloudId, 'pointclouds/lion/');
+    assert.equal(subscription.sessionId, sessionId);
+    assert.ok(subscription.expiresAt > Date.now() / 1000);
+  });
+
+  it('claims each ticket once, even after its connection closed', () => {
+    const ledger = createTicketLedger();
+    const issue = () => verifyLiveTicket(
+      issueLiveTicket(ALICE, { pointCloudId: 'pointclouds/lion/' }, SECRET, '/live/events').ticket, SECRET);
+    const first = issue();
+    assert.equal(ledger.claim(first), true);
+    assert.equal(ledger.claim(first), false);
+    assert.equal(ledger.claim(issue()), true);
+    assert.equal(ledger.claim(first), false);
+  });
+
+  // verifyLiveTicket rejects them by then, so the ledger stays small
+  it('forgets tickets once they expire', () => {
+    const ledger = createTicketLedger();
+    const expired = { sessionId: 'old', expiresAt: Math.floor(Date.now() / 1000) - 1 };
+    assert.equal(ledger.claim(expired), true);
+    assert.equal(ledger.claim({ sessionId: 'new', expiresAt: expired.expiresAt + 120 }), true);
+    assert.equal(ledger.claim(expired), true);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * lowdb-only behavior: when the JSON file is read again.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, utimes, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLowdbRepository } from '../src/repositories/lowdb.js';
+
+const annotation = (id, x) => ({
+  id,
+  pointCloudId: 'pointclouds/lion/',
+  type: 'point',
+  text: `At ${x}`,
+  position: { x, y: 0, z: 0 },
+  createdAt: `2024-01-01T00:00:0${x}.000Z`
+});
+
+const BOX = { min: { x: -10, y: -10, z: -10 }, max: { x: 10, y: 10, z: 10 } };
+
+describe('lowdb repository file', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'annotator-lowdb-'));
+  });
+
+  after(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function boxTexts(repository) {
+    const { items } = await repository.listAnnotations({ pointCloudId: 'pointclouds/lion/', bbox: BOX });
+    return items.map(a => a.text);
+  }
+
+  it('picks up edits made to the file', async () => {
+    const file = join(tempDir, 'edited.json');
+    const repository = await createLowdbRepository(file);
+    await repository.putAnnotation(annotation('a', 1));
+    assert.deepEqual(await boxTexts(repository), ['At 1']);
+
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    data.annotations.push(annotation('b', 2));
+    await writeFile(file, JSON.stringify(data));
+    assert.deepEqual(await boxTexts(repository), ['At 1', 'At 2']);
+  });
+
+  it('reuses the loaded data while the file is unchanged', async () => {
+    const file = join(tempDir, 'unchanged.json');
+    const repository = await createLowdbRepository(file);
+    await repository.putAnnotation(annotation('a', 1));
+    const time = new Date('2024-01-01T00:00:00Z');
+    await utimes(file, time, time);
+    assert.deepEqual(await boxTexts(repository), ['At 1']);
+
+    // Same size and modification time: not read again
+    const text = await readFile(file, 'utf8');
+    await writeFile(file, text.replace('At 1', 'At 9'));
+    await utimes(file, time, time);
+    assert.deepEqual(await boxTexts(repository), ['At 1']);
+  });
+
+  it('keeps concurrent writes', async () => {
+    const file = join(tempDir, 'concurrent.json');
+    const repository = await createLowdbRepository(file);
+    await Promise.all([1, 2, 3, 4].map(x => repository.putAnnotation(annotation(`a${x}`, x))));
+    assert.deepEqual((await boxTexts(repository)).sort(), ['At 1', 'At 2', 'At 3', 'At 4']);
+
+    const reopened = await createLowdbRepository(file);
+    assert.deepEqual((await boxTexts(reopened)).sort(), ['At 1', 'At 2', 'At 3', 'At 4']);
+  });
+});
@@ -3,9 +3,24 @@
  * Handles all communication with the backend (local or AWS Lambda)
  */
 
+// IDs of annotations created offline start with this until the backend assigns one
+const LOCAL_ID_PREFIX = 'local-';
+
 class AnnotationAPI {
   constructor() {
     this.baseUrl = getApiEndpoint();
+    this.token = localStorage.getItem(CONFIG.AUTH_TOKEN_KEY);
+    this.onUnauthorized = null; // Called when the backend rejects the token
+    this.currentUser = null; // { id, name }, for annotations saved offline
+
+    // Offline editing (see the Offline Sync Methods section)
+    this.offlineStore = null; // OfflineStore, once opened
+    this.offline = false; // The last request could not reach the backend
+    this.pending = []; // Queued changes, oldest first (mirrors the store's queue)
+    this.replayingSeq = null; // The queued change being sent
+    this.localIds = new Map(); // Local ID -> server ID of annotations created offline
+    this.syncing = null; // Promise of the replay in progress
+    this.onSync = null; // Called with sync events (see emitSync)
   }
 
   /**
@@ -16,17 +31,136 @@ class AnnotationAPI {
   }
 
   /**
-   * Fetch all annotations from the backend
+   * Store (or clear with null) the bearer token sent with every request
+   */
+  setToken(token) {
+    this.token = token;
+    if (token) {
+      localStorage.setItem(CONFIG.AUTH_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(CONFIG.AUTH_TOKEN_KEY);
+    }
+  }
+
+  /**
+   * fetch() with the bearer token; a 401 clears the token. Errors from an
+   * unreachable backend are marked `error.offline`.
+   */
+  async request(url, options = {}) {
+    const headers = { ...options.headers };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { ...options, headers });
+    } catch (error) {
+      error.offline = true;
+      this.setOffline(true);
+      throw error;
+    }
+    if (response.status === 401) {
+      this.setToken(null);
+      if (this.onUnauthorized) this.onUnauthorized();
+    }
+    return response;
+  }
+
+  // ========================================
+  // Authentication Methods
+  // ========================================
+
+  /**
+   * Get a token for a username from the local server's token issuer
+   * @param {string} username
+   * @returns {Promise<Object>} The signed-in user { id, name }
+   */
+  async signIn(username) {
+    try {
+      const response = await fetch(`${this.baseUrl}/auth/token`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ username })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const { token, user } = await response.json();
+      this.setToken(token);
+      return user;
+    } catch (error) {
+      console.error('Error signing in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user the current token belongs to and their role. Offline, the
+   * last answer for the same token and point cloud is used.
+   * @param {string} [pointCloudId] - Point cloud path or ID the role applies to
+   * @returns {Promise<Object>} { id, name, role }
+   */
+  async getCurrentUser(pointCloudId = null) {
+    const cacheKey = `user:${pointCloudId || ''}`;
+    try {
+      const query = pointCloudId ? `?${new URLSearchParams({ pointCloudId })}` : '';
+      const response = await this.request(`${this.baseUrl}/auth/me${query}`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const user = await response.json();
+      this.currentUser = { id: user.id, name: user.name };
+      if (this.offlineStore) {
+        await this.offlineStore.setMeta(cacheKey, { token: this.token, user });
+      }
+      return user;
+    } catch (error) {
+      if (this.isOfflineError(error)) {
+        const cached = await this.offlineStore.getMeta(cacheKey);
+        if (cached && cached.token === this.token) {
+          this.currentUser = { id: cached.user.id, name: cached.user.name };
+          return cached.user;
+        }
+      }
+      console.error('Error fetching current user:', error);
+      throw error;
+    }
+  }
+
+  // ========================================
+  // Annotation Methods
+  // ========================================
+
+  /**
+   * Fetch a single page of annotations
    * @param {string} [pointCloudId] - Optional point cloud ID to filter by
-   * @returns {Promise<Array>} Array of annotation objects
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Page size (server default if omitted)
+   * @param {string} [options.cursor] - Cursor returned by the previous page
+   * @param {...string} [options.search] - Search parameters: q, author,
+   *   createdAfter, createdBefore, sort (see backend/src/search.js), and
+   *   bbox, near, radius, k (see backend/src/spatial.js)
+   * @returns {Promise<{items: Array, nextCursor: string|null}>}
    */
-  async getAnnotations(pointCloudId = null) {
+  async getAnnotationsPage(pointCloudId = null, { limit, cursor, ...search } = {}) {
     try {
-      let url = `${this.baseUrl}/annotations`;
-      if (pointCloudId) {
-        url += `?pointCloudId=${encodeURIComponent(pointCloudId)}`;
+      const params = new URLSearchParams();
+      if (pointCloudId) params.set('pointCloudId', pointCloudId);
+      if (limit) params.set('limit', limit);
+      if (cursor) params.set('cursor', cursor);
+      for (const [name, value] of Object.entries(search)) {
+        if (value) params.set(name, value);
       }
-      const response = await fetch(url);
+
+      const query = params.toString();
+      const url = `${this.baseUrl}/annotations${query ? `?${query}` : ''}`;
+      const response = await this.request(url);
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -37,6 +171,114 @@ class AnnotationAPI {
     }
   }
 
+  /**
+   * Fetch all annotations from the backend, following pagination cursors.
+   * Changes still waiting to be sent are applied on top, and a point cloud's
+   * list is cached; offline, the cached list is returned instead.
+   * @param {string} [pointCloudId] - Optional point cloud ID to filter by
+   * @param {Function} [onPage] - Called with each page's items as it arrives
+   * @returns {Promise<Array>} Array of annotation objects
+   */
+  async getAnnotations(pointCloudId = null, onPage = null) {
+    const annotations = [];
+    const unsent = await this.pendingRecords(pointCloudId);
+    let cursor = null;
+
+    try {
+      do {
+        const page = await this.getAnnotationsPage(pointCloudId, { cursor });
+        const items = page.items
+          .map(item => (unsent.has(item.id) ? unsent.get(item.id) : item))
+          .filter(Boolean);
+        items.forEach(item => unsent.delete(item.id));
+        annotations.push(...items);
+        if (onPage) onPage(items);
+        cursor = page.nextCursor;
+      } while (cursor);
+    } catch (error) {
+      if (!this.isOfflineError(error) || !pointCloudId) throw error;
+      const cached = await this.offlineStore.getAnnotations(pointCloudId);
+      if (onPage) onPage(cached);
+      return cached;
+    }
+
+    // Annotations the backend has not seen yet (created or restored offline)
+    const created = [...unsent.values()].filter(Boolean);
+    if (created.length > 0) {
+      annotations.push(...created);
+      if (onPage) onPage(created);
+    }
+
+    if (this.offlineStore && pointCloudId) {
+      await this.offlineStore.replaceAnnotations(pointCloudId, annotations);
+    }
+    return annotations;
+  }
+
+  /**
+   * Search a point cloud's annotations, following pagination cursors
+   * @param {string} pointCloudId - Point cloud to search
+   * @param {Object} search - { q, author, createdAfter, createdBefore, sort }
+   * @returns {Promise<Array>} Matching annotations in the requested order
+   */
+  async searchAnnotations(pointCloudId, search) {
+    const results = [];
+    let cursor = null;
+
+    do {
+      const page = await this.getAnnotationsPage(pointCloudId, { ...search, cursor });
+      results.push(...page.items);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return results;
+  }
+
+  /**
+   * Annotations with positions inside a box, following pagination cursors
+   * @param {string} pointCloudId - Point cloud to query
+   * @param {Object} box - { min: {x, y, z}, max: {x, y, z} } in scene coordinates
+   * @returns {Promise<Array>}
+   */
+  getAnnotationsInBox(pointCloudId, { min, max }) {
+    const bbox = [min.x, min.y, min.z, max.x, max.y, max.z].join(',');
+    return this.searchAnnotations(pointCloudId, { bbox });
+  }
+
+  /**
+   * The annotation nearest to a point
+   * @param {string} pointCloudId - Point cloud to query
+   * @param {Object} point - { x, y, z } in scene coordinates
+   * @returns {Promise<Object|null>} The annotation with its `distance`, or null if there is none
+   */
+  async getNearestAnnotation(pointCloudId, { x, y, z }) {
+    const page = await this.getAnnotationsPage(pointCloudId, { near: [x, y, z].join(','), k: 1 });
+    return page.items[0] || null;
+  }
+
+  /**
+   * Download annotations as a GeoJSON, CSV or KITTI label file
+   * @param {string} [pointCloudId] - Optional point cloud ID to filter by
+   * @param {string} format - 'geojson', 'csv' or 'kitti'
+   * @returns {Promise<Blob>} The exported file
+   */
+  async exportAnnotations(pointCloudId, format) {
+    try {
+      const params = new URLSearchParams({ format });
+      if (pointCloudId) params.set('pointCloudId', pointCloudId);
+
+      const response = await this.request(`${this.baseUrl}/annotations/export?${params}`);
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+      return await response.blob();
+    } catch (error) {
+      console.error('Error exporting annotations:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create a new annotation
    * @param {Object} annotation - The annotation data
@@ -44,16 +286,57 @@ class AnnotationAPI {
    * @param {string} annotation.text - Annotation text (max 256 bytes)
    * @param {Object} [annotation.cameraPosition] - Camera position for navigation
    * @param {Object} [annotation.cameraTarget] - Camera target for navigation
-   * @returns {Promise<Object>} The created annotation with ID
+   * @returns {Promise<Object>} The created annotation with ID (a local ID
+   *   until the backend has it, when saved offline)
    */
   async createAnnotation(annotation) {
+    if (this.shouldQueue()) {
+      return this.queueCreate(annotation);
+    }
+
+    try {
+      const created = await this.sendCreate(annotation);
+      await this.cacheRecord(created);
+      return created;
+    } catch (error) {
+      if (this.isOfflineError(error)) {
+        return this.queueCreate(annotation);
+      }
+      console.error('Error creating annotation:', error);
+      throw error;
+    }
+  }
+
+  async sendCreate(annotation) {
+    const response = await this.request(`${this.baseUrl}/annotations`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(annotation)
+    });
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Apply several create/update/delete operations all-or-nothing
+   * @param {Array<Object>} operations - e.g. { op: 'create', data },
+   *   { op: 'update', id, data } or { op: 'delete', id } (at most 100)
+   * @returns {Promise<Array>} One result per operation: { op, id, annotation? }
+   */
+  async batch(operations) {
     try {
-      const response = await fetch(`${this.baseUrl}/annotations`, {
+      const response = await this.request(`${this.baseUrl}/annotations/batch`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(annotation)
+        body: JSON.stringify({ operations })
       });
 
       if (!response.ok) {
@@ -61,28 +344,29 @@ class AnnotationAPI {
         throw new Error(error.error || `HTTP error! status: ${response.status}`);
       }
 
-      return await response.json();
+      const { results } = await response.json();
+      return results;
     } catch (error) {
-      console.error('Error creating annotation:', error);
+      console.error('Error applying batch:', error);
       throw error;
     }
   }
 
   /**
-   * Update an existing annotation
-   * @param {string} id - The annotation ID
-   * @param {Object} updates - The fields to update
-   * @param {string} [updates.text] - New annotation text
-   * @returns {Promise<Object>} The updated annotation
+   * Import annotations from a file; invalid rows are skipped and reported
+   * @param {string} pointCloudId - Point cloud the annotations belong to
+   * @param {string} format - 'csv', 'geojson' or 'json'
+   * @param {string} content - File contents
+   * @returns {Promise<Object>} { imported, errors: [{ row, error }], total }
    */
-  async updateAnnotation(id, updates) {
+  async importAnnotations(pointCloudId, format, content) {
     try {
-      const response = await fetch(`${this.baseUrl}/annotations/${id}`, {
-        method: 'PUT',
+      const response = await this.request(`${this.baseUrl}/annotations/import`, {
+        method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(updates)
+        body: JSON.stringify({ pointCloudId, format, content })
       });
 
       if (!response.ok) {
@@ -92,45 +376,710 @@ class AnnotationAPI {
 
       return await response.json();
     } catch (error) {
+      console.error('Error importing annotations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing annotation
+   * @param {string} id - The annotation ID
+   * @param {Object} updates - The fields to update
+   * @param {string} [updates.text] - New annotation text
+   * @param {number} [version] - Version the edit is based on; the update fails
+   *   with a 409 error carrying the stored record (`error.current`) if it changed
+   * @returns {Promise<Object>} The updated annotation
+   */
+  async updateAnnotation(id, updates, version = null) {
+    id = this.resolveId(id);
+    if (this.shouldQueue()) {
+      return this.queueUpdate(id, updates, version);
+    }
+
+    try {
+      const updated = await this.sendUpdate(id, updates, version);
+      await this.cacheRecord(updated);
+      return updated;
+    } catch (error) {
+      if (this.isOfflineError(error)) {
+        return this.queueUpdate(id, updates, version);
+      }
       console.error('Error updating annotation:', error);
       throw error;
     }
   }
 
+  async sendUpdate(id, updates, version) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (version !== null && version !== undefined) {
+      headers['If-Match'] = `"${version}"`;
+    }
+    const response = await this.request(`${this.baseUrl}/annotations/${id}`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(updates)
+    });
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    return await response.json();
+  }
+
   /**
    * Delete an annotation
    * @param {string} id - The annotation ID
    * @returns {Promise<void>}
    */
   async deleteAnnotation(id) {
-    try {
-      const response = await fetch(`${this.baseUrl}/annotations/${id}`, {
-        method: 'DELETE'
-      });
+    id = this.resolveId(id);
+    if (this.shouldQueue()) {
+      return this.queueDelete(id);
+    }
 
-      if (!response.ok && response.status !== 204) {
-        const error = await response.json();
-        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+    try {
+      await this.sendDelete(id);
+      if (this.offlineStore) {
+        await this.offlineStore.deleteAnnotation(id);
       }
     } catch (error) {
+      if (this.isOfflineError(error)) {
+        return this.queueDelete(id);
+      }
       console.error('Error deleting annotation:', error);
       throw error;
     }
   }
 
+  async sendDelete(id) {
+    const response = await this.request(`${this.baseUrl}/annotations/${id}`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok && response.status !== 204) {
+      throw await this.responseError(response);
+    }
+  }
+
+  /**
+   * Re-create a deleted annotation with its original ID and timestamps
+   * @param {Object} annotation - The annotation as it was before deletion
+   * @returns {Promise<Object>} The restored annotation
+   */
+  async restoreAnnotation(annotation) {
+    annotation = { ...annotation, id: this.resolveId(annotation.id) };
+    if (this.shouldQueue()) {
+      return this.queueRestore(annotation);
+    }
+
+    try {
+      const restored = await this.sendRestore(annotation);
+      await this.cacheRecord(restored);
+      return restored;
+    } catch (error) {
+      if (this.isOfflineError(error)) {
+        return this.queueRestore(annotation);
+      }
+      console.error('Error restoring annotation:', error);
+      throw error;
+    }
+  }
+
+  async sendRestore(annotation) {
+    const response = await this.request(`${this.baseUrl}/annotations/${annotation.id}/restore`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(annotation)
+    });
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Error for a failed response, with its `status` and, for version
+   * conflicts, the stored record (`current`)
+   */
+  async responseError(response) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.current = body.current || null;
+    return error;
+  }
+
   /**
-   * Check if the API is reachable
+   * Check if the API is reachable; once it is, queued changes are sent
    * @returns {Promise<boolean>}
    */
   async healthCheck() {
     try {
       const response = await fetch(`${this.baseUrl}/health`);
+      if (response.ok) {
+        this.setOffline(false);
+        if (this.pending.length > 0) {
+          this.syncPendingChanges();
+        }
+      }
       return response.ok;
     } catch (error) {
       return false;
     }
   }
 
+  // ========================================
+  // Offline Sync Methods
+  // ========================================
+  //
+  // While the backend cannot be reached, creates, updates, deletes and
+  // restores are applied to the IndexedDB cache and queued. Annotations
+  // created offline get a local ID; when the queue is replayed the backend
+  // assigns the real one and later changes are sent under it. Edits to a
+  // change still in the queue are folded into it, so each annotation is
+  // sent at most a create, restore or update followed by a delete.
+
+  /**
+   * Keep annotations and unsent changes in IndexedDB from now on. Without
+   * IndexedDB requests fail while offline, as before.
+   */
+  async openOfflineStore() {
+    try {
+      const store = new OfflineStore();
+      await store.open();
+      this.pending = await store.listQueued();
+      this.offlineStore = store;
+    } catch (error) {
+      console.warn('Offline cache unavailable:', error);
+    }
+    this.notifySync();
+  }
+
+  isOfflineError(error) {
+    return Boolean(this.offlineStore) && error.offline === true;
+  }
+
+  // Changes queue up behind unsent ones, so they reach the backend in order
+  shouldQueue() {
+    return Boolean(this.offlineStore) && (this.offline || this.pending.length > 0);
+  }
+
+  isLocalId(id) {
+    return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+  }
+
+  // Callers may still hold the local ID of an annotation the backend now has
+  resolveId(id) {
+    return this.localIds.get(id) || id;
+  }
+
+  hasUnsentChanges(id) {
+    return this.pending.some(entry => entry.id === id);
+  }
+
+  setOffline(offline) {
+    if (this.offline !== offline) {
+      this.offline = offline;
+      this.notifySync();
+    }
+  }
+
+  /**
+   * Sync events:
+   *   { type: 'status', offline, pending, syncing } whenever any of them changes
+   *   { type: 'saved', annotation, localId? } the backend stored a queued change
+   *   { type: 'rejected', entry, error } the backend refused one (it is dropped;
+   *     `error.current` holds the stored record for version conflicts)
+   *   { type: 'synced', rejected } the queue is empty; `rejected` changes were dropped
+   */
+  emitSync(event) {
+    if (this.onSync) this.onSync(event);
+  }
+
+  notifySync() {
+    this.emitSync({
+      type: 'status',
+      offline: this.offline,
+      pending: this.pending.length,
+      syncing: Boolean(this.syncing)
+    });
+  }
+
+  /**
+   * Cache a record received from the backend, unless it has local changes
+   * that are still to be sent
+   * @returns {Promise<boolean>} True if the record was cached
+   */
+  async cacheRecord(record) {
+    if (!this.offlineStore) return false;
+    if (this.pending.some(entry => entry.id === record.id && entry.seq !== this.replayingSeq)) {
+      return false;
+    }
+    await this.offlineStore.putAnnotation(record);
+    return true;
+  }
+
+  /**
+   * Keep the cache current with other users' changes
+   */
+  async cacheLiveEvent(event) {
+    if (!this.offlineStore) return;
+    try {
+      if (event.type === 'created' || event.type === 'updated') {
+        await this.cacheRecord(event.annotation);
+      } else if (event.type === 'deleted' && !this.hasUnsentChanges(event.id)) {
+        await this.offlineStore.deleteAnnotation(event.id);
+      }
+    } catch (error) {
+      console.error('Error caching live update:', error);
+    }
+  }
+
+  /**
+   * Local copies of annotations with queued changes
+   * @param {string} [pointCloudId] - Only those on this point cloud
+   * @returns {Promise<Map>} ID -> record, or null if it was deleted
+   */
+  async pendingRecords(pointCloudId = null) {
+    const records = new Map();
+    for (const entry of this.pending) {
+      if (pointCloudId && entry.pointCloudId !== pointCloudId) continue;
+      const record = entry.op === 'delete' ? null : await this.offlineStore.getAnnotation(entry.id);
+      records.set(entry.id, record || null);
+    }
+    return records;
+  }
+
+  async queueCreate(annotation) {
+    const now = new Date().toISOString();
+    const record = {
+      ...annotation,
+      id: `${LOCAL_ID_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+      pointCloudId: annotation.pointCloudId || null,
+      type: annotation.type || 'point',
+      status: annotation.status || 'draft',
+      version: 1,
+      createdAt: now,
+      createdBy: this.currentUser
+    };
+    await this.offlineStore.putAnnotation(record);
+    await this.queueChange({ op: 'create', id: record.id, pointCloudId: record.pointCloudId, data: annotation });
+    return record;
+  }
+
+  async queueUpdate(id, updates, version) {
+    const cached = await this.offlineStore.getAnnotation(id);
+    const record = {
+      ...cached,
+      ...updates,
+      id,
+      updatedAt: new Date().toISOString(),
+      updatedBy: this.currentUser
+    };
+    await this.offlineStore.putAnnotation(record);
+    await this.queueChange({ op: 'update', id, pointCloudId: record.pointCloudId, data: updates, version });
+    return record;
+  }
+
+  async queueDelete(id) {
+    const cached = await this.offlineStore.getAnnotation(id);
+    await this.offlineStore.deleteAnnotation(id);
+    await this.queueChange({ op: 'delete', id, pointCloudId: cached ? cached.pointCloudId : null });
+  }
+
+  async queueRestore(annotation) {
+    await this.offlineStore.putAnnotation(annotation);
+    const pointCloudId = annotation.pointCloudId || null;
+    if (this.isLocalId(annotation.id)) {
+      // Never reached the backend: undoing its delete creates it after all
+      const { id, createdAt, createdBy, updatedAt, updatedBy, version, commentCount, ...data } = annotation;
+      await this.queueChange({ op: 'create', id, pointCloudId, data });
+    } else {
+      await this.queueChange({ op: 'restore', id: annotation.id, pointCloudId, data: annotation });
+    }
+    return annotation;
+  }
+
+  /**
+   * Queue a change, folding it into a queued change to the same annotation
+   * that has not been sent yet
+   */
+  async queueChange(entry) {
+    const queued = this.pending.filter(p => p.id === entry.id && p.seq !== this.replayingSeq);
+    const last = queued[queued.length - 1];
+
+    if (entry.op === 'update' && last && last.op !== 'delete' &&
+        !(last.op === 'create' && 'status' in entry.data)) {
+      // New annotations start as drafts; review changes are sent separately
+      last.data = { ...last.data, ...entry.data };
+      await this.offlineStore.putQueued(last);
+    } else if (entry.op === 'delete' && last && (last.op === 'create' || last.op === 'restore')) {
+      // The backend never had it, or has it deleted already
+      await this.dropQueued(last);
+    } else if (entry.op === 'restore' && last && last.op === 'delete') {
+      await this.dropQueued(last);
+    } else {
+      entry.queuedAt = new Date().toISOString();
+      entry.seq = await this.offlineStore.putQueued(entry);
+      this.pending.push(entry);
+    }
+    this.notifySync();
+  }
+
+  async dropQueued(entry) {
+    await this.offlineStore.deleteQueued(entry.seq);
+    this.pending = this.pending.filter(p => p !== entry);
+  }
+
+  /**
+   * Send the queued changes in order. Changes the backend rejects are
+   * dropped; if it cannot be reached (or fails) the rest stay queued until
+   * the next successful health check.
+   * @returns {Promise<void>}
+   */
+  syncPendingChanges() {
+    if (!this.syncing) {
+      this.syncing = this.replayQueue().finally(() => {
+        this.syncing = null;
+        this.notifySync();
+      });
+      this.notifySync();
+    }
+    return this.syncing;
+  }
+
+  async replayQueue() {
+    let rejected = 0;
+    while (this.pending.length > 0) {
+      const entry = this.pending[0];
+      this.replayingSeq = entry.seq;
+      try {
+        await this.replayChange(entry);
+      } catch (error) {
+        if (!this.isRejection(error)) {
+          console.error('Sync paused:', error);
+          this.replayingSeq = null;
+          return;
+        }
+        console.error(`Queued ${entry.op} of ${entry.id} was rejected:`, error);
+        if (error.current) {
+          await this.cacheRecord(error.current);
+        }
+        this.emitSync({ type: 'rejected', entry, error });
+        rejected++;
+      }
+      this.replayingSeq = null;
+      await this.dropQueued(entry);
+      this.notifySync();
+    }
+    this.emitSync({ type: 'synced', rejected });
+  }
+
+  // Client errors other than auth and throttling will not succeed on retry
+  isRejection(error) {
+    return error.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status);
+  }
+
+  async replayChange(entry) {
+    if (entry.op === 'create') {
+      const created = await this.sendCreate(entry.data);
+      await this.mapLocalId(entry.id, created);
+    } else if (entry.op === 'update') {
+      const updated = await this.sendUpdate(entry.id, entry.data, entry.version);
+      // Updates queued while this one was sent were based on the old version
+      for (const later of this.pending) {
+        if (later !== entry && later.id === entry.id && later.version === entry.version) {
+          later.version = updated.version;
+          await this.offlineStore.putQueued(later);
+        }
+      }
+      if (await this.cacheRecord(updated)) {
+        this.emitSync({ type: 'saved', annotation: updated });
+      }
+    } else if (entry.op === 'delete') {
+      try {
+        await this.sendDelete(entry.id);
+      } catch (error) {
+        // Someone else deleted it already
+        if (error.status !== 404) throw error;
+      }
+    } else if (entry.op === 'restore') {
+      const restored = await this.sendRestore(entry.data);
+      if (await this.cacheRecord(restored)) {
+        this.emitSync({ type: 'saved', annotation: restored });
+      }
+    }
+  }
+
+  /**
+   * Move an annotation created offline to the ID the backend gave it, in
+   * the queue and the cache
+   */
+  async mapLocalId(localId, created) {
+    this.localIds.set(localId, created.id);
+    let record = created;
+    const later = this.pending.filter(p => p.id === localId && p.seq !== this.replayingSeq);
+    if (later.length > 0) {
+      // Keep the local copy, which has the changes still to be sent
+      record = { ...(await this.offlineStore.getAnnotation(localId)), id: created.id, version: created.version };
+      for (const entry of later) {
+        entry.id = created.id;
+        if (entry.op === 'update') entry.version = created.version;
+        await this.offlineStore.putQueued(entry);
+      }
+    }
+    await this.offlineStore.deleteAnnotation(localId);
+    await this.offlineStore.putAnnotation(record);
+    this.emitSync({ type: 'saved', annotation: record, localId });
+  }
+
+  // ========================================
+  // Live Update Methods
+  // ========================================
+
+  /**
+   * Get a short-lived ticket for a point cloud's live updates (EventSource and
+   * WebSocket connections cannot send the bearer token)
+   * @param {string} pointCloudId - The point cloud to subscribe to
+   * @returns {Promise<Object>} { url, ticket, expiresAt }
+   */
+  async createLiveTicket(pointCloudId) {
+    try {
+      const response = await this.request(`${this.baseUrl}/live/ticket`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ pointCloudId })
+      });
+
+      if (!response.ok) {
+        const body = await response.json();
+        const error = new Error(body.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error creating live update ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to a point cloud's annotation events: Server-Sent Events on the
+   * local server, a WebSocket on AWS
+   * @param {string} pointCloudId - The point cloud to subscribe to
+   * @param {Function} onEvent - Called with each { type, pointCloudId, annotation | id }
+   * @param {Function} onClose - Called once if the connection fails or drops
+   * @returns {Promise<{close: Function, sendPresence: Function|null}>} close() ends the
+   *   subscription without calling onClose; sendPresence(camera) shares the camera pose
+   *   with the other viewers (null on AWS, which has no presence)
+   */
+  async openLiveUpdates(pointCloudId, onEvent, onClose) {
+    const { url, ticket, sessionId } = await this.createLiveTicket(pointCloudId);
+    const query = `ticket=${encodeURIComponent(ticket)}`;
+    let closed = false;
+    const fail = () => {
+      if (closed) return;
+      closed = true;
+      onClose();
+    };
+    const handleMessage = (message) => {
+      try {
+        const event = JSON.parse(message.data);
+        this.cacheLiveEvent(event);
+        onEvent(event);
+      } catch (error) {
+        console.error('Error handling live update:', error);
+      }
+    };
+
+    if (/^wss?:/.test(url)) {
+      const socket = new WebSocket(`${url}?${query}`);
+      // API Gateway drops WebSocket connections idle for 10 minutes
+      const keepAlive = setInterval(() => {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ action: 'ping' }));
+        }
+      }, 5 * 60 * 1000);
+      socket.onmessage = handleMessage;
+      socket.onclose = () => {
+        clearInterval(keepAlive);
+        fail();
+      };
+      return {
+        close: () => {
+          closed = true;
+          clearInterval(keepAlive);
+          socket.close();
+        },
+        sendPresence: null
+      };
+    }
+
+    // The ticket expires, so reconnecting is left to the caller (with a new one)
+    const source = new EventSource(`${this.baseUrl}${url}?${query}`);
+    source.onmessage = handleMessage;
+    source.onerror = () => {
+      source.close();
+      fail();
+    };
+    return {
+      close: () => {
+        closed = true;
+        source.close();
+      },
+      sendPresence: (camera) => this.updatePresence(sessionId, camera)
+    };
+  }
+
+  /**
+   * Share this viewer's camera pose with the other viewers of its point cloud
+   * @param {string} sessionId - The live update connection's session
+   * @param {Object} camera - { position, target, fov }
+   */
+  async updatePresence(sessionId, camera) {
+    const response = await this.request(`${this.baseUrl}/live/presence`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ sessionId, camera })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || `HTTP error! status: ${response.status}`);
+    }
+  }
+
+  // ========================================
+  // Revision History Methods
+  // ========================================
+
+  /**
+   * Fetch the revision log of an annotation, newest first
+   * @param {string} annotationId - The annotation ID
+   * @returns {Promise<Array>} Revisions { id, revision, action, at, by, changes, snapshot }
+   */
+  async getHistory(annotationId) {
+    try {
+      const response = await this.request(`${this.baseUrl}/annotations/${annotationId}/history`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const { items } = await response.json();
+      return items;
+    } catch (error) {
+      console.error('Error fetching history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore an annotation's content to an earlier revision
+   * @param {string} annotationId - The annotation ID
+   * @param {string} revisionId - ID of the revision to restore
+   * @returns {Promise<Object>} The updated annotation
+   */
+  async restoreRevision(annotationId, revisionId) {
+    try {
+      const response = await this.request(
+        `${this.baseUrl}/annotations/${annotationId}/history/${revisionId}/restore`,
+        { method: 'POST' }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      throw error;
+    }
+  }
+
+  // ========================================
+  // Comment Methods
+  // ========================================
+
+  /**
+   * Fetch the comment thread of an annotation, oldest first
+   * @param {string} annotationId - The annotation ID
+   * @returns {Promise<Array>} Comments { id, text, createdAt, createdBy }
+   */
+  async getComments(annotationId) {
+    try {
+      const response = await this.request(`${this.baseUrl}/annotations/${annotationId}/comments`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const { items } = await response.json();
+      return items;
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a comment to an annotation
+   * @param {string} annotationId - The annotation ID
+   * @param {string} text - Comment text (max 2048 bytes)
+   * @returns {Promise<Object>} The created comment
+   */
+  async createComment(annotationId, text) {
+    try {
+      const response = await this.request(`${this.baseUrl}/annotations/${annotationId}/comments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ text })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error creating comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a comment
+   * @param {string} annotationId - The annotation ID
+   * @param {string} commentId - The comment ID
+   */
+  async deleteComment(annotationId, commentId) {
+    try {
+      const response = await this.request(`${this.baseUrl}/annotations/${annotationId}/comments/${commentId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok && response.status !== 204) {
+        const error = await response.json();
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      throw error;
+    }
+  }
+
   // ========================================
   // Point Cloud Methods
   // ========================================
@@ -141,7 +1090,7 @@ class AnnotationAPI {
    */
   async getPointClouds() {
     try {
-      const response = await fetch(`${this.baseUrl}/pointclouds`);
+      const response = await this.request(`${this.baseUrl}/pointclouds`);
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -161,7 +1110,7 @@ class AnnotationAPI {
    */
   async createPointCloud(pointCloud) {
     try {
-      const response = await fetch(`${this.baseUrl}/pointclouds`, {
+      const response = await this.request(`${this.baseUrl}/pointclouds`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -181,6 +1130,34 @@ class AnnotationAPI {
     }
   }
 
+  /**
+   * Update a point cloud's name, description or tags
+   * @param {string} id - The point cloud ID
+   * @param {Object} changes - { name, description, tags } (any subset)
+   * @returns {Promise<Object>} The updated point cloud
+   */
+  async updatePointCloud(id, changes) {
+    try {
+      const response = await this.request(`${this.baseUrl}/pointclouds/${id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating point cloud:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a point cloud entry
    * @param {string} id - The point cloud ID
@@ -188,7 +1165,7 @@ class AnnotationAPI {
    */
   async deletePointCloud(id) {
     try {
-      const response = await fetch(`${this.baseUrl}/pointclouds/${id}`, {
+      const response = await this.request(`${this.baseUrl}/pointclouds/${id}`, {
         method: 'DELETE'
       });
 
@@ -201,6 +1178,108 @@ class AnnotationAPI {
       throw error;
     }
   }
+
+  // ========================================
+  // Taxonomy Methods
+  // ========================================
+
+  /**
+   * Fetch the annotation categories of a point cloud
+   * @param {string} pointCloudId - The registered point cloud ID
+   * @returns {Promise<Object>} { pointCloudId, categories: [{ id, name, color, parentId }] }
+   */
+  async getTaxonomy(pointCloudId) {
+    try {
+      const response = await this.request(`${this.baseUrl}/pointclouds/${pointCloudId}/taxonomy`);
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching taxonomy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the annotation categories of a point cloud
+   * @param {string} pointCloudId - The registered point cloud ID
+   * @param {Array} categories - Full list of { id, name, color, parentId }
+   * @returns {Promise<Object>} { pointCloudId, categories }
+   */
+  async updateTaxonomy(pointCloudId, categories) {
+    try {
+      const response = await this.request(`${this.baseUrl}/pointclouds/${pointCloudId}/taxonomy`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ categories })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating taxonomy:', error);
+      throw error;
+    }
+  }
+
+  // ========================================
+  // Point Label Methods
+  // ========================================
+
+  /**
+   * Fetch per-point labels of a point cloud
+   * @param {string} pointCloudId - The registered point cloud ID
+   * @returns {Promise<Object>} { pointCloudId, nodes: { [nodeName]: { [class]: ranges } } }
+   */
+  async getPointLabels(pointCloudId) {
+    try {
+      const response = await this.request(`${this.baseUrl}/pointclouds/${pointCloudId}/labels`);
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching point labels:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the labels of the given octree nodes
+   * @param {string} pointCloudId - The registered point cloud ID
+   * @param {Object} nodes - { [nodeName]: { [class]: [[start, end], ...] } | null }
+   * @returns {Promise<Object>} { pointCloudId, updatedNodes }
+   */
+  async updatePointLabels(pointCloudId, nodes) {
+    try {
+      const response = await this.request(`${this.baseUrl}/pointclouds/${pointCloudId}/labels`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ nodes })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating point labels:', error);
+      throw error;
+    }
+  }
 }
 
 // Create global instance
@@ -16,7 +16,7 @@ let loadingEl, sidebarEl, toggleSidebarBtn, showSidebarBtn;
 let annotationListEl, annotationCountEl, annotationModal;
 let annotationTextEl, byteCountEl, modalTitleEl;
 let saveBtn, cancelBtn, closeModalX, deleteBtn, statusMessageEl;
-let btnGrid, btnAxes, btnViewTop, btnViewFront, btnViewLeft, btnFit;
+let btnGrid, btnAxes, btnViewTop, btnViewFront, btnViewLeft, btnFit, btnBox;
 
 // Helpers
 let gridHelper = null;
@@ -24,12 +24,152 @@ let axesHelper = null;
 let byteCountDebounceTimer = null;
 let currentPointCloud = null;
 let currentPointCloudUrl = null; // Track current point cloud for annotation filtering
+let currentPointCloudRecord = null; // Backend registry entry for the current cloud, once known
 
 // Load cloud modal elements
 let loadCloudModal, cloudUrlInput, btnLoadCloud, confirmLoadCloudBtn, cancelLoadCloudBtn, closeLoadModalX;
-let cloudSelect, tabGallery, tabUrl, galleryContent, urlContent;
+let cloudGallery, tabGallery, tabUrl, galleryContent, urlContent;
 let isGalleryMode = true; // Track which tab is active
 let availablePointClouds = []; // Cached point clouds from backend + defaults
+let selectedCloudPath = null; // Gallery card picked for loading
+let editingCloudId = null; // Registered cloud whose description and tags are being edited
+
+// Box editor elements
+let boxPanel, boxPanelTitle, boxLabelInput, boxTextInput, saveBoxBtn, cancelBoxBtn;
+let boxDraft = null; // { annotation, volume, original } while a box is drawn or edited
+
+// Measurement panel elements
+let measureButtons, measurePanel, measurePanelTitle, measureValueEl, measureTextInput;
+let saveMeasureBtn, cancelMeasureBtn;
+let measureDraft = null; // { kind, measure } while a measurement is being taken
+
+// Authentication elements
+let signInModal, signInMessageEl, signInUsernameInput, signInTokenInput, signInErrorEl, confirmSignInBtn;
+let userRowEl, userNameEl, userRoleEl, btnSignOut;
+let currentUser = null; // { id, name } of the signed-in user
+let currentRole = null; // Role on the current point cloud: viewer | annotator | reviewer | admin
+let signInWaiters = []; // Resolve functions of ensureSignedIn() calls waiting for sign-in
+
+// Marker placement elements
+let annotationPlacementEl, moveAnnotationBtn, captureViewBtn, boxCaptureViewBtn;
+let markerMove = null; // { id, original, dragging } while a marker is being moved
+
+// Revision history elements
+let annotationHistoryEl, toggleHistoryBtn, historyListEl;
+let historyAnnotationId = null; // Annotation whose revision log is shown
+
+// Comment thread elements
+let annotationCommentsEl, commentListEl, commentCountEl, commentFormEl, commentTextEl, postCommentBtn;
+let commentThread = null; // { annotationId, comments } of the open annotation
+
+// Review workflow elements
+let reviewFilterEl, annotationReviewEl, reviewActionsEl, boxReviewEl, boxReviewActionsEl;
+let reviewFilter = ''; // '' = all, or a review status
+
+// WebGL marker layer, used instead of DOM markers while a cloud has many annotations
+let markerLayer = null;
+let markerLayerActive = false;
+let markerPointerDown = null; // Where the last press on the render area started
+
+// Sidebar list elements
+let groupByEl, listSpacerEl, listEmptyEl;
+let listRows = []; // Rows in display order: { key, type: 'group' | 'annotation', ... }
+let listRowTops = []; // Offset of each row from the top of the list
+let listRowElements = new Map(); // row key -> { el, html } of the rows currently drawn
+let listRowHeights = new Map(); // row key -> height measured when it was last drawn
+let collapsedGroups = new Set(); // "<grouping>:<group key>" of collapsed groups
+let listRenderScheduled = false;
+let lastSortCameraKey = null; // Camera position the distance sort was computed for
+let lastDistanceSortAt = 0;
+
+// Annotation search elements
+let annotationSearchEl, sortOrderEl, authorFilterEl, createdAfterEl, createdBeforeEl;
+let searchDebounceTimer = null;
+let searchSequence = 0; // Numbers search requests so only the latest answer is shown
+let activeSearch = null; // { query, ids, terms, at } of the search the list shows
+let authorOptionsKey = ''; // Authors currently offered by the author filter
+
+// Spatial query elements
+let btnInView, btnNearest, spatialFilterEl;
+let spatialFilter = null; // { ids, frustum, at } while the list shows only what is in view
+let nearestPicking = false; // The next click on the point cloud finds the nearest annotation
+
+// Edit conflict elements
+let conflictModal, conflictMineEl, conflictTheirsEl, conflictTextEl, conflictCategoryEl;
+let conflictTheirsBtn, conflictMineBtn, conflictMergeBtn, closeConflictModalX;
+let editConflict = null; // { mine: { text, category }, theirs } while the conflict modal is open
+
+// Live updates
+let liveConnection = null; // { close } subscription to the current point cloud's events
+let liveReconnectTimer = null;
+let deferredLiveEvents = new Map(); // annotation ID -> last event while it is open in an editor
+let listUpdateScheduled = false;
+
+// Collaborator presence
+let presencePanelEl, presenceListEl;
+let collaborators = new Map(); // session ID -> { user, camera, gizmo } of other viewers
+let followedSessionId = null;
+let presenceTimer = null; // Pending send of this viewer's camera pose
+let lastPresenceAt = 0;
+let lastPresenceKey = null; // The pose last sent, rounded, to skip unchanged frames
+
+// Offline sync
+let syncStatusEl;
+let syncCheckTimer = null; // Next health check while offline or changes wait to be sent
+
+// Undo/redo
+let btnUndo, btnRedo;
+let undoStack = []; // Commands: { type: 'create'|'edit'|'move'|'delete', label, ... }
+let redoStack = [];
+let historyBusy = false; // An undo or redo request is in flight
+
+// Export and import elements
+let btnExport, exportMenu;
+let btnImport, importFileInput, importModal, importSummaryEl, importErrorsEl;
+let closeImportBtn, closeImportModalX;
+
+// Category elements
+let categoryFilterEl, annotationCategoryEl, boxCategoryEl, measureCategoryEl;
+let btnManageCategories, taxonomyModal, taxonomyListEl, addCategoryBtn;
+let saveTaxonomyBtn, cancelTaxonomyBtn, closeTaxonomyModalX;
+
+// Annotation categories of the current point cloud
+let categories = []; // [{ id, name, color, parentId }]
+let categoryFilter = ''; // '' = all, UNCATEGORIZED, or a category ID (includes subcategories)
+let taxonomyDraft = null; // Working copy while the taxonomy modal is open
+
+// Point labeling elements
+let btnLabel, labelPanel, labelClassList, labelToolButtons, labelBrushSizeInput;
+let labelShowClassesInput, labelDirtyCountEl, saveLabelsBtn, closeLabelsBtn, labelOverlay;
+
+// Per-point labels
+let pointLabels = new Map(); // octree node name -> Map(point index -> classification code)
+let dirtyLabelNodes = new Set(); // nodes with unsaved label edits
+let labeledGeometries = new WeakSet(); // node geometries that already show the labels
+let labelTool = null; // 'navigate' | 'lasso' | 'brush' while labeling mode is on
+let labelClassCode = null; // Classification assigned by the lasso/brush
+let labelStroke = null; // Screen points of the lasso or brush stroke in progress
+let brushFlushPending = false;
+
+// Potree measure settings per measurement kind
+const MEASUREMENT_TOOLS = {
+  distance: {
+    title: 'Distance',
+    options: { showDistances: true, showArea: false, closed: false }
+  },
+  area: {
+    title: 'Area',
+    options: { showDistances: true, showArea: true, closed: true }
+  },
+  height: {
+    title: 'Height',
+    options: { showDistances: false, showHeight: true, closed: false, maxMarkers: 2 }
+  },
+  angle: {
+    title: 'Angle',
+    options: { showDistances: false, showAngles: true, closed: true, maxMarkers: 3 }
+  }
+};
 
 /**
  * Initialize DOM references
@@ -56,6 +196,7 @@ function initDOMReferences() {
   btnViewFront = document.getElementById('btn-view-front');
   btnViewLeft = document.getElementById('btn-view-left');
   btnFit = document.getElementById('btn-fit');
+  btnBox = document.getElementById('btn-box');
   
   // Load cloud modal elements
   loadCloudModal = document.getElementById('load-cloud-modal');
@@ -64,11 +205,123 @@ function initDOMReferences() {
   confirmLoadCloudBtn = document.getElementById('confirm-load-cloud');
   cancelLoadCloudBtn = document.getElementById('cancel-load-cloud');
   closeLoadModalX = document.getElementById('close-load-modal-x');
-  cloudSelect = document.getElementById('cloud-select');
+  cloudGallery = document.getElementById('cloud-gallery');
   tabGallery = document.getElementById('tab-gallery');
   tabUrl = document.getElementById('tab-url');
   galleryContent = document.getElementById('gallery-content');
   urlContent = document.getElementById('url-content');
+
+  // Box editor elements
+  boxPanel = document.getElementById('box-panel');
+  boxPanelTitle = document.getElementById('box-panel-title');
+  boxLabelInput = document.getElementById('box-label');
+  boxTextInput = document.getElementById('box-text');
+  saveBoxBtn = document.getElementById('save-box');
+  cancelBoxBtn = document.getElementById('cancel-box');
+
+  // Measurement panel elements
+  measureButtons = document.querySelectorAll('[data-measure]');
+  measurePanel = document.getElementById('measure-panel');
+  measurePanelTitle = document.getElementById('measure-panel-title');
+  measureValueEl = document.getElementById('measure-value');
+  measureTextInput = document.getElementById('measure-text');
+  saveMeasureBtn = document.getElementById('save-measure');
+  cancelMeasureBtn = document.getElementById('cancel-measure');
+
+  // Authentication elements
+  signInModal = document.getElementById('sign-in-modal');
+  signInMessageEl = document.getElementById('sign-in-message');
+  signInUsernameInput = document.getElementById('sign-in-username');
+  signInTokenInput = document.getElementById('sign-in-token');
+  signInErrorEl = document.getElementById('sign-in-error');
+  confirmSignInBtn = document.getElementById('confirm-sign-in');
+  userRowEl = document.getElementById('user-row');
+  userNameEl = document.getElementById('user-name');
+  userRoleEl = document.getElementById('user-role');
+  btnSignOut = document.getElementById('btn-sign-out');
+
+  // Marker placement elements
+  annotationPlacementEl = document.getElementById('annotation-placement');
+  moveAnnotationBtn = document.getElementById('move-annotation');
+  captureViewBtn = document.getElementById('capture-view');
+  boxCaptureViewBtn = document.getElementById('box-capture-view');
+
+  // Undo/redo
+  btnUndo = document.getElementById('btn-undo');
+  btnRedo = document.getElementById('btn-redo');
+
+  // Export elements
+  btnExport = document.getElementById('btn-export');
+  exportMenu = document.getElementById('export-menu');
+  btnImport = document.getElementById('btn-import');
+  importFileInput = document.getElementById('import-file');
+  importModal = document.getElementById('import-modal');
+  importSummaryEl = document.getElementById('import-summary');
+  importErrorsEl = document.getElementById('import-errors');
+  closeImportBtn = document.getElementById('close-import');
+  closeImportModalX = document.getElementById('close-import-modal-x');
+
+  // Category elements
+  categoryFilterEl = document.getElementById('category-filter');
+  reviewFilterEl = document.getElementById('review-filter');
+  annotationSearchEl = document.getElementById('annotation-search');
+  sortOrderEl = document.getElementById('sort-order');
+  groupByEl = document.getElementById('group-by');
+  listSpacerEl = document.getElementById('annotation-list-spacer');
+  listEmptyEl = document.getElementById('annotation-list-empty');
+  authorFilterEl = document.getElementById('author-filter');
+  createdAfterEl = document.getElementById('created-after');
+  createdBeforeEl = document.getElementById('created-before');
+  btnInView = document.getElementById('btn-in-view');
+  btnNearest = document.getElementById('btn-nearest');
+  spatialFilterEl = document.getElementById('spatial-filter');
+  annotationHistoryEl = document.getElementById('annotation-history');
+  toggleHistoryBtn = document.getElementById('toggle-history');
+  historyListEl = document.getElementById('history-list');
+  annotationCommentsEl = document.getElementById('annotation-comments');
+  commentListEl = document.getElementById('comment-list');
+  commentCountEl = document.getElementById('comment-count');
+  commentFormEl = document.getElementById('comment-form');
+  commentTextEl = document.getElementById('comment-text');
+  postCommentBtn = document.getElementById('post-comment');
+  annotationReviewEl = document.getElementById('annotation-review');
+  reviewActionsEl = document.getElementById('review-actions');
+  boxReviewEl = document.getElementById('box-review');
+  boxReviewActionsEl = document.getElementById('box-review-actions');
+  presencePanelEl = document.getElementById('presence-panel');
+  presenceListEl = document.getElementById('presence-list');
+  syncStatusEl = document.getElementById('sync-status');
+  conflictModal = document.getElementById('conflict-modal');
+  conflictMineEl = document.getElementById('conflict-mine');
+  conflictTheirsEl = document.getElementById('conflict-theirs');
+  conflictTextEl = document.getElementById('conflict-text');
+  conflictCategoryEl = document.getElementById('conflict-category');
+  conflictTheirsBtn = document.getElementById('conflict-use-theirs');
+  conflictMineBtn = document.getElementById('conflict-use-mine');
+  conflictMergeBtn = document.getElementById('conflict-save-merged');
+  closeConflictModalX = document.getElementById('close-conflict-modal-x');
+  annotationCategoryEl = document.getElementById('annotation-category');
+  boxCategoryEl = document.getElementById('box-category');
+  measureCategoryEl = document.getElementById('measure-category');
+  btnManageCategories = document.getElementById('btn-manage-categories');
+  taxonomyModal = document.getElementById('taxonomy-modal');
+  taxonomyListEl = document.getElementById('taxonomy-list');
+  addCategoryBtn = document.getElementById('add-category');
+  saveTaxonomyBtn = document.getElementById('save-taxonomy');
+  cancelTaxonomyBtn = document.getElementById('cancel-taxonomy');
+  closeTaxonomyModalX = document.getElementById('close-taxonomy-modal-x');
+
+  // Point labeling elements
+  btnLabel = document.getElementById('btn-label');
+  labelPanel = document.getElementById('label-panel');
+  labelClassList = document.getElementById('label-class-list');
+  labelToolButtons = document.querySelectorAll('[data-label-tool]');
+  labelBrushSizeInput = document.getElementById('label-brush-size');
+  labelShowClassesInput = document.getElementById('label-show-classes');
+  labelDirtyCountEl = document.getElementById('label-dirty-count');
+  saveLabelsBtn = document.getElementById('save-labels');
+  closeLabelsBtn = document.getElementById('close-labels');
+  labelOverlay = document.getElementById('label-overlay');
 }
 
 /**
@@ -76,11 +329,18 @@ function initDOMReferences() {
  */
 async function init() {
   initDOMReferences();
+  setupAuthListeners();
 
   try {
     await initPotreeViewer();
     initHelpers();
+    setupMarkerLayer();
+    await setupOfflineSync();
+    await ensureSignedIn();
+    await loadTaxonomy();
     await loadAnnotations();
+    connectLiveUpdates();
+    await loadPointLabels();
     setupEventListeners();
     setupAnnotationClickHandler();
 
@@ -104,6 +364,140 @@ async function init() {
   }
 }
 
+// ========================================
+// Authentication
+// ========================================
+
+function setupAuthListeners() {
+  confirmSignInBtn.addEventListener('click', handleSignIn);
+  signInUsernameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleSignIn();
+  });
+  btnSignOut.addEventListener('click', signOut);
+
+  // Expired or revoked token: sign in again, then retry the action
+  annotationAPI.onUnauthorized = () => {
+    openSignInModal('Your session has expired. Please sign in again.');
+  };
+}
+
+/**
+ * Resolve with the signed-in user, asking the user to sign in when there
+ * is no stored token or the backend rejects it
+ */
+async function ensureSignedIn() {
+  if (annotationAPI.token) {
+    try {
+      setCurrentUser(await annotationAPI.getCurrentUser(currentPointCloudUrl));
+      return currentUser;
+    } catch (error) {
+      console.warn('Stored token was not accepted:', error.message);
+    }
+  }
+
+  return new Promise((resolve) => {
+    signInWaiters.push(resolve);
+    openSignInModal();
+  });
+}
+
+function openSignInModal(message = '') {
+  signInMessageEl.textContent = message;
+  signInMessageEl.classList.toggle('hidden', !message);
+  signInErrorEl.classList.add('hidden');
+  signInTokenInput.value = '';
+  signInModal.classList.remove('hidden');
+  signInUsernameInput.focus();
+}
+
+/**
+ * Sign in with a pasted token, or get one for the username from the local issuer
+ */
+async function handleSignIn() {
+  const username = signInUsernameInput.value.trim();
+  const token = signInTokenInput.value.trim();
+  if (!username && !token) {
+    signInErrorEl.textContent = 'Enter a username or paste a token';
+    signInErrorEl.classList.remove('hidden');
+    return;
+  }
+
+  try {
+    if (token) {
+      annotationAPI.setToken(token);
+    } else {
+      await annotationAPI.signIn(username);
+    }
+    setCurrentUser(await annotationAPI.getCurrentUser(currentPointCloudUrl));
+  } catch (error) {
+    annotationAPI.setToken(null);
+    signInErrorEl.textContent = 'Sign in failed: ' + error.message;
+    signInErrorEl.classList.remove('hidden');
+    return;
+  }
+
+  signInModal.classList.add('hidden');
+  signInWaiters.splice(0).forEach(resolve => resolve(currentUser));
+  showStatus(`Signed in as ${currentUser.name}`, 'success');
+}
+
+/**
+ * @param {Object} user - { id, name, role } with the role on the current point cloud
+ */
+function setCurrentUser({ id, name, role }) {
+  currentUser = { id, name };
+  currentRole = role;
+  userNameEl.textContent = name;
+  userRoleEl.textContent = role;
+  userRowEl.classList.remove('hidden');
+  applyRolePermissions();
+}
+
+/**
+ * Refresh the role after switching point clouds
+ */
+async function loadRole() {
+  try {
+    setCurrentUser(await annotationAPI.getCurrentUser(currentPointCloudUrl));
+  } catch (error) {
+    console.error('Error loading role:', error);
+    showStatus('Could not load your role for this point cloud', 'error');
+  }
+}
+
+// Roles in increasing order of permissions (see backend/src/roles.js)
+const ROLES = ['viewer', 'annotator', 'reviewer', 'admin'];
+
+function hasRole(minimum) {
+  return ROLES.indexOf(currentRole) >= ROLES.indexOf(minimum);
+}
+
+/**
+ * Annotators may change their own annotations; reviewers and admins anyone's
+ */
+function canEditAnnotation(annotation) {
+  return hasRole('reviewer') ||
+    (hasRole('annotator') && !!annotation.createdBy && annotation.createdBy.id === currentUser.id);
+}
+
+/**
+ * Show only the tools the current role may use (the backend enforces the same rules)
+ */
+function applyRolePermissions() {
+  const canAnnotate = hasRole('annotator');
+  btnBox.disabled = !canAnnotate;
+  measureButtons.forEach(btn => { btn.disabled = !canAnnotate; });
+  btnLabel.disabled = !canAnnotate;
+  btnImport.classList.toggle('hidden', !canAnnotate);
+  btnManageCategories.classList.toggle('hidden', !hasRole('admin'));
+  updateAnnotationList();
+}
+
+function signOut() {
+  annotationAPI.setToken(null);
+  window.location.reload();
+}
+
 /**
  * Initialize Potree viewer
  */
@@ -131,7 +525,6 @@ async function initPotreeViewer() {
           viewer.scene.addPointCloud(currentPointCloud);
           viewer.fitToScreen();
 
-          console.log('Point cloud loaded successfully');
           resolve();
         } else {
           reject(new Error('Failed to load point cloud'));
@@ -167,30 +560,19 @@ function setupAnnotationClickHandler() {
   const renderArea = document.getElementById('potree_render_area');
 
   renderArea.addEventListener('dblclick', (event) => {
-    // Get mouse position relative to the render area
-    const rect = renderArea.getBoundingClientRect();
-    const mouse = {
-      x: event.clientX - rect.left,
-      y: event.clientY - rect.top
-    };
-
-    // Use Potree's point cloud intersection
-    const camera = viewer.scene.getActiveCamera();
-    const pointclouds = viewer.scene.pointclouds;
-
-    const intersection = Potree.Utils.getMousePointCloudIntersection(
-      mouse,
-      camera,
-      viewer,
-      pointclouds,
-      { pickClipped: true }
-    );
-
-    if (intersection) {
-      const position = intersection.location;
-      console.log('Picked point:', position);
+    // Ignore while a box or measurement is being drawn or edited, or a marker moved
+    if (boxDraft || measureDraft || markerMove) return;
+    // Double-clicking a sprite marker opens it rather than adding one beneath it
+    if (markerLayerActive && markerLayer.pick(event)) return;
+    if (!hasRole('annotator')) {
+      showStatus(`Your role (${currentRole}) cannot add annotations`, 'error');
+      return;
+    }
 
+    const position = pickPointCloudSurface(event);
+    if (position) {
       // Store camera position for navigation
+      const camera = viewer.scene.getActiveCamera();
       const cameraPosition = {
         x: camera.position.x,
         y: camera.position.y,
@@ -199,23 +581,52 @@ function setupAnnotationClickHandler() {
 
       openAnnotationModal(null, position, cameraPosition);
     } else {
-      console.log('No intersection found');
       showStatus('Click directly on the point cloud to add annotation', 'error');
     }
   });
 }
 
+/**
+ * Point on the point cloud under the mouse, using Potree's picking
+ * @returns {THREE.Vector3|null}
+ */
+function pickPointCloudSurface(event) {
+  // Get mouse position relative to the render area
+  const rect = document.getElementById('potree_render_area').getBoundingClientRect();
+  const mouse = {
+    x: event.clientX - rect.left,
+    y: event.clientY - rect.top
+  };
+
+  const intersection = Potree.Utils.getMousePointCloudIntersection(
+    mouse,
+    viewer.scene.getActiveCamera(),
+    viewer,
+    viewer.scene.pointclouds,
+    { pickClipped: true }
+  );
+  return intersection ? intersection.location : null;
+}
+
 /**
  * Load annotations from backend
  */
 async function loadAnnotations() {
   try {
-    // Filter by current point cloud if we have one
-    const savedAnnotations = await annotationAPI.getAnnotations(currentPointCloudUrl);
-    for (const annotation of savedAnnotations) {
-      addAnnotationToViewer(annotation);
-    }
+    // Filter by current point cloud if we have one, adding each page as it arrives
+    const pointCloudUrl = currentPointCloudUrl;
+    await annotationAPI.getAnnotations(pointCloudUrl, (page) => {
+      // Drop pages for a cloud the user has already switched away from
+      if (pointCloudUrl !== currentPointCloudUrl) return;
+      for (const annotation of page) {
+        addAnnotationToViewer(annotation);
+      }
+      updateAnnotationList();
+    });
     updateAnnotationList();
+    if (activeSearch) {
+      runSearch();
+    }
   } catch (error) {
     console.error('Error loading annotations:', error);
     showStatus('Could not load saved annotations. Backend may be offline.', 'error');
@@ -226,7 +637,32 @@ async function loadAnnotations() {
  * Add an annotation to the Potree viewer
  */
 function addAnnotationToViewer(annotation) {
+  // A live update may have shown it before the request that made it returned
+  if (annotations.has(annotation.id)) {
+    removeAnnotationFromViewer(annotation.id);
+  }
   annotations.set(annotation.id, annotation);
+  syncMarkerMode();
+  if (markerLayerActive) {
+    markerLayer.set(annotation.id, markerStyle(annotation));
+  } else {
+    createDomMarker(annotation);
+  }
+
+  if (annotation.type === 'box') {
+    annotation.volume = createBoxVolume(annotation);
+    viewer.scene.addVolume(annotation.volume);
+  } else if (annotation.type === 'measurement') {
+    annotation.measure = createMeasure(annotation.measurementKind, annotation.vertices);
+    viewer.scene.addMeasurement(annotation.measure);
+  }
+}
+
+/**
+ * Show an annotation as a Potree (DOM) marker, unless it already has one
+ */
+function createDomMarker(annotation) {
+  if (annotation.potreeAnnotation) return;
 
   const position = new THREE.Vector3(
     annotation.position.x,
@@ -236,7 +672,7 @@ function addAnnotationToViewer(annotation) {
 
   const potreeAnnotation = new Potree.Annotation({
     position: position,
-    title: annotation.text || 'Annotation',
+    title: getAnnotationTitle(annotation),
     cameraPosition: annotation.cameraPosition
       ? new THREE.Vector3(
           annotation.cameraPosition.x,
@@ -244,18 +680,67 @@ function addAnnotationToViewer(annotation) {
           annotation.cameraPosition.z
         )
       : null,
-    cameraTarget: position
+    cameraTarget: annotation.cameraTarget
+      ? new THREE.Vector3(
+          annotation.cameraTarget.x,
+          annotation.cameraTarget.y,
+          annotation.cameraTarget.z
+        )
+      : position
   });
 
   potreeAnnotation.userData = { id: annotation.id };
 
-  // Click handler using Potree's event system
+  // Click handler using Potree's event system (look up the latest copy after edits)
   potreeAnnotation.addEventListener('click', () => {
-    openAnnotationModal(annotation);
+    // Releasing a dragged marker is not a click
+    if (markerMove) return;
+    openAnnotationEditor(annotations.get(annotation.id));
   });
 
   viewer.scene.annotations.add(potreeAnnotation);
   annotation.potreeAnnotation = potreeAnnotation;
+  applyMarkerColor(annotation);
+  applyMarkerStatus(annotation);
+}
+
+function removeDomMarker(annotation) {
+  if (!annotation.potreeAnnotation) return;
+  viewer.scene.annotations.remove(annotation.potreeAnnotation);
+  delete annotation.potreeAnnotation;
+}
+
+/**
+ * Show an annotation's current title, position, color and status on its marker
+ */
+function updateMarker(annotation) {
+  if (annotation.potreeAnnotation) {
+    const { x, y, z } = annotation.position;
+    annotation.potreeAnnotation.title = getAnnotationTitle(annotation);
+    annotation.potreeAnnotation.position.set(x, y, z);
+    applyMarkerColor(annotation);
+    applyMarkerStatus(annotation);
+  } else {
+    refreshLayerMarker(annotation);
+  }
+}
+
+/**
+ * Marker title: box label or measured value (plus note), or the note text
+ */
+function getAnnotationTitle(annotation) {
+  let prefix = null;
+  if (annotation.type === 'box') {
+    prefix = annotation.label;
+  } else if (annotation.type === 'measurement') {
+    prefix = `${MEASUREMENT_TOOLS[annotation.measurementKind].title}: ` +
+      formatMeasurement(annotation.value, annotation.unit);
+  }
+
+  if (prefix) {
+    return annotation.text ? `${prefix} (${annotation.text})` : prefix;
+  }
+  return annotation.text || 'Annotation';
 }
 
 /**
@@ -263,193 +748,3385 @@ function addAnnotationToViewer(annotation) {
  */
 function removeAnnotationFromViewer(annotationId) {
   const annotation = annotations.get(annotationId);
-  if (annotation && annotation.potreeAnnotation) {
-    viewer.scene.annotations.remove(annotation.potreeAnnotation);
+  if (annotation) {
+    removeDomMarker(annotation);
+    markerLayer.remove(annotationId);
+  }
+  if (annotation && annotation.volume) {
+    viewer.scene.removeVolume(annotation.volume);
+  }
+  if (annotation && annotation.measure) {
+    viewer.scene.removeMeasurement(annotation.measure);
   }
   annotations.delete(annotationId);
+  syncMarkerMode();
 }
 
 /**
- * Update annotation list in sidebar
+ * Update annotation list in sidebar: filter, sort and group the annotations,
+ * then draw the rows in view (see Annotation List below)
  */
 function updateAnnotationList() {
-  annotationListEl.innerHTML = '';
-  annotationCountEl.textContent = annotations.size;
+  renderAuthorFilter();
 
-  if (annotations.size === 0) {
-    annotationListEl.innerHTML = `
-      <div class="empty-state" style="text-align: center; padding: 20px; color: var(--text-secondary);">
-        <p>No annotations yet.</p>
-      </div>
+  const visibleAnnotations = Array.from(annotations.values())
+    .filter(annotation =>
+      matchesCategoryFilter(annotation) && matchesReviewFilter(annotation) &&
+      matchesActiveSearch(annotation) && matchesSpatialFilter(annotation));
+  annotationCountEl.textContent = visibleAnnotations.length;
+  renderSpatialFilter(visibleAnnotations.length);
+
+  listRows = buildListRows(sortAnnotations(visibleAnnotations));
+  layoutAnnotationList();
+
+  if (visibleAnnotations.length === 0) {
+    const message = annotations.size === 0 ? 'No annotations yet.'
+      : activeSearch ? 'No annotations match the search.'
+        : spatialFilter ? 'No annotations in the current view.' : 'No annotations match the filters.';
+    listEmptyEl.innerHTML = `<p>${message}</p>`;
+  }
+  listEmptyEl.classList.toggle('hidden', visibleAnnotations.length > 0);
+}
+
+/**
+ * Sidebar entry for an annotation (the row element's inner HTML)
+ */
+function renderAnnotationItem(annotation, terms) {
+  const textPreview = previewText(annotation.text, terms);
+  let typeTag = '';
+  let typeMeta = '';
+  if (annotation.type === 'box') {
+    typeTag = `<span class="annotation-type">${escapeHtml(annotation.label)}</span>`;
+    typeMeta = `<span>${formatBoxSize(annotation.size)}</span>`;
+  } else if (annotation.type === 'measurement') {
+    typeTag = `<span class="annotation-type">${MEASUREMENT_TOOLS[annotation.measurementKind].title}</span>`;
+    typeMeta = `<span class="measurement-value">${formatMeasurement(annotation.value, annotation.unit)}</span>`;
+  }
+  const editable = canEditAnnotation(annotation);
+  const category = getCategory(annotation.category);
+  if (category) {
+    typeMeta += `
+      <span class="annotation-category">
+        <span class="category-dot" style="background: ${category.color};"></span>${escapeHtml(category.name)}
+      </span>
     `;
+  }
+
+  return `
+    <div class="annotation-text">${formatReviewStatus(annotation)}${typeTag}${highlightMatches(textPreview, terms)}</div>
+    <div class="annotation-meta">
+      <span>${formatDate(annotation.createdAt)}</span>
+      ${formatAuthor(annotation)}
+      ${typeMeta}
+      ${formatCommentCount(annotation)}
+      ${formatSyncState(annotation)}
+    </div>
+    <div class="annotation-actions">
+      <button class="btn-small goto" data-id="${annotation.id}">View</button>
+      ${editable ? `
+        <button class="btn-small edit" data-id="${annotation.id}">Edit</button>
+        <button class="btn-small delete" data-id="${annotation.id}">Delete</button>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * "by <author>" for the sidebar; the last editor shows on hover
+ */
+function formatAuthor(annotation) {
+  if (!annotation.createdBy) return '';
+  // Names come from token claims; built through the DOM so they can't leave the title attribute
+  const span = document.createElement('span');
+  span.className = 'annotation-author';
+  span.textContent = `by ${annotation.createdBy.name}`;
+  if (annotation.updatedBy && annotation.updatedBy.id !== annotation.createdBy.id) {
+    span.title = `Last edited by ${annotation.updatedBy.name}`;
+  }
+  return span.outerHTML;
+}
+
+/**
+ * Navigate to annotation
+ */
+function goToAnnotation(annotation) {
+  if (annotation.potreeAnnotation) {
+    annotation.potreeAnnotation.moveHere(viewer.scene.getActiveCamera());
+  } else {
+    const position = new THREE.Vector3(
+      annotation.position.x,
+      annotation.position.y,
+      annotation.position.z
+    );
+    // Sprite markers have no moveHere(); use the stored view the same way
+    if (annotation.cameraPosition) {
+      viewer.scene.view.position.copy(annotation.cameraPosition);
+      viewer.scene.view.lookAt(annotation.cameraTarget ? new THREE.Vector3().copy(annotation.cameraTarget) : position);
+    } else {
+      viewer.scene.view.position.copy(position.clone().add(new THREE.Vector3(5, 5, 5)));
+      viewer.scene.view.lookAt(position);
+    }
+  }
+}
+
+/**
+ * Open the editor that matches the annotation type
+ */
+function openAnnotationEditor(annotation) {
+  if (!annotation) return;
+  // Annotations the role may not change open read-only in the note modal
+  if (annotation.type === 'box' && canEditAnnotation(annotation)) {
+    openBoxEditor(annotation);
+  } else {
+    openAnnotationModal(annotation);
+  }
+}
+
+/**
+ * Open annotation modal
+ */
+function openAnnotationModal(annotation, position = null, cameraPosition = null) {
+  if (annotation) {
+    const readOnly = !canEditAnnotation(annotation);
+    isEditMode = true;
+    currentAnnotation = annotation;
+    modalTitleEl.textContent = readOnly ? 'View Annotation' : 'Edit Note';
+    annotationTextEl.value = annotation.text || '';
+    renderCategorySelect(annotationCategoryEl, annotation.category);
+    setModalReadOnly(readOnly);
+    renderReview(annotationReviewEl, reviewActionsEl, annotation);
+    hideHistory();
+    annotationHistoryEl.classList.remove('hidden');
+    loadComments(annotation);
+  } else {
+    isEditMode = false;
+    currentAnnotation = {
+      position: { x: position.x, y: position.y, z: position.z },
+      cameraPosition: cameraPosition
+    };
+    modalTitleEl.textContent = 'New Observation';
+    annotationTextEl.value = '';
+    renderCategorySelect(annotationCategoryEl, null);
+    setModalReadOnly(false);
+    deleteBtn.classList.add('hidden');
+    annotationPlacementEl.classList.add('hidden');
+    renderReview(annotationReviewEl, reviewActionsEl, null);
+    hideHistory();
+    annotationHistoryEl.classList.add('hidden');
+    commentThread = null;
+    annotationCommentsEl.classList.add('hidden');
+  }
+
+  updateByteCount();
+  annotationModal.classList.remove('hidden');
+  annotationTextEl.focus();
+}
+
+/**
+ * Lock the note modal for viewing, or unlock it with all edit actions
+ */
+function setModalReadOnly(readOnly) {
+  annotationTextEl.readOnly = readOnly;
+  annotationCategoryEl.disabled = readOnly;
+  saveBtn.classList.toggle('hidden', readOnly);
+  deleteBtn.classList.toggle('hidden', readOnly);
+  annotationPlacementEl.classList.toggle('hidden', readOnly);
+}
+
+/**
+ * Close annotation modal
+ */
+function closeAnnotationModal() {
+  annotationModal.classList.add('hidden');
+  currentAnnotation = null;
+  isEditMode = false;
+  annotationTextEl.value = '';
+  commentThread = null;
+  commentTextEl.value = '';
+  hideHistory();
+  applyDeferredLiveEvents();
+}
+
+/**
+ * Save annotation
+ */
+async function saveAnnotation() {
+  const text = annotationTextEl.value.trim();
+  const category = annotationCategoryEl.value || null;
+
+  const byteLength = new TextEncoder().encode(text).length;
+  if (byteLength > CONFIG.MAX_TEXT_BYTES) {
+    showStatus(`Text exceeds ${CONFIG.MAX_TEXT_BYTES} bytes limit`, 'error');
     return;
   }
 
-  const sortedAnnotations = Array.from(annotations.values())
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  try {
+    if (isEditMode && currentAnnotation.id) {
+      const existing = annotations.get(currentAnnotation.id);
+      const updated = await annotationAPI.updateAnnotation(existing.id, { text, category }, existing.version);
+      
+      // Create new object instead of mutating existing
+      const updatedAnnotation = {
+        ...existing,
+        text: text,
+        category: updated.category,
+        version: updated.version,
+        updatedAt: updated.updatedAt,
+        updatedBy: updated.updatedBy
+      };
+      annotations.set(currentAnnotation.id, updatedAnnotation);
+      pushHistory({
+        type: 'edit',
+        label: 'note edit',
+        id: existing.id,
+        before: { text: existing.text || '', category: existing.category || null },
+        after: { text, category: updated.category }
+      });
 
-  for (const annotation of sortedAnnotations) {
-    const item = document.createElement('div');
-    item.className = 'annotation-item';
+      updateMarker(updatedAnnotation);
 
-    const textPreview = (annotation.text || 'No text').substring(0, 50) +
-      (annotation.text && annotation.text.length > 50 ? '...' : '');
+      showStatus('Note updated', 'success');
+    } else {
+      const newAnnotation = await annotationAPI.createAnnotation({
+        pointCloudId: currentPointCloudUrl,
+        position: currentAnnotation.position,
+        text: text,
+        category,
+        cameraPosition: currentAnnotation.cameraPosition,
+        cameraTarget: currentAnnotation.position
+      });
 
-    item.innerHTML = `
-      <div class="annotation-text">${escapeHtml(textPreview)}</div>
-      <div class="annotation-meta">
-        <span>${formatDate(annotation.createdAt)}</span>
-      </div>
-      <div class="annotation-actions">
-        <button class="btn-small goto" data-id="${annotation.id}">View</button>
-        <button class="btn-small edit" data-id="${annotation.id}">Edit</button>
-        <button class="btn-small delete" data-id="${annotation.id}">Delete</button>
+      addAnnotationToViewer(newAnnotation);
+      pushHistory({ type: 'create', label: 'new note', record: newAnnotation });
+      showStatus('Note saved', 'success');
+    }
+
+    updateAnnotationList();
+    closeAnnotationModal();
+  } catch (error) {
+    if (isEditMode && isVersionConflict(error)) {
+      openConflictModal({ text, category }, error.current);
+      return;
+    }
+    console.error('Error saving annotation:', error);
+    showStatus('Failed to save: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Delete annotation
+ */
+async function deleteAnnotation(annotationId) {
+  const id = annotationId || (currentAnnotation && currentAnnotation.id);
+  if (!id) return;
+
+  if (!confirm('Delete this note?')) return;
+
+  try {
+    const record = toRecord(annotations.get(id));
+    await annotationAPI.deleteAnnotation(id);
+    removeAnnotationFromViewer(id);
+    pushHistory({ type: 'delete', label: 'delete', record });
+    updateAnnotationList();
+    closeAnnotationModal();
+    showStatus('Note deleted (Ctrl+Z to undo)', 'success');
+  } catch (error) {
+    console.error('Error deleting:', error);
+    showStatus('Failed to delete: ' + error.message, 'error');
+  }
+}
+
+// ========================================
+// Marker Layer
+// ========================================
+
+// Ring color of a sprite marker by review status (as the DOM marker outlines)
+const MARKER_RING_COLORS = {
+  draft: '#ffffff',
+  submitted: '#fbbf24',
+  approved: '#4ade80',
+  rejected: '#f87171'
+};
+
+/**
+ * Create the WebGL marker layer and route clicks and hovers on the render
+ * area to it while it is in use
+ */
+function setupMarkerLayer() {
+  markerLayer = new MarkerLayer(viewer);
+  viewer.addEventListener('update', () => markerLayer.update());
+
+  const renderArea = viewer.renderArea;
+  renderArea.addEventListener('mousedown', (event) => {
+    markerPointerDown = { x: event.clientX, y: event.clientY };
+  });
+  renderArea.addEventListener('mousemove', (event) => {
+    if (!markerLayerActive || event.buttons) return;
+    renderArea.style.cursor = markerLayer.hover(event) ? 'pointer' : '';
+  });
+  renderArea.addEventListener('click', handleMarkerLayerClick);
+}
+
+/**
+ * Switch between DOM markers and the WebGL layer as the number of
+ * annotations crosses CONFIG.MARKER_LAYER_THRESHOLD. DOM markers come back
+ * only below half of it, so edits around the threshold don't flip it.
+ */
+function syncMarkerMode() {
+  const active = markerLayerActive
+    ? annotations.size > CONFIG.MARKER_LAYER_THRESHOLD / 2
+    : annotations.size > CONFIG.MARKER_LAYER_THRESHOLD;
+  if (active === markerLayerActive) return;
+
+  if (active) cancelMarkerMove();
+  markerLayerActive = active;
+  for (const annotation of annotations.values()) {
+    if (active) {
+      removeDomMarker(annotation);
+      markerLayer.set(annotation.id, markerStyle(annotation));
+    } else {
+      markerLayer.remove(annotation.id);
+      createDomMarker(annotation);
+    }
+  }
+  viewer.renderArea.style.cursor = '';
+}
+
+/**
+ * Sprite for an annotation: category color, review status ring and the
+ * title shown on hover
+ */
+function markerStyle(annotation) {
+  const category = getCategory(annotation.category);
+  return {
+    position: annotation.position,
+    color: category ? category.color : rgbToHex(CONFIG.ANNOTATION_COLOR),
+    ring: MARKER_RING_COLORS[reviewStatusOf(annotation)],
+    title: getAnnotationTitle(annotation)
+  };
+}
+
+function refreshLayerMarker(annotation) {
+  if (markerLayer && markerLayer.has(annotation.id)) {
+    markerLayer.set(annotation.id, markerStyle(annotation));
+  }
+}
+
+/**
+ * A click on a sprite opens the annotation; a click on a cluster zooms in
+ * until it splits up
+ */
+function handleMarkerLayerClick(event) {
+  if (!markerLayerActive || boxDraft || measureDraft || markerMove || nearestPicking || labelTool) return;
+  // The end of a drag that rotated the view is not a click
+  if (markerPointerDown &&
+      Math.hypot(event.clientX - markerPointerDown.x, event.clientY - markerPointerDown.y) > 4) return;
+
+  const hit = markerLayer.pick(event);
+  if (!hit) return;
+  if (hit.ids.length === 1) {
+    openAnnotationEditor(annotations.get(hit.ids[0]));
+  } else {
+    zoomToCluster(hit);
+  }
+}
+
+/**
+ * Move the camera along its view direction until a cluster's annotations
+ * fill the view
+ */
+function zoomToCluster({ ids }) {
+  const box = new THREE.Box3();
+  for (const id of ids) {
+    const { x, y, z } = annotations.get(id).position;
+    box.expandByPoint(new THREE.Vector3(x, y, z));
+  }
+  const center = box.getCenter(new THREE.Vector3());
+  const radius = Math.max(box.getSize(new THREE.Vector3()).length() / 2, 1);
+
+  const view = viewer.scene.view;
+  view.position.copy(center).sub(view.direction.multiplyScalar(radius * 2.5));
+  view.lookAt(center);
+}
+
+// ========================================
+// Marker Placement
+// ========================================
+
+const toPlainVector = ({ x, y, z }) => ({ x, y, z });
+
+/**
+ * Enter move mode: the marker can be dragged and snaps onto the point cloud
+ */
+function startMarkerMove(annotation) {
+  if (!annotation || !(annotation.potreeAnnotation || markerLayer.has(annotation.id))) return;
+  closeAnnotationModal();
+  cancelMarkerMove();
+
+  // Sprites can't be dragged; a DOM marker stands in during the move
+  annotation = annotations.get(annotation.id);
+  if (!annotation.potreeAnnotation) {
+    markerLayer.remove(annotation.id);
+    createDomMarker(annotation);
+  }
+
+  markerMove = {
+    id: annotation.id,
+    original: toPlainVector(annotation.position),
+    dragging: false
+  };
+  $(annotation.potreeAnnotation.domElement).addClass('moving');
+  showStatus('Drag the marker onto the point cloud (Esc to cancel)', 'info');
+}
+
+function endMarkerMove() {
+  if (!markerMove) return;
+  const annotation = annotations.get(markerMove.id);
+  if (annotation && annotation.potreeAnnotation) {
+    $(annotation.potreeAnnotation.domElement).removeClass('moving dragging');
+    if (markerLayerActive) {
+      removeDomMarker(annotation);
+      markerLayer.set(annotation.id, markerStyle(annotation));
+    }
+  }
+  markerMove = null;
+  applyDeferredLiveEvents();
+}
+
+/**
+ * Leave move mode and put the marker back where it was
+ */
+function cancelMarkerMove() {
+  if (!markerMove) return;
+  const annotation = annotations.get(markerMove.id);
+  if (annotation && annotation.potreeAnnotation) {
+    const { x, y, z } = markerMove.original;
+    annotation.potreeAnnotation.position.set(x, y, z);
+  }
+  endMarkerMove();
+}
+
+function handleMarkerMoveStart(event) {
+  if (!markerMove || markerMove.dragging || event.button !== 0) return;
+  const annotation = annotations.get(markerMove.id);
+  const element = annotation && $(annotation.potreeAnnotation.domElement)[0];
+  if (!element || !element.contains(event.target)) return;
+
+  // Keep Potree's orbit controls from rotating the view
+  event.preventDefault();
+  event.stopPropagation();
+  markerMove.dragging = true;
+  $(element).addClass('dragging');
+}
+
+function handleMarkerMoveDrag(event) {
+  if (!markerMove || !markerMove.dragging) return;
+  const position = pickPointCloudSurface(event);
+  if (position) {
+    annotations.get(markerMove.id).potreeAnnotation.position.copy(position);
+  }
+}
+
+/**
+ * Save the position the marker was dropped at
+ */
+async function handleMarkerMoveEnd() {
+  if (!markerMove || !markerMove.dragging) return;
+  markerMove.dragging = false;
+
+  const { id, original } = markerMove;
+  const annotation = annotations.get(id);
+  const position = toPlainVector(annotation.potreeAnnotation.position);
+
+  try {
+    const updated = await annotationAPI.updateAnnotation(id, { position }, annotation.version);
+    annotations.set(id, { ...annotation, ...updated });
+    pushHistory({
+      type: 'move',
+      label: 'marker move',
+      id,
+      before: { position: original },
+      after: { position }
+    });
+    endMarkerMove();
+    updateAnnotationList();
+    showStatus('Marker moved (Ctrl+Z to undo)', 'success');
+  } catch (error) {
+    console.error('Error moving annotation:', error);
+    cancelMarkerMove();
+    if (isVersionConflict(error)) {
+      showTheirVersion(error.current);
+      return;
+    }
+    showStatus('Failed to move: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Store the current camera view as the annotation's view
+ */
+async function captureAnnotationView(annotation) {
+  if (!annotation || !annotation.id) return;
+
+  const view = viewer.scene.view;
+  const after = {
+    cameraPosition: toPlainVector(view.position),
+    cameraTarget: toPlainVector(view.getPivot())
+  };
+  const existing = annotations.get(annotation.id);
+  const before = {
+    cameraPosition: existing.cameraPosition || null,
+    cameraTarget: existing.cameraTarget || null
+  };
+
+  try {
+    const updated = await annotationAPI.updateAnnotation(annotation.id, after, existing.version);
+    const updatedAnnotation = { ...existing, ...updated };
+    annotations.set(annotation.id, updatedAnnotation);
+
+    const { potreeAnnotation } = updatedAnnotation;
+    if (potreeAnnotation) {
+      potreeAnnotation.cameraPosition = new THREE.Vector3().copy(after.cameraPosition);
+      potreeAnnotation.cameraTarget = new THREE.Vector3().copy(after.cameraTarget);
+    }
+    pushHistory({ type: 'edit', label: 'view change', id: annotation.id, before, after });
+    showStatus('View saved for this annotation', 'success');
+  } catch (error) {
+    console.error('Error saving view:', error);
+    if (isVersionConflict(error)) {
+      showTheirVersion(error.current);
+      return;
+    }
+    showStatus('Failed to save view: ' + error.message, 'error');
+  }
+}
+
+// ========================================
+// Annotation List
+// ========================================
+
+// Heights assumed for rows not drawn yet, and the space between rows (px)
+const LIST_ITEM_HEIGHT = 120;
+const LIST_GROUP_HEIGHT = 32;
+const LIST_ROW_GAP = 12;
+
+// Rows are drawn this far (px) above and below the visible part of the list
+const LIST_OVERSCAN = 400;
+
+/**
+ * Sort annotations in place by the sidebar's sort order
+ */
+function sortAnnotations(list) {
+  const order = sortOrderEl ? sortOrderEl.value : '-createdAt';
+  const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+  if (order === 'text') {
+    return list.sort((a, b) =>
+      getAnnotationTitle(a).localeCompare(getAnnotationTitle(b), undefined, { numeric: true, sensitivity: 'base' }) || byDate(a, b));
+  }
+  if (order === 'distance') {
+    const camera = viewer.scene.view.position;
+    const distances = new Map(list.map(annotation =>
+      [annotation.id, annotation.position ? camera.distanceTo(annotation.position) : Infinity]));
+    lastSortCameraKey = cameraSortKey();
+    return list.sort((a, b) => distances.get(a.id) - distances.get(b.id));
+  }
+  const direction = order === 'createdAt' ? 1 : -1;
+  return list.sort((a, b) => direction * byDate(a, b));
+}
+
+const cameraSortKey = () => viewer.scene.view.position.toArray().map(value => value.toFixed(2)).join(',');
+
+/**
+ * Re-sort by distance once the camera has moved, at most every
+ * DISTANCE_SORT_INTERVAL ms (runs every frame)
+ */
+function resortByDistance() {
+  if (!sortOrderEl || sortOrderEl.value !== 'distance') return;
+  if (Date.now() - lastDistanceSortAt < CONFIG.DISTANCE_SORT_INTERVAL) return;
+  if (cameraSortKey() === lastSortCameraKey) return;
+  lastDistanceSortAt = Date.now();
+  scheduleListUpdate();
+}
+
+// Local calendar day of a date, as YYYY-MM-DD ('' if missing)
+function dayKey(dateString) {
+  const date = new Date(dateString);
+  if (isNaN(date)) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The group an annotation is listed under
+ * @returns {{key: string, label: string, color: string|null}}
+ */
+function groupOf(annotation, grouping) {
+  if (grouping === 'category') {
+    const category = getCategory(annotation.category);
+    return category
+      ? { key: category.id, label: category.name, color: category.color }
+      : { key: UNCATEGORIZED, label: 'Uncategorized', color: null };
+  }
+  const key = dayKey(annotation.createdAt);
+  const label = key
+    ? new Date(`${key}T00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+    : 'No date';
+  return { key, label, color: null };
+}
+
+/**
+ * Rows for sorted annotations: one per annotation, under a header per group
+ * when grouping (categories in taxonomy order, days in date order)
+ */
+function buildListRows(sorted) {
+  const grouping = groupByEl ? groupByEl.value : '';
+  const terms = activeSearch ? activeSearch.terms : [];
+  const itemRow = (annotation) => ({ key: annotation.id, type: 'annotation', annotation, terms });
+  if (!grouping) {
+    return sorted.map(itemRow);
+  }
+
+  const groups = new Map();
+  for (const annotation of sorted) {
+    const group = groupOf(annotation, grouping);
+    if (!groups.has(group.key)) {
+      groups.set(group.key, { ...group, items: [] });
+    }
+    groups.get(group.key).items.push(annotation);
+  }
+
+  let ordered;
+  if (grouping === 'category') {
+    const order = getCategoryTree().map(({ category }) => category.id);
+    const rank = (key) => (key === UNCATEGORIZED ? Infinity : order.indexOf(key));
+    ordered = [...groups.values()].sort((a, b) => rank(a.key) - rank(b.key));
+  } else {
+    const direction = sortOrderEl && sortOrderEl.value === 'createdAt' ? 1 : -1;
+    ordered = [...groups.values()].sort((a, b) => direction * a.key.localeCompare(b.key));
+  }
+
+  const rows = [];
+  for (const group of ordered) {
+    const id = `${grouping}:${group.key}`;
+    const collapsed = collapsedGroups.has(id);
+    rows.push({ key: `group:${id}`, type: 'group', id, group, collapsed });
+    if (!collapsed) {
+      rows.push(...group.items.map(itemRow));
+    }
+  }
+  return rows;
+}
+
+function renderGroupHeader({ group, collapsed }) {
+  return `
+    <span class="list-group-toggle">${collapsed ? '&#9656;' : '&#9662;'}</span>
+    ${group.color ? `<span class="category-dot" style="background: ${group.color};"></span>` : ''}
+    <span class="list-group-label">${escapeHtml(group.label)}</span>
+    <span class="badge">${group.items.length}</span>
+  `;
+}
+
+function toggleGroup(id) {
+  if (collapsedGroups.has(id)) {
+    collapsedGroups.delete(id);
+  } else {
+    collapsedGroups.add(id);
+  }
+  updateAnnotationList();
+}
+
+const listRowHeight = (row) =>
+  listRowHeights.get(row.key) || (row.type === 'group' ? LIST_GROUP_HEIGHT : LIST_ITEM_HEIGHT);
+
+/**
+ * Place the rows (measured heights where known, estimates otherwise) and
+ * draw the ones in view
+ */
+function layoutAnnotationList() {
+  placeListRows();
+  renderVisibleRows();
+}
+
+function placeListRows() {
+  let top = 0;
+  listRowTops = listRows.map(row => {
+    const rowTop = top;
+    top += listRowHeight(row) + LIST_ROW_GAP;
+    return rowTop;
+  });
+  listSpacerEl.style.height = `${Math.max(0, top - LIST_ROW_GAP)}px`;
+}
+
+// Index of the last row starting at or above y
+function findRowAt(y) {
+  let low = 0;
+  let high = listRowTops.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (listRowTops[mid] <= y) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Draw the rows in and near the visible part of the list. Rows already on
+ * screen are kept and only rewritten when their content changed; rows that
+ * scrolled out are removed. A row whose measured height differs from the
+ * one assumed moves the rows below it, so the layout is redone once.
+ */
+function renderVisibleRows(remeasured = false) {
+  const scrollTop = annotationListEl.scrollTop;
+  const bottom = scrollTop + annotationListEl.clientHeight + LIST_OVERSCAN;
+  const drawn = [];
+  for (let i = findRowAt(scrollTop - LIST_OVERSCAN); i < listRows.length && listRowTops[i] < bottom; i++) {
+    drawn.push(drawListRow(listRows[i], listRowTops[i]));
+  }
+
+  const keep = new Set(drawn.map(({ row }) => row.key));
+  for (const [key, { el }] of listRowElements) {
+    if (!keep.has(key)) {
+      el.remove();
+      listRowElements.delete(key);
+    }
+  }
+
+  let resized = false;
+  for (const { row, el } of drawn) {
+    const height = el.offsetHeight;
+    if (height !== listRowHeight(row)) {
+      listRowHeights.set(row.key, height);
+      resized = true;
+    }
+  }
+  if (resized && !remeasured) {
+    placeListRows();
+    renderVisibleRows(true);
+  }
+}
+
+function drawListRow(row, top) {
+  const html = row.type === 'group' ? renderGroupHeader(row) : renderAnnotationItem(row.annotation, row.terms);
+  let entry = listRowElements.get(row.key);
+  if (!entry) {
+    const el = document.createElement('div');
+    if (row.type === 'group') {
+      el.className = 'list-row list-group-header';
+      el.dataset.group = row.id;
+    } else {
+      el.className = 'list-row annotation-item';
+      el.dataset.id = row.key;
+    }
+    entry = { el, html: null };
+    listRowElements.set(row.key, entry);
+    listSpacerEl.appendChild(el);
+  }
+  if (entry.html !== html) {
+    entry.el.innerHTML = html;
+    entry.html = html;
+  }
+  entry.el.style.top = `${top}px`;
+  return { row, el: entry.el };
+}
+
+function scheduleListRender() {
+  if (listRenderScheduled) return;
+  listRenderScheduled = true;
+  requestAnimationFrame(() => {
+    listRenderScheduled = false;
+    renderVisibleRows();
+  });
+}
+
+/**
+ * One click handler for every row: group headers fold, buttons act and the
+ * rest of an entry flies to the annotation
+ */
+function handleListClick(event) {
+  const header = event.target.closest('.list-group-header');
+  if (header) {
+    toggleGroup(header.dataset.group);
+    return;
+  }
+  const item = event.target.closest('.annotation-item');
+  const annotation = item && annotations.get(item.dataset.id);
+  if (!annotation) return;
+
+  const button = event.target.closest('button');
+  if (button && button.classList.contains('edit')) {
+    openAnnotationEditor(annotation);
+  } else if (button && button.classList.contains('delete')) {
+    deleteAnnotation(annotation.id);
+  } else {
+    goToAnnotation(annotation);
+  }
+}
+
+// ========================================
+// Annotation Search
+// ========================================
+
+/**
+ * Search parameters from the sidebar (see backend/src/search.js). Dates are
+ * whole local days, from the start of the first to the end of the last.
+ */
+function getSearchQuery() {
+  const dayStart = (value, days = 0) => {
+    const date = new Date(`${value}T00:00`);
+    date.setDate(date.getDate() + days);
+    return date.toISOString();
+  };
+  return {
+    q: annotationSearchEl.value.trim(),
+    author: authorFilterEl.value,
+    createdAfter: createdAfterEl.value ? dayStart(createdAfterEl.value) : '',
+    createdBefore: createdBeforeEl.value ? dayStart(createdBeforeEl.value, 1) : ''
+  };
+}
+
+function scheduleSearch() {
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(runSearch, CONFIG.SEARCH_DEBOUNCE);
+}
+
+/**
+ * Search the current point cloud on the backend and narrow the list to the
+ * matches. Offline, the loaded annotations are searched instead.
+ */
+async function runSearch() {
+  clearTimeout(searchDebounceTimer);
+  const query = getSearchQuery();
+  const sequence = ++searchSequence;
+  if (!query.q && !query.author && !query.createdAfter && !query.createdBefore) {
+    activeSearch = null;
+    updateAnnotationList();
+    return;
+  }
+
+  const search = {
+    query,
+    terms: query.q.toLowerCase().split(/\s+/).filter(Boolean),
+    at: new Date().toISOString()
+  };
+  try {
+    const results = await annotationAPI.searchAnnotations(currentPointCloudUrl, query);
+    search.ids = new Set(results.map(annotation => annotation.id));
+  } catch (error) {
+    if (!error.offline) {
+      if (sequence === searchSequence) showStatus('Search failed: ' + error.message, 'error');
+      return;
+    }
+    search.ids = new Set([...annotations.values()]
+      .filter(annotation => matchesSearchLocally(annotation, query))
+      .map(annotation => annotation.id));
+  }
+  if (sequence !== searchSequence) return;
+  activeSearch = search;
+  updateAnnotationList();
+}
+
+/**
+ * The same test the backend applies, for annotations it has not seen in
+ * their current form
+ */
+function matchesSearchLocally(annotation, { q, author, createdAfter, createdBefore }) {
+  const text = (annotation.text || '').toLowerCase();
+  const createdAt = annotation.createdAt || '';
+  return q.toLowerCase().split(/\s+/).filter(Boolean).every(term => text.includes(term)) &&
+    (!author || (annotation.createdBy && annotation.createdBy.id === author)) &&
+    (!createdAfter || createdAt >= createdAfter) &&
+    (!createdBefore || createdAt < createdBefore);
+}
+
+/**
+ * Annotations changed since the search ran (or not sent yet) are tested
+ * locally; the others by whether the backend returned them
+ */
+function matchesActiveSearch(annotation) {
+  if (!activeSearch) return true;
+  const changedAt = annotation.updatedAt || annotation.createdAt || '';
+  if (changedAt > activeSearch.at || annotationAPI.hasUnsentChanges(annotation.id)) {
+    return matchesSearchLocally(annotation, activeSearch.query);
+  }
+  return activeSearch.ids.has(annotation.id);
+}
+
+/**
+ * Offer the authors of the loaded annotations in the author filter
+ */
+function renderAuthorFilter() {
+  if (!authorFilterEl) return;
+  const authors = new Map();
+  for (const annotation of annotations.values()) {
+    if (annotation.createdBy) authors.set(annotation.createdBy.id, annotation.createdBy.name);
+  }
+  const selected = authorFilterEl.value;
+  if (selected && !authors.has(selected)) {
+    authors.set(selected, selected);
+  }
+  const sorted = [...authors].sort((a, b) => a[1].localeCompare(b[1]));
+  const key = JSON.stringify(sorted);
+  if (key === authorOptionsKey) return;
+  authorOptionsKey = key;
+
+  // IDs and names come from token claims: set as option values, never parsed as HTML
+  authorFilterEl.replaceChildren(new Option('All authors', ''),
+    ...sorted.map(([id, name]) => new Option(name, id)));
+  authorFilterEl.value = selected;
+}
+
+/**
+ * Up to 50 characters of the text, starting near the first match if it
+ * would be cut off otherwise
+ */
+function previewText(text, terms) {
+  const maxLength = 50;
+  if (!text) return 'No text';
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0));
+  const start = Number.isFinite(first) && first > maxLength - 15 ? first - 15 : 0;
+  return (start > 0 ? '...' : '') + text.substring(start, start + maxLength) +
+    (text.length > start + maxLength ? '...' : '');
+}
+
+/**
+ * Escaped text with the search terms wrapped in <mark>
+ */
+function highlightMatches(text, terms) {
+  if (terms.length === 0) return escapeHtml(text);
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return text
+    .split(new RegExp(`(${alternatives.join('|')})`, 'gi'))
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+// ========================================
+// Spatial Queries
+// ========================================
+
+// Only points no farther than this many times the cloud's size count as in view
+const VIEW_DEPTH_LIMIT = 2;
+
+/**
+ * The camera's view frustum and the box (in scene coordinates) around the
+ * part of it the point cloud can occupy
+ * @returns {{frustum: THREE.Frustum, box: {min: Object, max: Object}}|null}
+ *   null if the cloud is entirely out of view
+ */
+function viewQueryRegion() {
+  const camera = viewer.scene.getActiveCamera();
+  camera.updateMatrixWorld();
+  const viewProjection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  const frustum = new THREE.Frustum().setFromProjectionMatrix(viewProjection);
+
+  // The frustum's corners, with the far plane pulled in to just past the cloud
+  const cloudBox = viewer.getBoundingBox(viewer.scene.pointclouds);
+  const cloudSize = cloudBox.getSize(new THREE.Vector3()).length();
+  const depth = camera.position.distanceTo(cloudBox.getCenter(new THREE.Vector3())) + cloudSize * VIEW_DEPTH_LIMIT;
+  const inverse = new THREE.Matrix4().copy(viewProjection).invert();
+  const viewBox = new THREE.Box3();
+  for (const x of [-1, 1]) {
+    for (const y of [-1, 1]) {
+      const near = new THREE.Vector3(x, y, -1).applyMatrix4(inverse);
+      const far = new THREE.Vector3(x, y, 1).applyMatrix4(inverse);
+      const direction = far.clone().sub(near);
+      viewBox.expandByPoint(near);
+      viewBox.expandByPoint(near.clone().add(direction.clampLength(0, depth)));
+    }
+  }
+
+  const box = viewBox.intersect(cloudBox);
+  if (box.isEmpty()) return null;
+  return { frustum, box: { min: toPlainVector(box.min), max: toPlainVector(box.max) } };
+}
+
+/**
+ * Narrow the sidebar to the annotations in the current view: the backend
+ * returns those in the box around the visible part of the cloud, and the
+ * frustum then trims the box's corners. Offline, the loaded annotations
+ * are tested instead.
+ */
+async function showAnnotationsInView() {
+  if (!currentPointCloudUrl || viewer.scene.pointclouds.length === 0) return;
+  const region = viewQueryRegion();
+  const filter = { frustum: region && region.frustum, ids: new Set(), at: new Date().toISOString() };
+  if (region) {
+    let candidates;
+    try {
+      candidates = await annotationAPI.getAnnotationsInBox(currentPointCloudUrl, region.box);
+    } catch (error) {
+      if (!error.offline) {
+        showStatus('Could not query the current view: ' + error.message, 'error');
+        return;
+      }
+      candidates = [...annotations.values()];
+    }
+    candidates
+      .filter(annotation => isInViewFrustum(annotation, region.frustum))
+      .forEach(annotation => filter.ids.add(annotation.id));
+  }
+
+  spatialFilter = filter;
+  btnInView.classList.add('active');
+  updateAnnotationList();
+}
+
+function clearSpatialFilter() {
+  spatialFilter = null;
+  if (btnInView) btnInView.classList.remove('active');
+  updateAnnotationList();
+}
+
+const isInViewFrustum = (annotation, frustum) =>
+  Boolean(frustum && annotation.position) &&
+  frustum.containsPoint(new THREE.Vector3(annotation.position.x, annotation.position.y, annotation.position.z));
+
+/**
+ * Annotations changed since the view was queried (or not sent yet) are
+ * tested against the frustum; the others by whether they were found
+ */
+function matchesSpatialFilter(annotation) {
+  if (!spatialFilter) return true;
+  const changedAt = annotation.updatedAt || annotation.createdAt || '';
+  if (changedAt > spatialFilter.at || annotationAPI.hasUnsentChanges(annotation.id)) {
+    return isInViewFrustum(annotation, spatialFilter.frustum);
+  }
+  return spatialFilter.ids.has(annotation.id);
+}
+
+function renderSpatialFilter(count) {
+  if (!spatialFilterEl) return;
+  spatialFilterEl.classList.toggle('hidden', !spatialFilter);
+  if (spatialFilter) {
+    spatialFilterEl.querySelector('.spatial-filter-label').textContent = `In current view: ${count}`;
+  }
+}
+
+function setNearestPicking(enabled) {
+  nearestPicking = enabled;
+  if (btnNearest) btnNearest.classList.toggle('active', enabled);
+  if (enabled) {
+    showStatus('Click the point cloud to find the nearest annotation');
+  }
+}
+
+/**
+ * Fly to the annotation nearest to the clicked point
+ */
+async function goToNearestAnnotation(event) {
+  setNearestPicking(false);
+  const point = pickPointCloudSurface(event);
+  if (!point) {
+    showStatus('Click directly on the point cloud to find the nearest annotation', 'error');
+    return;
+  }
+
+  let nearest;
+  try {
+    nearest = await annotationAPI.getNearestAnnotation(currentPointCloudUrl, toPlainVector(point));
+  } catch (error) {
+    if (!error.offline) {
+      showStatus('Could not find the nearest annotation: ' + error.message, 'error');
+      return;
+    }
+    // Offline, search the loaded annotations
+    nearest = [...annotations.values()]
+      .filter(annotation => annotation.position)
+      .map(annotation => ({ ...annotation, distance: point.distanceTo(annotation.position) }))
+      .sort((a, b) => a.distance - b.distance)[0] || null;
+  }
+  if (!nearest) {
+    showStatus('There are no annotations on this point cloud', 'info');
+    return;
+  }
+
+  goToAnnotation(annotations.get(nearest.id) || nearest);
+  showStatus(`Nearest: ${getAnnotationTitle(nearest)} (${formatMeasurement(nearest.distance, 'm')} away)`, 'success');
+}
+
+function clearSpatialQueries() {
+  setNearestPicking(false);
+  spatialFilter = null;
+  if (btnInView) btnInView.classList.remove('active');
+}
+
+// ========================================
+// Live Updates
+// ========================================
+
+/**
+ * Subscribe to the current point cloud's annotation events; a dropped
+ * connection is reopened and the annotations resynced
+ */
+async function connectLiveUpdates({ resync = false } = {}) {
+  disconnectLiveUpdates();
+  const pointCloudUrl = currentPointCloudUrl;
+
+  try {
+    const connection = await annotationAPI.openLiveUpdates(pointCloudUrl, handleLiveEvent, () => {
+      liveConnection = null;
+      scheduleLiveReconnect();
+    });
+    // The user switched point clouds while the connection was opening
+    if (pointCloudUrl !== currentPointCloudUrl || liveConnection) {
+      connection.close();
+      return;
+    }
+    liveConnection = connection;
+  } catch (error) {
+    // 503: the deployment has no live updates
+    if (error.status !== 503 && pointCloudUrl === currentPointCloudUrl) {
+      scheduleLiveReconnect();
+    }
+    return;
+  }
+
+  if (resync) {
+    await resyncAnnotations(pointCloudUrl);
+  }
+}
+
+function disconnectLiveUpdates() {
+  clearTimeout(liveReconnectTimer);
+  liveReconnectTimer = null;
+  deferredLiveEvents.clear();
+  clearCollaborators();
+  if (liveConnection) {
+    liveConnection.close();
+    liveConnection = null;
+  }
+}
+
+function scheduleLiveReconnect() {
+  clearTimeout(liveReconnectTimer);
+  liveReconnectTimer = setTimeout(() => connectLiveUpdates({ resync: true }), CONFIG.LIVE_RECONNECT_DELAY);
+}
+
+/**
+ * Catch up on changes missed while disconnected
+ */
+async function resyncAnnotations(pointCloudUrl) {
+  try {
+    const records = await annotationAPI.getAnnotations(pointCloudUrl);
+    if (pointCloudUrl !== currentPointCloudUrl) return;
+
+    const ids = new Set(records.map(record => record.id));
+    for (const record of records) {
+      applyLiveEvent({ type: 'updated', pointCloudId: pointCloudUrl, annotation: record });
+    }
+    for (const id of [...annotations.keys()].filter(id => !ids.has(id))) {
+      applyLiveEvent({ type: 'deleted', pointCloudId: pointCloudUrl, id });
+    }
+  } catch (error) {
+    console.error('Error resyncing annotations:', error);
+  }
+}
+
+function handleLiveEvent(event) {
+  if (event.type === 'presence') {
+    showCollaborator(event);
+  } else if (event.type === 'presence-left') {
+    removeCollaborator(event.sessionId);
+  } else {
+    applyLiveEvent(event);
+  }
+}
+
+const versionOf = (annotation) => annotation.version || 1;
+
+/**
+ * True if a received record differs from the one shown. Comment counts
+ * change without a new version.
+ */
+function isNewerRecord(record, shown) {
+  return versionOf(record) > versionOf(shown) ||
+    (versionOf(record) === versionOf(shown) && (record.commentCount || 0) !== (shown.commentCount || 0));
+}
+
+/**
+ * An open editor (or a request it made) holds on to the annotation's viewer objects
+ */
+function isBeingEdited(id) {
+  return (currentAnnotation && currentAnnotation.id === id) ||
+    (boxDraft && boxDraft.annotation && boxDraft.annotation.id === id) ||
+    (markerMove && markerMove.id === id) ||
+    (editConflict && editConflict.theirs.id === id);
+}
+
+/**
+ * Apply a created/updated/deleted event to the annotations Map and the scene.
+ * Our own writes come back too and are skipped once shown. Events with a
+ * `localId` replace an annotation created offline (see handleSyncEvent).
+ */
+function applyLiveEvent(event) {
+  if (event.pointCloudId !== currentPointCloudUrl) return;
+
+  if (event.localId && isBeingEdited(event.localId)) {
+    deferredLiveEvents.set(event.localId, event);
+    return;
+  }
+  if (event.localId && annotations.has(event.localId)) {
+    removeAnnotationFromViewer(event.localId);
+    scheduleListUpdate();
+  }
+
+  const id = event.type === 'deleted' ? event.id : event.annotation.id;
+  if (isBeingEdited(id)) {
+    // Saving the edit will report the conflict; otherwise the event is applied on close
+    const editor = event.type !== 'deleted' && event.annotation.updatedBy;
+    if (editor && editor.id !== currentUser.id && isNewerRecord(event.annotation, annotations.get(id))) {
+      showStatus(`${editor.name} changed the annotation you have open`, 'info');
+    }
+    deferredLiveEvents.set(id, event);
+    return;
+  }
+
+  if (event.type === 'deleted') {
+    if (!annotations.has(id)) return;
+    removeAnnotationFromViewer(id);
+  } else {
+    const shown = annotations.get(id);
+    if (shown && !isNewerRecord(event.annotation, shown)) return;
+    addAnnotationToViewer(event.annotation);
+  }
+  scheduleListUpdate();
+}
+
+/**
+ * Apply events held while their annotations were open, once the editor has
+ * closed and the request that closed it has updated the Map
+ */
+function applyDeferredLiveEvents() {
+  if (deferredLiveEvents.size === 0) return;
+  setTimeout(() => {
+    for (const [id, event] of deferredLiveEvents) {
+      if (!isBeingEdited(id)) {
+        deferredLiveEvents.delete(id);
+        applyLiveEvent(event);
+      }
+    }
+  }, 0);
+}
+
+// Many events arrive together for batches and imports; redraw the list once
+function scheduleListUpdate() {
+  if (listUpdateScheduled) return;
+  listUpdateScheduled = true;
+  requestAnimationFrame(() => {
+    listUpdateScheduled = false;
+    updateAnnotationList();
+  });
+}
+
+// ========================================
+// Collaborator Presence
+// ========================================
+
+function currentCameraPose() {
+  const view = viewer.scene.view;
+  return {
+    position: toPlainVector(view.position),
+    target: toPlainVector(view.getPivot()),
+    fov: viewer.getFOV()
+  };
+}
+
+/**
+ * Share the camera pose when it changed, at most every PRESENCE_INTERVAL ms
+ * (runs every frame; the last pose of a movement is always sent)
+ */
+function sendPresence() {
+  if (!liveConnection || !liveConnection.sendPresence || presenceTimer) return;
+
+  const pose = currentCameraPose();
+  const key = JSON.stringify(pose, (name, value) => typeof value === 'number' ? +value.toFixed(3) : value);
+  if (key === lastPresenceKey) return;
+
+  const wait = lastPresenceAt + CONFIG.PRESENCE_INTERVAL - Date.now();
+  if (wait > 0) {
+    presenceTimer = setTimeout(() => {
+      presenceTimer = null;
+      sendPresence();
+    }, wait);
+    return;
+  }
+
+  lastPresenceKey = key;
+  lastPresenceAt = Date.now();
+  liveConnection.sendPresence(pose).catch(error => {
+    console.error('Error sending presence:', error);
+  });
+}
+
+// A stable color per user, so a collaborator keeps theirs across sessions
+function collaboratorColor(userId) {
+  let hash = 0;
+  for (const char of userId) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return new THREE.Color().setHSL((hash % 360) / 360, 0.75, 0.6);
+}
+
+/**
+ * Camera frustum pointing along +Z with a name label above it
+ */
+function createFrustumGizmo(name, color) {
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+  const points = [];
+  corners.forEach(([x, y], i) => {
+    const [nx, ny] = corners[(i + 1) % corners.length];
+    points.push(0, 0, 0, x, y, 1); // apex to corner
+    points.push(x, y, 1, nx, ny, 1); // far rectangle
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+  const frustum = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color }));
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  context.font = 'bold 28px sans-serif';
+  canvas.width = Math.ceil(context.measureText(name).width) + 24;
+  canvas.height = 40;
+  context.font = 'bold 28px sans-serif';
+  context.fillStyle = 'rgba(15, 23, 42, 0.8)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = `#${color.getHexString()}`;
+  context.fillText(name, 12, 30);
+  const label = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: new THREE.CanvasTexture(canvas),
+    depthTest: false,
+    sizeAttenuation: false
+  }));
+  label.scale.set(0.04 * canvas.width / canvas.height, 0.04, 1);
+
+  const gizmo = new THREE.Group();
+  gizmo.up.set(0, 0, 1);
+  gizmo.add(frustum, label);
+  gizmo.userData = { frustum, label };
+  return gizmo;
+}
+
+/**
+ * Place a gizmo at a camera pose; its size follows the distance to the target
+ */
+function updateFrustumGizmo(gizmo, { position, target, fov }) {
+  const eye = new THREE.Vector3(position.x, position.y, position.z);
+  const pivot = new THREE.Vector3(target.x, target.y, target.z);
+  const depth = Math.max(eye.distanceTo(pivot) * 0.2, 0.1);
+  const halfHeight = Math.tan((fov || 60) * Math.PI / 360) * depth;
+
+  gizmo.position.copy(eye);
+  gizmo.lookAt(pivot);
+  gizmo.userData.frustum.scale.set(halfHeight * 4 / 3, halfHeight, depth);
+  gizmo.userData.label.position.set(0, halfHeight * 1.5, 0);
+}
+
+function showCollaborator({ sessionId, user, camera }) {
+  let collaborator = collaborators.get(sessionId);
+  if (!collaborator) {
+    collaborator = { user, camera, gizmo: createFrustumGizmo(user.name, collaboratorColor(user.id)) };
+    collaborators.set(sessionId, collaborator);
+    viewer.scene.scene.add(collaborator.gizmo);
+    renderPresenceList();
+  }
+  collaborator.camera = camera;
+  updateFrustumGizmo(collaborator.gizmo, camera);
+
+  if (followedSessionId === sessionId) {
+    moveViewTo(camera);
+  }
+}
+
+function removeCollaborator(sessionId) {
+  const collaborator = collaborators.get(sessionId);
+  if (!collaborator) return;
+
+  viewer.scene.scene.remove(collaborator.gizmo);
+  collaborator.gizmo.traverse(object => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) {
+      if (object.material.map) object.material.map.dispose();
+      object.material.dispose();
+    }
+  });
+  collaborators.delete(sessionId);
+  if (followedSessionId === sessionId) {
+    followedSessionId = null;
+    showStatus(`${collaborator.user.name} left`, 'info');
+  }
+  renderPresenceList();
+}
+
+function clearCollaborators() {
+  for (const sessionId of [...collaborators.keys()]) {
+    removeCollaborator(sessionId);
+  }
+  followedSessionId = null;
+  clearTimeout(presenceTimer);
+  presenceTimer = null;
+  lastPresenceKey = null;
+}
+
+function moveViewTo({ position, target }) {
+  viewer.scene.view.position.set(position.x, position.y, position.z);
+  viewer.scene.view.lookAt(new THREE.Vector3(target.x, target.y, target.z));
+}
+
+/**
+ * Follow a collaborator's camera until they leave or the user moves the view
+ */
+function toggleFollow(sessionId) {
+  if (followedSessionId === sessionId) {
+    stopFollowing();
+    return;
+  }
+  const collaborator = collaborators.get(sessionId);
+  if (!collaborator) return;
+  followedSessionId = sessionId;
+  moveViewTo(collaborator.camera);
+  renderPresenceList();
+  showStatus(`Following ${collaborator.user.name} (move the view to stop)`, 'info');
+}
+
+function stopFollowing() {
+  if (!followedSessionId) return;
+  followedSessionId = null;
+  renderPresenceList();
+}
+
+function renderPresenceList() {
+  presencePanelEl.classList.toggle('hidden', collaborators.size === 0);
+  presenceListEl.innerHTML = '';
+
+  for (const [sessionId, { user }] of collaborators) {
+    const following = followedSessionId === sessionId;
+    const item = document.createElement('div');
+    item.className = 'presence-item';
+    item.innerHTML = `
+      <span class="presence-dot" style="background: #${collaboratorColor(user.id).getHexString()}"></span>
+      <span class="presence-name">${escapeHtml(user.name)}</span>
+      <button class="btn-small ${following ? 'goto' : 'edit'}">${following ? 'Following' : 'Follow'}</button>
+    `;
+    item.querySelector('button').addEventListener('click', () => toggleFollow(sessionId));
+    presenceListEl.appendChild(item);
+  }
+}
+
+// ========================================
+// Edit Conflicts
+// ========================================
+
+/**
+ * True for a 409 from an update based on an outdated version
+ */
+function isVersionConflict(error) {
+  return error.status === 409 && !!error.current;
+}
+
+/**
+ * Show the stored record after an edit lost to someone else's change
+ */
+function showTheirVersion(current) {
+  showAnnotationRecord(current);
+  updateAnnotationList();
+  const editor = current.updatedBy ? current.updatedBy.name : 'Someone else';
+  showStatus(`${editor} changed this annotation first; showing their version`, 'error');
+}
+
+function renderConflictSide(title, { text, category }) {
+  const categoryName = category && getCategory(category) ? getCategory(category).name : 'No category';
+  return `
+    <div class="conflict-side-title">${escapeHtml(title)}</div>
+    <div class="conflict-category">${escapeHtml(categoryName)}</div>
+    <div class="conflict-text">${text ? escapeHtml(text) : '<em>No text</em>'}</div>
+  `;
+}
+
+/**
+ * Show a rejected note edit next to the version that was saved first
+ * @param {Object} mine - { text, category } the user tried to save
+ * @param {Object} theirs - The stored annotation
+ */
+function openConflictModal(mine, theirs) {
+  editConflict = { mine, theirs };
+  const editor = theirs.updatedBy ? theirs.updatedBy.name : 'Someone else';
+  const when = theirs.updatedAt ? `, ${formatDate(theirs.updatedAt)}` : '';
+  conflictMineEl.innerHTML = renderConflictSide('Your edit', mine);
+  conflictTheirsEl.innerHTML = renderConflictSide(`${editor}${when}`, theirs);
+  conflictTextEl.value = mine.text;
+  renderCategorySelect(conflictCategoryEl, mine.category);
+  conflictModal.classList.remove('hidden');
+  conflictTextEl.focus();
+}
+
+function closeConflictModal() {
+  editConflict = null;
+  conflictModal.classList.add('hidden');
+  applyDeferredLiveEvents();
+}
+
+/**
+ * Resolve the open conflict: keep their version, or save mine or the merged
+ * text on top of it
+ * @param {string} choice - 'theirs', 'mine' or 'merged'
+ */
+async function resolveConflict(choice) {
+  const { mine, theirs } = editConflict;
+  if (choice === 'theirs') {
+    closeConflictModal();
+    closeAnnotationModal();
+    showAnnotationRecord(theirs);
+    updateAnnotationList();
+    showStatus('Kept their version', 'success');
+    return;
+  }
+
+  const fields = choice === 'mine'
+    ? mine
+    : { text: conflictTextEl.value.trim(), category: conflictCategoryEl.value || null };
+  if (new TextEncoder().encode(fields.text).length > CONFIG.MAX_TEXT_BYTES) {
+    showStatus(`Text exceeds ${CONFIG.MAX_TEXT_BYTES} bytes limit`, 'error');
+    return;
+  }
+
+  try {
+    const updated = await annotationAPI.updateAnnotation(theirs.id, fields, theirs.version);
+    pushHistory({
+      type: 'edit',
+      label: 'note edit',
+      id: theirs.id,
+      before: { text: theirs.text || '', category: theirs.category || null },
+      after: { text: updated.text || '', category: updated.category || null }
+    });
+    closeConflictModal();
+    closeAnnotationModal();
+    showAnnotationRecord(updated);
+    updateAnnotationList();
+    showStatus('Note updated', 'success');
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      openConflictModal(mine, error.current);
+      showStatus('The annotation changed again; check the latest version', 'error');
+      return;
+    }
+    console.error('Error resolving conflict:', error);
+    showStatus('Failed to save: ' + error.message, 'error');
+  }
+}
+
+// ========================================
+// Offline Sync
+// ========================================
+
+/**
+ * Cache annotations in IndexedDB and follow the queue of changes made
+ * while the backend could not be reached
+ */
+async function setupOfflineSync() {
+  annotationAPI.onSync = handleSyncEvent;
+  await annotationAPI.openOfflineStore();
+  window.addEventListener('online', checkConnection);
+}
+
+function handleSyncEvent(event) {
+  if (event.type === 'status') {
+    renderSyncStatus(event);
+    clearTimeout(syncCheckTimer);
+    if ((event.offline || event.pending > 0) && !event.syncing) {
+      syncCheckTimer = setTimeout(checkConnection, CONFIG.SYNC_RETRY_INTERVAL);
+    }
+  } else if (event.type === 'saved') {
+    if (event.localId) {
+      remapHistoryIds(event.localId, event.annotation.id);
+    }
+    applyLiveEvent({
+      type: 'updated',
+      pointCloudId: event.annotation.pointCloudId,
+      annotation: event.annotation,
+      localId: event.localId
+    });
+  } else if (event.type === 'rejected') {
+    reportRejectedChange(event);
+  } else if (event.type === 'synced') {
+    if (event.rejected === 0) {
+      showStatus('Offline changes saved', 'success');
+    }
+    resyncAnnotations(currentPointCloudUrl);
+  }
+}
+
+// Sends the queued changes if the backend answers
+async function checkConnection() {
+  clearTimeout(syncCheckTimer);
+  if (!(await annotationAPI.healthCheck())) {
+    syncCheckTimer = setTimeout(checkConnection, CONFIG.SYNC_RETRY_INTERVAL);
+  }
+}
+
+function renderSyncStatus({ offline, pending, syncing }) {
+  const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+  let message = '';
+  if (syncing) {
+    message = `Saving ${changes} made offline...`;
+  } else if (offline) {
+    message = pending > 0
+      ? `Offline. ${changes} will be saved when the connection is back.`
+      : 'Offline. Changes will be saved when the connection is back.';
+  } else if (pending > 0) {
+    message = `${changes} waiting to be saved`;
+  }
+  syncStatusEl.textContent = message;
+  syncStatusEl.classList.toggle('syncing', syncing);
+  syncStatusEl.classList.toggle('hidden', !message);
+}
+
+function formatSyncState(annotation) {
+  if (!annotationAPI.hasUnsentChanges(annotation.id)) return '';
+  return '<span class="sync-badge" title="Saved on this device only">Not synced</span>';
+}
+
+/**
+ * Point undo/redo commands at the ID the backend gave an annotation created offline
+ */
+function remapHistoryIds(localId, id) {
+  for (const command of [...undoStack, ...redoStack]) {
+    if (command.id === localId) {
+      command.id = id;
+    }
+    if (command.record && command.record.id === localId) {
+      command.record = { ...command.record, id };
+    }
+  }
+}
+
+/**
+ * Tell the user about a queued change the backend refused. A note edit
+ * that lost to someone else's is offered for merging.
+ */
+function reportRejectedChange({ entry, error }) {
+  const fields = entry.data || {};
+  const current = error.current;
+  if (isVersionConflict(error) && ('text' in fields || 'category' in fields) &&
+      current.pointCloudId === currentPointCloudUrl && !editConflict && !currentAnnotation) {
+    openConflictModal({
+      text: 'text' in fields ? fields.text : current.text || '',
+      category: 'category' in fields ? fields.category : current.category || null
+    }, current);
+    return;
+  }
+  const action = { create: 'new annotation', update: 'edit', delete: 'delete', restore: 'restore' }[entry.op];
+  showStatus(`An offline ${action} could not be saved: ${error.message}`, 'error');
+}
+
+// ========================================
+// Revision History
+// ========================================
+
+const REVISION_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Deleted',
+  restore: 'Restored after delete',
+  revert: 'Restored revision'
+};
+
+const HISTORY_FIELD_LABELS = {
+  text: 'Text',
+  category: 'Category',
+  status: 'Status',
+  review: 'Review',
+  position: 'Position',
+  cameraPosition: 'Camera position',
+  cameraTarget: 'Camera target',
+  label: 'Label',
+  size: 'Size',
+  yaw: 'Yaw',
+  measurementKind: 'Kind',
+  vertices: 'Vertices',
+  value: 'Value',
+  unit: 'Unit'
+};
+
+// Fields a revision restores (see backend/src/history.js)
+const REVERTIBLE_FIELDS = [
+  'text', 'category', 'position', 'cameraPosition', 'cameraTarget',
+  'label', 'size', 'yaw', 'measurementKind', 'vertices'
+];
+
+function pickRevertibleFields(record) {
+  return Object.fromEntries(REVERTIBLE_FIELDS
+    .filter(name => record[name] !== undefined)
+    .map(name => [name, record[name]]));
+}
+
+function hideHistory() {
+  historyAnnotationId = null;
+  historyListEl.classList.add('hidden');
+  historyListEl.innerHTML = '';
+  toggleHistoryBtn.textContent = 'Show History';
+}
+
+async function toggleHistory() {
+  if (historyAnnotationId || !currentAnnotation) {
+    hideHistory();
+    return;
+  }
+
+  const annotation = currentAnnotation;
+  historyAnnotationId = annotation.id;
+  toggleHistoryBtn.textContent = 'Hide History';
+  historyListEl.innerHTML = '<p class="comment-empty">Loading history...</p>';
+  historyListEl.classList.remove('hidden');
+
+  try {
+    const revisions = await annotationAPI.getHistory(annotation.id);
+    if (historyAnnotationId !== annotation.id) return;
+    renderHistory(annotation, revisions);
+  } catch (error) {
+    if (historyAnnotationId !== annotation.id) return;
+    historyListEl.innerHTML = '<p class="comment-empty">Failed to load history.</p>';
+  }
+}
+
+/**
+ * Value of a field as shown in the diff
+ */
+function formatHistoryValue(name, value) {
+  if (value === null || value === '') return '—';
+  if (name === 'category') {
+    const category = getCategory(value);
+    return escapeHtml(category ? category.name : value);
+  }
+  if (name === 'status') return REVIEW_STATUS_LABELS[value] || escapeHtml(value);
+  if (name === 'review') return `${REVIEW_STATUS_LABELS[value.status]} by ${escapeHtml(value.by.name)}`;
+  if (name === 'yaw') return `${(value * 180 / Math.PI).toFixed(1)}°`;
+  if (name === 'vertices') return `${value.length} points`;
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+  if (typeof value === 'string') return escapeHtml(value);
+  if (typeof value.x === 'number') {
+    return `(${value.x.toFixed(2)}, ${value.y.toFixed(2)}, ${value.z.toFixed(2)})`;
+  }
+  return escapeHtml(JSON.stringify(value));
+}
+
+/**
+ * List revisions newest first, each with the fields it changed
+ */
+function renderHistory(annotation, revisions) {
+  if (revisions.length === 0) {
+    historyListEl.innerHTML = '<p class="comment-empty">No revisions recorded.</p>';
+    return;
+  }
+
+  const latestId = revisions[0].id;
+  const canRestore = canEditAnnotation(annotation);
+  historyListEl.innerHTML = '';
+  for (const revision of revisions) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    const reverted = revision.revertedTo
+      ? revisions.find(r => r.id === revision.revertedTo)
+      : null;
+    const title = REVISION_ACTION_LABELS[revision.action] + (reverted ? ` #${reverted.revision}` : '');
+    const changes = Object.entries(revision.changes).map(([name, { from, to }]) => `
+      <li>
+        <span class="history-field">${HISTORY_FIELD_LABELS[name] || escapeHtml(name)}</span>
+        <del>${formatHistoryValue(name, from)}</del> &rarr; <ins>${formatHistoryValue(name, to)}</ins>
+      </li>
+    `).join('');
+    const restorable = canRestore && revision.id !== latestId && revision.action !== 'delete';
+
+    item.innerHTML = `
+      <div class="comment-meta">
+        <strong>#${revision.revision} ${title}</strong>
+        <span>${escapeHtml(revision.by.name)}, ${formatDate(revision.at)}</span>
+        ${restorable ? '<button class="btn-small edit history-restore">Restore</button>' : ''}
+      </div>
+      ${changes ? `<ul class="history-changes">${changes}</ul>` : ''}
+    `;
+    if (restorable) {
+      item.querySelector('.history-restore')
+        .addEventListener('click', () => restoreRevision(annotation.id, revision));
+    }
+    historyListEl.appendChild(item);
+  }
+}
+
+/**
+ * Put an earlier revision's content back (undoable like an edit)
+ */
+async function restoreRevision(annotationId, revision) {
+  if (!confirm(`Restore revision #${revision.revision}? The current content is kept in the history.`)) return;
+
+  try {
+    const existing = annotations.get(annotationId);
+    const updated = await annotationAPI.restoreRevision(annotationId, revision.id);
+    pushHistory({
+      type: 'edit',
+      label: 'revision restore',
+      id: annotationId,
+      before: pickRevertibleFields(existing),
+      after: pickRevertibleFields(updated)
+    });
+    closeAnnotationModal();
+    showAnnotationRecord(updated);
+    updateAnnotationList();
+    showStatus(`Restored revision #${revision.revision}`, 'success');
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    showStatus('Failed to restore revision: ' + error.message, 'error');
+  }
+}
+
+// ========================================
+// Comments
+// ========================================
+
+/**
+ * Comment count badge for the sidebar (nothing when there are no comments)
+ */
+function formatCommentCount(annotation) {
+  const count = annotation.commentCount || 0;
+  if (!count) return '';
+  return `
+    <span class="comment-badge" title="${count} comment${count === 1 ? '' : 's'}">
+      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+      </svg>${count}
+    </span>
+  `;
+}
+
+/**
+ * Show the comment thread of the annotation open in the modal
+ */
+async function loadComments(annotation) {
+  commentThread = { annotationId: annotation.id, comments: [] };
+  commentTextEl.value = '';
+  commentFormEl.classList.toggle('hidden', !hasRole('annotator'));
+  commentListEl.innerHTML = '<p class="comment-empty">Loading comments...</p>';
+  commentCountEl.textContent = annotation.commentCount || 0;
+  annotationCommentsEl.classList.remove('hidden');
+
+  try {
+    const comments = await annotationAPI.getComments(annotation.id);
+    // The modal may have moved on to another annotation meanwhile
+    if (!commentThread || commentThread.annotationId !== annotation.id) return;
+    commentThread.comments = comments;
+    renderComments();
+  } catch (error) {
+    if (!commentThread || commentThread.annotationId !== annotation.id) return;
+    commentListEl.innerHTML = '<p class="comment-empty">Failed to load comments.</p>';
+  }
+}
+
+function renderComments() {
+  const { annotationId, comments } = commentThread;
+  setCommentCount(annotationId, comments.length);
+
+  if (comments.length === 0) {
+    commentListEl.innerHTML = '<p class="comment-empty">No comments yet.</p>';
+    return;
+  }
+
+  commentListEl.innerHTML = '';
+  for (const comment of comments) {
+    const item = document.createElement('div');
+    item.className = 'comment-item';
+    item.innerHTML = `
+      <div class="comment-meta">
+        <strong>${escapeHtml(comment.createdBy.name)}</strong>
+        <span>${formatDate(comment.createdAt)}</span>
+        ${canEditAnnotation(comment) ? '<button class="comment-delete" title="Delete comment">&times;</button>' : ''}
+      </div>
+      <div class="comment-text">${escapeHtml(comment.text)}</div>
+    `;
+    const deleteCommentBtn = item.querySelector('.comment-delete');
+    if (deleteCommentBtn) {
+      deleteCommentBtn.addEventListener('click', () => deleteComment(annotationId, comment.id));
+    }
+    commentListEl.appendChild(item);
+  }
+  commentListEl.scrollTop = commentListEl.scrollHeight;
+}
+
+/**
+ * Keep the annotation's comment count (sidebar badge) in step with its thread
+ */
+function setCommentCount(annotationId, count) {
+  commentCountEl.textContent = count;
+  const annotation = annotations.get(annotationId);
+  if (!annotation || (annotation.commentCount || 0) === count) return;
+  annotations.set(annotationId, { ...annotation, commentCount: count });
+  updateAnnotationList();
+}
+
+async function postComment() {
+  if (!commentThread) return;
+  const text = commentTextEl.value.trim();
+  if (!text) return;
+
+  const byteLength = new TextEncoder().encode(text).length;
+  if (byteLength > CONFIG.MAX_COMMENT_BYTES) {
+    showStatus(`Comment exceeds ${CONFIG.MAX_COMMENT_BYTES} bytes limit`, 'error');
+    return;
+  }
+
+  const thread = commentThread;
+  postCommentBtn.disabled = true;
+  try {
+    const comment = await annotationAPI.createComment(thread.annotationId, text);
+    thread.comments.push(comment);
+    if (commentThread === thread) {
+      commentTextEl.value = '';
+      renderComments();
+    } else {
+      setCommentCount(thread.annotationId, thread.comments.length);
+    }
+  } catch (error) {
+    console.error('Error posting comment:', error);
+    showStatus('Failed to post comment: ' + error.message, 'error');
+  } finally {
+    postCommentBtn.disabled = false;
+  }
+}
+
+async function deleteComment(annotationId, commentId) {
+  if (!confirm('Delete this comment?')) return;
+
+  try {
+    await annotationAPI.deleteComment(annotationId, commentId);
+    if (commentThread && commentThread.annotationId === annotationId) {
+      commentThread.comments = commentThread.comments.filter(c => c.id !== commentId);
+      renderComments();
+    }
+    showStatus('Comment deleted', 'success');
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    showStatus('Failed to delete comment: ' + error.message, 'error');
+  }
+}
+
+// ========================================
+// Review Workflow
+// ========================================
+
+const REVIEW_STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Submitted',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+// Status changes offered for each status and the minimum role (see backend/src/review.js)
+const REVIEW_ACTIONS = {
+  draft: [
+    { to: 'submitted', label: 'Submit for Review', role: 'annotator', style: 'goto', message: 'Submitted for review' }
+  ],
+  submitted: [
+    { to: 'draft', label: 'Withdraw', role: 'annotator', style: 'edit', message: 'Moved back to draft' },
+    { to: 'rejected', label: 'Reject', role: 'reviewer', style: 'delete', message: 'Annotation rejected' },
+    { to: 'approved', label: 'Approve', role: 'reviewer', style: 'goto', message: 'Annotation approved' }
+  ],
+  rejected: [
+    { to: 'draft', label: 'Back to Draft', role: 'annotator', style: 'edit', message: 'Moved back to draft' },
+    { to: 'submitted', label: 'Resubmit', role: 'annotator', style: 'goto', message: 'Submitted for review' }
+  ],
+  approved: [
+    { to: 'draft', label: 'Reopen', role: 'reviewer', style: 'edit', message: 'Annotation reopened' }
+  ]
+};
+
+// Annotations saved before the review workflow existed are drafts
+function reviewStatusOf(annotation) {
+  return annotation.status || 'draft';
+}
+
+function matchesReviewFilter(annotation) {
+  return !reviewFilter || reviewStatusOf(annotation) === reviewFilter;
+}
+
+function formatReviewStatus(annotation) {
+  const status = reviewStatusOf(annotation);
+  return `<span class="review-badge review-${status}">${REVIEW_STATUS_LABELS[status]}</span>`;
+}
+
+/**
+ * Style a marker by its review status (review-draft, review-submitted, ...)
+ */
+function applyMarkerStatus(annotation) {
+  if (!annotation.potreeAnnotation) {
+    refreshLayerMarker(annotation);
+    return;
+  }
+  $(annotation.potreeAnnotation.domElement)
+    .removeClass(Object.keys(REVIEW_STATUS_LABELS).map(status => `review-${status}`).join(' '))
+    .addClass(`review-${reviewStatusOf(annotation)}`);
+}
+
+/**
+ * Show an annotation's status and last review decision, with the status
+ * changes the current user may make
+ * @param {HTMLElement} infoEl - Status, review note and note input
+ * @param {HTMLElement} actionsEl - Status change buttons
+ * @param {Object|null} annotation - Saved annotation, or null for a new one
+ */
+function renderReview(infoEl, actionsEl, annotation) {
+  actionsEl.innerHTML = '';
+  if (!annotation || !annotation.id) {
+    infoEl.classList.add('hidden');
+    return;
+  }
+
+  const actions = canEditAnnotation(annotation)
+    ? REVIEW_ACTIONS[reviewStatusOf(annotation)].filter(action => hasRole(action.role))
+    : [];
+  const review = annotation.review;
+  const decision = review
+    ? `<span>${REVIEW_STATUS_LABELS[review.status]} by ${escapeHtml(review.by.name)}, ${formatDate(review.at)}</span>`
+    : '';
+
+  infoEl.innerHTML = `
+    <div class="review-summary">${formatReviewStatus(annotation)}${decision}</div>
+    ${review && review.note ? `<p class="review-note">${escapeHtml(review.note)}</p>` : ''}
+    ${actions.some(action => action.to === 'rejected')
+      ? '<textarea class="review-note-input" placeholder="Review note (required to reject)" maxlength="256"></textarea>'
+      : ''}
+  `;
+  infoEl.classList.remove('hidden');
+
+  for (const action of actions) {
+    const button = document.createElement('button');
+    button.className = `btn-small ${action.style}`;
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      const noteInput = infoEl.querySelector('.review-note-input');
+      changeReviewStatus(annotation.id, action, noteInput ? noteInput.value.trim() : '');
+    });
+    actionsEl.appendChild(button);
+  }
+}
+
+/**
+ * Move an annotation to another review status; closes its editor, dropping
+ * unsaved edits
+ */
+async function changeReviewStatus(id, action, reviewNote) {
+  if (action.to === 'rejected' && !reviewNote) {
+    showStatus('Add a review note explaining the rejection', 'error');
+    return;
+  }
+
+  try {
+    const { version } = annotations.get(id);
+    const updated = await annotationAPI.updateAnnotation(id, { status: action.to, reviewNote }, version);
+    closeAnnotationModal();
+    closeBoxEditor();
+    showAnnotationRecord(updated);
+    updateAnnotationList();
+    showStatus(action.message, 'success');
+  } catch (error) {
+    console.error('Error changing review status:', error);
+    if (isVersionConflict(error)) {
+      closeAnnotationModal();
+      closeBoxEditor();
+      showTheirVersion(error.current);
+      return;
+    }
+    showStatus('Failed to change status: ' + error.message, 'error');
+  }
+}
+
+// ========================================
+// Undo / Redo
+// ========================================
+
+/**
+ * Annotation record without the viewer objects attached to it
+ */
+function toRecord(annotation) {
+  const { potreeAnnotation, volume, measure, ...record } = annotation;
+  return record;
+}
+
+/**
+ * Show a record in the viewer, replacing the annotation's current markers
+ */
+function showAnnotationRecord(record) {
+  if (annotations.has(record.id)) {
+    removeAnnotationFromViewer(record.id);
+  }
+  addAnnotationToViewer(record);
+}
+
+async function deleteRecord({ record }) {
+  await annotationAPI.deleteAnnotation(record.id);
+  removeAnnotationFromViewer(record.id);
+}
+
+// Restores keep the original ID and timestamps, so later commands still apply
+async function restoreRecord(command) {
+  command.record = toRecord(await annotationAPI.restoreAnnotation(command.record));
+  showAnnotationRecord(command.record);
+}
+
+// Undo and redo fail instead of overwriting someone else's later edit
+async function applyFields(id, fields) {
+  try {
+    showAnnotationRecord(await annotationAPI.updateAnnotation(id, fields, annotations.get(id).version));
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      showAnnotationRecord(error.current);
+    }
+    throw error;
+  }
+}
+
+// How each kind of command is undone and redone
+const HISTORY_ACTIONS = {
+  create: { undo: deleteRecord, redo: restoreRecord },
+  delete: { undo: restoreRecord, redo: deleteRecord },
+  edit: {
+    undo: ({ id, before }) => applyFields(id, before),
+    redo: ({ id, after }) => applyFields(id, after)
+  }
+};
+HISTORY_ACTIONS.move = HISTORY_ACTIONS.edit;
+
+/**
+ * Record a change that was just saved; a new change clears the redo stack
+ */
+function pushHistory(command) {
+  if (command.record) command.record = toRecord(command.record);
+  undoStack.push(command);
+  if (undoStack.length > CONFIG.UNDO_LIMIT) {
+    undoStack.shift();
+  }
+  redoStack.length = 0;
+  updateHistoryButtons();
+}
+
+function clearHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+  if (!btnUndo || !btnRedo) return;
+  const nextUndo = undoStack[undoStack.length - 1];
+  const nextRedo = redoStack[redoStack.length - 1];
+  btnUndo.disabled = historyBusy || !nextUndo;
+  btnRedo.disabled = historyBusy || !nextRedo;
+  btnUndo.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+  btnRedo.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+}
+
+/**
+ * Undo or redo the latest command. A command that fails (e.g. the
+ * annotation was deleted elsewhere) is dropped rather than retried.
+ * @param {'undo'|'redo'} direction
+ */
+async function stepHistory(direction) {
+  const from = direction === 'undo' ? undoStack : redoStack;
+  const to = direction === 'undo' ? redoStack : undoStack;
+  if (historyBusy || from.length === 0) return;
+
+  // Open editors would hold stale copies of the annotation
+  closeAnnotationModal();
+  closeBoxEditor();
+  closeMeasureEditor();
+  cancelMarkerMove();
+
+  const command = from.pop();
+  historyBusy = true;
+  updateHistoryButtons();
+
+  try {
+    await HISTORY_ACTIONS[command.type][direction](command);
+    to.push(command);
+    updateAnnotationList();
+    showStatus(`${direction === 'undo' ? 'Undid' : 'Redid'} ${command.label}`, 'success');
+  } catch (error) {
+    console.error(`Error during ${direction}:`, error);
+    showStatus(`Could not ${direction} ${command.label}: ${error.message}`, 'error');
+  } finally {
+    historyBusy = false;
+    updateHistoryButtons();
+  }
+}
+
+/**
+ * Download the current point cloud's annotations in an export format
+ */
+async function exportAnnotations(format) {
+  exportMenu.classList.add('hidden');
+
+  try {
+    const blob = await annotationAPI.exportAnnotations(currentPointCloudUrl, format);
+    const extension = format === 'kitti' ? 'txt' : format;
+    // Name the file after the cloud folder, e.g. lion_takanawa-annotations.csv
+    const cloudName = (currentPointCloudUrl || '').split('/').filter(Boolean).pop() || 'pointcloud';
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${cloudName}-annotations.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting annotations:', error);
+    showStatus('Export failed: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Pick the import format from the file name (and content for .json)
+ */
+function getImportFormat(file, content) {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.geojson')) return 'geojson';
+  if (name.endsWith('.json')) {
+    return /"type"\s*:\s*"FeatureCollection"/.test(content) ? 'geojson' : 'json';
+  }
+  return null;
+}
+
+/**
+ * Import annotations from a CSV, GeoJSON or JSON file into the current cloud
+ */
+async function importAnnotationsFromFile(file) {
+  if (!hasRole('annotator')) {
+    showStatus(`Your role (${currentRole}) cannot import annotations`, 'error');
+    return;
+  }
+
+  try {
+    const content = await file.text();
+    const format = getImportFormat(file, content);
+    if (!format) {
+      showStatus('Unsupported file type (use .csv, .geojson or .json)', 'error');
+      return;
+    }
+
+    showStatus(`Importing ${file.name}...`, 'info');
+    const result = await annotationAPI.importAnnotations(currentPointCloudUrl, format, content);
+    for (const annotation of result.imported) {
+      addAnnotationToViewer(annotation);
+    }
+    updateAnnotationList();
+    showImportReport(file.name, result);
+  } catch (error) {
+    console.error('Error importing annotations:', error);
+    showStatus('Import failed: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Show how many rows were imported and why the others were rejected
+ */
+function showImportReport(fileName, { imported, errors, total }) {
+  if (errors.length === 0) {
+    showStatus(`Imported ${imported.length} annotation(s) from ${fileName}`, 'success');
+    return;
+  }
+
+  importSummaryEl.textContent =
+    `Imported ${imported.length} of ${total} row(s) from ${fileName}. ${errors.length} row(s) were skipped:`;
+  importErrorsEl.innerHTML = errors
+    .map(({ row, error }) => `<li>Row ${row}: ${escapeHtml(error)}</li>`)
+    .join('');
+  importModal.classList.remove('hidden');
+}
+
+function closeImportModal() {
+  importModal.classList.add('hidden');
+}
+
+// ========================================
+// Bounding Boxes
+// ========================================
+
+/**
+ * Create a Potree box volume from a box annotation
+ */
+function createBoxVolume(annotation) {
+  const volume = new Potree.BoxVolume();
+  volume.name = annotation.label;
+  volume.clip = false;
+  applyBoxGeometry(volume, annotation);
+  return volume;
+}
+
+/**
+ * Set a volume's center, size and yaw (boxes only rotate around z)
+ */
+function applyBoxGeometry(volume, { position, size, yaw }) {
+  volume.position.set(position.x, position.y, position.z);
+  volume.scale.set(size.x, size.y, size.z);
+  volume.rotation.set(0, 0, yaw || 0);
+}
+
+/**
+ * Read center, size and yaw back from a volume after the user edited it
+ */
+function getBoxGeometry(volume) {
+  return {
+    position: { x: volume.position.x, y: volume.position.y, z: volume.position.z },
+    size: {
+      x: Math.abs(volume.scale.x),
+      y: Math.abs(volume.scale.y),
+      z: Math.abs(volume.scale.z)
+    },
+    yaw: volume.rotation.z
+  };
+}
+
+/**
+ * Start drawing a new box: the box follows the cursor over the point cloud
+ * and is placed on click, then opens in the box editor for resizing
+ */
+function startBoxDrawing() {
+  if (boxDraft) return;
+  closeMeasureEditor();
+
+  const volume = viewer.volumeTool.startInsertion({ clip: false, name: 'Box' });
+  boxDraft = { annotation: null, volume, original: null };
+  btnBox.classList.add('active');
+
+  volume.addEventListener('drop', () => {
+    // Insertion may have been cancelled in the meantime
+    if (boxDraft && boxDraft.volume === volume) {
+      openBoxEditor(null, volume);
+    }
+  });
+}
+
+/**
+ * Open the box editor panel; the box gets Potree's move/scale/rotate handles
+ * @param {Object|null} annotation - Existing box annotation, or null for a new box
+ * @param {Object} [volume] - Freshly placed volume for a new box
+ */
+function openBoxEditor(annotation, volume = null) {
+  if (boxDraft && boxDraft.annotation !== annotation) {
+    closeBoxEditor();
+  }
+
+  const target = annotation ? annotation.volume : volume;
+  boxDraft = {
+    annotation,
+    volume: target,
+    original: annotation ? getBoxGeometry(target) : null
+  };
+
+  viewer.inputHandler.deselectAll();
+  viewer.inputHandler.toggleSelection(target);
+
+  boxPanelTitle.textContent = annotation ? 'Edit Box' : 'New Box';
+  boxCaptureViewBtn.classList.toggle('hidden', !annotation);
+  boxLabelInput.value = annotation ? annotation.label : '';
+  boxTextInput.value = annotation ? annotation.text || '' : '';
+  renderCategorySelect(boxCategoryEl, annotation ? annotation.category : null);
+  renderReview(boxReviewEl, boxReviewActionsEl, annotation);
+  btnBox.classList.add('active');
+  boxPanel.classList.remove('hidden');
+  boxLabelInput.focus();
+}
+
+/**
+ * Close the box editor, discarding unsaved changes
+ */
+function closeBoxEditor() {
+  if (!boxDraft) return;
+
+  const { annotation, volume, original } = boxDraft;
+  viewer.inputHandler.deselectAll();
+  viewer.dispatchEvent({ type: 'cancel_insertions' });
+
+  if (annotation) {
+    applyBoxGeometry(volume, original);
+  } else {
+    viewer.scene.removeVolume(volume);
+  }
+
+  boxDraft = null;
+  btnBox.classList.remove('active');
+  boxPanel.classList.add('hidden');
+  applyDeferredLiveEvents();
+}
+
+/**
+ * Save the box being edited
+ */
+async function saveBox() {
+  if (!boxDraft) return;
+
+  const label = boxLabelInput.value.trim();
+  const text = boxTextInput.value.trim();
+  const category = boxCategoryEl.value || null;
+  if (!label) {
+    showStatus('Please enter a label for the box', 'error');
+    return;
+  }
+
+  const { annotation, volume } = boxDraft;
+  const geometry = getBoxGeometry(volume);
+
+  try {
+    if (annotation) {
+      const updated = await annotationAPI.updateAnnotation(annotation.id, {
+        label,
+        text,
+        category,
+        ...geometry
+      }, annotation.version);
+      const updatedAnnotation = {
+        ...annotation,
+        ...updated,
+        potreeAnnotation: annotation.potreeAnnotation,
+        volume
+      };
+      annotations.set(annotation.id, updatedAnnotation);
+      const boxFields = (a) => ({
+        label: a.label,
+        text: a.text || '',
+        category: a.category || null,
+        position: a.position,
+        size: a.size,
+        yaw: a.yaw || 0
+      });
+      const before = boxFields(annotation);
+      const after = boxFields(updated);
+      const onlyMoved = ['label', 'text', 'category'].every(name => before[name] === after[name]);
+      pushHistory({
+        type: onlyMoved ? 'move' : 'edit',
+        label: onlyMoved ? 'box move' : 'box edit',
+        id: annotation.id,
+        before,
+        after
+      });
+
+      // Keep the saved geometry when the editor closes
+      boxDraft.original = geometry;
+      volume.name = label;
+      volume.rotation.set(0, 0, updated.yaw);
+      updateMarker(updatedAnnotation);
+      closeBoxEditor();
+      showStatus('Box updated', 'success');
+    } else {
+      const camera = viewer.scene.getActiveCamera();
+      const newAnnotation = await annotationAPI.createAnnotation({
+        type: 'box',
+        pointCloudId: currentPointCloudUrl,
+        label,
+        text,
+        category,
+        ...geometry,
+        cameraPosition: {
+          x: camera.position.x,
+          y: camera.position.y,
+          z: camera.position.z
+        },
+        cameraTarget: geometry.position
+      });
+
+      // The saved annotation gets its own volume; drop the draft one
+      closeBoxEditor();
+      addAnnotationToViewer(newAnnotation);
+      pushHistory({ type: 'create', label: 'new box', record: newAnnotation });
+      showStatus('Box saved', 'success');
+    }
+
+    updateAnnotationList();
+  } catch (error) {
+    console.error('Error saving box:', error);
+    if (isVersionConflict(error)) {
+      closeBoxEditor();
+      showTheirVersion(error.current);
+      return;
+    }
+    showStatus('Failed to save: ' + error.message, 'error');
+  }
+}
+
+function formatBoxSize(size) {
+  if (!size) return '';
+  return `${size.x.toFixed(2)} × ${size.y.toFixed(2)} × ${size.z.toFixed(2)}`;
+}
+
+// ========================================
+// Measurements
+// ========================================
+
+/**
+ * Create a Potree measure for a saved measurement
+ */
+function createMeasure(kind, vertices) {
+  const measure = new Potree.Measure();
+  measure.name = MEASUREMENT_TOOLS[kind].title;
+  Object.assign(measure, MEASUREMENT_TOOLS[kind].options);
+  for (const vertex of vertices) {
+    measure.addMarker(new THREE.Vector3(vertex.x, vertex.y, vertex.z));
+  }
+  return measure;
+}
+
+/**
+ * Compute a measurement value for the live preview.
+ * Mirrors backend/src/measurements.js, which computes the stored value.
+ */
+function computeMeasurement(kind, vertices) {
+  if (kind === 'distance') {
+    let total = 0;
+    for (let i = 1; i < vertices.length; i++) {
+      total += vertices[i].distanceTo(vertices[i - 1]);
+    }
+    return total;
+  }
+  if (kind === 'area') {
+    let area = 0;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+      area += (vertices[j].x + vertices[i].x) * (vertices[i].y - vertices[j].y);
+    }
+    return Math.abs(area / 2);
+  }
+  if (kind === 'height') {
+    const zs = vertices.map(v => v.z);
+    return Math.max(...zs) - Math.min(...zs);
+  }
+  if (kind === 'angle' && vertices.length === 3) {
+    const u = vertices[0].clone().sub(vertices[1]);
+    const v = vertices[2].clone().sub(vertices[1]);
+    return u.angleTo(v) * 180 / Math.PI;
+  }
+  return 0;
+}
+
+const MEASUREMENT_UNITS = { distance: 'm', area: 'm²', height: 'm', angle: '°' };
+
+function formatMeasurement(value, unit) {
+  if (typeof value !== 'number') return '';
+  return unit === '°' ? `${value.toFixed(1)}°` : `${value.toFixed(2)} ${unit}`;
+}
+
+/**
+ * Start taking a measurement with Potree's measuring tool.
+ * Click to add points (right-click ends open polylines), then save from the panel.
+ */
+function startMeasurement(kind) {
+  closeMeasureEditor();
+  closeBoxEditor();
+
+  const tool = MEASUREMENT_TOOLS[kind];
+  const measure = viewer.measuringTool.startInsertion({ ...tool.options, name: tool.title });
+  measureDraft = { kind, measure };
+
+  const refresh = () => updateMeasureValue();
+  measure.addEventListener('marker_added', refresh);
+  measure.addEventListener('marker_moved', refresh);
+  measure.addEventListener('marker_removed', refresh);
+
+  measureButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.measure === kind));
+  measurePanelTitle.textContent = `New ${tool.title} Measurement`;
+  measureTextInput.value = '';
+  renderCategorySelect(measureCategoryEl, null);
+  updateMeasureValue();
+  measurePanel.classList.remove('hidden');
+}
+
+/**
+ * Show the current value of the measurement being taken
+ */
+function updateMeasureValue() {
+  if (!measureDraft) return;
+  const { kind, measure } = measureDraft;
+  const vertices = measure.points.map(p => p.position);
+  measureValueEl.textContent = formatMeasurement(
+    computeMeasurement(kind, vertices),
+    MEASUREMENT_UNITS[kind]
+  );
+}
+
+/**
+ * Close the measurement panel, discarding an unsaved measurement
+ */
+function closeMeasureEditor() {
+  if (!measureDraft) return;
+
+  viewer.dispatchEvent({ type: 'cancel_insertions' });
+  viewer.scene.removeMeasurement(measureDraft.measure);
+
+  measureDraft = null;
+  measureButtons.forEach(btn => btn.classList.remove('active'));
+  measurePanel.classList.add('hidden');
+}
+
+/**
+ * Save the measurement being taken
+ */
+async function saveMeasurement() {
+  if (!measureDraft) return;
+
+  // Stop inserting; this drops the point that follows the cursor
+  viewer.dispatchEvent({ type: 'cancel_insertions' });
+
+  const { kind, measure } = measureDraft;
+  const vertices = measure.points.map(({ position }) => ({
+    x: position.x,
+    y: position.y,
+    z: position.z
+  }));
+  if (vertices.length === 0) {
+    showStatus('Click on the point cloud to add measurement points', 'error');
+    return;
+  }
+
+  // Anchor the marker at the centroid of the vertices
+  const n = vertices.length;
+  const position = vertices.reduce(
+    (sum, v) => ({ x: sum.x + v.x / n, y: sum.y + v.y / n, z: sum.z + v.z / n }),
+    { x: 0, y: 0, z: 0 }
+  );
+  const camera = viewer.scene.getActiveCamera();
+
+  try {
+    const newAnnotation = await annotationAPI.createAnnotation({
+      type: 'measurement',
+      pointCloudId: currentPointCloudUrl,
+      measurementKind: kind,
+      vertices,
+      position,
+      text: measureTextInput.value.trim(),
+      category: measureCategoryEl.value || null,
+      cameraPosition: {
+        x: camera.position.x,
+        y: camera.position.y,
+        z: camera.position.z
+      },
+      cameraTarget: position
+    });
+
+    // The saved annotation gets its own measure; drop the draft one
+    closeMeasureEditor();
+    addAnnotationToViewer(newAnnotation);
+    pushHistory({ type: 'create', label: 'new measurement', record: newAnnotation });
+    updateAnnotationList();
+    showStatus('Measurement saved', 'success');
+  } catch (error) {
+    console.error('Error saving measurement:', error);
+    showStatus('Failed to save: ' + error.message, 'error');
+  }
+}
+
+// ========================================
+// Categories
+// ========================================
+
+// Filter value for annotations without a (known) category
+const UNCATEGORIZED = '__uncategorized__';
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Find a category of the current point cloud; removed categories return null
+ */
+function getCategory(id) {
+  return (id && categories.find(c => c.id === id)) || null;
+}
+
+/**
+ * Categories in tree order, each with its depth in the hierarchy
+ */
+function getCategoryTree(list = categories) {
+  const tree = [];
+  const visit = (parentId, depth) => {
+    for (const category of list.filter(c => (c.parentId || null) === parentId)) {
+      tree.push({ category, depth });
+      visit(category.id, depth + 1);
+    }
+  };
+  visit(null, 0);
+  return tree;
+}
+
+/**
+ * Whether a category is the given category or one of its subcategories
+ */
+function isInCategory(id, ancestorId) {
+  let category = getCategory(id);
+  while (category) {
+    if (category.id === ancestorId) return true;
+    category = getCategory(category.parentId);
+  }
+  return false;
+}
+
+function matchesCategoryFilter(annotation) {
+  if (!categoryFilter) return true;
+  if (categoryFilter === UNCATEGORIZED) return !getCategory(annotation.category);
+  return isInCategory(annotation.category, categoryFilter);
+}
+
+/**
+ * Color a marker by its category, or CONFIG.ANNOTATION_COLOR when uncategorized
+ */
+function applyMarkerColor(annotation) {
+  if (!annotation.potreeAnnotation) {
+    refreshLayerMarker(annotation);
+    return;
+  }
+  const category = getCategory(annotation.category);
+  const color = category ? category.color : rgbToHex(CONFIG.ANNOTATION_COLOR);
+  $(annotation.potreeAnnotation.domElement)
+    .find('.annotation-titlebar')
+    .css('background-color', color);
+}
+
+/**
+ * Fill a category <select>; it is hidden while the cloud has no categories
+ */
+function renderCategorySelect(selectEl, selectedId) {
+  selectEl.innerHTML = '<option value="">No category</option>';
+  for (const { category, depth } of getCategoryTree()) {
+    const option = document.createElement('option');
+    option.value = category.id;
+    option.textContent = '\u00a0\u00a0'.repeat(depth) + category.name;
+    option.selected = category.id === selectedId;
+    selectEl.appendChild(option);
+  }
+  selectEl.classList.toggle('hidden', categories.length === 0);
+}
+
+function renderCategoryFilter() {
+  categoryFilterEl.innerHTML = `
+    <option value="">All categories</option>
+    <option value="${UNCATEGORIZED}">Uncategorized</option>
+  `;
+  for (const { category, depth } of getCategoryTree()) {
+    const option = document.createElement('option');
+    option.value = category.id;
+    option.textContent = '\u00a0\u00a0'.repeat(depth) + category.name;
+    categoryFilterEl.appendChild(option);
+  }
+
+  // Drop a filter on a category that no longer exists
+  if (categoryFilter && categoryFilter !== UNCATEGORIZED && !getCategory(categoryFilter)) {
+    categoryFilter = '';
+  }
+  categoryFilterEl.value = categoryFilter;
+}
+
+/**
+ * Apply a new taxonomy to the filter, markers and list
+ */
+// Category colors go into style attributes; the backend only stores #rrggbb
+const CATEGORY_COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+function setCategories(list) {
+  categories = list.map(category => CATEGORY_COLOR_REGEX.test(category.color)
+    ? category
+    : { ...category, color: rgbToHex(CONFIG.ANNOTATION_COLOR) });
+  renderCategoryFilter();
+  for (const annotation of annotations.values()) {
+    applyMarkerColor(annotation);
+  }
+  updateAnnotationList();
+}
+
+/**
+ * Load the categories of the current point cloud
+ */
+async function loadTaxonomy() {
+  categoryFilter = '';
+  try {
+    // Unregistered clouds have no categories yet
+    const record = await getPointCloudRecord();
+    const taxonomy = record ? await annotationAPI.getTaxonomy(record.id) : { categories: [] };
+    setCategories(taxonomy.categories);
+  } catch (error) {
+    console.error('Error loading categories:', error);
+    setCategories([]);
+  }
+}
+
+/**
+ * Open the taxonomy editor on a copy of the current categories
+ */
+function openTaxonomyModal() {
+  taxonomyDraft = categories.map(c => ({ ...c }));
+  renderTaxonomyEditor();
+  taxonomyModal.classList.remove('hidden');
+}
+
+function closeTaxonomyModal() {
+  taxonomyModal.classList.add('hidden');
+  taxonomyDraft = null;
+}
+
+/**
+ * Derive a unique category ID from its name
+ */
+function createCategoryId(name, taken) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    .slice(0, 56) || 'category';
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+function renderTaxonomyEditor() {
+  taxonomyListEl.innerHTML = '';
+
+  if (taxonomyDraft.length === 0) {
+    taxonomyListEl.innerHTML = `
+      <div class="empty-state" style="text-align: center; padding: 20px; color: var(--text-secondary);">
+        <p>No categories yet.</p>
       </div>
     `;
+    return;
+  }
+
+  for (const { category, depth } of getCategoryTree(taxonomyDraft)) {
+    const row = document.createElement('div');
+    row.className = 'taxonomy-row';
+    row.style.paddingLeft = `${depth * 16}px`;
+    row.innerHTML = `
+      <input type="color" title="Color" />
+      <input type="text" class="text-input" maxlength="64" placeholder="Name" />
+      <select class="text-input" title="Parent category"></select>
+      <button class="btn-small delete">Remove</button>
+    `;
+
+    const [colorInput, nameInput, parentSelect] = row.querySelectorAll('input, select');
+    colorInput.value = category.color;
+    nameInput.value = category.name;
+    colorInput.addEventListener('input', () => { category.color = colorInput.value; });
+    nameInput.addEventListener('input', () => { category.name = nameInput.value; });
+
+    // A category can't move under itself or one of its subcategories
+    parentSelect.innerHTML = '<option value="">No parent</option>';
+    for (const other of taxonomyDraft) {
+      let ancestor = other;
+      while (ancestor && ancestor.id !== category.id) {
+        ancestor = taxonomyDraft.find(c => c.id === ancestor.parentId);
+      }
+      if (ancestor) continue;
+
+      const option = document.createElement('option');
+      option.value = other.id;
+      option.textContent = other.name || other.id;
+      option.selected = other.id === category.parentId;
+      parentSelect.appendChild(option);
+    }
+    parentSelect.addEventListener('change', () => {
+      category.parentId = parentSelect.value || null;
+      renderTaxonomyEditor();
+    });
+
+    // Removing a category moves its subcategories up one level
+    row.querySelector('.delete').addEventListener('click', () => {
+      for (const child of taxonomyDraft.filter(c => c.parentId === category.id)) {
+        child.parentId = category.parentId;
+      }
+      taxonomyDraft = taxonomyDraft.filter(c => c !== category);
+      renderTaxonomyEditor();
+    });
+
+    taxonomyListEl.appendChild(row);
+  }
+}
+
+function addDraftCategory() {
+  const taken = new Set(taxonomyDraft.map(c => c.id));
+  taxonomyDraft.push({
+    id: createCategoryId(`category-${taxonomyDraft.length + 1}`, taken),
+    name: '',
+    color: rgbToHex(CONFIG.ANNOTATION_COLOR),
+    parentId: null,
+    isNew: true
+  });
+  renderTaxonomyEditor();
+  taxonomyListEl.querySelector('.taxonomy-row:last-child input[type="text"]').focus();
+}
+
+/**
+ * Save the edited taxonomy, registering the point cloud if needed
+ */
+async function saveTaxonomy() {
+  if (taxonomyDraft.some(c => !c.name.trim())) {
+    showStatus('Every category needs a name', 'error');
+    return;
+  }
+
+  // New categories get IDs derived from their final names
+  const taken = new Set(taxonomyDraft.filter(c => !c.isNew).map(c => c.id));
+  const renamed = new Map();
+  for (const category of taxonomyDraft.filter(c => c.isNew)) {
+    const id = createCategoryId(category.name, taken);
+    taken.add(id);
+    renamed.set(category.id, id);
+  }
+  const payload = taxonomyDraft.map(({ id, name, color, parentId }) => ({
+    id: renamed.get(id) || id,
+    name: name.trim(),
+    color,
+    parentId: renamed.get(parentId) || parentId || null
+  }));
+
+  try {
+    const record = await getPointCloudRecord(true);
+    const saved = await annotationAPI.updateTaxonomy(record.id, payload);
+    setCategories(saved.categories);
+    closeTaxonomyModal();
+    showStatus('Categories saved', 'success');
+  } catch (error) {
+    console.error('Error saving categories:', error);
+    showStatus('Failed to save categories: ' + error.message, 'error');
+  }
+}
+
+// ========================================
+// Point Labeling
+// ========================================
+
+// Maximum octree nodes per label update request (matches the backend limit)
+const LABEL_NODES_PER_REQUEST = 500;
+
+/**
+ * Find the backend registry entry for the current point cloud
+ * @param {boolean} [create] - Register the cloud if it is not registered yet
+ */
+async function getPointCloudRecord(create = false) {
+  if (currentPointCloudRecord) return currentPointCloudRecord;
+
+  const clouds = await annotationAPI.getPointClouds();
+  let record = clouds.find(pc => normalizePointCloudUrl(pc.path) === currentPointCloudUrl);
+  if (!record && create) {
+    const known = (CONFIG.AVAILABLE_POINT_CLOUDS || [])
+      .find(pc => normalizePointCloudUrl(pc.path) === currentPointCloudUrl);
+    record = await annotationAPI.createPointCloud({
+      name: known ? known.name : currentPointCloudUrl,
+      path: currentPointCloudUrl
+    });
+    if (record.warning) {
+      showStatus(record.warning, 'info');
+    }
+  }
+
+  currentPointCloudRecord = record || null;
+  return currentPointCloudRecord;
+}
+
+/**
+ * Convert a node's labels between the wire format and a lookup map.
+ * Wire format: { [classification]: [[start, end], ...] } with inclusive ranges.
+ */
+function toRangesByClass(labels) {
+  const rangesByClass = {};
+  const entries = Array.from(labels.entries()).sort((a, b) => a[0] - b[0]);
+  for (const [index, code] of entries) {
+    const ranges = rangesByClass[code] || (rangesByClass[code] = []);
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === index - 1) {
+      last[1] = index;
+    } else {
+      ranges.push([index, index]);
+    }
+  }
+  return rangesByClass;
+}
+
+function fromRangesByClass(rangesByClass) {
+  const labels = new Map();
+  for (const [code, ranges] of Object.entries(rangesByClass)) {
+    for (const [start, end] of ranges) {
+      for (let i = start; i <= end; i++) {
+        labels.set(i, Number(code));
+      }
+    }
+  }
+  return labels;
+}
+
+/**
+ * Forget all labels of the current point cloud (e.g. when switching clouds)
+ */
+function resetPointLabels() {
+  pointLabels = new Map();
+  dirtyLabelNodes = new Set();
+  labeledGeometries = new WeakSet();
+  updateLabelDirtyCount();
+}
+
+/**
+ * Load saved per-point labels for the current point cloud
+ */
+async function loadPointLabels() {
+  resetPointLabels();
+
+  try {
+    // Unregistered clouds have no labels yet
+    const record = await getPointCloudRecord();
+    if (!record) return;
+
+    const { nodes } = await annotationAPI.getPointLabels(record.id);
+    for (const [nodeName, rangesByClass] of Object.entries(nodes)) {
+      pointLabels.set(nodeName, fromRangesByClass(rangesByClass));
+    }
+    if (pointLabels.size > 0) {
+      applyClassificationScheme();
+      setClassificationColoring(true);
+    }
+  } catch (error) {
+    console.error('Error loading point labels:', error);
+    showStatus('Could not load point labels', 'error');
+  }
+}
+
+/**
+ * Write a node's labels into its classification attribute
+ */
+function applyNodeLabels(node, labels) {
+  const classification = node.geometryNode.geometry.attributes.classification;
+  if (!classification) return;
+
+  for (const [index, code] of labels) {
+    if (index < classification.count) {
+      classification.array[index] = code;
+    }
+  }
+  classification.needsUpdate = true;
+}
+
+/**
+ * Apply labels to nodes Potree has (re)loaded since the last frame
+ */
+function applyLabelsToLoadedNodes() {
+  if (!currentPointCloud || pointLabels.size === 0) return;
+
+  for (const node of currentPointCloud.visibleNodes) {
+    const geometry = node.geometryNode && node.geometryNode.geometry;
+    if (!geometry || labeledGeometries.has(geometry)) continue;
+
+    labeledGeometries.add(geometry);
+    const labels = pointLabels.get(node.name);
+    if (labels) applyNodeLabels(node, labels);
+  }
+}
+
+/**
+ * Register the label classes with Potree's classification coloring
+ */
+function applyClassificationScheme() {
+  if (!currentPointCloud) return;
+
+  const scheme = { ...Potree.ClassificationScheme.DEFAULT };
+  for (const pointClass of CONFIG.POINT_CLASSES) {
+    scheme[pointClass.code] = {
+      visible: true,
+      name: pointClass.name,
+      color: [...pointClass.color, 1]
+    };
+  }
+  currentPointCloud.material.classification = scheme;
+}
+
+/**
+ * Switch point coloring between classification and the cloud's own colors
+ */
+function setClassificationColoring(enabled) {
+  if (!currentPointCloud) return;
+  currentPointCloud.material.activeAttributeName = enabled ? 'classification' : 'rgba';
+  if (labelShowClassesInput) labelShowClassesInput.checked = enabled;
+}
+
+/**
+ * Turn labeling mode (panel + selection overlay) on or off
+ */
+function setLabelingMode(enabled) {
+  if (!enabled) {
+    cancelLabelStroke();
+    labelTool = null;
+    labelOverlay.classList.add('hidden');
+    labelPanel.classList.add('hidden');
+    btnLabel.classList.remove('active');
+    return;
+  }
+
+  closeBoxEditor();
+  closeMeasureEditor();
+  if (labelClassCode === null) {
+    labelClassCode = CONFIG.POINT_CLASSES[0].code;
+  }
+  renderLabelClassList();
+  applyClassificationScheme();
+  setClassificationColoring(true);
+  setLabelTool('lasso');
+  labelPanel.classList.remove('hidden');
+  btnLabel.classList.add('active');
+}
+
+/**
+ * Select the labeling tool; 'navigate' lets mouse input through to Potree
+ */
+function setLabelTool(tool) {
+  cancelLabelStroke();
+  labelTool = tool;
+  labelToolButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.labelTool === tool));
+  labelOverlay.classList.toggle('hidden', tool === 'navigate');
+  resizeLabelOverlay();
+}
 
-    item.querySelector('.goto').addEventListener('click', (e) => {
-      e.stopPropagation();
-      goToAnnotation(annotation);
+function renderLabelClassList() {
+  labelClassList.innerHTML = '';
+  for (const pointClass of CONFIG.POINT_CLASSES) {
+    const button = document.createElement('button');
+    button.className = 'label-class' + (pointClass.code === labelClassCode ? ' active' : '');
+    const [r, g, b] = pointClass.color.map(c => Math.round(c * 255));
+    button.innerHTML = `
+      <span class="label-swatch" style="background: rgb(${r}, ${g}, ${b});"></span>
+      <span>${escapeHtml(pointClass.name)}</span>
+    `;
+    button.addEventListener('click', () => {
+      labelClassCode = pointClass.code;
+      renderLabelClassList();
     });
+    labelClassList.appendChild(button);
+  }
+}
 
-    item.querySelector('.edit').addEventListener('click', (e) => {
-      e.stopPropagation();
-      openAnnotationModal(annotation);
-    });
+function updateLabelDirtyCount() {
+  if (!labelDirtyCountEl) return;
+  labelDirtyCountEl.textContent = dirtyLabelNodes.size > 0
+    ? `${dirtyLabelNodes.size} node(s) unsaved`
+    : 'All labels saved';
+}
 
-    item.querySelector('.delete').addEventListener('click', (e) => {
-      e.stopPropagation();
-      deleteAnnotation(annotation.id);
-    });
+function resizeLabelOverlay() {
+  if (!labelOverlay) return;
+  const renderArea = document.getElementById('potree_render_area');
+  labelOverlay.width = renderArea.clientWidth;
+  labelOverlay.height = renderArea.clientHeight;
+}
+
+function getOverlayPoint(event) {
+  const rect = labelOverlay.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
 
-    item.addEventListener('click', () => goToAnnotation(annotation));
+function startLabelStroke(event) {
+  if (event.button !== 0 || !labelTool || labelTool === 'navigate') return;
+  labelStroke = [getOverlayPoint(event)];
+  if (labelTool === 'brush') queueBrushFlush();
+  drawLabelStroke();
+}
 
-    annotationListEl.appendChild(item);
+function continueLabelStroke(event) {
+  if (!labelStroke) {
+    if (labelTool === 'brush') drawBrushCursor(getOverlayPoint(event));
+    return;
   }
+  labelStroke.push(getOverlayPoint(event));
+  if (labelTool === 'brush') queueBrushFlush();
+  drawLabelStroke();
 }
 
-/**
- * Navigate to annotation
- */
-function goToAnnotation(annotation) {
-  if (annotation.potreeAnnotation) {
-    annotation.potreeAnnotation.moveHere(viewer.scene.getActiveCamera());
-  } else {
-    const position = new THREE.Vector3(
-      annotation.position.x,
-      annotation.position.y,
-      annotation.position.z
-    );
-    viewer.scene.view.position.copy(position.clone().add(new THREE.Vector3(5, 5, 5)));
-    viewer.scene.view.lookAt(position);
+function finishLabelStroke() {
+  if (!labelStroke) return;
+
+  if (labelTool === 'lasso' && labelStroke.length >= 3) {
+    const polygon = labelStroke;
+    labelPointsInScreenRegion(polygonBounds(polygon), (x, y) => isInsidePolygon(x, y, polygon));
+  } else if (labelTool === 'brush') {
+    flushBrush();
   }
+  cancelLabelStroke();
 }
 
-/**
- * Open annotation modal
- */
-function openAnnotationModal(annotation, position = null, cameraPosition = null) {
-  if (annotation) {
-    isEditMode = true;
-    currentAnnotation = annotation;
-    modalTitleEl.textContent = 'Edit Note';
-    annotationTextEl.value = annotation.text || '';
-    deleteBtn.classList.remove('hidden');
-  } else {
-    isEditMode = false;
-    currentAnnotation = {
-      position: { x: position.x, y: position.y, z: position.z },
-      cameraPosition: cameraPosition
-    };
-    modalTitleEl.textContent = 'New Observation';
-    annotationTextEl.value = '';
-    deleteBtn.classList.add('hidden');
+function cancelLabelStroke() {
+  labelStroke = null;
+  if (labelOverlay) {
+    labelOverlay.getContext('2d').clearRect(0, 0, labelOverlay.width, labelOverlay.height);
   }
+}
 
-  updateByteCount();
-  annotationModal.classList.remove('hidden');
-  annotationTextEl.focus();
+function drawLabelStroke() {
+  const ctx = labelOverlay.getContext('2d');
+  ctx.clearRect(0, 0, labelOverlay.width, labelOverlay.height);
+  if (labelTool === 'brush') {
+    drawBrushCursor(labelStroke[labelStroke.length - 1]);
+    return;
+  }
+
+  ctx.strokeStyle = '#60a5fa';
+  ctx.fillStyle = 'rgba(59, 130, 246, 0.15)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  labelStroke.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+}
+
+function drawBrushCursor(point) {
+  const ctx = labelOverlay.getContext('2d');
+  ctx.clearRect(0, 0, labelOverlay.width, labelOverlay.height);
+  ctx.strokeStyle = '#60a5fa';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(point.x, point.y, Number(labelBrushSizeInput.value), 0, Math.PI * 2);
+  ctx.stroke();
 }
 
 /**
- * Close annotation modal
+ * Label points under the brush once per animation frame while painting
  */
-function closeAnnotationModal() {
-  annotationModal.classList.add('hidden');
-  currentAnnotation = null;
-  isEditMode = false;
-  annotationTextEl.value = '';
+function queueBrushFlush() {
+  if (brushFlushPending) return;
+  brushFlushPending = true;
+  requestAnimationFrame(() => {
+    brushFlushPending = false;
+    flushBrush();
+  });
+}
+
+function flushBrush() {
+  if (!labelStroke || labelStroke.length === 0) return;
+
+  const radius = Number(labelBrushSizeInput.value);
+  const centers = labelStroke.splice(0, labelStroke.length - 1);
+  centers.push(labelStroke[0]);
+  const bounds = polygonBounds(centers);
+  bounds.minX -= radius;
+  bounds.minY -= radius;
+  bounds.maxX += radius;
+  bounds.maxY += radius;
+
+  const radiusSq = radius * radius;
+  labelPointsInScreenRegion(bounds, (x, y) =>
+    centers.some(c => (x - c.x) * (x - c.x) + (y - c.y) * (y - c.y) <= radiusSq));
+}
+
+function polygonBounds(points) {
+  return {
+    minX: Math.min(...points.map(p => p.x)),
+    minY: Math.min(...points.map(p => p.y)),
+    maxX: Math.max(...points.map(p => p.x)),
+    maxY: Math.max(...points.map(p => p.y))
+  };
+}
+
+// Ray casting point-in-polygon test
+function isInsidePolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
 }
 
 /**
- * Save annotation
+ * Assign the active class to every loaded point whose screen position
+ * passes the test. Selection goes through the cloud (occluded points in
+ * the region are labeled too).
+ * @param {Object} bounds - Screen-space bounding box used to skip points quickly
+ * @param {Function} contains - (x, y) => boolean in overlay pixel coordinates
  */
-async function saveAnnotation() {
-  const text = annotationTextEl.value.trim();
+function labelPointsInScreenRegion(bounds, contains) {
+  if (!currentPointCloud) return;
 
-  const byteLength = new TextEncoder().encode(text).length;
-  if (byteLength > CONFIG.MAX_TEXT_BYTES) {
-    showStatus(`Text exceeds ${CONFIG.MAX_TEXT_BYTES} bytes limit`, 'error');
-    return;
-  }
+  const camera = viewer.scene.getActiveCamera();
+  const width = labelOverlay.width;
+  const height = labelOverlay.height;
+  const viewProjection = new THREE.Matrix4()
+    .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  const mvp = new THREE.Matrix4();
+  const point = new THREE.Vector3();
 
-  try {
-    if (isEditMode && currentAnnotation.id) {
-      const updated = await annotationAPI.updateAnnotation(currentAnnotation.id, { text });
-      const existing = annotations.get(currentAnnotation.id);
-      
-      // Create new object instead of mutating existing
-      const updatedAnnotation = {
-        ...existing,
-        text: text,
-        updatedAt: updated.updatedAt
-      };
-      annotations.set(currentAnnotation.id, updatedAnnotation);
+  for (const node of currentPointCloud.visibleNodes) {
+    const geometry = node.geometryNode && node.geometryNode.geometry;
+    if (!geometry || !geometry.attributes.classification) continue;
 
-      if (updatedAnnotation.potreeAnnotation) {
-        updatedAnnotation.potreeAnnotation.title = text || 'Annotation';
-      }
+    const positions = geometry.attributes.position;
+    const classification = geometry.attributes.classification;
+    mvp.multiplyMatrices(viewProjection, node.sceneNode.matrixWorld);
 
-      showStatus('Note updated', 'success');
-    } else {
-      const newAnnotation = await annotationAPI.createAnnotation({
-        pointCloudId: currentPointCloudUrl,
-        position: currentAnnotation.position,
-        text: text,
-        cameraPosition: currentAnnotation.cameraPosition,
-        cameraTarget: currentAnnotation.position
-      });
+    let labels = pointLabels.get(node.name);
+    let changed = false;
+    for (let i = 0; i < positions.count; i++) {
+      point.fromBufferAttribute(positions, i).applyMatrix4(mvp);
+      // Skip points behind the camera or beyond the far plane
+      if (point.z < -1 || point.z > 1) continue;
 
-      addAnnotationToViewer(newAnnotation);
-      showStatus('Note saved', 'success');
+      const x = (point.x + 1) / 2 * width;
+      const y = (1 - point.y) / 2 * height;
+      if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) continue;
+      if (!contains(x, y)) continue;
+
+      if (!labels) {
+        labels = new Map();
+        pointLabels.set(node.name, labels);
+      }
+      labels.set(i, labelClassCode);
+      classification.array[i] = labelClassCode;
+      changed = true;
     }
 
-    updateAnnotationList();
-    closeAnnotationModal();
-  } catch (error) {
-    console.error('Error saving annotation:', error);
-    showStatus('Failed to save: ' + error.message, 'error');
+    if (changed) {
+      classification.needsUpdate = true;
+      labeledGeometries.add(geometry);
+      dirtyLabelNodes.add(node.name);
+    }
   }
+  updateLabelDirtyCount();
 }
 
 /**
- * Delete annotation
+ * Save labels of every node edited since the last save
  */
-async function deleteAnnotation(annotationId) {
-  const id = annotationId || (currentAnnotation && currentAnnotation.id);
-  if (!id) return;
-
-  if (!confirm('Delete this note?')) return;
+async function savePointLabels() {
+  if (dirtyLabelNodes.size === 0) {
+    showStatus('No label changes to save', 'success');
+    return;
+  }
 
   try {
-    await annotationAPI.deleteAnnotation(id);
-    removeAnnotationFromViewer(id);
-    updateAnnotationList();
-    closeAnnotationModal();
-    showStatus('Note deleted', 'success');
+    const record = await getPointCloudRecord(true);
+    const nodeNames = Array.from(dirtyLabelNodes);
+
+    for (let i = 0; i < nodeNames.length; i += LABEL_NODES_PER_REQUEST) {
+      const nodes = {};
+      for (const nodeName of nodeNames.slice(i, i + LABEL_NODES_PER_REQUEST)) {
+        nodes[nodeName] = toRangesByClass(pointLabels.get(nodeName));
+        dirtyLabelNodes.delete(nodeName);
+      }
+      await annotationAPI.updatePointLabels(record.id, nodes);
+    }
+
+    updateLabelDirtyCount();
+    showStatus('Point labels saved', 'success');
   } catch (error) {
-    console.error('Error deleting:', error);
-    showStatus('Failed to delete: ' + error.message, 'error');
+    console.error('Error saving point labels:', error);
+    showStatus('Failed to save labels: ' + error.message, 'error');
   }
 }
 
@@ -533,6 +4210,209 @@ function setupEventListeners() {
     });
   }
 
+  // Spatial queries
+  if (btnInView) {
+    btnInView.addEventListener('click', () => {
+      if (spatialFilter) {
+        clearSpatialFilter();
+      } else {
+        showAnnotationsInView();
+      }
+    });
+  }
+  if (spatialFilterEl) {
+    spatialFilterEl.querySelector('.spatial-filter-clear').addEventListener('click', clearSpatialFilter);
+  }
+  if (btnNearest) {
+    btnNearest.addEventListener('click', () => setNearestPicking(!nearestPicking));
+  }
+  document.getElementById('potree_render_area').addEventListener('click', (event) => {
+    if (nearestPicking) goToNearestAnnotation(event);
+  });
+
+  if (btnBox) {
+    btnBox.addEventListener('click', () => {
+      if (boxDraft) {
+        closeBoxEditor();
+      } else {
+        startBoxDrawing();
+      }
+    });
+  }
+
+  // Box editor
+  if (saveBoxBtn) saveBoxBtn.addEventListener('click', saveBox);
+  if (cancelBoxBtn) cancelBoxBtn.addEventListener('click', closeBoxEditor);
+
+  // Measurements
+  measureButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (measureDraft && measureDraft.kind === btn.dataset.measure) {
+        closeMeasureEditor();
+      } else {
+        startMeasurement(btn.dataset.measure);
+      }
+    });
+  });
+  if (saveMeasureBtn) saveMeasureBtn.addEventListener('click', saveMeasurement);
+  if (cancelMeasureBtn) cancelMeasureBtn.addEventListener('click', closeMeasureEditor);
+
+  // Marker placement
+  if (moveAnnotationBtn) {
+    moveAnnotationBtn.addEventListener('click', () => {
+      startMarkerMove(currentAnnotation && annotations.get(currentAnnotation.id));
+    });
+  }
+  if (captureViewBtn) {
+    captureViewBtn.addEventListener('click', () => captureAnnotationView(currentAnnotation));
+  }
+  if (boxCaptureViewBtn) {
+    boxCaptureViewBtn.addEventListener('click', () => captureAnnotationView(boxDraft && boxDraft.annotation));
+  }
+  // Capture phase so the drag starts before Potree handles the mouse
+  window.addEventListener('mousedown', handleMarkerMoveStart, true);
+  window.addEventListener('mousemove', handleMarkerMoveDrag);
+  window.addEventListener('mouseup', handleMarkerMoveEnd);
+
+  // Undo/redo
+  if (btnUndo) btnUndo.addEventListener('click', () => stepHistory('undo'));
+  if (btnRedo) btnRedo.addEventListener('click', () => stepHistory('redo'));
+
+  // Export
+  if (btnExport) {
+    btnExport.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportMenu.classList.toggle('hidden');
+    });
+  }
+  if (exportMenu) {
+    exportMenu.querySelectorAll('[data-export-format]').forEach(btn => {
+      btn.addEventListener('click', () => exportAnnotations(btn.dataset.exportFormat));
+    });
+    document.addEventListener('click', (e) => {
+      if (!exportMenu.contains(e.target)) exportMenu.classList.add('hidden');
+    });
+  }
+
+  // Import (file picker or drop onto the sidebar)
+  if (btnImport) btnImport.addEventListener('click', () => importFileInput.click());
+  if (importFileInput) {
+    importFileInput.addEventListener('change', () => {
+      const [file] = importFileInput.files;
+      if (file) importAnnotationsFromFile(file);
+      importFileInput.value = '';
+    });
+  }
+  if (sidebarEl) {
+    sidebarEl.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      sidebarEl.classList.add('drop-target');
+    });
+    sidebarEl.addEventListener('dragleave', (e) => {
+      if (!sidebarEl.contains(e.relatedTarget)) sidebarEl.classList.remove('drop-target');
+    });
+    sidebarEl.addEventListener('drop', (e) => {
+      e.preventDefault();
+      sidebarEl.classList.remove('drop-target');
+      const [file] = e.dataTransfer.files;
+      if (file) importAnnotationsFromFile(file);
+    });
+  }
+  // Edit conflicts
+  if (conflictTheirsBtn) conflictTheirsBtn.addEventListener('click', () => resolveConflict('theirs'));
+  if (conflictMineBtn) conflictMineBtn.addEventListener('click', () => resolveConflict('mine'));
+  if (conflictMergeBtn) conflictMergeBtn.addEventListener('click', () => resolveConflict('merged'));
+  if (closeConflictModalX) closeConflictModalX.addEventListener('click', closeConflictModal);
+  if (conflictModal) {
+    conflictModal.addEventListener('click', (e) => {
+      if (e.target.classList.contains('modal-backdrop')) {
+        closeConflictModal();
+      }
+    });
+  }
+
+  if (closeImportBtn) closeImportBtn.addEventListener('click', closeImportModal);
+  if (closeImportModalX) closeImportModalX.addEventListener('click', closeImportModal);
+  if (importModal) {
+    importModal.addEventListener('click', (e) => {
+      if (e.target.classList.contains('modal-backdrop')) {
+        closeImportModal();
+      }
+    });
+  }
+
+  // Categories
+  if (categoryFilterEl) {
+    categoryFilterEl.addEventListener('change', () => {
+      categoryFilter = categoryFilterEl.value;
+      updateAnnotationList();
+    });
+  }
+  if (reviewFilterEl) {
+    reviewFilterEl.addEventListener('change', () => {
+      reviewFilter = reviewFilterEl.value;
+      updateAnnotationList();
+    });
+  }
+  if (annotationSearchEl) {
+    annotationSearchEl.addEventListener('input', scheduleSearch);
+    [authorFilterEl, createdAfterEl, createdBeforeEl].forEach(el => el.addEventListener('change', runSearch));
+    sortOrderEl.addEventListener('change', updateAnnotationList);
+  }
+
+  // Annotation list
+  if (groupByEl) groupByEl.addEventListener('change', updateAnnotationList);
+  annotationListEl.addEventListener('click', handleListClick);
+  annotationListEl.addEventListener('scroll', scheduleListRender, { passive: true });
+  window.addEventListener('resize', scheduleListRender);
+  viewer.addEventListener('update', resortByDistance);
+  if (btnManageCategories) btnManageCategories.addEventListener('click', openTaxonomyModal);
+  if (addCategoryBtn) addCategoryBtn.addEventListener('click', addDraftCategory);
+  if (saveTaxonomyBtn) saveTaxonomyBtn.addEventListener('click', saveTaxonomy);
+  if (cancelTaxonomyBtn) cancelTaxonomyBtn.addEventListener('click', closeTaxonomyModal);
+  if (closeTaxonomyModalX) closeTaxonomyModalX.addEventListener('click', closeTaxonomyModal);
+  if (taxonomyModal) {
+    taxonomyModal.addEventListener('click', (e) => {
+      if (e.target.classList.contains('modal-backdrop')) {
+        closeTaxonomyModal();
+      }
+    });
+  }
+
+  // Point labeling
+  if (labelBrushSizeInput) labelBrushSizeInput.value = CONFIG.LABEL_BRUSH_RADIUS;
+  if (btnLabel) {
+    btnLabel.addEventListener('click', () => setLabelingMode(labelTool === null));
+  }
+  if (closeLabelsBtn) closeLabelsBtn.addEventListener('click', () => setLabelingMode(false));
+  if (saveLabelsBtn) saveLabelsBtn.addEventListener('click', savePointLabels);
+  labelToolButtons.forEach(btn => {
+    btn.addEventListener('click', () => setLabelTool(btn.dataset.labelTool));
+  });
+  if (labelShowClassesInput) {
+    labelShowClassesInput.addEventListener('change', () => {
+      setClassificationColoring(labelShowClassesInput.checked);
+    });
+  }
+  if (labelOverlay) {
+    labelOverlay.addEventListener('mousedown', startLabelStroke);
+    labelOverlay.addEventListener('mousemove', continueLabelStroke);
+    labelOverlay.addEventListener('mouseup', finishLabelStroke);
+    labelOverlay.addEventListener('mouseleave', finishLabelStroke);
+  }
+  window.addEventListener('resize', resizeLabelOverlay);
+
+  // Show saved labels on octree nodes as Potree streams them in
+  viewer.addEventListener('update', applyLabelsToLoadedNodes);
+
+  // Share where this viewer looks; moving the view stops following someone
+  viewer.addEventListener('update', sendPresence);
+  const renderArea = document.getElementById('potree_render_area');
+  renderArea.addEventListener('mousedown', stopFollowing);
+  renderArea.addEventListener('wheel', stopFollowing, { passive: true });
+  renderArea.addEventListener('touchstart', stopFollowing, { passive: true });
+
   // Modal
   if (saveBtn) saveBtn.addEventListener('click', saveAnnotation);
   if (cancelBtn) cancelBtn.addEventListener('click', closeAnnotationModal);
@@ -548,11 +4428,46 @@ function setupEventListeners() {
   }
 
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && annotationModal && !annotationModal.classList.contains('hidden')) {
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+    const isTextField = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTextField) {
+      e.preventDefault();
+      stepHistory(e.shiftKey ? 'redo' : 'undo');
+      return;
+    }
+
+    if (e.key === 'Escape' && editConflict) {
+      closeConflictModal();
+    } else if (e.key === 'Escape' && annotationModal && !annotationModal.classList.contains('hidden')) {
       closeAnnotationModal();
+    } else if (e.key === 'Escape' && taxonomyDraft) {
+      closeTaxonomyModal();
+    } else if (e.key === 'Escape' && !importModal.classList.contains('hidden')) {
+      closeImportModal();
+    } else if (e.key === 'Escape' && boxDraft) {
+      closeBoxEditor();
+    } else if (e.key === 'Escape' && measureDraft) {
+      closeMeasureEditor();
+    } else if (e.key === 'Escape' && labelStroke) {
+      cancelLabelStroke();
+    } else if (e.key === 'Escape' && markerMove) {
+      cancelMarkerMove();
+      showStatus('Move cancelled', 'info');
     }
   });
 
+  // Revision history and comments
+  if (toggleHistoryBtn) toggleHistoryBtn.addEventListener('click', toggleHistory);
+  if (postCommentBtn) postCommentBtn.addEventListener('click', postComment);
+  if (commentTextEl) {
+    commentTextEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        postComment();
+      }
+    });
+  }
+
   if (annotationModal) {
     annotationModal.addEventListener('click', (e) => {
       if (e.target.classList.contains('modal-backdrop')) {
@@ -582,6 +4497,17 @@ function setupEventListeners() {
     });
   }
   
+  if (cloudGallery) {
+    cloudGallery.addEventListener('click', handleCloudGalleryClick);
+    cloudGallery.addEventListener('dblclick', (e) => {
+      const card = e.target.closest('.cloud-card');
+      if (card && !e.target.closest('.cloud-card-form, .cloud-card-actions')) {
+        selectedCloudPath = availablePointClouds[card.dataset.index].path;
+        handleLoadCloud();
+      }
+    });
+  }
+
   // Tab switching for load cloud modal
   if (tabGallery) {
     tabGallery.addEventListener('click', () => setLoadModalTab(true));
@@ -612,6 +4538,11 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone; attribute values need them escaped too
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 function formatDate(dateString) {
   if (!dateString) return '';
   return new Date(dateString).toLocaleDateString(undefined, {
@@ -641,8 +4572,8 @@ async function openLoadCloudModal() {
     // Show modal first with loading state
     loadCloudModal.classList.remove('hidden');
     
-    // Populate dropdown with available clouds (async)
-    await populateCloudDropdown();
+    // Populate gallery with available clouds (async)
+    await populateCloudGallery();
     
     // Reset to gallery tab
     setLoadModalTab(true);
@@ -681,12 +4612,13 @@ function setLoadModalTab(isGallery) {
 }
 
 /**
- * Populate the point cloud dropdown from backend + defaults
+ * Populate the point cloud gallery from backend + defaults
  */
-async function populateCloudDropdown() {
-  if (!cloudSelect) return;
+async function populateCloudGallery() {
+  if (!cloudGallery) return;
   
-  cloudSelect.innerHTML = '<option value="">Loading...</option>';
+  editingCloudId = null;
+  cloudGallery.innerHTML = '<div class="cloud-gallery-empty">Loading...</div>';
   
   try {
     // Load from backend
@@ -724,18 +4656,146 @@ async function populateCloudDropdown() {
     }));
   }
   
-  // Populate dropdown
-  cloudSelect.innerHTML = '';
-  availablePointClouds.forEach((cloud) => {
-    const option = document.createElement('option');
-    option.value = cloud.path;
-    option.textContent = cloud.name + (cloud.isDefault ? ' (default)' : '');
-    // Mark current cloud as selected
-    if (normalizePointCloudUrl(cloud.path) === currentPointCloudUrl) {
-      option.selected = true;
+  // Preselect the current cloud
+  const current = availablePointClouds.find(cloud => cloud.path === currentPointCloudUrl);
+  selectedCloudPath = current ? current.path : (availablePointClouds[0] || {}).path || null;
+  renderCloudGallery();
+}
+
+function renderCloudGallery() {
+  cloudGallery.innerHTML = availablePointClouds.length > 0
+    ? availablePointClouds.map(renderCloudCard).join('')
+    : '<div class="cloud-gallery-empty">No point clouds registered</div>';
+}
+
+/**
+ * A gallery card: name, description, tags and the metadata the backend read
+ * from the cloud's cloud.js / metadata.json when it was registered
+ */
+function renderCloudCard(cloud, index) {
+  const isSelected = cloud.path === selectedCloudPath;
+  const badges = [
+    cloud.path === currentPointCloudUrl ? '<span class="cloud-card-badge">Loaded</span>' : '',
+    cloud.isDefault ? '<span class="cloud-card-badge muted">Default</span>' : ''
+  ].join('');
+  const canEdit = !!cloud.id && hasRole('admin');
+
+  let body;
+  if (cloud.id && cloud.id === editingCloudId) {
+    body = `
+      <div class="cloud-card-form">
+        <textarea name="description" rows="2" placeholder="Description">${escapeHtml(cloud.description)}</textarea>
+        <input type="text" name="tags" class="text-input" placeholder="Tags, comma separated"
+          value="${escapeAttribute((cloud.tags || []).join(', '))}">
+        <div class="cloud-card-actions">
+          <button class="btn btn-secondary" data-action="cancel-edit">Cancel</button>
+          <button class="btn btn-primary" data-action="save">Save</button>
+        </div>
+      </div>
+    `;
+  } else {
+    const tags = (cloud.tags || []).map(tag => `<span class="cloud-tag">${escapeHtml(tag)}</span>`).join('');
+    body = `
+      ${cloud.description ? `<p class="cloud-card-description">${escapeHtml(cloud.description)}</p>` : ''}
+      ${tags ? `<div class="cloud-card-tags">${tags}</div>` : ''}
+      ${renderCloudMetadata(cloud.metadata)}
+      ${canEdit ? `
+        <div class="cloud-card-actions">
+          ${cloud.metadata ? '' : '<button class="btn btn-secondary" data-action="refresh">Read metadata</button>'}
+          <button class="btn btn-secondary" data-action="edit">Edit</button>
+        </div>
+      ` : ''}
+    `;
+  }
+
+  return `
+    <div class="cloud-card${isSelected ? ' selected' : ''}" data-index="${index}">
+      <div class="cloud-card-header">
+        <span class="cloud-card-name">${escapeHtml(cloud.name)}</span>
+        ${badges}
+      </div>
+      <div class="cloud-card-path">${escapeHtml(cloud.path)}</div>
+      ${body}
+    </div>
+  `;
+}
+
+function renderCloudMetadata(metadata) {
+  if (!metadata) {
+    return '<div class="cloud-card-meta muted">No metadata</div>';
+  }
+  const { min, max } = metadata.boundingBox;
+  const extent = ['x', 'y', 'z'].map(axis => (max[axis] - min[axis]).toFixed(1)).join(' × ');
+  const attributes = metadata.attributes.length > 0 ? metadata.attributes.join(', ') : metadata.encoding;
+  const rows = [
+    ['Points', metadata.pointCount.toLocaleString()],
+    ['Extent', `${extent} m`],
+    ['Spacing', `${metadata.spacing} m`],
+    ['Attributes', attributes],
+    ['Projection', metadata.projection || 'None']
+  ];
+  return `
+    <dl class="cloud-card-meta">
+      ${rows.map(([term, value]) => `<dt>${term}</dt><dd title="${escapeAttribute(String(value))}">${escapeHtml(String(value))}</dd>`).join('')}
+    </dl>
+  `;
+}
+
+/**
+ * Gallery clicks: pick a card, or edit a registered cloud's details
+ */
+async function handleCloudGalleryClick(event) {
+  const card = event.target.closest('.cloud-card');
+  if (!card) return;
+  const index = Number(card.dataset.index);
+  const cloud = availablePointClouds[index];
+  const action = event.target.closest('[data-action]');
+
+  if (!action) {
+    if (event.target.closest('.cloud-card-form') || cloud.path === selectedCloudPath) return;
+    selectedCloudPath = cloud.path;
+    renderCloudGallery();
+    return;
+  }
+
+  switch (action.dataset.action) {
+    case 'edit':
+      editingCloudId = cloud.id;
+      renderCloudGallery();
+      break;
+    case 'cancel-edit':
+      editingCloudId = null;
+      renderCloudGallery();
+      break;
+    case 'save': {
+      const form = card.querySelector('.cloud-card-form');
+      const tags = form.querySelector('[name="tags"]').value.split(',').map(tag => tag.trim()).filter(Boolean);
+      await updateCloudRecord(index, {
+        description: form.querySelector('[name="description"]').value,
+        tags
+      }, 'Point cloud details saved');
+      break;
     }
-    cloudSelect.appendChild(option);
-  });
+    case 'refresh':
+      await updateCloudRecord(index, { refreshMetadata: true }, 'Point cloud metadata read');
+      break;
+  }
+}
+
+async function updateCloudRecord(index, changes, successMessage) {
+  const cloud = availablePointClouds[index];
+  try {
+    const updated = await annotationAPI.updatePointCloud(cloud.id, changes);
+    availablePointClouds[index] = { ...updated, path: normalizePointCloudUrl(updated.path) };
+    if (currentPointCloudRecord && currentPointCloudRecord.id === updated.id) {
+      currentPointCloudRecord = updated;
+    }
+    editingCloudId = null;
+    renderCloudGallery();
+    showStatus(successMessage, 'success');
+  } catch (error) {
+    showStatus(`Failed to update point cloud: ${error.message}`, 'error');
+  }
 }
 
 /**
@@ -770,7 +4830,11 @@ async function handleLoadCloud() {
   let url;
   
   if (isGalleryMode) {
-    url = cloudSelect.value;
+    url = selectedCloudPath;
+    if (!url) {
+      showStatus('Please select a point cloud', 'error');
+      return;
+    }
   } else {
     url = cloudUrlInput.value.trim();
     if (!url) {
@@ -781,10 +4845,28 @@ async function handleLoadCloud() {
     url = convertGitHubUrl(url);
   }
   
+  if (dirtyLabelNodes.size > 0 && !confirm('Discard unsaved point labels?')) return;
+
   closeLoadCloudModal();
   await loadNewPointCloud(url);
 }
 
+/**
+ * The file Potree loads a cloud from: metadata.json for Potree 2 clouds,
+ * cloud.js for 1.x clouds and for clouds without stored metadata
+ */
+async function descriptionFileOf(cloudUrl) {
+  let cloud = availablePointClouds.find(pc => pc.path === cloudUrl);
+  if (!cloud || !cloud.metadata) {
+    try {
+      cloud = await getPointCloudRecord();
+    } catch (error) {
+      console.error('Error loading point cloud record:', error);
+    }
+  }
+  return cloud && cloud.metadata && cloud.metadata.format === 'potree-2' ? 'metadata.json' : 'cloud.js';
+}
+
 /**
  * Load a new point cloud, replacing the existing one
  */
@@ -810,12 +4892,28 @@ async function loadNewPointCloud(url) {
     }
     currentPointCloud = null;
 
-    // Clear existing annotations from viewer
+    // Clear existing annotations (markers, boxes and measurements) from viewer
+    closeBoxEditor();
+    closeMeasureEditor();
+    setLabelingMode(false);
+    resetPointLabels();
+    cancelMarkerMove();
+    clearHistory();
+    clearSpatialQueries();
     while (viewer.scene.annotations.children.length > 0) {
       viewer.scene.annotations.remove(viewer.scene.annotations.children[0]);
     }
+    while (viewer.scene.volumes.length > 0) {
+      viewer.scene.removeVolume(viewer.scene.volumes[0]);
+    }
+    while (viewer.scene.measurements.length > 0) {
+      viewer.scene.removeMeasurement(viewer.scene.measurements[0]);
+    }
 
     // Clear local annotations cache
+    disconnectLiveUpdates();
+    markerLayer.clear();
+    markerLayerActive = false;
     annotations.clear();
     updateAnnotationList();
 
@@ -824,10 +4922,13 @@ async function loadNewPointCloud(url) {
     
     // Set current point cloud URL for annotation filtering
     currentPointCloudUrl = cloudUrl;
+    currentPointCloudRecord = null;
+    await loadRole();
 
     // Load new point cloud
+    const descriptionFile = await descriptionFileOf(cloudUrl);
     await new Promise((resolve, reject) => {
-      Potree.loadPointCloud(cloudUrl + 'cloud.js', 'pointcloud', (e) => {
+      Potree.loadPointCloud(cloudUrl + descriptionFile, 'pointcloud', (e) => {
         if (e.pointcloud) {
           currentPointCloud = e.pointcloud;
           const material = currentPointCloud.material;
@@ -846,8 +4947,11 @@ async function loadNewPointCloud(url) {
       });
     });
 
-    // Load annotations for this point cloud
+    // Load categories, annotations and point labels for this point cloud
+    await loadTaxonomy();
     await loadAnnotations();
+    connectLiveUpdates();
+    await loadPointLabels();
 
     // Hide loading
     loadingEl.style.opacity = '0';
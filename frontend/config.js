@@ -16,6 +16,10 @@ const CONFIG = {
   // AWS API Gateway endpoint (update after deploying with SAM)
   AWS_API_ENDPOINT: 'https://6f5pi0039b.execute-api.us-east-1.amazonaws.com/prod',
 
+  // localStorage key of the bearer token (issued by the local server's
+  // /auth/token, or by your identity provider when using AWS)
+  AUTH_TOKEN_KEY: 'pointCloudAnnotator.token',
+
   // Default point cloud URL
   POINT_CLOUD_URL: 'libs/potree/pointclouds/lion_takanawa/',
 
@@ -31,9 +35,54 @@ const CONFIG = {
   // Maximum annotation text length in bytes
   MAX_TEXT_BYTES: 256,
 
+  // Maximum comment length in bytes
+  MAX_COMMENT_BYTES: 2048,
+
   // Annotation marker color
   ANNOTATION_COLOR: [0.29, 0.56, 0.85], // RGB normalized (4a90d9)
 
+  // Classes offered by the point labeling tool (LAS classification codes)
+  POINT_CLASSES: [
+    { code: 1, name: 'Unclassified', color: [0.6, 0.6, 0.6] },
+    { code: 2, name: 'Ground', color: [0.65, 0.45, 0.25] },
+    { code: 5, name: 'Vegetation', color: [0.2, 0.7, 0.25] },
+    { code: 6, name: 'Building', color: [0.9, 0.3, 0.25] },
+    { code: 64, name: 'Vehicle', color: [0.95, 0.75, 0.1] }
+  ],
+
+  // Default brush radius in pixels for point labeling
+  LABEL_BRUSH_RADIUS: 20,
+
+  // Wait before reconnecting a dropped live update connection (milliseconds)
+  LIVE_RECONNECT_DELAY: 5000,
+
+  // Send this viewer's camera pose to collaborators at most this often (milliseconds)
+  PRESENCE_INTERVAL: 200,
+
+  // IndexedDB database caching annotations and changes made offline
+  OFFLINE_DB_NAME: 'pointCloudAnnotator',
+
+  // Check whether the backend is back this often while offline (milliseconds)
+  SYNC_RETRY_INTERVAL: 10000,
+
+  // Wait for typing to pause before searching annotations (milliseconds)
+  SEARCH_DEBOUNCE: 300,
+
+  // Draw markers with the WebGL layer instead of DOM elements above this many annotations
+  MARKER_LAYER_THRESHOLD: 300,
+
+  // WebGL marker diameter (CSS pixels)
+  MARKER_SIZE: 14,
+
+  // WebGL markers closer than this on screen merge into a cluster (CSS pixels)
+  MARKER_CLUSTER_RADIUS: 24,
+
+  // Re-sort the list by distance at most this often while the camera moves (milliseconds)
+  DISTANCE_SORT_INTERVAL: 500,
+
+  // Maximum number of undoable annotation changes
+  UNDO_LIMIT: 100,
+
   // Auto-hide status messages after this many milliseconds
   STATUS_MESSAGE_DURATION: 3000,
 
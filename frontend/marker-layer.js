@@ -0,0 +1,274 @@
+/**
+ * WebGL marker layer for Point Cloud Annotator
+ * Draws annotation markers as point sprites in a single draw call, for sets
+ * too large for Potree's DOM annotations. Markers that crowd together on
+ * screen are merged into clusters labeled with their size, which split up
+ * again as the camera gets closer.
+ */
+
+// Clusters are drawn in the accent color with a white ring
+const CLUSTER_COLOR = new THREE.Color('#3b82f6');
+const CLUSTER_RING_COLOR = new THREE.Color('#ffffff');
+
+const MARKER_VERTEX_SHADER = `
+  attribute vec3 markerColor;
+  attribute vec3 ringColor;
+  attribute float markerSize;
+  uniform float pixelRatio;
+  varying vec3 vColor;
+  varying vec3 vRing;
+  varying float vSize;
+
+  void main() {
+    vColor = markerColor;
+    vRing = ringColor;
+    vSize = markerSize * pixelRatio;
+    gl_PointSize = vSize;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// A filled disc with a 2px ring, antialiased at the edge
+const MARKER_FRAGMENT_SHADER = `
+  varying vec3 vColor;
+  varying vec3 vRing;
+  varying float vSize;
+
+  void main() {
+    float r = length(gl_PointCoord * 2.0 - 1.0) * vSize * 0.5;
+    float outer = vSize * 0.5;
+    if (r > outer) discard;
+    vec3 color = r > outer - 2.0 ? vRing : vColor;
+    gl_FragColor = vec4(color, clamp(outer - r, 0.0, 1.0));
+  }
+`;
+
+class MarkerLayer {
+  /**
+   * @param {Potree.Viewer} viewer - Viewer whose scene the markers are drawn in
+   * @param {Object} [options]
+   * @param {number} [options.markerSize] - Marker diameter (CSS pixels)
+   * @param {number} [options.clusterRadius] - Markers closer than this on screen are merged (CSS pixels)
+   */
+  constructor(viewer, { markerSize = CONFIG.MARKER_SIZE, clusterRadius = CONFIG.MARKER_CLUSTER_RADIUS } = {}) {
+    this.viewer = viewer;
+    this.markerSize = markerSize;
+    this.clusterRadius = clusterRadius;
+    this.markers = new Map(); // id -> { position, color, ring, title }
+    this.clusters = []; // As last drawn: { ids, x, y, size, position }
+    this.hovered = null; // The single-marker cluster under the mouse
+    this.dirty = true;
+    this.viewKey = null;
+
+    this.geometry = new THREE.BufferGeometry();
+    this.allocate(64);
+    this.material = new THREE.ShaderMaterial({
+      vertexShader: MARKER_VERTEX_SHADER,
+      fragmentShader: MARKER_FRAGMENT_SHADER,
+      uniforms: { pixelRatio: { value: 1 } },
+      transparent: true,
+      depthTest: false,
+      depthWrite: false
+    });
+    this.points = new THREE.Points(this.geometry, this.material);
+    this.points.frustumCulled = false;
+    this.points.renderOrder = 1000; // On top of the cloud, like DOM markers
+    viewer.scene.scene.add(this.points);
+
+    // Cluster counts and the hovered marker's title
+    this.labelCanvas = document.createElement('canvas');
+    this.labelCanvas.className = 'marker-labels';
+    viewer.renderArea.appendChild(this.labelCanvas);
+  }
+
+  get size() {
+    return this.markers.size;
+  }
+
+  has(id) {
+    return this.markers.has(id);
+  }
+
+  /**
+   * Add or restyle a marker
+   * @param {string} id - Annotation ID
+   * @param {Object} marker - { position: {x, y, z}, color: CSS color, ring: CSS color, title }
+   */
+  set(id, { position, color, ring, title }) {
+    this.markers.set(id, {
+      position: new THREE.Vector3(position.x, position.y, position.z),
+      color: new THREE.Color(color),
+      ring: new THREE.Color(ring),
+      title
+    });
+    this.dirty = true;
+  }
+
+  remove(id) {
+    if (this.markers.delete(id)) {
+      this.dirty = true;
+    }
+  }
+
+  clear() {
+    this.markers.clear();
+    this.hovered = null;
+    this.dirty = true;
+  }
+
+  /**
+   * Re-cluster and redraw when the markers or the view changed (call every frame)
+   */
+  update() {
+    const camera = this.viewer.scene.getActiveCamera();
+    const { clientWidth: width, clientHeight: height } = this.viewer.renderArea;
+    const viewKey = [...camera.matrixWorldInverse.elements, ...camera.projectionMatrix.elements, width, height].join(',');
+    if (!this.dirty && viewKey === this.viewKey) return;
+    this.dirty = false;
+    this.viewKey = viewKey;
+
+    this.clusters = this.cluster(camera, width, height);
+    this.writeBuffers();
+    this.drawLabels(width, height);
+  }
+
+  /**
+   * Merge markers falling in the same screen cell (2 x clusterRadius wide)
+   */
+  cluster(camera, width, height) {
+    const cellSize = this.clusterRadius * 2;
+    const cells = new Map();
+    const projected = new THREE.Vector3();
+    for (const [id, marker] of this.markers) {
+      projected.copy(marker.position).project(camera);
+      // Behind the camera or off screen
+      if (projected.z < -1 || projected.z > 1 || Math.abs(projected.x) > 1.1 || Math.abs(projected.y) > 1.1) continue;
+
+      const x = (projected.x + 1) / 2 * width;
+      const y = (1 - projected.y) / 2 * height;
+      const key = `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push({ id, marker, x, y });
+    }
+
+    return [...cells.values()].map(members => {
+      if (members.length === 1) {
+        const [{ id, marker, x, y }] = members;
+        return { ids: [id], x, y, size: this.markerSize, position: marker.position, color: marker.color, ring: marker.ring };
+      }
+      const position = new THREE.Vector3();
+      let x = 0;
+      let y = 0;
+      for (const member of members) {
+        position.add(member.marker.position);
+        x += member.x;
+        y += member.y;
+      }
+      return {
+        ids: members.map(member => member.id),
+        x: x / members.length,
+        y: y / members.length,
+        // Grows with the order of magnitude of the count
+        size: this.markerSize * 1.5 + 6 * Math.log10(members.length),
+        position: position.divideScalar(members.length),
+        color: CLUSTER_COLOR,
+        ring: CLUSTER_RING_COLOR
+      };
+    });
+  }
+
+  // Attribute buffers with room for `capacity` sprites
+  allocate(capacity) {
+    this.capacity = capacity;
+    this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+    this.geometry.setAttribute('markerColor', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+    this.geometry.setAttribute('ringColor', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+    this.geometry.setAttribute('markerSize', new THREE.BufferAttribute(new Float32Array(capacity), 1));
+  }
+
+  writeBuffers() {
+    const count = this.clusters.length;
+    if (count > this.capacity) {
+      this.allocate(Math.max(count, this.capacity * 2));
+    }
+
+    const { position, markerColor, ringColor, markerSize } = this.geometry.attributes;
+    this.clusters.forEach((cluster, i) => {
+      cluster.position.toArray(position.array, i * 3);
+      cluster.color.toArray(markerColor.array, i * 3);
+      cluster.ring.toArray(ringColor.array, i * 3);
+      markerSize.array[i] = cluster.size;
+    });
+    [position, markerColor, ringColor, markerSize].forEach(attribute => { attribute.needsUpdate = true; });
+    this.geometry.setDrawRange(0, count);
+    this.material.uniforms.pixelRatio.value = this.viewer.renderer.getPixelRatio();
+  }
+
+  drawLabels(width, height) {
+    const ratio = window.devicePixelRatio || 1;
+    if (this.labelCanvas.width !== width * ratio || this.labelCanvas.height !== height * ratio) {
+      this.labelCanvas.width = width * ratio;
+      this.labelCanvas.height = height * ratio;
+    }
+    const context = this.labelCanvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+
+    context.font = '600 11px Inter, system-ui, sans-serif';
+    context.fillStyle = '#ffffff';
+    for (const cluster of this.clusters) {
+      if (cluster.ids.length > 1) {
+        context.fillText(String(cluster.ids.length), cluster.x, cluster.y);
+      }
+    }
+
+    const hovered = this.hovered && this.clusters.find(cluster => cluster.ids.length === 1 && cluster.ids[0] === this.hovered);
+    if (hovered) {
+      const title = this.markers.get(this.hovered).title;
+      const text = title.length > 60 ? `${title.slice(0, 57)}...` : title;
+      context.font = '12px Inter, system-ui, sans-serif';
+      const textWidth = context.measureText(text).width;
+      const top = hovered.y - hovered.size / 2 - 26;
+      context.fillStyle = 'rgba(15, 23, 42, 0.9)';
+      context.fillRect(hovered.x - textWidth / 2 - 8, top, textWidth + 16, 20);
+      context.fillStyle = '#f8fafc';
+      context.fillText(text, hovered.x, top + 10);
+    }
+  }
+
+  /**
+   * The marker or cluster under a mouse event, if any
+   * @returns {{ids: Array<string>, position: THREE.Vector3}|null}
+   */
+  pick(event) {
+    const rect = this.viewer.renderArea.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    let best = null;
+    let bestDistance = Infinity;
+    for (const cluster of this.clusters) {
+      const distance = Math.hypot(cluster.x - x, cluster.y - y);
+      if (distance <= cluster.size / 2 + 2 && distance < bestDistance) {
+        best = cluster;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Show the title of the marker under the mouse
+   * @returns {boolean} Whether the mouse is over a marker or cluster
+   */
+  hover(event) {
+    const hit = this.pick(event);
+    const hovered = hit && hit.ids.length === 1 ? hit.ids[0] : null;
+    if (hovered !== this.hovered) {
+      this.hovered = hovered;
+      this.dirty = true;
+    }
+    return Boolean(hit);
+  }
+}
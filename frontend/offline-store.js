@@ -0,0 +1,127 @@
+/**
+ * Offline cache for Point Cloud Annotator
+ * Keeps annotations and the queue of unsent changes in IndexedDB, so notes
+ * survive dropped connections and page reloads
+ */
+
+class OfflineStore {
+  constructor(name = CONFIG.OFFLINE_DB_NAME) {
+    this.name = name;
+    this.db = null;
+  }
+
+  /**
+   * Open (or create) the database
+   * @returns {Promise<void>}
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Annotation records, as last received or edited offline
+        const annotations = db.createObjectStore('annotations', { keyPath: 'id' });
+        annotations.createIndex('pointCloudId', 'pointCloudId');
+        // Changes waiting to be sent, in the order they were made
+        db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+        // Anything else worth keeping offline (the signed-in user)
+        db.createObjectStore('meta');
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run `work` with an object store in its own transaction
+   * @returns {Promise<*>} The result of the request `work` returns, once committed
+   */
+  transaction(storeName, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, mode);
+      const request = work(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // ========================================
+  // Annotations
+  // ========================================
+
+  getAnnotations(pointCloudId) {
+    return this.transaction('annotations', 'readonly', (store) =>
+      store.index('pointCloudId').getAll(pointCloudId)
+    );
+  }
+
+  getAnnotation(id) {
+    return this.transaction('annotations', 'readonly', (store) => store.get(id));
+  }
+
+  putAnnotation(annotation) {
+    return this.transaction('annotations', 'readwrite', (store) => { store.put(annotation); });
+  }
+
+  deleteAnnotation(id) {
+    return this.transaction('annotations', 'readwrite', (store) => { store.delete(id); });
+  }
+
+  /**
+   * Replace a point cloud's cached annotations with a fresh list
+   */
+  replaceAnnotations(pointCloudId, annotations) {
+    return this.transaction('annotations', 'readwrite', (store) => {
+      const cursorRequest = store.index('pointCloudId').openKeyCursor(IDBKeyRange.only(pointCloudId));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          store.delete(cursor.primaryKey);
+          cursor.continue();
+        } else {
+          annotations.forEach(annotation => store.put(annotation));
+        }
+      };
+    });
+  }
+
+  // ========================================
+  // Sync queue
+  // ========================================
+
+  /**
+   * Queued changes, oldest first
+   * @returns {Promise<Array>} { seq, op, id, pointCloudId, data?, version? }
+   */
+  listQueued() {
+    return this.transaction('queue', 'readonly', (store) => store.getAll());
+  }
+
+  /**
+   * Add a change (without `seq`) or rewrite a queued one
+   * @returns {Promise<number>} The change's `seq`
+   */
+  putQueued(entry) {
+    return this.transaction('queue', 'readwrite', (store) => store.put(entry));
+  }
+
+  deleteQueued(seq) {
+    return this.transaction('queue', 'readwrite', (store) => { store.delete(seq); });
+  }
+
+  // ========================================
+  // Meta
+  // ========================================
+
+  getMeta(key) {
+    return this.transaction('meta', 'readonly', (store) => store.get(key));
+  }
+
+  setMeta(key, value) {
+    return this.transaction('meta', 'readwrite', (store) => { store.put(value, key); });
+  }
+}